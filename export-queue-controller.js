@@ -0,0 +1,284 @@
+/**
+ * Export Queue Controller
+ * Queues editor exports to run in the background and shows their progress
+ */
+class ExportQueueController {
+    /**
+     * @param {Object} options - { buildExport } returning the export options for the current edit, or null
+     */
+    constructor(options = {}) {
+        this.buildExport = options.buildExport;
+        this.jobs = [];
+        this.accounts = [];
+        this.queuePaused = false;
+
+        // Get ipcRenderer from global scope
+        this.ipc = window.ipcRenderer || (typeof ipcRenderer !== 'undefined' ? ipcRenderer : null);
+
+        this.setupEventListeners();
+        this.initialize();
+    }
+
+    async initialize() {
+        if (!this.ipc) return;
+
+        this.ipc.on('export-queue-changed', (event, state) => {
+            this.handleStateUpdate(state);
+        });
+
+        this.ipc.on('export-job-progress', (event, data) => {
+            this.updateJobProgress(data);
+        });
+
+        await Promise.all([this.loadQueueState(), this.loadAccounts()]);
+    }
+
+    setupEventListeners() {
+        document.getElementById('export-queue-add-btn')?.addEventListener('click', () => this.addToQueue());
+
+        document.getElementById('export-queue-toggle-btn')?.addEventListener('click', () => {
+            this.ipc.invoke(this.queuePaused ? 'export-queue:resume' : 'export-queue:pause');
+        });
+
+        document.getElementById('export-queue-clear-btn')?.addEventListener('click', () => {
+            this.ipc.invoke('export-queue:clear-finished');
+        });
+
+        // Job buttons and priority selects are re-rendered, so listen on the list
+        const list = document.getElementById('export-queue-list');
+        list?.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-job-action]');
+            if (button) {
+                this.runJobAction(button.dataset.jobAction, button.closest('.export-job').dataset.jobId);
+            }
+        });
+        list?.addEventListener('change', (e) => {
+            if (e.target.classList.contains('export-job-priority')) {
+                this.ipc.invoke('export-queue:set-priority', {
+                    jobId: e.target.closest('.export-job').dataset.jobId,
+                    priority: e.target.value
+                });
+            }
+        });
+    }
+
+    async loadQueueState() {
+        try {
+            const result = await this.ipc.invoke('export-queue:get-state');
+            if (result.success) {
+                this.handleStateUpdate(result.state);
+            }
+        } catch (error) {
+            console.error('[ExportQueue] Failed to load export queue:', error);
+        }
+    }
+
+    /**
+     * Upload accounts a finished export can be handed to. SC Player uploads need
+     * a character picked in the upload dialog, so they aren't offered here.
+     */
+    async loadAccounts() {
+        const select = document.getElementById('export-queue-upload-account');
+        if (!select) return;
+
+        try {
+            const result = await this.ipc.invoke('upload:list-accounts');
+            this.accounts = result.success
+                ? (result.accounts || []).filter(account => account.type === 'youtube' || account.type === 's3')
+                : [];
+        } catch (error) {
+            console.error('[ExportQueue] Failed to load upload accounts:', error);
+            this.accounts = [];
+        }
+
+        select.innerHTML = '<option value="">Don\'t upload</option>' +
+            this.accounts.map(account => `<option value="${account.id}">Upload to ${account.name}</option>`).join('');
+    }
+
+    /**
+     * Default upload metadata for a finished export, the same defaults the upload dialog uses
+     */
+    getUploadMetadata(account, outputPath) {
+        const title = outputPath.split(/[\\/]/).pop().replace(/\.[^/.]+$/, '');
+
+        if (account.type === 'youtube') {
+            return {
+                title,
+                description: '',
+                tags: ['Star Citizen'],
+                privacy: 'private',
+                categoryId: '20'
+            };
+        }
+
+        return {
+            preserveFilename: true,
+            includeMetadata: true,
+            includeThumbnails: false,
+            deleteAfterUpload: false,
+            makePublic: false,
+            baseFolder: '',
+            useIndividualFolders: false
+        };
+    }
+
+    async addToQueue() {
+        const options = this.buildExport && this.buildExport();
+        if (!options) return;
+
+        const accountId = document.getElementById('export-queue-upload-account')?.value;
+        const account = this.accounts.find(a => a.id === accountId);
+
+        const settings = {
+            name: options.outputPath.split(/[\\/]/).pop(),
+            priority: document.getElementById('export-queue-priority')?.value || 'normal',
+            upload: account ? { accountId: account.id, metadata: this.getUploadMetadata(account, options.outputPath) } : null
+        };
+
+        try {
+            const result = await this.ipc.invoke('export-queue:add', { options, settings });
+            if (!result.success) {
+                throw new Error(result.error);
+            }
+            console.log('[ExportQueue] Queued export:', result.job.name);
+        } catch (error) {
+            console.error('[ExportQueue] Failed to queue export:', error);
+            alert(`Failed to queue export: ${error.message}`);
+        }
+    }
+
+    async runJobAction(action, jobId) {
+        try {
+            const result = await this.ipc.invoke(`export-queue:${action}-job`, { jobId });
+            if (!result.success) {
+                throw new Error(result.error);
+            }
+        } catch (error) {
+            console.error(`[ExportQueue] Failed to ${action} export:`, error);
+            alert(`Failed to ${action} export: ${error.message}`);
+        }
+    }
+
+    handleStateUpdate(state) {
+        if (!state) return;
+
+        this.jobs = state.jobs || [];
+        this.queuePaused = state.queuePaused;
+
+        const toggle = document.getElementById('export-queue-toggle-btn');
+        if (toggle) {
+            toggle.textContent = this.queuePaused ? '▶ Resume Queue' : '⏸ Pause Queue';
+        }
+
+        this.renderJobs();
+    }
+
+    updateJobProgress(data) {
+        const job = this.jobs.find(j => j.id === data.jobId);
+        if (!job) return;
+
+        Object.assign(job, { progress: data.progress, step: data.step, eta: data.eta });
+
+        const element = document.querySelector(`.export-job[data-job-id="${data.jobId}"]`);
+        if (element) {
+            element.querySelector('.progress-fill').style.width = `${job.progress}%`;
+            element.querySelector('.export-job-stats').textContent = this.getProgressText(job);
+        }
+    }
+
+    renderJobs() {
+        const container = document.getElementById('export-queue-list');
+        if (!container) return;
+
+        if (this.jobs.length === 0) {
+            container.innerHTML = '<div class="export-queue-empty">No queued exports</div>';
+            return;
+        }
+
+        // Running first, then waiting jobs, then finished ones newest first
+        const order = { running: 0, queued: 1, paused: 2 };
+        const jobs = [...this.jobs].sort((a, b) => {
+            const rank = (order[a.status] ?? 3) - (order[b.status] ?? 3);
+            return rank || (a.status in order ? a.createdAt - b.createdAt : b.completedAt - a.completedAt);
+        });
+
+        container.innerHTML = jobs.map(job => this.createJobElement(job)).join('');
+    }
+
+    createJobElement(job) {
+        const account = job.upload && this.accounts.find(a => a.id === job.upload.accountId);
+        const waiting = job.status === 'queued' || job.status === 'paused';
+
+        let actions = '';
+        if (job.status === 'running' || job.status === 'queued') {
+            actions += '<button class="btn btn-sm" data-job-action="pause">Pause</button>';
+        }
+        if (job.status === 'paused' || job.status === 'failed') {
+            actions += `<button class="btn btn-sm" data-job-action="resume">${job.status === 'failed' ? 'Retry' : 'Resume'}</button>`;
+        }
+        if (job.status === 'running' || waiting) {
+            actions += '<button class="btn btn-sm btn-danger" data-job-action="cancel">Cancel</button>';
+        } else {
+            actions += '<button class="btn btn-sm" data-job-action="remove">Remove</button>';
+        }
+
+        const priority = waiting
+            ? `<select class="export-job-priority">
+                    ${['high', 'normal', 'low'].map(p => `<option value="${p}" ${p === job.priority ? 'selected' : ''}>${p}</option>`).join('')}
+               </select>`
+            : '';
+
+        return `
+            <div class="export-job ${job.status}" data-job-id="${job.id}">
+                <div class="export-job-header">
+                    <span class="export-job-name" title="${this.escapeHtml(job.outputPath)}">${this.escapeHtml(job.name)}</span>
+                    <span class="upload-status-badge ${job.status}">${job.status}</span>
+                </div>
+                ${job.status === 'running' ? `
+                <div class="progress-bar">
+                    <div class="progress-fill" style="width: ${job.progress || 0}%"></div>
+                </div>
+                <div class="export-job-stats">${this.getProgressText(job)}</div>` : ''}
+                ${account ? `<div class="export-job-details">→ ${this.escapeHtml(account.name)}${job.uploadId ? ' (upload queued)' : ''}</div>` : ''}
+                ${job.error ? `<div class="export-job-error">${this.escapeHtml(job.error)}</div>` : ''}
+                <div class="export-job-actions">${priority}${actions}</div>
+            </div>
+        `;
+    }
+
+    getProgressText(job) {
+        let text = `${Math.round(job.progress || 0)}%`;
+        if (job.step) {
+            text += ` • ${job.step}`;
+        }
+        if (job.eta !== null && job.eta !== undefined) {
+            text += ` • ~${this.formatEta(job.eta)} remaining`;
+        }
+        return text;
+    }
+
+    formatEta(seconds) {
+        if (seconds < 60) return `${seconds}s`;
+        const minutes = Math.floor(seconds / 60);
+        if (minutes < 60) return `${minutes}m ${seconds % 60}s`;
+        return `${Math.floor(minutes / 60)}h ${minutes % 60}m`;
+    }
+
+    escapeHtml(text) {
+        return String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
+}
+
+// Export to window for browser use
+if (typeof window !== 'undefined') {
+    window.ExportQueueController = ExportQueueController;
+}
+
+// Export for Node.js/CommonJS use
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ExportQueueController;
+}
@@ -0,0 +1,136 @@
+/**
+ * Audio Mix Builder
+ * Loudness normalization and ducking for the multi-track mixer export.
+ *
+ * Normalization is FFmpeg's two-pass loudnorm (EBU R128): a first pass prints
+ * the measured loudness of a track or of the final mix, and the second pass
+ * applies it linearly so the audio isn't pumped. Ducking lowers the game track
+ * with sidechaincompress keyed on the voice and mic tracks; WebAudioManager
+ * previews the same compressor curve in the editor.
+ */
+
+const TARGETS = {
+    youtube: { label: 'Streaming (-14 LUFS)', integrated: -14, truePeak: -1, range: 11 },
+    podcast: { label: 'Podcast (-16 LUFS)', integrated: -16, truePeak: -1.5, range: 11 },
+    ebu: { label: 'EBU R128 (-23 LUFS)', integrated: -23, truePeak: -1, range: 7 }
+};
+
+const DEFAULT_DUCKING = {
+    threshold: -30, // dB, voice level the game starts ducking at
+    ratio: 8,
+    attack: 20, // ms
+    release: 400 // ms
+};
+
+// loudnorm resamples to 192kHz, the rest of the graph runs at 48kHz
+const OUTPUT_SAMPLE_RATE = 48000;
+
+class AudioMixBuilder {
+    getTarget(name) {
+        return TARGETS[name] || TARGETS.youtube;
+    }
+
+    /**
+     * First pass filter, prints the measurement as JSON on stderr
+     */
+    buildMeasureFilter(targetName) {
+        const target = this.getTarget(targetName);
+        return `loudnorm=I=${target.integrated}:TP=${target.truePeak}:LRA=${target.range}:print_format=json`;
+    }
+
+    /**
+     * Second pass filter applying a first pass measurement
+     * @param {string} targetName - Key of TARGETS
+     * @param {Object} measured - Result of parseMeasurement()
+     */
+    buildNormalizeFilter(targetName, measured) {
+        const target = this.getTarget(targetName);
+        return `loudnorm=I=${target.integrated}:TP=${target.truePeak}:LRA=${target.range}` +
+            `:measured_I=${measured.input_i}:measured_TP=${measured.input_tp}:measured_LRA=${measured.input_lra}` +
+            `:measured_thresh=${measured.input_thresh}:offset=${measured.target_offset}:linear=true` +
+            `,aresample=${OUTPUT_SAMPLE_RATE}`;
+    }
+
+    /**
+     * Pull the loudnorm measurement out of FFmpeg's stderr
+     * @returns {Object|null} { input_i, input_tp, input_lra, input_thresh, target_offset }
+     */
+    parseMeasurement(stderr) {
+        const blocks = (stderr || '').match(/\{[^{}]*"input_i"[^{}]*\}/g);
+        if (!blocks) return null;
+
+        try {
+            const measured = JSON.parse(blocks[blocks.length - 1]);
+
+            // Silent audio measures as -inf, there's nothing to normalize
+            if (!isFinite(parseFloat(measured.input_i))) return null;
+            return measured;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * Ducking settings with defaults filled in
+     * @param {Object} ducking - { enabled, gameTrackId, voiceTrackIds, threshold, ratio, attack, release }
+     * @returns {Object|null} Null when ducking is off or has nothing to duck
+     */
+    normalizeDucking(ducking) {
+        if (!ducking || !ducking.enabled || !ducking.gameTrackId) return null;
+
+        const voiceTrackIds = (ducking.voiceTrackIds || []).filter(id => id !== ducking.gameTrackId);
+        if (voiceTrackIds.length === 0) return null;
+
+        const number = (value, fallback, min, max) => {
+            const parsed = parseFloat(value);
+            return isNaN(parsed) ? fallback : Math.min(max, Math.max(min, parsed));
+        };
+
+        return {
+            gameTrackId: ducking.gameTrackId,
+            voiceTrackIds,
+            threshold: number(ducking.threshold, DEFAULT_DUCKING.threshold, -60, 0),
+            ratio: number(ducking.ratio, DEFAULT_DUCKING.ratio, 1, 20),
+            attack: number(ducking.attack, DEFAULT_DUCKING.attack, 1, 2000),
+            release: number(ducking.release, DEFAULT_DUCKING.release, 10, 9000)
+        };
+    }
+
+    /**
+     * Filters ducking the game track under the voice tracks
+     * @param {Object} ducking - Result of normalizeDucking()
+     * @param {string} gameLabel - Filter label of the processed game track
+     * @param {Array} voiceLabels - Filter labels of the processed voice tracks
+     * @returns {Object} { filters, gameLabel, voiceLabels } with the labels to mix
+     */
+    buildDuckingFilters(ducking, gameLabel, voiceLabels) {
+        const filters = [];
+        const mixLabels = [];
+        const keyLabels = [];
+
+        // Each voice track is both heard in the mix and used as the key
+        voiceLabels.forEach((label, index) => {
+            filters.push(`[${label}]asplit=2[duck_voice${index}][duck_key${index}]`);
+            mixLabels.push(`duck_voice${index}`);
+            keyLabels.push(`[duck_key${index}]`);
+        });
+
+        // The key is padded so the game track keeps playing after the last voice segment
+        const key = keyLabels.length > 1
+            ? `${keyLabels.join('')}amix=inputs=${keyLabels.length}:duration=longest,apad[duck_key]`
+            : `${keyLabels[0]}apad[duck_key]`;
+        filters.push(key);
+
+        // amix divides the key level by its input count, level_sc brings it back
+        const threshold = Math.pow(10, ducking.threshold / 20).toFixed(6);
+        filters.push(`[${gameLabel}][duck_key]sidechaincompress=threshold=${threshold}:ratio=${ducking.ratio}` +
+            `:attack=${ducking.attack}:release=${ducking.release}:level_sc=${keyLabels.length}[duck_game]`);
+
+        return { filters, gameLabel: 'duck_game', voiceLabels: mixLabels };
+    }
+}
+
+AudioMixBuilder.TARGETS = TARGETS;
+AudioMixBuilder.DEFAULT_DUCKING = DEFAULT_DUCKING;
+
+module.exports = AudioMixBuilder;
@@ -11,6 +11,7 @@ const { exec } = require('child_process');
 const { promisify } = require('util');
 const execAsync = promisify(exec);
 const Logger = require('./logger');
+const WaveformAnalyzer = require('./waveform-analyzer');
 
 class AudioTrackManager {
     constructor() {
@@ -21,6 +22,7 @@ class AudioTrackManager {
         this.ffmpegPath = null;
         this.ffprobePath = null;
         this.logger = new Logger('audio-track-manager');
+        this.waveformAnalyzer = new WaveformAnalyzer();
     }
 
     /**
@@ -215,6 +217,7 @@ class AudioTrackManager {
         for (const track of this.extractedTracks) {
             try {
                 await fs.unlink(track.path);
+                await fs.rm(this.getWaveformCachePath(track), { force: true });
                 console.log('Cleaned up track:', track.path);
             } catch (error) {
                 console.warn('Failed to delete track file:', track.path, error.message);
@@ -267,6 +270,25 @@ class AudioTrackManager {
         return this.extractedTracks;
     }
 
+    /**
+     * Peak data for drawing an extracted track's waveform, cached in the session folder
+     */
+    async getWaveform(trackIndex) {
+        const track = this.getTrack(trackIndex);
+        if (!track) {
+            throw new Error(`Track ${trackIndex} has not been extracted`);
+        }
+
+        const startTime = Date.now();
+        const waveform = await this.waveformAnalyzer.getPeaks(track.path, this.getWaveformCachePath(track));
+        this.logger.log(`Waveform for track ${trackIndex} ready in ${Date.now() - startTime}ms (${waveform.peaks.length} peaks)`);
+        return waveform;
+    }
+
+    getWaveformCachePath(track) {
+        return track.path.replace(/\.wav$/, '.peaks.json');
+    }
+
     /**
      * Check if video has multiple tracks
      */
@@ -0,0 +1,348 @@
+/**
+ * Auto Clipper
+ * Cuts highlight clips out of a finished recording based on its events.
+ * Rules ({ subtypes, minSeverity, before, after }) pick trigger events, e.g.
+ * every high severity player_kill, and the window kept around them; rules
+ * without before/after use the clipper's window. Overlapping windows merge
+ * into one clip. Clips are cut with FFmpeg stream copy, so they start on the
+ * keyframe before the window.
+ *
+ * Each clip gets its own events JSON (offsets rebased to the clip) and a
+ * _main_thumb.jpg taken at the first trigger event.
+ */
+
+const ffmpeg = require('fluent-ffmpeg');
+const path = require('path');
+const fs = require('fs').promises;
+
+const SEVERITY_ORDER = ['low', 'medium', 'high', 'critical'];
+
+const DEFAULT_RULES = [
+    { id: 'player_kill', subtypes: ['player_kill'], minSeverity: 'high' },
+    { id: 'vehicle_destroyed', subtypes: ['vehicle_destroyed'], minSeverity: 'high' }
+];
+
+class AutoClipper {
+    constructor(options = {}) {
+        this.enabled = false;
+        this.rules = DEFAULT_RULES;
+        this.before = 20; // Seconds kept before a trigger event
+        this.after = 10; // Seconds kept after it
+        this.mergeGap = 0; // Windows closer than this many seconds also merge
+        this.outputFolder = 'saved'; // Sibling of the recordings folder, never auto-cleaned
+        this.ffmpegPath = null;
+        this.ffprobePath = null;
+
+        this.configure(options);
+    }
+
+    /**
+     * Apply clipper options
+     * @param {Object} options - { enabled, rules, before, after, mergeGap, outputFolder, ffmpegPath, ffprobePath }
+     */
+    configure(options = {}) {
+        if (options.enabled !== undefined) {
+            this.enabled = Boolean(options.enabled);
+        }
+        if (Array.isArray(options.rules) && options.rules.length > 0) {
+            this.rules = options.rules;
+        }
+        for (const key of ['before', 'after', 'mergeGap']) {
+            if (options[key] !== undefined && !isNaN(Number(options[key]))) {
+                this[key] = Math.max(0, Number(options[key]));
+            }
+        }
+        if (options.outputFolder) {
+            this.outputFolder = options.outputFolder;
+        }
+        if (options.ffmpegPath) {
+            this.ffmpegPath = options.ffmpegPath;
+            this.ffprobePath = options.ffprobePath || options.ffmpegPath.replace(/ffmpeg(\.exe)?$/i, 'ffprobe$1');
+        }
+    }
+
+    /**
+     * Fill in rule defaults, a rule may name one subtype or several
+     */
+    normalizeRule(rule, index) {
+        const subtypes = rule.subtypes || (rule.subtype ? [rule.subtype] : []);
+
+        return {
+            id: rule.id || `rule_${index + 1}`,
+            subtypes,
+            minSeverity: rule.minSeverity || rule.severity || null,
+            before: Math.max(0, Number(rule.before !== undefined ? rule.before : this.before) || 0),
+            after: Math.max(0, Number(rule.after !== undefined ? rule.after : this.after) || 0)
+        };
+    }
+
+    /**
+     * Rules with their windows filled in
+     */
+    getRules() {
+        return this.rules.map((rule, index) => this.normalizeRule(rule, index));
+    }
+
+    /**
+     * Does an event trigger a rule
+     */
+    matchesRule(event, rule) {
+        if (rule.subtypes.length > 0 && !rule.subtypes.includes(event.subtype)) {
+            return false;
+        }
+
+        if (rule.minSeverity) {
+            const required = SEVERITY_ORDER.indexOf(rule.minSeverity);
+            if (SEVERITY_ORDER.indexOf(event.severity) < required) {
+                return false;
+            }
+        }
+
+        return true;
+    }
+
+    /**
+     * Work out the clip windows for a recording
+     * @param {Array} events - Recording events (videoOffset in seconds)
+     * @param {number} duration - Video length in seconds, clips are clamped to it when known
+     * @returns {Array} [{ start, end, triggers: [event], rules: [ruleId] }] in video order
+     */
+    planClips(events, duration = null) {
+        const rules = this.getRules();
+        const windows = [];
+
+        for (const event of events) {
+            if (typeof event.videoOffset !== 'number' || event.videoOffset < 0) continue;
+
+            for (const rule of rules) {
+                if (!this.matchesRule(event, rule)) continue;
+
+                let start = Math.max(0, event.videoOffset - rule.before);
+                let end = event.videoOffset + rule.after;
+                if (duration) {
+                    end = Math.min(end, duration);
+                    start = Math.min(start, end);
+                }
+
+                if (end > start) {
+                    windows.push({ start, end, triggers: [event], rules: [rule.id] });
+                }
+            }
+        }
+
+        windows.sort((a, b) => a.start - b.start);
+
+        // Merge overlapping windows into one clip
+        const clips = [];
+        for (const window of windows) {
+            const last = clips[clips.length - 1];
+            if (last && window.start <= last.end + this.mergeGap) {
+                last.end = Math.max(last.end, window.end);
+                for (const trigger of window.triggers) {
+                    if (!last.triggers.includes(trigger)) last.triggers.push(trigger);
+                }
+                for (const ruleId of window.rules) {
+                    if (!last.rules.includes(ruleId)) last.rules.push(ruleId);
+                }
+            } else {
+                clips.push({ ...window, triggers: [...window.triggers], rules: [...window.rules] });
+            }
+        }
+
+        return clips;
+    }
+
+    /**
+     * Cut every planned clip out of a recording
+     * @param {string} videoPath - Recording video
+     * @param {string} eventsPath - Recording events JSON (defaults to the video's sibling JSON)
+     * @param {Object} options - { outputDir, onProgress }
+     * @returns {Promise<Object>} { success, clips: [{ videoPath, eventsPath, thumbnail, start, end }], errors }
+     */
+    async clipRecording(videoPath, eventsPath = null, options = {}) {
+        const parsed = path.parse(videoPath);
+        eventsPath = eventsPath || path.join(parsed.dir, `${parsed.name}.json`);
+
+        const data = JSON.parse(await fs.readFile(eventsPath, 'utf8'));
+        const events = Array.isArray(data.events) ? data.events : [];
+
+        // Clips of clips would pile up every time a clip is reopened
+        if (data.metadata && data.metadata.clip) {
+            return { success: true, clips: [], errors: [] };
+        }
+
+        this.setFFmpegPaths();
+
+        const duration = await this.getDuration(videoPath, events);
+        const planned = this.planClips(events, duration);
+        if (planned.length === 0) {
+            console.log(`[AutoClipper] No clip triggers in ${parsed.base}`);
+            return { success: true, clips: [], errors: [] };
+        }
+
+        const outputDir = options.outputDir || path.join(path.dirname(parsed.dir), this.outputFolder);
+        await fs.mkdir(outputDir, { recursive: true });
+
+        console.log(`[AutoClipper] Cutting ${planned.length} clips from ${parsed.base}`);
+
+        const clips = [];
+        const errors = [];
+        for (let i = 0; i < planned.length; i++) {
+            const clip = planned[i];
+            const clipName = `${parsed.name}_clip${String(i + 1).padStart(2, '0')}_${clip.triggers[0].subtype}`;
+            const clipVideoPath = path.join(outputDir, `${clipName}${parsed.ext}`);
+
+            try {
+                await this.cutClip(videoPath, clip.start, clip.end - clip.start, clipVideoPath);
+
+                const thumbnail = await this.createThumbnail(clipVideoPath, clip.triggers[0].videoOffset - clip.start)
+                    .catch(error => {
+                        console.error(`[AutoClipper] Thumbnail failed for ${clipName}:`, error.message);
+                        return null;
+                    });
+
+                const clipData = this.buildClipData(data, clip, videoPath, thumbnail);
+                const clipEventsPath = path.join(outputDir, `${clipName}.json`);
+                await fs.writeFile(clipEventsPath, JSON.stringify(clipData, null, 2), 'utf8');
+
+                clips.push({
+                    videoPath: clipVideoPath,
+                    eventsPath: clipEventsPath,
+                    thumbnail,
+                    start: clip.start,
+                    end: clip.end,
+                    rules: clip.rules,
+                    eventCount: clipData.events.length
+                });
+            } catch (error) {
+                console.error(`[AutoClipper] Failed to cut ${clipName}:`, error.message);
+                errors.push({ clip: clipName, error: error.message });
+            }
+
+            if (options.onProgress) {
+                options.onProgress({ current: i + 1, total: planned.length });
+            }
+        }
+
+        console.log(`[AutoClipper] Created ${clips.length}/${planned.length} clips from ${parsed.base}`);
+        return { success: errors.length === 0, clips, errors };
+    }
+
+    /**
+     * Copy a section of the video without re-encoding
+     */
+    cutClip(videoPath, start, duration, outputPath) {
+        return new Promise((resolve, reject) => {
+            ffmpeg(videoPath)
+                .seekInput(start)
+                .duration(duration)
+                .outputOptions([
+                    '-map', '0',           // Keep every audio track
+                    '-c', 'copy',
+                    '-avoid_negative_ts', 'make_zero'
+                ])
+                .on('error', (err) => reject(new Error(`Clip extraction failed: ${err.message}`)))
+                .on('end', () => resolve(outputPath))
+                .save(outputPath);
+        });
+    }
+
+    /**
+     * Grab the trigger frame as the clip's main thumbnail
+     */
+    createThumbnail(clipVideoPath, offset) {
+        const parsed = path.parse(clipVideoPath);
+        const thumbnailPath = path.join(parsed.dir, `${parsed.name}_main_thumb.jpg`);
+
+        return new Promise((resolve, reject) => {
+            ffmpeg(clipVideoPath)
+                .seekInput(Math.max(0, offset))
+                .frames(1)
+                .outputOptions(['-q:v', '2'])
+                .on('error', (err) => reject(new Error(`Thumbnail extraction failed: ${err.message}`)))
+                .on('end', () => resolve(thumbnailPath))
+                .save(thumbnailPath);
+        });
+    }
+
+    /**
+     * Events JSON for one clip, offsets rebased to the clip start
+     */
+    buildClipData(data, clip, sourceVideoPath, thumbnailPath) {
+        const metadata = data.metadata || {};
+
+        const events = data.events
+            .filter(event => typeof event.videoOffset === 'number' &&
+                event.videoOffset >= clip.start && event.videoOffset <= clip.end)
+            .map(event => {
+                const videoOffset = event.videoOffset - clip.start;
+                return {
+                    ...event,
+                    videoOffset,
+                    videoTimecode: this.formatTimecode(videoOffset),
+                    thumbnail: null
+                };
+            });
+
+        const startTime = Date.parse(metadata.recordingStartTime);
+
+        return {
+            metadata: {
+                ...metadata,
+                recordingStartTime: isNaN(startTime)
+                    ? metadata.recordingStartTime
+                    : new Date(startTime + clip.start * 1000).toISOString(),
+                recordingDuration: clip.end - clip.start,
+                eventCount: events.length,
+                clip: {
+                    source: path.basename(sourceVideoPath),
+                    start: clip.start,
+                    end: clip.end,
+                    rules: clip.rules,
+                    triggers: clip.triggers.map(event => event.id)
+                },
+                savedAt: new Date().toISOString(),
+                videoThumbnail: thumbnailPath ? path.basename(thumbnailPath) : null
+            },
+            events
+        };
+    }
+
+    /**
+     * Video length from ffprobe, falling back to the recording_stop event
+     */
+    async getDuration(videoPath, events) {
+        try {
+            const duration = await new Promise((resolve, reject) => {
+                ffmpeg.ffprobe(videoPath, (err, metadata) => {
+                    if (err) reject(err);
+                    else resolve(metadata.format.duration);
+                });
+            });
+            if (duration) return duration;
+        } catch (error) {
+            console.warn(`[AutoClipper] Could not probe ${videoPath}: ${error.message}`);
+        }
+
+        const stop = events.find(event => event.subtype === 'recording_stop');
+        return stop && stop.data && stop.data.duration ? stop.data.duration : null;
+    }
+
+    setFFmpegPaths() {
+        if (this.ffmpegPath) {
+            ffmpeg.setFfmpegPath(this.ffmpegPath);
+            ffmpeg.setFfprobePath(this.ffprobePath);
+        }
+    }
+
+    formatTimecode(seconds) {
+        const hours = Math.floor(seconds / 3600);
+        const minutes = Math.floor((seconds % 3600) / 60);
+        const secs = Math.floor(seconds % 60);
+        const ms = Math.floor((seconds % 1) * 1000);
+
+        return `${hours.toString().padStart(2, '0')}:${minutes.toString().padStart(2, '0')}:${secs.toString().padStart(2, '0')}.${ms.toString().padStart(3, '0')}`;
+    }
+}
+
+module.exports = AutoClipper;
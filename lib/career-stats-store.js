@@ -0,0 +1,458 @@
+const fs = require('fs');
+const fsp = require('fs').promises;
+const path = require('path');
+const readline = require('readline');
+const { getConfigPath } = require('./config-path-helper');
+const CombatAggregator = require('./combat-aggregator');
+
+const RECORDING_FOLDERS = ['recordings', 'saved', 'edited'];
+const VIDEO_EXTENSIONS = ['.mp4', '.mkv', '.avi', '.webm', '.mov'];
+const KNOWN_SYSTEMS = ['Stanton', 'Pyro', 'Nyx'];
+
+// Raw actor names of NPCs, before cleanActorName strips the prefix
+const NPC_NAME_REGEX = /^(PU_|AIModule_|NPC_)|_NPC_|Unmanned/i;
+
+/**
+ * Career Stats Store
+ * Append-only JSONL index of every event in every recording JSON, so
+ * questions can be asked across sessions without re-reading each file.
+ *
+ * events.jsonl - one line per event, tagged with the recording and its revision
+ * index.json   - current revision of each indexed recording
+ *
+ * A changed recording is appended again under a new revision; lines from old
+ * revisions are skipped by queries and dropped when the file is compacted.
+ */
+class CareerStatsStore {
+    constructor(options = {}) {
+        this.storeDir = options.storeDir || getConfigPath('career');
+        this.eventsPath = path.join(this.storeDir, 'events.jsonl');
+        this.indexPath = path.join(this.storeDir, 'index.json');
+        this.combatAggregator = new CombatAggregator();
+        this.index = null;
+        this.syncing = null;
+    }
+
+    /**
+     * Load the index from disk
+     */
+    async load() {
+        if (this.index) return this.index;
+
+        try {
+            const content = await fsp.readFile(this.indexPath, 'utf8');
+            this.index = JSON.parse(content);
+        } catch (error) {
+            this.index = { version: 1, recordings: {}, totalLines: 0, staleLines: 0 };
+        }
+
+        return this.index;
+    }
+
+    async saveIndex() {
+        await fsp.mkdir(this.storeDir, { recursive: true });
+        const tempPath = this.indexPath + '.tmp';
+        await fsp.writeFile(tempPath, JSON.stringify(this.index, null, 2), 'utf8');
+        await fsp.rename(tempPath, this.indexPath);
+    }
+
+    /**
+     * Bring the store up to date with the recording folders
+     * @param {string} basePath - Recording output path (contains recordings/saved/edited)
+     * @returns {Promise<Object>} { added, updated, removed, recordings }
+     */
+    async sync(basePath) {
+        // Overlapping syncs would append the same recording twice
+        if (this.syncing) return this.syncing;
+
+        this.syncing = this.runSync(basePath).finally(() => {
+            this.syncing = null;
+        });
+        return this.syncing;
+    }
+
+    async runSync(basePath) {
+        await this.load();
+
+        const found = await this.findRecordings(basePath);
+        const result = { added: 0, updated: 0, removed: 0, recordings: found.length };
+        const seen = new Set();
+
+        for (const recording of found) {
+            seen.add(recording.jsonPath);
+
+            const existing = this.index.recordings[recording.jsonPath];
+            if (existing && existing.rev === recording.rev) continue;
+
+            const lines = await this.buildRecords(recording);
+            if (lines === null) continue;
+
+            await fsp.mkdir(this.storeDir, { recursive: true });
+            if (lines.length > 0) {
+                await fsp.appendFile(this.eventsPath, lines.map(line => JSON.stringify(line)).join('\n') + '\n', 'utf8');
+            }
+
+            if (existing) {
+                this.index.staleLines += existing.eventCount;
+                result.updated++;
+            } else {
+                result.added++;
+            }
+
+            this.index.totalLines += lines.length;
+            this.index.recordings[recording.jsonPath] = {
+                rev: recording.rev,
+                videoPath: recording.videoPath,
+                folder: recording.folder,
+                eventCount: lines.length,
+                player: lines.length > 0 ? lines[0].player : null,
+                instance: lines.length > 0 ? lines[0].instance : null,
+                indexedAt: new Date().toISOString()
+            };
+        }
+
+        // Deleted recordings - their lines go stale
+        for (const jsonPath of Object.keys(this.index.recordings)) {
+            if (!seen.has(jsonPath)) {
+                this.index.staleLines += this.index.recordings[jsonPath].eventCount;
+                delete this.index.recordings[jsonPath];
+                result.removed++;
+            }
+        }
+
+        if (this.index.staleLines > 1000 && this.index.staleLines > this.index.totalLines / 2) {
+            await this.compact();
+        }
+
+        await this.saveIndex();
+
+        if (result.added || result.updated || result.removed) {
+            console.log(`[CareerStats] Synced: ${result.added} added, ${result.updated} updated, ${result.removed} removed`);
+        }
+
+        return result;
+    }
+
+    /**
+     * List recording JSONs that sit next to a video
+     */
+    async findRecordings(basePath) {
+        const recordings = [];
+
+        for (const folder of RECORDING_FOLDERS) {
+            const folderPath = path.join(basePath, folder);
+            let files;
+            try {
+                files = await fsp.readdir(folderPath);
+            } catch (error) {
+                continue;
+            }
+
+            const videos = new Map();
+            for (const file of files) {
+                if (VIDEO_EXTENSIONS.includes(path.extname(file).toLowerCase())) {
+                    videos.set(path.basename(file, path.extname(file)), file);
+                }
+            }
+
+            for (const file of files) {
+                if (path.extname(file).toLowerCase() !== '.json') continue;
+
+                // Only event files that belong to a video (skips backups and reports)
+                const video = videos.get(path.basename(file, '.json'));
+                if (!video) continue;
+
+                const jsonPath = path.join(folderPath, file);
+                try {
+                    const stats = await fsp.stat(jsonPath);
+                    recordings.push({
+                        jsonPath,
+                        videoPath: path.join(folderPath, video),
+                        folder,
+                        rev: `${Math.round(stats.mtimeMs)}-${stats.size}`
+                    });
+                } catch (error) {
+                    // Removed while scanning
+                }
+            }
+        }
+
+        return recordings;
+    }
+
+    /**
+     * Turn one recording JSON into store lines, null if it can't be read
+     */
+    async buildRecords(recording) {
+        let data;
+        try {
+            data = JSON.parse(await fsp.readFile(recording.jsonPath, 'utf8'));
+        } catch (error) {
+            console.warn(`[CareerStats] Skipping unreadable ${recording.jsonPath}: ${error.message}`);
+            return null;
+        }
+
+        if (!data || !Array.isArray(data.events)) return [];
+
+        const metadata = data.metadata || {};
+
+        // Auto clips, instant replays and montages repeat events from their source recordings
+        if (metadata.clip || metadata.replay || metadata.montage) return [];
+
+        const player = metadata.player || (metadata.combat && metadata.combat.player) || null;
+        const instance = metadata.gameInstance || null;
+        const startTime = Date.parse(metadata.recordingStartTime);
+
+        const events = [...data.events].sort((a, b) => (a.videoOffset || 0) - (b.videoOffset || 0));
+        const records = [];
+        let system = null;
+        let zone = null;
+
+        for (const event of events) {
+            const eventData = event.data || {};
+
+            // Running location, so events without a zone still know where they happened
+            system = CareerStatsStore.getEventSystem(event) || system;
+            if (event.subtype === 'zone_entered' && eventData.zone) zone = eventData.zone;
+
+            const role = this.combatAggregator.getPlayerRole(event, player);
+
+            records.push({
+                rec: recording.jsonPath,
+                rev: recording.rev,
+                video: recording.videoPath,
+                folder: recording.folder,
+                id: event.id || null,
+                time: event.timestamp || (isNaN(startTime) ? null
+                    : new Date(startTime + (event.videoOffset || 0) * 1000).toISOString()),
+                offset: event.videoOffset || 0,
+                type: event.type || null,
+                subtype: event.subtype || null,
+                name: event.name || null,
+                message: event.message || '',
+                severity: event.severity || 'low',
+                player: player ? player.name || player.id : null,
+                instance,
+                system,
+                zone: eventData.zone || eventData.location || zone,
+                role: role === 'killer' ? 'kill' : role === 'victim' ? 'death' : null,
+                killerKind: event.subtype === 'player_kill' ? this.getKillerKind(event) : null,
+                weapon: eventData.weapon || null,
+                vehicle: eventData.vehicle || null,
+                derived: event.derived || false
+            });
+        }
+
+        return records;
+    }
+
+    /**
+     * Star system an event names, if any
+     */
+    static getEventSystem(event) {
+        const data = event.data || {};
+
+        if (event.subtype === 'system_arrival_pyro') return 'Pyro';
+        if (event.subtype === 'system_arrival_stanton') return 'Stanton';
+        if (data.currentSystem) return data.currentSystem;
+
+        const place = data.zone || data.location || '';
+        return KNOWN_SYSTEMS.find(system => place.includes(system)) || null;
+    }
+
+    /**
+     * Was the killer an NPC or a player - from the raw log line, before names are cleaned
+     */
+    getKillerKind(event) {
+        const match = event.raw && /killed by '([^']+)'/.exec(event.raw);
+        if (match) {
+            return NPC_NAME_REGEX.test(match[1]) ? 'npc' : 'player';
+        }
+        return null;
+    }
+
+    /**
+     * Stream current store lines through a callback
+     */
+    async forEachRecord(callback) {
+        await this.load();
+
+        try {
+            await fsp.access(this.eventsPath);
+        } catch (error) {
+            return;
+        }
+
+        const input = fs.createReadStream(this.eventsPath, { encoding: 'utf8' });
+        const lines = readline.createInterface({ input, crlfDelay: Infinity });
+
+        for await (const line of lines) {
+            if (!line) continue;
+
+            let record;
+            try {
+                record = JSON.parse(line);
+            } catch (error) {
+                continue;
+            }
+
+            // Skip lines from replaced or deleted recordings
+            const current = this.index.recordings[record.rec];
+            if (!current || current.rev !== record.rev) continue;
+
+            callback(record);
+        }
+    }
+
+    /**
+     * Does a record match a query filter
+     * @param {Object} filter - { player, instance, subtypes, role, killerKind, system, zone,
+     *                            text, since, until, folder }
+     */
+    matches(record, filter = {}) {
+        const same = (a, b) => String(a || '').toLowerCase() === String(b).toLowerCase();
+
+        if (filter.player && !same(record.player, filter.player)) return false;
+        if (filter.instance && !same(record.instance, filter.instance)) return false;
+        if (filter.folder && record.folder !== filter.folder) return false;
+        if (filter.subtypes && filter.subtypes.length > 0 && !filter.subtypes.includes(record.subtype)) return false;
+        if (filter.role && record.role !== filter.role) return false;
+        if (filter.killerKind && record.killerKind !== filter.killerKind) return false;
+        if (filter.system && !same(record.system, filter.system)) return false;
+        if (filter.zone && !String(record.zone || '').toLowerCase().includes(filter.zone.toLowerCase())) return false;
+        if (!filter.includeDerived && record.derived) return false;
+
+        if (filter.since || filter.until) {
+            const time = Date.parse(record.time);
+            if (isNaN(time)) return false;
+            if (filter.since && time < Date.parse(filter.since)) return false;
+            if (filter.until && time > Date.parse(filter.until)) return false;
+        }
+
+        if (filter.text) {
+            const haystack = [record.message, record.name, record.subtype, record.vehicle, record.weapon, record.zone]
+                .filter(Boolean).join(' ').toLowerCase();
+            const terms = filter.text.toLowerCase().split(/\s+/).filter(Boolean);
+            if (!terms.every(term => haystack.includes(term))) return false;
+        }
+
+        return true;
+    }
+
+    /**
+     * Matching events, newest first
+     * @returns {Promise<Object>} { total, events }
+     */
+    async query(filter = {}) {
+        const results = [];
+        await this.forEachRecord(record => {
+            if (this.matches(record, filter)) results.push(record);
+        });
+
+        results.sort((a, b) => (Date.parse(b.time) || 0) - (Date.parse(a.time) || 0));
+
+        return {
+            total: results.length,
+            events: results.slice(0, filter.limit || 200)
+        };
+    }
+
+    /**
+     * Most common values of a field among matching events, e.g. most-used weapon
+     */
+    async top(field, filter = {}, limit = 10) {
+        const counts = new Map();
+        await this.forEachRecord(record => {
+            if (record[field] && this.matches(record, filter)) {
+                counts.set(record[field], (counts.get(record[field]) || 0) + 1);
+            }
+        });
+
+        return Array.from(counts.entries())
+            .map(([value, count]) => ({ value, count }))
+            .sort((a, b) => b.count - a.count)
+            .slice(0, limit);
+    }
+
+    /**
+     * Recordings with at least one matching event, e.g. every recording where I flew a Cutlass
+     */
+    async recordings(filter = {}) {
+        const byRecording = new Map();
+        await this.forEachRecord(record => {
+            if (!this.matches(record, filter)) return;
+
+            const entry = byRecording.get(record.rec);
+            if (entry) {
+                entry.matches++;
+                return;
+            }
+
+            byRecording.set(record.rec, {
+                rec: record.rec,
+                video: record.video,
+                folder: record.folder,
+                player: record.player,
+                instance: record.instance,
+                time: record.time,
+                firstOffset: record.offset,
+                firstEventId: record.id,
+                matches: 1
+            });
+        });
+
+        return Array.from(byRecording.values())
+            .sort((a, b) => (Date.parse(b.time) || 0) - (Date.parse(a.time) || 0));
+    }
+
+    /**
+     * Rewrite the store without stale lines
+     */
+    async compact() {
+        const tempPath = this.eventsPath + '.tmp';
+        const output = fs.createWriteStream(tempPath, { encoding: 'utf8' });
+        let kept = 0;
+
+        await this.forEachRecord(record => {
+            output.write(JSON.stringify(record) + '\n');
+            kept++;
+        });
+
+        await new Promise((resolve, reject) => {
+            output.on('error', reject);
+            output.end(resolve);
+        });
+        await fsp.rename(tempPath, this.eventsPath);
+
+        console.log(`[CareerStats] Compacted store: ${this.index.totalLines} -> ${kept} lines`);
+        this.index.totalLines = kept;
+        this.index.staleLines = 0;
+    }
+
+    /**
+     * Drop everything and index from scratch
+     */
+    async rebuild(basePath) {
+        await fsp.rm(this.eventsPath, { force: true });
+        this.index = { version: 1, recordings: {}, totalLines: 0, staleLines: 0 };
+        await this.saveIndex();
+        return this.sync(basePath);
+    }
+
+    /**
+     * Counts for the UI header
+     */
+    async getSummary() {
+        await this.load();
+        const recordings = Object.values(this.index.recordings);
+
+        return {
+            recordings: recordings.length,
+            events: recordings.reduce((sum, recording) => sum + recording.eventCount, 0),
+            players: Array.from(new Set(recordings.map(recording => recording.player).filter(Boolean))),
+            instances: Array.from(new Set(recordings.map(recording => recording.instance).filter(Boolean)))
+        };
+    }
+}
+
+module.exports = CareerStatsStore;
@@ -0,0 +1,314 @@
+/**
+ * Combat Aggregator
+ * Folds the player_kill / vehicle_destroyed events of a recording into
+ * kill streaks (kills by the identified player close together) and combat
+ * encounters (a run of combat events with no long gap between them).
+ *
+ * Works on captured events (videoOffset in seconds), so it runs the same way
+ * when a recording is saved and when an older recording JSON is read back.
+ */
+
+const COMBAT_SUBTYPES = ['player_kill', 'vehicle_destroyed', 'vehicle_soft_death'];
+const AGGREGATOR_SOURCE = 'combat-aggregator';
+
+class CombatAggregator {
+    constructor(options = {}) {
+        // Kills within this many seconds of the previous one extend a streak
+        this.streakWindow = 60;
+        this.minStreak = 2;
+
+        // A gap longer than this many seconds ends an encounter
+        this.encounterGap = 90;
+        this.minEncounterEvents = 2;
+
+        this.configure(options);
+    }
+
+    /**
+     * Apply aggregation options
+     * @param {Object} options - { streakWindow, minStreak, encounterGap, minEncounterEvents }
+     */
+    configure(options = {}) {
+        for (const key of ['streakWindow', 'minStreak', 'encounterGap', 'minEncounterEvents']) {
+            if (options[key] !== undefined && !isNaN(Number(options[key]))) {
+                this[key] = Math.max(0, Number(options[key]));
+            }
+        }
+    }
+
+    /**
+     * Replace any previously derived combat events with a fresh aggregation
+     * @param {Array} events - Captured events
+     * @param {Object} player - Identified player { name, id }, may be null
+     * @returns {Object} { events, summary }
+     */
+    apply(events, player = null) {
+        const rawEvents = events.filter(event => !CombatAggregator.isAggregatedEvent(event));
+        const { streaks, encounters } = this.aggregate(rawEvents, player);
+
+        // Slot derived events in by offset so timelines read them in order
+        const derived = [...streaks, ...encounters];
+        const merged = [...rawEvents];
+        for (const event of derived) {
+            const index = merged.findIndex(other => (other.videoOffset || 0) > event.videoOffset);
+            merged.splice(index === -1 ? merged.length : index, 0, event);
+        }
+
+        return {
+            events: merged,
+            summary: {
+                player: player ? { name: player.name || null, id: player.id || null } : null,
+                encounters: encounters.length,
+                killStreaks: streaks.length,
+                longestStreak: streaks.reduce((max, streak) => Math.max(max, streak.data.count), 0)
+            }
+        };
+    }
+
+    /**
+     * Build kill streak and encounter events from captured events
+     * @param {Array} events - Captured events
+     * @param {Object} player - Identified player { name, id }, may be null
+     * @returns {Object} { streaks, encounters }
+     */
+    aggregate(events, player = null) {
+        const combatEvents = events
+            .filter(event => CombatAggregator.isCombatEvent(event))
+            .sort((a, b) => (a.videoOffset || 0) - (b.videoOffset || 0));
+
+        return {
+            streaks: player ? this.findStreaks(combatEvents, player) : [],
+            encounters: this.findEncounters(combatEvents, player)
+        };
+    }
+
+    /**
+     * Group the player's kills into streaks, a death ends the current streak
+     */
+    findStreaks(combatEvents, player) {
+        const streaks = [];
+        let current = [];
+
+        const close = () => {
+            if (current.length >= Math.max(1, this.minStreak)) {
+                streaks.push(this.createStreakEvent(current));
+            }
+            current = [];
+        };
+
+        for (const event of combatEvents) {
+            const role = this.getPlayerRole(event, player);
+
+            if (role === 'victim') {
+                close();
+                continue;
+            }
+
+            if (role !== 'killer') continue;
+
+            const last = current[current.length - 1];
+            if (last && (event.videoOffset || 0) - (last.videoOffset || 0) > this.streakWindow) {
+                close();
+            }
+            current.push(event);
+        }
+
+        close();
+        return streaks;
+    }
+
+    /**
+     * Split combat events into encounters wherever the gap exceeds encounterGap
+     */
+    findEncounters(combatEvents, player) {
+        const encounters = [];
+        let current = [];
+
+        const close = () => {
+            if (current.length >= Math.max(1, this.minEncounterEvents)) {
+                encounters.push(this.createEncounterEvent(current, player));
+            }
+            current = [];
+        };
+
+        for (const event of combatEvents) {
+            const last = current[current.length - 1];
+            if (last && (event.videoOffset || 0) - (last.videoOffset || 0) > this.encounterGap) {
+                close();
+            }
+            current.push(event);
+        }
+
+        close();
+        return encounters;
+    }
+
+    /**
+     * How the player took part in a combat event: 'killer', 'victim' or null
+     */
+    getPlayerRole(event, player) {
+        if (!player) return null;
+
+        const data = event.data || {};
+        const parties = {
+            player_kill: { killer: ['killer', 'killerId'], victim: ['victim', 'victimId'] },
+            vehicle_destroyed: { killer: ['destroyer', 'destroyerId'], victim: ['driver', 'driverId'] },
+            vehicle_soft_death: { killer: ['attacker', 'attackerId'], victim: ['driver', 'driverId'] }
+        }[event.subtype];
+
+        if (!parties) return null;
+
+        const isPlayer = ([nameField, idField]) => {
+            if (player.id && data[idField]) {
+                return String(data[idField]) === String(player.id);
+            }
+            return Boolean(player.name && data[nameField] &&
+                data[nameField].toLowerCase() === player.name.toLowerCase());
+        };
+
+        const killer = isPlayer(parties.killer);
+        const victim = isPlayer(parties.victim);
+
+        // Self-inflicted (crash, suicide) counts as a death, not a kill
+        if (victim) return 'victim';
+        if (killer) return 'killer';
+        return null;
+    }
+
+    /**
+     * Build the derived kill streak event, placed at the last kill
+     */
+    createStreakEvent(kills) {
+        const first = kills[0];
+        const last = kills[kills.length - 1];
+
+        return this.createDerivedEvent(last, {
+            subtype: 'kill_streak',
+            name: 'Kill Streak',
+            message: `Kill streak ×${kills.length}`,
+            severity: 'high',
+            data: {
+                count: kills.length,
+                startOffset: first.videoOffset || 0,
+                endOffset: last.videoOffset || 0,
+                victims: kills.map(kill => this.getTarget(kill)).filter(Boolean),
+                weapons: this.unique(kills.map(kill => kill.data && kill.data.weapon)),
+                eventIds: kills.map(kill => kill.id)
+            }
+        });
+    }
+
+    /**
+     * Build the derived encounter event, placed at the first combat event
+     */
+    createEncounterEvent(events, player) {
+        const first = events[0];
+        const last = events[events.length - 1];
+        const startOffset = first.videoOffset || 0;
+        const endOffset = last.videoOffset || 0;
+
+        let kills = 0;
+        let deaths = 0;
+        for (const event of events) {
+            const role = this.getPlayerRole(event, player);
+            if (role === 'killer') kills++;
+            if (role === 'victim') deaths++;
+        }
+
+        const participants = new Set();
+        for (const event of events) {
+            const data = event.data || {};
+            for (const field of ['killer', 'victim', 'destroyer', 'attacker', 'driver']) {
+                if (data[field]) participants.add(data[field]);
+            }
+        }
+
+        const duration = this.formatDuration(endOffset - startOffset);
+        const message = player
+            ? `Combat encounter: ${this.plural(kills, 'kill')}, ${this.plural(deaths, 'death')} (${duration})`
+            : `Combat encounter: ${this.plural(events.length, 'combat event')} (${duration})`;
+
+        return this.createDerivedEvent(first, {
+            subtype: 'combat_encounter',
+            name: 'Combat Encounter',
+            message,
+            severity: 'high',
+            data: {
+                startOffset,
+                endOffset,
+                duration: endOffset - startOffset,
+                kills: player ? kills : null,
+                deaths: player ? deaths : null,
+                eventCount: events.length,
+                participants: Array.from(participants),
+                weapons: this.unique(events.map(event => event.data && event.data.weapon)),
+                eventIds: events.map(event => event.id)
+            }
+        });
+    }
+
+    /**
+     * Shared shape for derived events, matching captured events
+     */
+    createDerivedEvent(anchor, fields) {
+        return {
+            id: `${fields.subtype}_${anchor.id}`,
+            timestamp: anchor.timestamp,
+            logTimestamp: anchor.logTimestamp || null,
+            offsetSource: anchor.offsetSource,
+            videoOffset: anchor.videoOffset || 0,
+            videoTimecode: anchor.videoTimecode,
+            type: 'combat',
+            subtype: fields.subtype,
+            name: fields.name,
+            message: fields.message,
+            severity: fields.severity,
+            category: 'combat',
+            categoryInfo: anchor.categoryInfo || {},
+            data: fields.data,
+            raw: null,
+            thumbnail: null,
+            source: AGGREGATOR_SOURCE,
+            derived: true
+        };
+    }
+
+    /**
+     * Who or what a kill was against
+     */
+    getTarget(event) {
+        const data = event.data || {};
+        return event.subtype === 'player_kill' ? data.victim : data.vehicle;
+    }
+
+    unique(values) {
+        return Array.from(new Set(values.filter(Boolean)));
+    }
+
+    plural(count, word) {
+        return `${count} ${word}${count === 1 ? '' : 's'}`;
+    }
+
+    formatDuration(seconds) {
+        const total = Math.max(0, Math.round(seconds));
+        const minutes = Math.floor(total / 60);
+        const secs = total % 60;
+        return minutes > 0 ? `${minutes}m ${secs}s` : `${secs}s`;
+    }
+
+    /**
+     * Is this one of the raw events the aggregator reads
+     */
+    static isCombatEvent(event) {
+        return COMBAT_SUBTYPES.includes(event.subtype) && !CombatAggregator.isAggregatedEvent(event);
+    }
+
+    /**
+     * Was this event produced by the aggregator
+     */
+    static isAggregatedEvent(event) {
+        return event.source === AGGREGATOR_SOURCE;
+    }
+}
+
+module.exports = CombatAggregator;
@@ -1,6 +1,36 @@
 const fs = require('fs').promises;
 const path = require('path');
 
+// Streaming defaults, the target is any RTMP/RTMPS ingest (Twitch, YouTube, a local sink)
+const STREAMING_DEFAULTS = {
+    server: '',         // rtmp://host[:port]/app or rtmps://...
+    keyEncrypted: '',   // Stream key, encrypted with safeStorage (base64)
+    bitrate: 6000,      // Kbps, CBR
+    maxHeight: 1080,    // Stream output is scaled down to this height
+    markers: true,      // Log SC events as stream markers
+    captions: false     // Also send each marker as a stream caption
+};
+
+// Secrets in the config are kept encrypted with safeStorage, like upload credentials.
+// Electron is loaded here so the config can be read without it, e.g. in tests
+function encryptSecret(value) {
+    const { safeStorage } = require('electron');
+    if (!safeStorage.isEncryptionAvailable()) {
+        throw new Error('Encryption not available');
+    }
+    return safeStorage.encryptString(value).toString('base64');
+}
+
+function decryptSecret(value) {
+    if (!value) return '';
+
+    const { safeStorage } = require('electron');
+    if (!safeStorage.isEncryptionAvailable()) {
+        throw new Error('Encryption not available');
+    }
+    return safeStorage.decryptString(Buffer.from(value, 'base64'));
+}
+
 class ConfigManager {
     constructor(configPath) {
         // Always use APPDATA for config storage
@@ -46,6 +76,21 @@ class ConfigManager {
                     cqLevel: 23
                 };
             }
+
+            // Ensure streaming settings exist (backward compatibility)
+            if (this.config.settings && !this.config.settings.streaming) {
+                this.config.settings.streaming = { ...STREAMING_DEFAULTS };
+            }
+
+            // Older configs kept the stream key as plain text
+            if (this.config.settings?.streaming?.key !== undefined) {
+                try {
+                    this.updateSettings({ streaming: {} });
+                    await this.save(this.config);
+                } catch (error) {
+                    console.error('Failed to encrypt the saved stream key:', error.message);
+                }
+            }
             
             return this.config;
         } catch (error) {
@@ -142,7 +187,8 @@ class ConfigManager {
                     encoderPreset: null,            // null or encoder-specific preset
                     rateControl: 'VBR',             // VBR, CBR, CQP, CRF
                     cqLevel: 23                     // CQ/CRF level for constant quality modes
-                }
+                },
+                streaming: { ...STREAMING_DEFAULTS }
             }
         };
     }
@@ -204,6 +250,19 @@ class ConfigManager {
         if (!this.config) {
             this.config = this.getCapabilitiesTemplate();
         }
+
+        // The stream key is only stored encrypted, an empty key keeps the saved one
+        if (settings.streaming) {
+            const { key, ...streaming } = settings.streaming;
+            const plainKey = (key ?? this.config.settings.streaming?.key ?? '').trim();
+            if (plainKey) {
+                streaming.keyEncrypted = encryptSecret(plainKey);
+            }
+            if (this.config.settings.streaming) {
+                delete this.config.settings.streaming.key;
+            }
+            settings = { ...settings, streaming };
+        }
         
         // Deep merge settings
         Object.keys(settings).forEach(key => {
@@ -238,6 +297,42 @@ class ConfigManager {
         return this.config?.settings || null;
     }
 
+    // Get streaming settings with defaults filled in
+    getStreamingSettings() {
+        return { ...STREAMING_DEFAULTS, ...(this.config?.settings?.streaming || {}) };
+    }
+
+    // Decrypt the stream key, only when it is handed to OBS
+    getStreamKey() {
+        return decryptSecret(this.getStreamingSettings().keyEncrypted).trim();
+    }
+
+    // Check a streaming target, returns { valid, error, server }
+    // A key pasted onto the end of the server URL is fine, the key may then be empty
+    validateStreamTarget(streaming = this.getStreamingSettings()) {
+        const server = (streaming.server || '').trim().replace(/\/+$/, '');
+
+        if (!server) {
+            return { valid: false, error: 'No stream server set' };
+        }
+
+        let url;
+        try {
+            url = new URL(server);
+        } catch {
+            return { valid: false, error: `Invalid stream server URL: ${server}` };
+        }
+
+        if (url.protocol !== 'rtmp:' && url.protocol !== 'rtmps:') {
+            return { valid: false, error: 'Stream server must be an rtmp:// or rtmps:// URL' };
+        }
+        if (!url.hostname || url.pathname.length <= 1) {
+            return { valid: false, error: 'Stream server needs a host and an application path, e.g. rtmp://127.0.0.1/live' };
+        }
+
+        return { valid: true, server };
+    }
+
     // Get full configuration
     get() {
         return this.config;
@@ -337,6 +432,16 @@ class ConfigManager {
 
         return path.join(configDir, 'filter-templates.json');
     }
+
+    // Get path for user export presets (user data)
+    getExportPresetsPath() {
+        const configDir = path.join(process.env.APPDATA || process.env.HOME, 'sc-recorder');
+
+        return path.join(configDir, 'export-presets.json');
+    }
 }
 
+ConfigManager.STREAMING_DEFAULTS = STREAMING_DEFAULTS;
+ConfigManager.decryptSecret = decryptSecret;
+
 module.exports = ConfigManager;
\ No newline at end of file
@@ -1,3 +1,4 @@
+const fs = require('fs');
 const path = require('path');
 
 /**
@@ -24,8 +25,24 @@ function getFilterTemplatesPath() {
     return getConfigPath('filter-templates.json');
 }
 
+/**
+ * Get the path of a file shipped in the app's config folder
+ * Packaged builds copy config/*.json to resources/config (extraResources),
+ * in development it is the repo's config folder
+ */
+function getBundledConfigPath(filename) {
+    const candidates = [];
+    if (process.resourcesPath) {
+        candidates.push(path.join(process.resourcesPath, 'config', filename));
+    }
+    candidates.push(path.join(__dirname, '..', 'config', filename));
+
+    return candidates.find(candidate => fs.existsSync(candidate)) || candidates[candidates.length - 1];
+}
+
 module.exports = {
     getConfigPath,
+    getBundledConfigPath,
     getPatternsPath,
     getFilterTemplatesPath
 };
\ No newline at end of file
@@ -1,5 +1,7 @@
 const fs = require('fs').promises;
 const path = require('path');
+const CombatAggregator = require('./combat-aggregator');
+const PerformanceWatchdog = require('./performance-watchdog');
 
 /**
  * Event Capture Manager
@@ -13,19 +15,108 @@ class EventCaptureManager {
         this.recordingActive = false;
         this.eventFilePath = null;
         this.unsavedEvents = false;
+        this.recordingStartSource = 'local-clock';
+
+        // Log clock calibration - samples of (arrival time - log timestamp) in ms.
+        // The smallest sample is the one with the least Tail polling delay, so it
+        // is the best estimate of the skew between the game log and our clock.
+        this.clockSkewSamples = [];
+        this.maxClockSkewSamples = 50;
+
+        // Pre-roll - events seen shortly before recording starts are kept with the recording.
+        // 'negative' keeps their true (negative) offset, 'clamp' pins them to 0 and flags them.
+        this.preRollSeconds = 30;
+        this.preRollMode = 'negative';
+        this.preRollBuffer = [];
+        this.maxPreRollEvents = 100;
+
+        // OBS replay buffer - recent events are kept for the length of the buffer so a
+        // saved replay gets its own events file, whether or not a recording is running
+        this.replayWindowSeconds = 0;
+        this.replayHistory = [];
+
+        // Last finished segment, and the one still receiving boundary copies after a split
+        this.lastSegment = null;
+        this.previousSegment = null;
+        this.previousSegmentTimer = null;
+
+        // Kill streaks and encounters are derived from the raw events on save
+        this.combatAggregator = new CombatAggregator();
+        this.currentPlayer = null;
+
+        // Which game build (LIVE, PTU, ...) the recording came from
+        this.gameInstance = null;
+
+        // PerformanceWatchdog report for the recording, saved with its metadata
+        this.qualityReport = null;
+    }
+
+    /**
+     * Set the Star Citizen instance being recorded
+     */
+    setGameInstance(instance) {
+        this.gameInstance = instance || null;
+    }
+
+    /**
+     * Set the quality report saved with the current recording's events
+     */
+    setQualityReport(report) {
+        this.qualityReport = report || null;
+    }
+
+    /**
+     * Set the identified player, used to tell the player's kills from everyone else's
+     */
+    setCurrentPlayer(player) {
+        this.currentPlayer = player ? { name: player.name || null, id: player.id || null } : null;
+    }
+
+    /**
+     * Apply capture options
+     * @param {Object} options - { preRollSeconds, preRollMode, replayWindowSeconds }
+     */
+    configure(options = {}) {
+        if (options.preRollSeconds !== undefined) {
+            this.preRollSeconds = Math.max(0, Number(options.preRollSeconds) || 0);
+        }
+        if (options.preRollMode === 'negative' || options.preRollMode === 'clamp') {
+            this.preRollMode = options.preRollMode;
+        }
+        if (options.replayWindowSeconds !== undefined) {
+            this.replayWindowSeconds = Math.max(0, Number(options.replayWindowSeconds) || 0);
+            if (this.replayWindowSeconds === 0) {
+                this.replayHistory = [];
+            }
+        }
     }
 
     /**
      * Start a new recording session
+     * @param {string} recordingPath - Video file path, the JSON is saved next to it
+     * @param {number} startTimecode - Recording start time (ms), e.g. when OBS reported RecordStateChanged
+     * @param {Object} options - { startSource, startEvent } to describe where the start time came from
+     *                           and override the default recording_start event, { split } when this
+     *                           file continues the previous one
      */
-    startRecording(recordingPath, startTimecode = null) {
+    startRecording(recordingPath, startTimecode = null, options = {}) {
         console.log('[EventCapture] Starting recording session:', recordingPath);
         
+        // Any earlier boundary segment is complete now
+        this.flushPreviousSegment().catch(err => {
+            console.error('[EventCapture] Failed to save boundary events:', err);
+        });
+        
         this.events = [];
-        this.recordingStartTime = Date.now();
-        this.recordingStartTimecode = startTimecode || Date.now();
+        this.recordingStartTime = startTimecode || Date.now();
+        this.recordingStartTimecode = startTimecode || this.recordingStartTime;
+        this.recordingStartSource = options.startSource || (startTimecode ? 'provided' : 'local-clock');
         this.recordingActive = true;
         this.unsavedEvents = false;
+        this.qualityReport = null;
+        
+        // Calibrate the skew afresh, an old sample would shift every event in this file
+        this.clockSkewSamples = [];
         
         // Generate event file path (same as video but with .json extension)
         if (recordingPath) {
@@ -38,7 +129,7 @@ class EventCaptureManager {
         }
         
         // Add recording start event
-        this.addEvent({
+        this.addEvent(options.startEvent || {
             type: 'system',
             subtype: 'recording_start',
             name: 'Recording Started',
@@ -47,7 +138,16 @@ class EventCaptureManager {
             data: {
                 startTime: new Date(this.recordingStartTime).toISOString()
             }
-        });
+        }, this.recordingStartTime);
+        
+        // Keep buffered events that fall inside the pre-roll window
+        this.backfillPreRollEvents();
+        
+        // After a split, events early in this file also belong at the end of the last one
+        if (options.split && this.lastSegment) {
+            this.beginBoundaryCopy(this.lastSegment);
+        }
+        this.lastSegment = null;
         
         return {
             startTime: this.recordingStartTime,
@@ -85,6 +185,22 @@ class EventCaptureManager {
         // Save events to file
         const result = await this.saveEvents();
         
+        // Remember this segment so the next one can share events across the boundary
+        this.lastSegment = {
+            eventFilePath: this.eventFilePath,
+            recordingStartTime: this.recordingStartTime,
+            stopTime: stopTime,
+            duration: duration
+        };
+        
+        // Its events become pre-roll candidates for whatever records next, timed
+        // with this recording's skew before the next one calibrates its own
+        for (const event of this.events) {
+            if (!this.isRecordingControlEvent(event) && !this.isPerformanceWarning(event)) {
+                this.bufferPreRollEvent({ ...event }, this.getCapturedEventTime(event));
+            }
+        }
+        
         // Reset state
         this.recordingActive = false;
         
@@ -93,29 +209,22 @@ class EventCaptureManager {
 
     /**
      * Add an event to the capture
+     * @param {Object} event - Event to capture
+     * @param {number} arrivalTime - When the event reached us (ms), defaults to now
+     * @param {Object} options - { replayed } when the event comes from a log replay
      */
-    addEvent(event) {
-        if (!this.recordingActive) {
-            // Store events even when not recording, in case recording starts soon
-            // This helps capture events that happen just before recording starts
-            if (this.events.length > 100) {
-                // Keep only last 100 events if not recording
-                this.events = this.events.slice(-100);
-            }
-        }
-        
-        // Calculate video timestamp offset
-        const eventTime = Date.now();
-        const videoOffset = this.recordingActive 
-            ? (eventTime - this.recordingStartTime) / 1000 
-            : 0;
+    addEvent(event, arrivalTime = Date.now(), options = {}) {
+        // Calculate video timestamp offset from the log timestamp when we have one
+        const timing = this.resolveEventTime(event, arrivalTime, options.replayed);
         
         // Enhanced event structure
         const capturedEvent = {
             id: this.generateEventId(),
-            timestamp: new Date(eventTime).toISOString(),
-            videoOffset: videoOffset, // Seconds from recording start
-            videoTimecode: this.formatTimecode(videoOffset),
+            timestamp: new Date(timing.eventTime).toISOString(),
+            logTimestamp: timing.logTime !== null ? new Date(timing.logTime).toISOString() : null,
+            offsetSource: timing.source,
+            videoOffset: 0, // Seconds from recording start, set below while recording
+            videoTimecode: this.formatTimecode(0),
             type: event.type || 'unknown',
             subtype: event.subtype || '',
             name: event.name || 'Unknown Event',
@@ -128,7 +237,24 @@ class EventCaptureManager {
             thumbnail: null  // Placeholder for event thumbnail
         };
         
+        // Keep the link back to the lines a correlated event came from
+        if (event.derived) {
+            capturedEvent.derived = true;
+            capturedEvent.correlation = event.correlation || null;
+        }
+        
+        this.rememberForReplay(capturedEvent, timing.eventTime);
+        
+        if (!this.recordingActive) {
+            // Store events even when not recording, in case recording starts soon
+            // This helps capture events that happen just before recording starts
+            this.bufferPreRollEvent(capturedEvent, timing.eventTime);
+            return capturedEvent;
+        }
+        
+        this.applyVideoOffset(capturedEvent, timing.eventTime);
         this.events.push(capturedEvent);
+        this.copyToPreviousSegment(capturedEvent, timing.eventTime);
         this.unsavedEvents = true;
         
         // Auto-save periodically if recording
@@ -141,6 +267,403 @@ class EventCaptureManager {
         return capturedEvent;
     }
 
+    /**
+     * Work out when an event happened on our clock
+     * Uses the game log timestamp corrected by the calibrated skew, falling back to arrival time
+     */
+    resolveEventTime(event, arrivalTime, replayed = false) {
+        const logTime = this.getLogTime(event);
+
+        if (logTime === null) {
+            return { eventTime: arrivalTime, logTime: null, source: 'arrival-time' };
+        }
+
+        // A replayed log was written long ago, its timestamps say nothing about our clock
+        if (replayed) {
+            return { eventTime: arrivalTime, logTime: logTime, source: 'arrival-time' };
+        }
+
+        this.addClockSkewSample(arrivalTime - logTime);
+
+        return {
+            eventTime: logTime + this.getClockSkew(),
+            logTime: logTime,
+            source: 'log-timestamp'
+        };
+    }
+
+    /**
+     * Get the game log timestamp (ms) of an event, or null if it has none
+     */
+    getLogTime(event) {
+        const candidates = [
+            event.logTimestamp,
+            event.data && event.data.timestamp
+        ];
+
+        if (event.raw) {
+            const match = /^<(\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}\.\d{3}Z)>/.exec(event.raw);
+            if (match) candidates.push(match[1]);
+        }
+
+        for (const candidate of candidates) {
+            if (!candidate) continue;
+            const time = Date.parse(candidate);
+            if (!isNaN(time)) return time;
+        }
+
+        return null;
+    }
+
+    /**
+     * Record a calibration sample of (arrival time - log time)
+     */
+    addClockSkewSample(skewMs) {
+        this.clockSkewSamples.push(skewMs);
+        if (this.clockSkewSamples.length > this.maxClockSkewSamples) {
+            this.clockSkewSamples.shift();
+        }
+    }
+
+    /**
+     * Get the calibrated skew (ms) to add to a log timestamp to get our clock's time
+     */
+    getClockSkew() {
+        if (this.clockSkewSamples.length === 0) {
+            return 0;
+        }
+        return Math.min(...this.clockSkewSamples);
+    }
+
+    /**
+     * Convert an event time (ms) to seconds from recording start
+     */
+    calculateVideoOffset(eventTime) {
+        return (eventTime - this.recordingStartTime) / 1000;
+    }
+
+    /**
+     * Set an event's video offset, applying the pre-roll policy to events before time zero
+     */
+    applyVideoOffset(event, eventTime) {
+        let offset = this.calculateVideoOffset(eventTime);
+
+        delete event.preRoll;
+        delete event.offsetClamped;
+        delete event.originalVideoOffset;
+
+        if (offset < 0) {
+            const withinPreRoll = offset >= -this.preRollSeconds;
+
+            if (withinPreRoll && this.preRollMode === 'negative') {
+                event.preRoll = true;
+            } else {
+                event.preRoll = withinPreRoll;
+                event.offsetClamped = true;
+                event.originalVideoOffset = offset;
+                offset = 0;
+            }
+        }
+
+        event.videoOffset = offset;
+        event.videoTimecode = this.formatTimecode(offset);
+    }
+
+    /**
+     * Get the time (ms) an already captured event happened on our clock
+     */
+    getCapturedEventTime(event) {
+        if (event.offsetSource === 'log-timestamp' && event.logTimestamp) {
+            return Date.parse(event.logTimestamp) + this.getClockSkew();
+        }
+        return Date.parse(event.timestamp);
+    }
+
+    /**
+     * Check for the events that mark recording boundaries themselves
+     */
+    isRecordingControlEvent(event) {
+        return event.type === 'system' &&
+            ['recording_start', 'recording_stop', 'recording_split'].includes(event.subtype);
+    }
+
+    /**
+     * Check for the watchdog's warnings, they describe the file they were raised in
+     */
+    isPerformanceWarning(event) {
+        return event.type === 'system' && Boolean(PerformanceWatchdog.ISSUES[event.subtype]);
+    }
+
+    /**
+     * Hold an event captured outside a recording as a pre-roll candidate
+     * @param {number} eventTime - When it happened on our clock (ms), with the skew known then
+     */
+    bufferPreRollEvent(event, eventTime) {
+        this.preRollBuffer.push({ event, eventTime });
+        if (this.preRollBuffer.length > this.maxPreRollEvents) {
+            // Keep only the most recent events
+            this.preRollBuffer = this.preRollBuffer.slice(-this.maxPreRollEvents);
+        }
+    }
+
+    /**
+     * Move buffered events inside the pre-roll window into the new recording
+     */
+    backfillPreRollEvents() {
+        const buffered = this.preRollBuffer;
+        this.preRollBuffer = [];
+
+        if (this.preRollSeconds <= 0) {
+            return 0;
+        }
+
+        const windowStart = this.recordingStartTime - this.preRollSeconds * 1000;
+        const backfilled = [];
+
+        for (const { event, eventTime } of buffered) {
+            if (isNaN(eventTime) || eventTime < windowStart || eventTime > this.recordingStartTime) {
+                continue;
+            }
+
+            const copy = { ...event, backfilled: true, thumbnail: null };
+            this.applyVideoOffset(copy, eventTime);
+            backfilled.push(copy);
+        }
+
+        if (backfilled.length > 0) {
+            // Pre-roll events go before the recording start event
+            this.events = [...backfilled, ...this.events];
+            this.unsavedEvents = true;
+            console.log(`[EventCapture] Backfilled ${backfilled.length} pre-roll events`);
+        }
+
+        return backfilled.length;
+    }
+
+    /**
+     * Keep an event for the replay buffer window
+     */
+    rememberForReplay(event, eventTime) {
+        if (this.replayWindowSeconds <= 0 || this.isRecordingControlEvent(event)) {
+            return;
+        }
+
+        this.replayHistory.push({ event: { ...event }, eventTime });
+
+        // A little extra is kept, OBS may write the replay a moment after the save request
+        const cutoff = Date.now() - (this.replayWindowSeconds + 10) * 1000;
+        while (this.replayHistory.length > 0 && this.replayHistory[0].eventTime < cutoff) {
+            this.replayHistory.shift();
+        }
+    }
+
+    /**
+     * Write the events file for a saved replay buffer
+     * @param {string} videoPath - The saved replay, the JSON is written next to it
+     * @param {Object} window - { savedAt, bufferStartedAt } in ms; the replay covers the buffer
+     *                          length before savedAt, or less if the buffer started more recently
+     * @returns {Promise<Object>} { success, path, eventCount, duration }
+     */
+    async saveReplayEvents(videoPath, { savedAt, bufferStartedAt = null }) {
+        let windowStart = savedAt - this.replayWindowSeconds * 1000;
+        if (bufferStartedAt && bufferStartedAt > windowStart) {
+            windowStart = bufferStartedAt;
+        }
+        const duration = (savedAt - windowStart) / 1000;
+
+        const events = this.replayHistory
+            .filter(entry => entry.eventTime >= windowStart && entry.eventTime <= savedAt)
+            .map(entry => {
+                const offset = (entry.eventTime - windowStart) / 1000;
+                return {
+                    ...entry.event,
+                    id: this.generateEventId(),
+                    videoOffset: offset,
+                    videoTimecode: this.formatTimecode(offset),
+                    thumbnail: null
+                };
+            });
+
+        const combat = this.combatAggregator.apply(events, this.currentPlayer);
+        const parsedPath = path.parse(videoPath);
+        const eventsPath = path.join(parsedPath.dir, `${parsedPath.name}.json`);
+
+        const data = {
+            metadata: {
+                version: '1.0.0',
+                recorder: 'SC-Recorder',
+                player: this.currentPlayer,
+                gameInstance: this.gameInstance,
+                recordingStartTime: new Date(windowStart).toISOString(),
+                recordingStartTimecode: windowStart,
+                recordingDuration: duration,
+                eventCount: combat.events.length,
+                categories: this.getCategorySummary(combat.events),
+                timing: {
+                    offsetSource: 'replay-buffer',
+                    recordingStartSource: 'replay-buffer-window',
+                    clockSkewMs: this.getClockSkew(),
+                    clockSkewSamples: this.clockSkewSamples.length
+                },
+                replayBuffer: {
+                    seconds: this.replayWindowSeconds,
+                    savedAt: new Date(savedAt).toISOString()
+                },
+                combat: combat.summary,
+                savedAt: new Date().toISOString(),
+                videoThumbnail: null
+            },
+            events: combat.events
+        };
+
+        await this.writeJsonAtomic(eventsPath, data);
+        console.log(`[EventCapture] Saved ${combat.events.length} replay buffer events to ${eventsPath}`);
+
+        return {
+            success: true,
+            path: eventsPath,
+            eventCount: combat.events.length,
+            duration
+        };
+    }
+
+    /**
+     * Keep copying new events into the segment that just ended, for one pre-roll window
+     */
+    beginBoundaryCopy(segment) {
+        if (this.preRollSeconds <= 0 || !segment.eventFilePath) {
+            return;
+        }
+
+        this.previousSegment = {
+            ...segment,
+            copyUntil: segment.stopTime + this.preRollSeconds * 1000,
+            events: []
+        };
+
+        this.previousSegmentTimer = setTimeout(() => {
+            this.flushPreviousSegment().catch(err => {
+                console.error('[EventCapture] Failed to save boundary events:', err);
+            });
+        }, this.preRollSeconds * 1000);
+    }
+
+    /**
+     * Copy an event near a split boundary into the previous segment
+     */
+    copyToPreviousSegment(event, eventTime) {
+        const segment = this.previousSegment;
+        if (!segment || eventTime > segment.copyUntil || this.isRecordingControlEvent(event) || this.isPerformanceWarning(event)) {
+            return;
+        }
+
+        let offset = (eventTime - segment.recordingStartTime) / 1000;
+        const copy = { ...event, boundaryCopy: 'next-segment', thumbnail: null };
+        delete copy.preRoll;
+        delete copy.offsetClamped;
+        delete copy.originalVideoOffset;
+
+        if (offset > segment.duration && this.preRollMode === 'clamp') {
+            copy.offsetClamped = true;
+            copy.originalVideoOffset = offset;
+            offset = segment.duration;
+        }
+
+        copy.videoOffset = offset;
+        copy.videoTimecode = this.formatTimecode(offset);
+        segment.events.push(copy);
+    }
+
+    /**
+     * Append the boundary copies to the previous segment's JSON
+     */
+    async flushPreviousSegment() {
+        if (this.previousSegmentTimer) {
+            clearTimeout(this.previousSegmentTimer);
+            this.previousSegmentTimer = null;
+        }
+
+        const segment = this.previousSegment;
+        this.previousSegment = null;
+
+        if (!segment || segment.events.length === 0) {
+            return null;
+        }
+
+        const content = await fs.readFile(segment.eventFilePath, 'utf8');
+        const data = JSON.parse(content);
+
+        data.events.push(...segment.events);
+
+        // Boundary kills can extend streaks and encounters at the end of the segment
+        const combat = this.combatAggregator.apply(data.events, this.currentPlayer);
+        data.events = combat.events;
+        data.metadata.combat = combat.summary;
+        data.metadata.eventCount = data.events.length;
+        data.metadata.boundaryEvents = (data.metadata.boundaryEvents || 0) + segment.events.length;
+
+        await this.writeJsonAtomic(segment.eventFilePath, data);
+
+        console.log(`[EventCapture] Copied ${segment.events.length} boundary events into ${segment.eventFilePath}`);
+        return segment.events.length;
+    }
+
+    /**
+     * Write JSON to a temporary file and rename so a crash never leaves a truncated file
+     */
+    async writeJsonAtomic(filePath, data) {
+        const tempPath = filePath + '.tmp.' + Date.now();
+        try {
+            await fs.writeFile(tempPath, JSON.stringify(data, null, 2), 'utf8');
+            await fs.rename(tempPath, filePath);
+        } catch (error) {
+            await fs.unlink(tempPath).catch(() => {});
+            throw error;
+        }
+    }
+
+    /**
+     * Re-apply the latest skew calibration to log-timestamped events
+     * Early events are captured before the calibration has settled
+     */
+    realignEventOffsets() {
+        if (this.clockSkewSamples.length === 0) {
+            // Nothing calibrated yet this recording, keep the offsets events were given
+            return;
+        }
+
+        const skew = this.getClockSkew();
+
+        for (const event of this.events) {
+            if (event.offsetSource !== 'log-timestamp' || !event.logTimestamp) {
+                continue;
+            }
+
+            const eventTime = Date.parse(event.logTimestamp) + skew;
+            event.timestamp = new Date(eventTime).toISOString();
+            this.applyVideoOffset(event, eventTime);
+        }
+    }
+
+    /**
+     * Describe how event offsets were calculated, for the saved metadata
+     */
+    getTimingSummary() {
+        const eventsBySource = {};
+        for (const event of this.events) {
+            const source = event.offsetSource || 'arrival-time';
+            eventsBySource[source] = (eventsBySource[source] || 0) + 1;
+        }
+
+        return {
+            offsetSource: eventsBySource['log-timestamp'] ? 'log-timestamp' : 'arrival-time',
+            recordingStartSource: this.recordingStartSource,
+            clockSkewMs: this.getClockSkew(),
+            clockSkewSamples: this.clockSkewSamples.length,
+            eventsBySource: eventsBySource
+        };
+    }
+
     /**
      * Save events to JSON file
      */
@@ -156,44 +679,55 @@ class EventCaptureManager {
         }
         
         try {
+            if (this.recordingActive) {
+                this.realignEventOffsets();
+            }
+
+            const combat = this.combatAggregator.apply(this.events, this.currentPlayer);
+
             const metadata = {
                 version: '1.0.0',
                 recorder: 'SC-Recorder',
+                player: this.currentPlayer,
+                gameInstance: this.gameInstance,
                 recordingStartTime: new Date(this.recordingStartTime).toISOString(),
                 recordingStartTimecode: this.recordingStartTimecode,
                 recordingDuration: this.recordingActive
                     ? (Date.now() - this.recordingStartTime) / 1000
                     : null,
-                eventCount: this.events.length,
-                categories: this.getCategorySummary(),
+                eventCount: combat.events.length,
+                categories: this.getCategorySummary(combat.events),
+                timing: this.getTimingSummary(),
+                preRoll: {
+                    seconds: this.preRollSeconds,
+                    mode: this.preRollMode,
+                    backfilledEvents: this.events.filter(event => event.backfilled).length
+                },
+                combat: combat.summary,
+                quality: this.qualityReport,
                 savedAt: new Date().toISOString(),
                 videoThumbnail: null  // Placeholder for main video thumbnail
             };
             
             const data = {
                 metadata: metadata,
-                events: this.events
+                events: combat.events
             };
             
             // Ensure directory exists
             const dir = path.dirname(this.eventFilePath);
             await fs.mkdir(dir, { recursive: true });
             
-            // Write JSON file
-            await fs.writeFile(
-                this.eventFilePath,
-                JSON.stringify(data, null, 2),
-                'utf8'
-            );
+            await this.writeJsonAtomic(this.eventFilePath, data);
             
             this.unsavedEvents = false;
             
-            console.log(`[EventCapture] Saved ${this.events.length} events to ${this.eventFilePath}`);
+            console.log(`[EventCapture] Saved ${combat.events.length} events to ${this.eventFilePath}`);
             
             return {
                 success: true,
                 path: this.eventFilePath,
-                eventCount: this.events.length
+                eventCount: combat.events.length
             };
         } catch (error) {
             console.error('[EventCapture] Failed to save events:', error);
@@ -250,10 +784,10 @@ class EventCaptureManager {
     /**
      * Get category summary
      */
-    getCategorySummary() {
+    getCategorySummary(events = this.events) {
         const summary = {};
         
-        for (const event of this.events) {
+        for (const event of events) {
             const category = event.category || event.type;
             if (!summary[category]) {
                 summary[category] = {
@@ -388,6 +922,11 @@ class EventCaptureManager {
      * Format video timecode
      */
     formatTimecode(seconds) {
+        // Pre-roll events sit before time zero
+        if (seconds < 0) {
+            return `-${this.formatTimecode(-seconds)}`;
+        }
+
         const hours = Math.floor(seconds / 3600);
         const minutes = Math.floor((seconds % 3600) / 60);
         const secs = Math.floor(seconds % 60);
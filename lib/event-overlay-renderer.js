@@ -0,0 +1,273 @@
+/**
+ * Event Overlay Renderer
+ * Turns recording events into burned-in captions for export: a killfeed that
+ * stacks the latest kills, lower thirds for zone and system changes, and a
+ * session timer. Captions use each event's message. The same overlay list
+ * drives the HTML preview in the editor and the FFmpeg drawtext filters, so
+ * the preview matches the export.
+ *
+ * Sizes are given for 1080p and scaled to the video height.
+ */
+
+const path = require('path');
+
+const POSITIONS = ['top-left', 'top-center', 'top-right', 'bottom-left', 'bottom-center', 'bottom-right'];
+const REFERENCE_HEIGHT = 1080;
+
+const DEFAULT_OPTIONS = {
+    font: process.platform === 'win32' ? 'C:/Windows/Fonts/arial.ttf' : 'Sans',
+    killfeed: {
+        enabled: true,
+        subtypes: ['player_kill', 'vehicle_destroyed', 'vehicle_soft_death'],
+        position: 'top-right',
+        fontSize: 30,
+        color: 'white',
+        duration: 5,
+        maxLines: 5
+    },
+    lowerThird: {
+        enabled: true,
+        subtypes: ['zone_entered', 'spawn_location', 'system_arrival_stanton', 'system_arrival_pyro'],
+        position: 'bottom-left',
+        fontSize: 44,
+        color: 'white',
+        duration: 4
+    },
+    timer: {
+        enabled: false,
+        position: 'top-left',
+        fontSize: 30,
+        color: 'white'
+    }
+};
+
+class EventOverlayRenderer {
+    constructor(options = {}) {
+        this.options = JSON.parse(JSON.stringify(DEFAULT_OPTIONS));
+        this.configure(options);
+    }
+
+    /**
+     * Apply overlay options, each layer is merged over its defaults
+     * @param {Object} options - { font, killfeed, lowerThird, timer }
+     */
+    configure(options = {}) {
+        if (options.font) {
+            this.options.font = options.font;
+        }
+
+        for (const layer of ['killfeed', 'lowerThird', 'timer']) {
+            if (!options[layer]) continue;
+            const merged = { ...this.options[layer], ...options[layer] };
+
+            if (!POSITIONS.includes(merged.position)) {
+                merged.position = DEFAULT_OPTIONS[layer].position;
+            }
+            for (const key of ['fontSize', 'duration', 'maxLines']) {
+                if (merged[key] !== undefined) {
+                    merged[key] = Math.max(1, Number(merged[key]) || DEFAULT_OPTIONS[layer][key] || 1);
+                }
+            }
+
+            this.options[layer] = merged;
+        }
+    }
+
+    /**
+     * Captions shown over a range of the video
+     * @param {Array} events - Recording events (videoOffset in seconds)
+     * @param {Object} range - { start, end } in video seconds, times in the result are relative to start
+     * @returns {Array} [{ layer, text, start, end, line, position, fontSize, color, timerOffset }]
+     */
+    buildOverlays(events, range = {}) {
+        const rangeStart = range.start || 0;
+        const rangeEnd = range.end !== undefined && range.end !== null ? range.end : Infinity;
+        const inRange = (events || [])
+            .filter(event => typeof event.videoOffset === 'number' && event.message)
+            .filter(event => event.videoOffset >= rangeStart && event.videoOffset <= rangeEnd)
+            .sort((a, b) => a.videoOffset - b.videoOffset);
+
+        const duration = rangeEnd - rangeStart;
+        const clampEnd = (time) => Math.min(time, duration);
+        const overlays = [];
+
+        const { killfeed, lowerThird, timer } = this.options;
+
+        if (killfeed.enabled) {
+            overlays.push(...this.buildKillfeed(
+                inRange.filter(event => killfeed.subtypes.includes(event.subtype)),
+                rangeStart, clampEnd
+            ));
+        }
+
+        if (lowerThird.enabled) {
+            // One lower third at a time, a newer one replaces it
+            let previous = null;
+            for (const event of inRange.filter(e => lowerThird.subtypes.includes(e.subtype))) {
+                const start = event.videoOffset - rangeStart;
+                if (previous && previous.end > start) {
+                    previous.end = start;
+                }
+                previous = this.createOverlay('lowerThird', event.message, start, clampEnd(start + lowerThird.duration), 0);
+                overlays.push(previous);
+            }
+        }
+
+        if (timer.enabled && duration > 0) {
+            const overlay = this.createOverlay('timer', null, 0, duration, 0);
+            overlay.timerOffset = rangeStart; // Shows time since the recording started
+            overlays.push(overlay);
+        }
+
+        return overlays.filter(overlay => overlay.end > overlay.start);
+    }
+
+    /**
+     * Killfeed entries, the newest on line 0 pushing older ones down until
+     * they fall off after maxLines
+     */
+    buildKillfeed(events, rangeStart, clampEnd) {
+        const { duration, maxLines } = this.options.killfeed;
+        const entries = [];
+
+        for (const event of events) {
+            const time = event.videoOffset - rangeStart;
+
+            for (const entry of entries) {
+                if (entry.end <= time) continue;
+
+                const current = entry.segments[entry.segments.length - 1];
+                if (current.line + 1 >= maxLines) {
+                    entry.end = time;
+                } else {
+                    entry.segments.push({ start: time, line: current.line + 1 });
+                }
+            }
+
+            entries.push({ text: event.message, end: clampEnd(time + duration), segments: [{ start: time, line: 0 }] });
+        }
+
+        // Each line change becomes its own overlay
+        const overlays = [];
+        for (const entry of entries) {
+            entry.segments.forEach((segment, i) => {
+                const next = entry.segments[i + 1];
+                const end = Math.min(next ? next.start : entry.end, entry.end);
+                overlays.push(this.createOverlay('killfeed', entry.text, segment.start, end, segment.line));
+            });
+        }
+
+        return overlays;
+    }
+
+    createOverlay(layer, text, start, end, line) {
+        const settings = this.options[layer];
+        return {
+            layer,
+            text,
+            start,
+            end,
+            line,
+            position: settings.position,
+            fontSize: settings.fontSize,
+            color: settings.color
+        };
+    }
+
+    /**
+     * Overlays visible at a time, for the editor preview
+     */
+    getActiveOverlays(overlays, time) {
+        return overlays.filter(overlay => time >= overlay.start && time < overlay.end);
+    }
+
+    /**
+     * Pixel metrics of an overlay for a video height
+     * @returns {Object} { fontSize, margin, lineHeight, offset } offset is the line's distance from its edge
+     */
+    getLayout(overlay, height) {
+        const scale = height / REFERENCE_HEIGHT;
+        const fontSize = Math.max(8, Math.round(overlay.fontSize * scale));
+        const margin = Math.round(40 * scale);
+        const lineHeight = Math.round(fontSize * 1.6);
+
+        return { fontSize, margin, lineHeight, offset: margin + overlay.line * lineHeight };
+    }
+
+    /**
+     * Text for the session timer at a time since the recording started
+     */
+    formatTimer(seconds) {
+        const hours = Math.floor(seconds / 3600);
+        const minutes = Math.floor((seconds % 3600) / 60);
+        const secs = Math.floor(seconds % 60);
+
+        return `${hours.toString().padStart(2, '0')}:${minutes.toString().padStart(2, '0')}:${secs.toString().padStart(2, '0')}`;
+    }
+
+    /**
+     * Write each caption to a text file, drawtext reads them with textfile=
+     * so messages need no filter escaping
+     * @param {Array} overlays - From buildOverlays
+     * @param {string} dir - Scratch directory, removed by the caller after export
+     */
+    async writeTextFiles(overlays, dir) {
+        const fs = require('fs').promises;
+        await fs.mkdir(dir, { recursive: true });
+
+        const files = new Map();
+        for (const overlay of overlays) {
+            if (overlay.text === null) continue;
+
+            if (!files.has(overlay.text)) {
+                const file = path.join(dir, `overlay_${files.size + 1}.txt`);
+                await fs.writeFile(file, overlay.text, 'utf8');
+                files.set(overlay.text, file);
+            }
+            overlay.textFile = files.get(overlay.text);
+        }
+    }
+
+    /**
+     * drawtext filters for the overlays
+     * @param {Array} overlays - From buildOverlays, after writeTextFiles
+     * @param {number} height - Output video height
+     * @returns {Array} Filter strings for videoFilters() or a filter graph chain
+     */
+    buildDrawtextFilters(overlays, height) {
+        const font = /\.(ttf|otf|ttc)$/i.test(this.options.font)
+            ? `fontfile='${this.escapeFilterPath(this.options.font)}'`
+            : `font='${this.options.font}'`;
+
+        return overlays.map(overlay => {
+            const layout = this.getLayout(overlay, height);
+            const [vertical, horizontal] = overlay.position.split('-');
+
+            const x = horizontal === 'left' ? `${layout.margin}`
+                : horizontal === 'right' ? `w-tw-${layout.margin}`
+                    : '(w-tw)/2';
+            const y = vertical === 'top' ? `${layout.offset}` : `h-th-${layout.offset}`;
+
+            const text = overlay.layer === 'timer'
+                ? `text='%{pts\\:hms\\:${overlay.timerOffset.toFixed(3)}}'`
+                : `textfile='${this.escapeFilterPath(overlay.textFile)}':expansion=none`;
+
+            return `drawtext=${font}:${text}:fontsize=${layout.fontSize}:fontcolor=${overlay.color}` +
+                `:box=1:boxcolor=black@0.5:boxborderw=${Math.round(layout.fontSize / 4)}` +
+                // Half-open window so a killfeed line moving down never shows twice
+                `:x=${x}:y=${y}:enable='gte(t,${overlay.start.toFixed(3)})*lt(t,${overlay.end.toFixed(3)})'`;
+        });
+    }
+
+    /**
+     * Paths in filter options use forward slashes and escaped drive colons
+     */
+    escapeFilterPath(filePath) {
+        return filePath.replace(/\\/g, '/').replace(/:/g, '\\:').replace(/'/g, "'\\''");
+    }
+}
+
+EventOverlayRenderer.POSITIONS = POSITIONS;
+EventOverlayRenderer.DEFAULT_OPTIONS = DEFAULT_OPTIONS;
+
+module.exports = EventOverlayRenderer;
@@ -0,0 +1,366 @@
+/**
+ * Export Job Manager
+ * Queues video exports and runs them one at a time in the background. Jobs
+ * are persisted to export-jobs.json so a queue survives restarts, report
+ * progress with an ETA, can be paused, cancelled and reprioritised, and can
+ * hand the finished file to the upload queue.
+ *
+ * The export itself is done by the runner given to the constructor,
+ * runner(options, { onProgress, onCommand }) resolving to { success, error }.
+ * FFmpeg can't be suspended on Windows, so pausing a running job stops it and
+ * it starts over when resumed.
+ */
+
+const EventEmitter = require('events');
+const fs = require('fs').promises;
+const path = require('path');
+
+const PRIORITIES = { high: 0, normal: 1, low: 2 };
+const FINISHED_STATUSES = ['completed', 'failed', 'cancelled'];
+const MAX_FINISHED_JOBS = 50;
+
+class ExportJobManager extends EventEmitter {
+    /**
+     * @param {Object} options - { statePath, runner, queueUpload }
+     *   queueUpload({ accountId, filePath, metadata }) resolves to { success, uploadId }
+     */
+    constructor(options) {
+        super();
+        this.statePath = options.statePath;
+        this.runner = options.runner;
+        this.queueUpload = options.queueUpload || null;
+
+        this.jobs = [];
+        this.queuePaused = false;
+        this.runningJob = null;
+        this.runningCommand = null;
+    }
+
+    /**
+     * Restore saved jobs. Jobs that were running when the app closed start
+     * over, and a restored queue stays paused until it is resumed.
+     */
+    async initialize() {
+        try {
+            const state = JSON.parse(await fs.readFile(this.statePath, 'utf8'));
+            this.jobs = (state.jobs || []).map(job => {
+                if (job.status === 'running') {
+                    return { ...job, status: 'queued', progress: 0, eta: null, step: null };
+                }
+                return job;
+            });
+            this.queuePaused = state.queuePaused || this.getPendingJobs().length > 0;
+
+            console.log(`[ExportJobs] Restored ${this.jobs.length} jobs (${this.getPendingJobs().length} pending)`);
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                console.error('[ExportJobs] Failed to load export jobs:', error);
+            }
+        }
+    }
+
+    /**
+     * Queue an export
+     * @param {Object} options - Export options as given to export-video-fluent
+     * @param {Object} settings - { name, priority, upload: { accountId, metadata } }
+     * @returns {Object} The queued job
+     */
+    async addJob(options, settings = {}) {
+        const job = {
+            id: `export_${Date.now()}_${Math.random().toString(36).slice(2, 8)}`,
+            name: settings.name || path.basename(options.outputPath),
+            options,
+            priority: PRIORITIES[settings.priority] !== undefined ? settings.priority : 'normal',
+            upload: settings.upload && settings.upload.accountId ? settings.upload : null,
+            status: 'queued',
+            progress: 0,
+            step: null,
+            eta: null,
+            error: null,
+            uploadId: null,
+            createdAt: Date.now(),
+            startedAt: null,
+            completedAt: null
+        };
+
+        this.jobs.push(job);
+        console.log(`[ExportJobs] Queued ${job.name} (${job.priority} priority)`);
+
+        await this.changed();
+        this.processQueue();
+        return job;
+    }
+
+    /**
+     * Queued jobs in the order they will run, highest priority first then oldest
+     */
+    getPendingJobs() {
+        return this.jobs
+            .filter(job => job.status === 'queued')
+            .sort((a, b) => PRIORITIES[a.priority] - PRIORITIES[b.priority] || a.createdAt - b.createdAt);
+    }
+
+    /**
+     * Start the next job unless one is running or the queue is paused
+     */
+    processQueue() {
+        if (this.queuePaused || this.runningJob) return;
+
+        const job = this.getPendingJobs()[0];
+        if (job) {
+            this.runJob(job);
+        }
+    }
+
+    async runJob(job) {
+        this.runningJob = job;
+        job.status = 'running';
+        job.startedAt = Date.now();
+        job.progress = 0;
+        job.error = null;
+        job.stopRequested = null;
+        await this.changed();
+
+        let result;
+        try {
+            result = await this.runner(job.options, {
+                onProgress: (progress) => this.updateProgress(job, progress),
+                onCommand: (command) => {
+                    // A stop requested between FFmpeg steps ends the export before the next one
+                    if (job.stopRequested) {
+                        throw new Error('Export stopped');
+                    }
+                    this.runningCommand = command;
+                }
+            });
+        } catch (error) {
+            result = { success: false, error: error.message };
+        }
+
+        this.runningJob = null;
+        this.runningCommand = null;
+
+        if (job.stopRequested === 'shutdown') {
+            // Saved as queued by shutdown()
+            return;
+        }
+
+        if (job.stopRequested === 'pause') {
+            job.status = 'paused';
+            job.progress = 0;
+            job.eta = null;
+        } else if (job.stopRequested === 'cancel') {
+            job.status = 'cancelled';
+            job.completedAt = Date.now();
+            // The partial file is of no use
+            await fs.rm(job.options.outputPath, { force: true }).catch(() => {});
+        } else if (result && result.success) {
+            job.status = 'completed';
+            job.progress = 100;
+            job.eta = 0;
+            job.completedAt = Date.now();
+            await this.chainUpload(job);
+        } else {
+            job.status = 'failed';
+            job.error = (result && result.error) || 'Unknown error';
+            job.completedAt = Date.now();
+        }
+        delete job.stopRequested;
+
+        console.log(`[ExportJobs] ${job.name} ${job.status}${job.error ? `: ${job.error}` : ''}`);
+        this.emit('job-finished', job);
+        await this.changed();
+        this.processQueue();
+    }
+
+    /**
+     * Track a running job's progress and estimate the time left from the rate so far
+     */
+    updateProgress(job, progress) {
+        const percent = Math.min(100, Math.max(0, Number(progress.percent) || 0));
+        job.progress = percent;
+        job.step = progress.step || job.step;
+
+        const elapsed = (Date.now() - job.startedAt) / 1000;
+        job.eta = percent > 1 ? Math.round(elapsed / percent * (100 - percent)) : null;
+
+        this.emit('job-progress', { jobId: job.id, progress: job.progress, step: job.step, eta: job.eta });
+    }
+
+    /**
+     * Queue the finished file for upload when the job asked for it
+     */
+    async chainUpload(job) {
+        if (!job.upload || !this.queueUpload) return;
+
+        try {
+            const result = await this.queueUpload({
+                accountId: job.upload.accountId,
+                filePath: job.options.outputPath,
+                metadata: job.upload.metadata || {}
+            });
+            job.uploadId = result && result.uploadId;
+            console.log(`[ExportJobs] Queued ${job.name} for upload`);
+        } catch (error) {
+            console.error('[ExportJobs] Failed to queue upload:', error);
+            job.error = `Upload not queued: ${error.message}`;
+        }
+    }
+
+    /**
+     * Pause a queued job, or stop a running one so it starts over when resumed
+     */
+    async pauseJob(jobId) {
+        const job = this.getJob(jobId);
+        if (job.status === 'queued') {
+            job.status = 'paused';
+            await this.changed();
+        } else if (job.status === 'running') {
+            this.stopRunningJob('pause');
+        }
+        return { success: true };
+    }
+
+    async resumeJob(jobId) {
+        const job = this.getJob(jobId);
+        if (job.status === 'paused' || job.status === 'failed') {
+            job.status = 'queued';
+            job.error = null;
+            await this.changed();
+            this.processQueue();
+        }
+        return { success: true };
+    }
+
+    async cancelJob(jobId) {
+        const job = this.getJob(jobId);
+        if (job.status === 'queued' || job.status === 'paused') {
+            job.status = 'cancelled';
+            job.completedAt = Date.now();
+            await this.changed();
+        } else if (job.status === 'running') {
+            this.stopRunningJob('cancel');
+        }
+        return { success: true };
+    }
+
+    async setPriority(jobId, priority) {
+        if (PRIORITIES[priority] === undefined) {
+            throw new Error(`Unknown priority: ${priority}`);
+        }
+
+        this.getJob(jobId).priority = priority;
+        await this.changed();
+        return { success: true };
+    }
+
+    /**
+     * Remove a job that isn't running
+     */
+    async removeJob(jobId) {
+        const job = this.getJob(jobId);
+        if (job.status === 'running') {
+            throw new Error('Cancel the export before removing it');
+        }
+
+        this.jobs = this.jobs.filter(j => j.id !== jobId);
+        await this.changed();
+        return { success: true };
+    }
+
+    async clearFinished() {
+        this.jobs = this.jobs.filter(job => !FINISHED_STATUSES.includes(job.status));
+        await this.changed();
+        return { success: true };
+    }
+
+    /**
+     * Pausing the queue lets the running job finish but starts no new ones
+     */
+    async pauseQueue() {
+        this.queuePaused = true;
+        await this.changed();
+        return { success: true };
+    }
+
+    async resumeQueue() {
+        this.queuePaused = false;
+        await this.changed();
+        this.processQueue();
+        return { success: true };
+    }
+
+    stopRunningJob(reason) {
+        const job = this.runningJob;
+        if (!job) return;
+
+        job.stopRequested = reason;
+        if (this.runningCommand) {
+            this.runningCommand.kill('SIGKILL');
+        }
+    }
+
+    getJob(jobId) {
+        const job = this.jobs.find(j => j.id === jobId);
+        if (!job) {
+            throw new Error(`Export job ${jobId} not found`);
+        }
+        return job;
+    }
+
+    getState() {
+        return {
+            queuePaused: this.queuePaused,
+            jobs: this.jobs.map(job => {
+                const { options, stopRequested, ...summary } = job;
+                return { ...summary, outputPath: options.outputPath };
+            })
+        };
+    }
+
+    /**
+     * Save and announce a change, finished jobs beyond the history limit are dropped
+     */
+    async changed() {
+        const finished = this.jobs.filter(job => FINISHED_STATUSES.includes(job.status));
+        if (finished.length > MAX_FINISHED_JOBS) {
+            const dropped = new Set(finished
+                .sort((a, b) => a.completedAt - b.completedAt)
+                .slice(0, finished.length - MAX_FINISHED_JOBS)
+                .map(job => job.id));
+            this.jobs = this.jobs.filter(job => !dropped.has(job.id));
+        }
+
+        this.emit('state-changed', this.getState());
+        await this.saveState();
+    }
+
+    async saveState() {
+        try {
+            await fs.mkdir(path.dirname(this.statePath), { recursive: true });
+            const jobs = this.jobs.map(({ stopRequested, ...job }) => job);
+            await fs.writeFile(this.statePath, JSON.stringify({
+                jobs,
+                queuePaused: this.queuePaused,
+                savedAt: Date.now()
+            }, null, 2));
+        } catch (error) {
+            console.error('[ExportJobs] Failed to save export jobs:', error);
+        }
+    }
+
+    /**
+     * Stop the running export, it is queued again on the next start
+     */
+    async shutdown() {
+        if (this.runningJob) {
+            Object.assign(this.runningJob, { status: 'queued', progress: 0, eta: null, step: null });
+            this.stopRunningJob('shutdown');
+        }
+        await this.saveState();
+    }
+}
+
+ExportJobManager.PRIORITIES = PRIORITIES;
+
+module.exports = ExportJobManager;
@@ -0,0 +1,326 @@
+/**
+ * Export Presets
+ * Named export targets (YouTube, Discord, Twitter/X, archive) and the
+ * translation of a preset into FFmpeg settings for one export: encoder,
+ * rate control, scaling, frame rate, audio mix and duration limit.
+ *
+ * Presets name a codec family (h264/h265/av1) rather than an encoder. The
+ * encoder is resolved against the encoders FFmpegDetector found, preferring
+ * hardware encoders unless the preset asks for software or a specific one.
+ * Size capped presets use two-pass encoding when the encoder supports it and
+ * a capped bitrate otherwise. An output that still overshoots is re-encoded at
+ * a bitrate lowered by the overshoot (see retarget).
+ */
+
+const SOFTWARE_ENCODERS = {
+    h264: ['libx264'],
+    h265: ['libx265'],
+    av1: ['libsvtav1', 'libaom-av1']
+};
+
+const HARDWARE_ENCODERS = {
+    h264: ['h264_nvenc', 'h264_amf', 'h264_qsv'],
+    h265: ['hevc_nvenc', 'hevc_amf', 'hevc_qsv'],
+    av1: ['av1_nvenc', 'av1_amf', 'av1_qsv']
+};
+
+// Encoders whose ffmpeg wrapper supports -pass/-passlogfile
+const TWO_PASS_ENCODERS = ['libx264', 'libaom-av1'];
+
+const AUDIO_CODECS = { aac: 'aac', opus: 'libopus', copy: 'copy' };
+
+// Share of a size target left for the container and muxing overhead
+const SIZE_OVERHEAD = 0.04;
+
+// Lowest video bitrate (kbps) a size target may ask for
+const MIN_VIDEO_BITRATE = 150;
+
+const BUILTIN_PRESETS = [
+    {
+        id: 'youtube-1440p60-h264',
+        name: 'YouTube 1440p60 H.264',
+        container: 'mp4',
+        video: { codec: 'h264', encoder: 'auto', height: 1440, fps: 60, bitrate: 24000 },
+        audio: { mix: 'first', codec: 'aac', bitrate: 384 }
+    },
+    {
+        id: 'discord-25mb',
+        name: 'Discord <25MB',
+        container: 'mp4',
+        video: { codec: 'h264', encoder: 'software', height: 720, fps: 60, targetSizeMB: 25 },
+        audio: { mix: 'first', codec: 'aac', bitrate: 128 }
+    },
+    {
+        id: 'twitter-x',
+        name: 'Twitter/X 2:20 max',
+        container: 'mp4',
+        video: { codec: 'h264', encoder: 'auto', height: 1080, fps: 60, bitrate: 8000 },
+        audio: { mix: 'first', codec: 'aac', bitrate: 128 },
+        maxDuration: 140
+    },
+    {
+        id: 'archive-hevc',
+        name: 'Archive HEVC',
+        container: 'mkv',
+        video: { codec: 'h265', encoder: 'auto', quality: 20 },
+        audio: { mix: 'all', codec: 'copy' }
+    },
+    {
+        id: 'archive-av1',
+        name: 'Archive AV1',
+        container: 'mkv',
+        video: { codec: 'av1', encoder: 'auto', quality: 28 },
+        audio: { mix: 'all', codec: 'copy' }
+    }
+];
+
+class ExportPresets {
+    /**
+     * Built-in presets followed by the user's saved presets
+     * @param {Object} userPresets - Saved presets keyed by id
+     */
+    list(userPresets = {}) {
+        return [
+            ...BUILTIN_PRESETS.map(preset => ({ ...this.normalizePreset(preset), builtin: true })),
+            ...Object.values(userPresets).map(preset => ({ ...this.normalizePreset(preset), builtin: false }))
+        ];
+    }
+
+    /**
+     * Fill in defaults and drop combinations FFmpeg can't write
+     */
+    normalizePreset(preset) {
+        const video = { codec: 'h264', encoder: 'auto', height: null, fps: null, quality: 23, bitrate: null, targetSizeMB: null, ...preset.video };
+        const audio = { mix: 'first', codec: 'aac', bitrate: 192, ...preset.audio };
+        let container = ['mp4', 'mkv', 'mov', 'webm'].includes(preset.container) ? preset.container : 'mp4';
+
+        if (!SOFTWARE_ENCODERS[video.codec]) {
+            video.codec = 'h264';
+        }
+        // WebM only holds VP8/VP9/AV1 video and Opus/Vorbis audio
+        if (container === 'webm') {
+            if (video.codec !== 'av1') container = 'mkv';
+            else if (audio.codec !== 'copy') audio.codec = 'opus';
+        }
+        // Mixing tracks together always re-encodes
+        if (audio.mix === 'mixdown' && audio.codec === 'copy') {
+            audio.codec = 'aac';
+        }
+
+        return {
+            id: preset.id || this.createId(preset.name),
+            name: preset.name || 'Untitled preset',
+            container,
+            video,
+            audio,
+            maxDuration: Number(preset.maxDuration) > 0 ? Number(preset.maxDuration) : null
+        };
+    }
+
+    createId(name = 'preset') {
+        return `user-${String(name).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'preset'}`;
+    }
+
+    /**
+     * Pick the encoder for a preset's codec
+     * @param {Object} video - Preset video settings
+     * @param {Object} available - FFmpegDetector capabilities.encoders, null when not detected
+     * @returns {string} FFmpeg encoder name
+     */
+    resolveEncoder(video, available = null) {
+        const software = SOFTWARE_ENCODERS[video.codec];
+        const hardware = HARDWARE_ENCODERS[video.codec];
+        const detected = available ? available[video.codec] || [] : null;
+        const isAvailable = (encoder) => !detected || detected.includes(encoder);
+
+        // A specific encoder that isn't available falls back to auto
+        if (video.encoder && video.encoder !== 'auto' && video.encoder !== 'software' && isAvailable(video.encoder)) {
+            return video.encoder;
+        }
+
+        // Without detection results only software encoders are assumed
+        if (video.encoder !== 'software' && detected) {
+            const hardwareEncoder = hardware.find(encoder => detected.includes(encoder));
+            if (hardwareEncoder) return hardwareEncoder;
+        }
+
+        return software.find(isAvailable) || software[0];
+    }
+
+    /**
+     * Work out the FFmpeg settings for exporting a range with a preset
+     * @param {Object} preset - Preset to export with
+     * @param {Object} source - { duration, height, fps, audioTracks } of the range being exported
+     * @param {Object} options - { encoders, allowTwoPass }
+     * @returns {Object} { encoder, videoOptions, videoFilters, twoPass, videoBitrate, audioCodec,
+     *                     audioOptions, audioMix, trimTo, duration, targetBytes, estimatedSizeMB, warnings }
+     */
+    plan(preset, source = {}, options = {}) {
+        preset = this.normalizePreset(preset);
+        const { video, audio } = preset;
+        const warnings = [];
+
+        const encoder = this.resolveEncoder(video, options.encoders || null);
+
+        let duration = source.duration || null;
+        let trimTo = null;
+        if (preset.maxDuration && duration && duration > preset.maxDuration) {
+            trimTo = preset.maxDuration;
+            duration = preset.maxDuration;
+            warnings.push(`${preset.name} allows ${this.formatDuration(preset.maxDuration)}, the export is trimmed to that length`);
+        }
+
+        const audioCodec = AUDIO_CODECS[audio.codec] || 'aac';
+        const audioBitrate = audioCodec === 'copy' ? 0 : audio.bitrate;
+        const audioTracks = audio.mix === 'all' ? Math.max(1, source.audioTracks || 1) : 1;
+
+        // Size targets become a bitrate for the known duration
+        let videoBitrate = video.bitrate || null;
+        let twoPass = false;
+        if (video.targetSizeMB) {
+            if (!duration) {
+                warnings.push('Video length is unknown, the size target can\'t be met exactly');
+            } else {
+                const totalKbps = video.targetSizeMB * 8000 * (1 - SIZE_OVERHEAD) / duration;
+                videoBitrate = Math.floor(totalKbps - audioBitrate * audioTracks);
+                if (videoBitrate < MIN_VIDEO_BITRATE) {
+                    warnings.push(`${this.formatDuration(duration)} is too long to fit in ${video.targetSizeMB} MB at watchable quality`);
+                    videoBitrate = MIN_VIDEO_BITRATE;
+                }
+                twoPass = options.allowTwoPass !== false && TWO_PASS_ENCODERS.includes(encoder);
+            }
+        }
+
+        const videoFilters = [];
+        if (video.height && (!source.height || source.height > video.height)) {
+            videoFilters.push(`scale=-2:${video.height}`);
+        }
+        if (video.fps && (!source.fps || source.fps > video.fps)) {
+            videoFilters.push(`fps=${video.fps}`);
+        }
+
+        let audioMix = audio.mix;
+        if (audioMix === 'mixdown' && source.audioTracks !== undefined && source.audioTracks < 2) {
+            audioMix = 'first';
+        }
+
+        const audioOptions = audioCodec === 'copy' ? [] : ['-b:a', `${audioBitrate}k`];
+
+        let estimatedSizeMB = null;
+        if (duration && videoBitrate) {
+            estimatedSizeMB = (videoBitrate + audioBitrate * audioTracks) * duration / 8000;
+        }
+
+        return {
+            preset,
+            encoder,
+            videoOptions: [...this.buildRateControl(encoder, video.quality, videoBitrate), '-pix_fmt', 'yuv420p'],
+            videoFilters,
+            twoPass,
+            videoBitrate,
+            audioCodec,
+            audioOptions,
+            audioMix,
+            audioTracks: source.audioTracks,
+            trimTo,
+            duration,
+            targetBytes: video.targetSizeMB && duration ? video.targetSizeMB * 1000 * 1000 : null,
+            estimatedSizeMB,
+            warnings
+        };
+    }
+
+    /**
+     * Lower the bitrate of a size capped plan after its output came out too big
+     * @param {Object} plan - From plan(), updated in place
+     * @param {number} actualBytes - Size of the overshooting output
+     * @returns {boolean} False when the bitrate can't go any lower
+     */
+    retarget(plan, actualBytes) {
+        if (!plan.targetBytes || !plan.duration || actualBytes <= plan.targetBytes) {
+            return false;
+        }
+
+        // Take the overshoot off the video bitrate, plus 2% of the target as headroom
+        const overshootKbps = (actualBytes - plan.targetBytes) * 8 / 1000 / plan.duration;
+        const headroomKbps = plan.targetBytes * 8 / 1000 / plan.duration * 0.02;
+        const videoBitrate = Math.floor(plan.videoBitrate - overshootKbps - headroomKbps);
+        if (videoBitrate < MIN_VIDEO_BITRATE || videoBitrate >= plan.videoBitrate) {
+            return false;
+        }
+
+        plan.videoBitrate = videoBitrate;
+        plan.videoOptions = [...this.buildRateControl(plan.encoder, plan.preset.video.quality, videoBitrate), '-pix_fmt', 'yuv420p'];
+        return true;
+    }
+
+    /**
+     * Quality (CRF-like) or bitrate options in each encoder's own terms
+     */
+    buildRateControl(encoder, quality, bitrate) {
+        const q = String(quality);
+
+        if (bitrate) {
+            const rate = [`-b:v`, `${bitrate}k`, '-maxrate', `${bitrate}k`, '-bufsize', `${bitrate * 2}k`];
+            if (encoder.endsWith('_nvenc')) return ['-rc', 'vbr', ...rate, '-preset', 'p5'];
+            if (encoder.endsWith('_amf')) return ['-rc', 'vbr_peak', ...rate];
+            if (encoder.endsWith('_qsv')) return rate;
+            if (encoder === 'libsvtav1') return [...rate, '-preset', '8'];
+            if (encoder === 'libaom-av1') return [...rate, '-cpu-used', '6'];
+            return [...rate, '-preset', 'medium'];
+        }
+
+        if (encoder.endsWith('_nvenc')) return ['-rc', 'vbr', '-cq', q, '-b:v', '0', '-preset', 'p5'];
+        if (encoder.endsWith('_amf')) return ['-rc', 'cqp', '-qp_i', q, '-qp_p', q];
+        if (encoder.endsWith('_qsv')) return ['-global_quality', q];
+        if (encoder === 'libsvtav1') return ['-crf', q, '-preset', '8'];
+        if (encoder === 'libaom-av1') return ['-crf', q, '-b:v', '0', '-cpu-used', '6'];
+        return ['-crf', q, '-preset', 'medium'];
+    }
+
+    /**
+     * Options selecting a pass of a two-pass encode
+     */
+    passOptions(pass, logFile) {
+        return ['-pass', String(pass), '-passlogfile', logFile];
+    }
+
+    formatDuration(seconds) {
+        const minutes = Math.floor(seconds / 60);
+        const secs = Math.floor(seconds % 60);
+        return `${minutes}:${secs.toString().padStart(2, '0')}`;
+    }
+
+    /**
+     * Length, height, frame rate and audio track count of a source video
+     * @returns {Promise<Object>} { duration, height, fps, audioTracks }
+     */
+    probe(videoPath) {
+        const ffmpeg = require('fluent-ffmpeg');
+
+        return new Promise((resolve, reject) => {
+            ffmpeg.ffprobe(videoPath, (err, metadata) => {
+                if (err) {
+                    reject(new Error(`Could not probe ${require('path').basename(videoPath)}: ${err.message}`));
+                    return;
+                }
+
+                const video = metadata.streams.find(stream => stream.codec_type === 'video') || {};
+                const [num, den] = String(video.avg_frame_rate || '0/1').split('/').map(Number);
+
+                resolve({
+                    duration: Number(metadata.format.duration) || null,
+                    height: video.height || null,
+                    fps: den ? Math.round(num / den) || null : null,
+                    audioTracks: metadata.streams.filter(stream => stream.codec_type === 'audio').length
+                });
+            });
+        });
+    }
+}
+
+ExportPresets.BUILTIN_PRESETS = BUILTIN_PRESETS;
+ExportPresets.SOFTWARE_ENCODERS = SOFTWARE_ENCODERS;
+ExportPresets.HARDWARE_ENCODERS = HARDWARE_ENCODERS;
+
+module.exports = ExportPresets;
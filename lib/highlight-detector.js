@@ -0,0 +1,316 @@
+/**
+ * Highlight Detector
+ * Suggests highlight regions in a recording from the picture and sound alone,
+ * for the moments Game.log has no event for (near misses, landings, big
+ * explosions).
+ *
+ * One FFmpeg pass logs the scene change score of every analysed frame and the
+ * RMS level of every 100ms of the first audio track. From those:
+ * - audio spikes are windows well above the loudness of the seconds before
+ * - explosions are audio spikes that land on a flash or sudden scene change
+ * - fast motion is a sustained high scene score
+ * - scene cuts are single frame jumps (quantum exits, respawns, hard cuts)
+ *
+ * Suggestions are { id, type, label, start, end, peakTime, score, reason } with
+ * times in video seconds and score from 0 to 1. They're cached next to the
+ * recording as <name>_highlights.json.
+ */
+
+const ffmpeg = require('fluent-ffmpeg');
+const path = require('path');
+const fs = require('fs').promises;
+
+const TYPES = {
+    explosion: { label: 'Explosion', priority: 0 },
+    audio_spike: { label: 'Audio Spike', priority: 1 },
+    motion: { label: 'Fast Motion', priority: 2 },
+    scene_cut: { label: 'Scene Cut', priority: 3 }
+};
+
+const ANALYSIS_FPS = 5;
+const AUDIO_WINDOW = 0.1; // Seconds per RMS reading
+
+class HighlightDetector {
+    constructor(options = {}) {
+        this.spikeThreshold = 12; // dB above the recent baseline
+        this.minSpikeLevel = -35; // dB, quieter spikes are ignored
+        this.baselineWindow = 10; // Seconds of audio the baseline is taken from
+        this.sceneCutThreshold = 0.4;
+        this.motionThreshold = 0.12; // Mean scene score over motionWindow
+        this.motionWindow = 2;
+        this.before = 2; // Seconds kept before a suggestion's first trigger
+        this.after = 3; // And after its last
+        this.eventGap = 3; // Suggestions this close to a logged event are dropped
+        this.maxSuggestions = 50;
+        this.ffmpegPath = null;
+        this.ffprobePath = null;
+
+        this.configure(options);
+    }
+
+    /**
+     * @param {Object} options - Any of the thresholds above plus ffmpegPath, ffprobePath
+     */
+    configure(options = {}) {
+        for (const key of ['spikeThreshold', 'minSpikeLevel', 'baselineWindow', 'sceneCutThreshold',
+            'motionThreshold', 'motionWindow', 'before', 'after', 'eventGap', 'maxSuggestions']) {
+            if (options[key] !== undefined && !isNaN(Number(options[key]))) {
+                this[key] = Number(options[key]);
+            }
+        }
+        if (options.ffmpegPath) {
+            this.ffmpegPath = options.ffmpegPath;
+            this.ffprobePath = options.ffprobePath || options.ffmpegPath.replace(/ffmpeg(\.exe)?$/i, 'ffprobe$1');
+        }
+    }
+
+    getCachePath(videoPath) {
+        const parsed = path.parse(videoPath);
+        return path.join(parsed.dir, `${parsed.name}_highlights.json`);
+    }
+
+    /**
+     * Analyse a recording and cache the suggestions
+     * @param {string} videoPath
+     * @param {Object} options - { eventOffsets: video offsets of logged events, onProgress }
+     * @returns {Promise<Object>} { success, suggestions, duration }
+     */
+    async analyze(videoPath, options = {}) {
+        this.setFFmpegPaths();
+
+        const metadata = await new Promise((resolve, reject) => {
+            ffmpeg.ffprobe(videoPath, (err, data) => err ? reject(err) : resolve(data));
+        });
+        const duration = Number(metadata.format.duration) || 0;
+        const hasAudio = metadata.streams.some(stream => stream.codec_type === 'audio');
+
+        console.log(`[HighlightDetector] Analysing ${path.basename(videoPath)} (${Math.round(duration)}s)`);
+        const readings = await this.readSignals(videoPath, duration, hasAudio, options.onProgress);
+
+        const suggestions = this.findHighlights({ ...readings, duration, eventOffsets: options.eventOffsets });
+        console.log(`[HighlightDetector] ${suggestions.length} suggestions from ${readings.scenes.length} frames and ${readings.audio.length} audio windows`);
+
+        await fs.writeFile(this.getCachePath(videoPath), JSON.stringify({
+            videoPath,
+            analyzedAt: new Date().toISOString(),
+            suggestions
+        }, null, 2));
+
+        return { success: true, suggestions, duration };
+    }
+
+    /**
+     * Run the analysis pass, the metadata filters log their readings on stderr
+     * @returns {Promise<Object>} { scenes: [{ time, score }], audio: [{ time, level }] }
+     */
+    readSignals(videoPath, duration, hasAudio, onProgress) {
+        const scenes = [];
+        const audio = [];
+        const lastTime = {};
+
+        const filters = [`[0:v]fps=${ANALYSIS_FPS},scale=320:-2,select='gte(scene,0)',metadata=print:key=lavfi.scene_score[v]`];
+        const outputOptions = ['-map', '[v]'];
+        if (hasAudio) {
+            filters.push(`[0:a:0]aresample=8000,asetnsamples=n=${Math.round(8000 * AUDIO_WINDOW)}:p=0,` +
+                'astats=metadata=1:reset=1,ametadata=print:key=lavfi.astats.Overall.RMS_level[a]');
+            outputOptions.push('-map', '[a]');
+        }
+
+        return new Promise((resolve, reject) => {
+            const command = ffmpeg(videoPath)
+                .complexFilter(filters.join(';'))
+                .outputOptions(outputOptions)
+                .format('null')
+                .output(process.platform === 'win32' ? 'NUL' : '/dev/null');
+
+            command.on('stderr', (line) => {
+                const match = line.match(/^\[Parsed_(a?)metadata_\d+ @ [^\]]+\] (.*)$/);
+                if (!match) return;
+
+                const kind = match[1] ? 'audio' : 'video';
+                const text = match[2];
+                const time = text.match(/pts_time:(\S+)/);
+                if (time) {
+                    lastTime[kind] = parseFloat(time[1]);
+                    return;
+                }
+
+                const score = text.match(/lavfi\.scene_score=([\d.]+)/);
+                if (score) {
+                    scenes.push({ time: lastTime.video, score: parseFloat(score[1]) });
+                }
+                const level = text.match(/RMS_level=(\S+)/);
+                if (level) {
+                    // Silence is logged as -inf
+                    audio.push({ time: lastTime.audio, level: Math.max(-100, parseFloat(level[1]) || -100) });
+                }
+            });
+
+            command.on('progress', (progress) => {
+                if (onProgress && duration > 0 && progress.timemark) {
+                    const [h, m, s] = progress.timemark.split(':').map(parseFloat);
+                    onProgress({ percent: Math.min(100, (h * 3600 + m * 60 + s) / duration * 100) });
+                }
+            });
+
+            command.on('error', (err) => reject(err));
+            command.on('end', () => resolve({ scenes, audio }));
+
+            command.run();
+        });
+    }
+
+    /**
+     * Turn the readings into suggestions
+     * @param {Object} signals - { scenes, audio, duration, eventOffsets }
+     * @returns {Array} Suggestions sorted by time
+     */
+    findHighlights({ scenes, audio, duration, eventOffsets = [] }) {
+        const triggers = [
+            ...this.findAudioSpikes(audio, scenes),
+            ...this.findMotion(scenes),
+            ...scenes
+                .filter(frame => frame.score >= this.sceneCutThreshold)
+                .map(frame => ({ type: 'scene_cut', start: frame.time, end: frame.time, peakTime: frame.time, score: frame.score }))
+        ];
+
+        // Overlapping triggers become one suggestion named after the strongest kind
+        const regions = [];
+        triggers
+            .map(trigger => ({
+                ...trigger,
+                start: Math.max(0, trigger.start - this.before),
+                end: Math.min(duration || Infinity, trigger.end + this.after)
+            }))
+            .sort((a, b) => a.start - b.start)
+            .forEach(trigger => {
+                const previous = regions[regions.length - 1];
+                if (previous && trigger.start <= previous.end) {
+                    previous.end = Math.max(previous.end, trigger.end);
+                    previous.triggers.push(trigger);
+                } else {
+                    regions.push({ start: trigger.start, end: trigger.end, triggers: [trigger] });
+                }
+            });
+
+        const suggestions = regions.map(region => {
+            const main = region.triggers.reduce((best, trigger) =>
+                TYPES[trigger.type].priority < TYPES[best.type].priority ||
+                (trigger.type === best.type && trigger.score > best.score) ? trigger : best);
+            const kinds = [...new Set(region.triggers.map(trigger => TYPES[trigger.type].label))];
+
+            return {
+                id: `hl_${Math.round(region.start * 1000)}`,
+                type: main.type,
+                label: TYPES[main.type].label,
+                start: Math.round(region.start * 100) / 100,
+                end: Math.round(region.end * 100) / 100,
+                peakTime: Math.round(main.peakTime * 100) / 100,
+                score: Math.round(Math.min(1, Math.max(...region.triggers.map(trigger => trigger.score))) * 100) / 100,
+                reason: kinds.join(' + ')
+            };
+        });
+
+        // Logged events already cover their moments
+        return suggestions
+            .filter(suggestion => !eventOffsets.some(offset =>
+                offset >= suggestion.start - this.eventGap && offset <= suggestion.end + this.eventGap))
+            .sort((a, b) => b.score - a.score)
+            .slice(0, this.maxSuggestions)
+            .sort((a, b) => a.start - b.start);
+    }
+
+    /**
+     * Runs of audio windows well above the baseline, explosions when a scene
+     * change lands within half a second of the loudest window
+     */
+    findAudioSpikes(audio, scenes) {
+        const windowsPerBaseline = Math.round(this.baselineWindow / AUDIO_WINDOW);
+        const spikes = [];
+        let current = null;
+
+        audio.forEach((reading, index) => {
+            const history = audio.slice(Math.max(0, index - windowsPerBaseline), index).map(r => r.level).sort((a, b) => a - b);
+            // Median of the recent past, so one loud moment doesn't raise its own bar
+            const baseline = history.length > 0 ? history[Math.floor(history.length / 2)] : reading.level;
+            const excess = reading.level - baseline;
+
+            if (reading.level >= this.minSpikeLevel && excess >= this.spikeThreshold) {
+                if (current && reading.time - current.end <= AUDIO_WINDOW * 1.5) {
+                    current.end = reading.time;
+                    if (excess > current.excess) {
+                        current.excess = excess;
+                        current.peakTime = reading.time;
+                    }
+                } else {
+                    current = { start: reading.time, end: reading.time, peakTime: reading.time, excess };
+                    spikes.push(current);
+                }
+            }
+        });
+
+        return spikes.map(spike => {
+            const flash = scenes.some(frame =>
+                Math.abs(frame.time - spike.peakTime) <= 0.5 && frame.score >= this.sceneCutThreshold / 2);
+            const score = Math.min(1, spike.excess / (this.spikeThreshold * 2));
+
+            return {
+                type: flash ? 'explosion' : 'audio_spike',
+                start: spike.start,
+                end: spike.end,
+                peakTime: spike.peakTime,
+                score: flash ? Math.min(1, score + 0.2) : score
+            };
+        });
+    }
+
+    /**
+     * Stretches where the mean scene score stays above the motion threshold.
+     * Scene cuts are left out of the mean so one hard cut doesn't read as motion.
+     */
+    findMotion(scenes) {
+        const frames = Math.max(1, Math.round(this.motionWindow * ANALYSIS_FPS));
+        const stretches = [];
+        let current = null;
+
+        for (let i = 0; i + frames <= scenes.length; i++) {
+            const window = scenes.slice(i, i + frames).filter(frame => frame.score < this.sceneCutThreshold);
+            if (window.length < frames / 2) continue;
+
+            const mean = window.reduce((sum, frame) => sum + frame.score, 0) / window.length;
+            if (mean >= this.motionThreshold) {
+                const start = scenes[i].time;
+                const end = scenes[i + frames - 1].time;
+                if (current && start <= current.end) {
+                    current.end = end;
+                    if (mean > current.mean) {
+                        current.mean = mean;
+                        current.peakTime = (start + end) / 2;
+                    }
+                } else {
+                    current = { start, end, mean, peakTime: (start + end) / 2 };
+                    stretches.push(current);
+                }
+            }
+        }
+
+        return stretches.map(stretch => ({
+            type: 'motion',
+            start: stretch.start,
+            end: stretch.end,
+            peakTime: stretch.peakTime,
+            score: Math.min(1, stretch.mean / (this.motionThreshold * 2.5))
+        }));
+    }
+
+    setFFmpegPaths() {
+        if (this.ffmpegPath) {
+            ffmpeg.setFfmpegPath(this.ffmpegPath);
+            ffmpeg.setFfprobePath(this.ffprobePath);
+        }
+    }
+}
+
+HighlightDetector.TYPES = TYPES;
+
+module.exports = HighlightDetector;
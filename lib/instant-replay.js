@@ -0,0 +1,203 @@
+/**
+ * Instant Replay
+ * Saves the last N seconds of a shadow-play recording as one clip. The
+ * supervisor splits the recording first so the current file is closed, then
+ * the tail of the previous segment and the closed segment are cut with
+ * FFmpeg stream copy and joined with the concat demuxer.
+ *
+ * Events from every part are rebased onto the replay's timeline and saved
+ * next to it, so the clip opens in post-processing like any recording.
+ */
+
+const ffmpeg = require('fluent-ffmpeg');
+const path = require('path');
+const fs = require('fs').promises;
+const AutoClipper = require('./auto-clipper');
+const EventCaptureManager = require('./event-capture-manager');
+
+class InstantReplay {
+    constructor(options = {}) {
+        // Stream copy cutting and timecodes are shared with the auto clipper
+        this.clipper = options.clipper || new AutoClipper(options);
+        // Events files are written the way recordings write them
+        this.eventCapture = options.eventCapture || new EventCaptureManager();
+    }
+
+    /**
+     * Work out which part of which segment covers the replay window
+     * @param {Array} segments - Closed segments, oldest first:
+     *                           [{ videoPath, eventsPath, startTimestamp, endTimestamp }]
+     * @param {number} endTimestamp - End of the replay (ms)
+     * @param {number} seconds - Replay length
+     * @returns {Array} [{ segment, start, end }] with start/end in seconds into the segment
+     */
+    planParts(segments, endTimestamp, seconds) {
+        const windowStart = endTimestamp - seconds * 1000;
+        const parts = [];
+
+        for (const segment of segments) {
+            const from = Math.max(windowStart, segment.startTimestamp);
+            const to = Math.min(endTimestamp, segment.endTimestamp);
+            if (to - from < 100) continue; // Skip slivers under 0.1s
+
+            parts.push({
+                segment,
+                start: (from - segment.startTimestamp) / 1000,
+                end: (to - segment.startTimestamp) / 1000
+            });
+        }
+
+        return parts;
+    }
+
+    /**
+     * Cut and join the replay
+     * @param {Object} options - { segments, endTimestamp, seconds, outputDir }
+     * @returns {Promise<Object>} { success, videoPath, eventsPath, duration, eventCount }
+     */
+    async save({ segments, endTimestamp, seconds, outputDir }) {
+        const parts = this.planParts(segments, endTimestamp, seconds);
+        if (parts.length === 0) {
+            throw new Error('No recorded video covers the replay window');
+        }
+
+        this.clipper.setFFmpegPaths();
+        await fs.mkdir(outputDir, { recursive: true });
+
+        const ext = path.extname(parts[parts.length - 1].segment.videoPath);
+        const name = `replay_${this.formatFileTimestamp(new Date(endTimestamp))}`;
+        const videoPath = path.join(outputDir, `${name}${ext}`);
+        const eventsPath = path.join(outputDir, `${name}.json`);
+
+        console.log(`[InstantReplay] Saving last ${seconds}s from ${parts.length} segment(s) to ${videoPath}`);
+
+        if (parts.length === 1) {
+            const [part] = parts;
+            await this.clipper.cutClip(part.segment.videoPath, part.start, part.end - part.start, videoPath);
+        } else {
+            await this.joinParts(parts, videoPath, ext);
+        }
+
+        const data = await this.buildReplayData(parts, seconds, endTimestamp);
+        await this.eventCapture.writeJsonAtomic(eventsPath, data);
+
+        console.log(`[InstantReplay] Saved replay with ${data.events.length} events`);
+
+        return {
+            success: true,
+            videoPath,
+            eventsPath,
+            duration: data.metadata.recordingDuration,
+            eventCount: data.events.length
+        };
+    }
+
+    /**
+     * Cut each part to a temporary file and concatenate them without re-encoding
+     */
+    async joinParts(parts, outputPath, ext) {
+        const tempFiles = [];
+        const listPath = `${outputPath}.parts.txt`;
+
+        try {
+            for (let i = 0; i < parts.length; i++) {
+                const part = parts[i];
+                const tempPath = `${outputPath}.part${i}${ext}`;
+                await this.clipper.cutClip(part.segment.videoPath, part.start, part.end - part.start, tempPath);
+                tempFiles.push(tempPath);
+            }
+
+            // Concat demuxer list, quotes in paths are escaped as '\''
+            const list = tempFiles
+                .map(file => `file '${file.replace(/\\/g, '/').replace(/'/g, "'\\''")}'`)
+                .join('\n');
+            await fs.writeFile(listPath, list, 'utf8');
+
+            await new Promise((resolve, reject) => {
+                ffmpeg()
+                    .input(listPath)
+                    .inputOptions(['-f', 'concat', '-safe', '0'])
+                    .outputOptions(['-map', '0', '-c', 'copy'])
+                    .on('error', (err) => reject(new Error(`Replay join failed: ${err.message}`)))
+                    .on('end', () => resolve(outputPath))
+                    .save(outputPath);
+            });
+        } finally {
+            for (const file of [...tempFiles, listPath]) {
+                await fs.unlink(file).catch(() => {});
+            }
+        }
+    }
+
+    /**
+     * Events JSON for the replay, each part's events shifted by the video before it
+     */
+    async buildReplayData(parts, seconds, endTimestamp) {
+        const events = [];
+        const seen = new Set();
+        let metadata = {};
+        let partOffset = 0;
+
+        for (const part of parts) {
+            let data = null;
+            try {
+                data = JSON.parse(await fs.readFile(part.segment.eventsPath, 'utf8'));
+            } catch (error) {
+                console.warn(`[InstantReplay] No events for ${part.segment.videoPath}: ${error.message}`);
+            }
+
+            if (data) {
+                metadata = data.metadata || metadata;
+
+                for (const event of data.events || []) {
+                    if (typeof event.videoOffset !== 'number') continue;
+                    if (event.videoOffset < part.start || event.videoOffset > part.end) continue;
+
+                    // The original of a boundary copy is in the next segment at its real offset
+                    if (event.boundaryCopy || seen.has(event.id)) continue;
+                    seen.add(event.id);
+
+                    const videoOffset = partOffset + event.videoOffset - part.start;
+                    events.push({
+                        ...event,
+                        videoOffset,
+                        videoTimecode: this.clipper.formatTimecode(videoOffset),
+                        thumbnail: null
+                    });
+                }
+            }
+
+            partOffset += part.end - part.start;
+        }
+
+        events.sort((a, b) => a.videoOffset - b.videoOffset);
+
+        return {
+            metadata: {
+                ...metadata,
+                recordingStartTime: new Date(endTimestamp - partOffset * 1000).toISOString(),
+                recordingDuration: partOffset,
+                eventCount: events.length,
+                replay: {
+                    requestedSeconds: seconds,
+                    sources: parts.map(part => ({
+                        file: path.basename(part.segment.videoPath),
+                        start: part.start,
+                        end: part.end
+                    }))
+                },
+                savedAt: new Date().toISOString(),
+                videoThumbnail: null
+            },
+            events
+        };
+    }
+
+    formatFileTimestamp(date) {
+        const pad = (value) => String(value).padStart(2, '0');
+        return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}_` +
+            `${pad(date.getHours())}-${pad(date.getMinutes())}-${pad(date.getSeconds())}`;
+    }
+}
+
+module.exports = InstantReplay;
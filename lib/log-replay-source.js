@@ -0,0 +1,135 @@
+const EventEmitter = require('events');
+const fs = require('fs').promises;
+const { SystemClock } = require('./replay-clock');
+
+// Game.log lines start with <2024-01-01T12:00:00.000Z>
+const LINE_TIMESTAMP_REGEX = /^<(\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}\.\d{3}Z)>/;
+
+/**
+ * Log Replay Source
+ * Streams an existing Game.log line by line, paced by the original log timestamps.
+ * Exposes the same surface the monitor uses from Tail ('line', 'error', unwatch())
+ * plus an 'end' event once the file has been fully replayed.
+ */
+class LogReplaySource extends EventEmitter {
+    constructor(filePath, options = {}) {
+        super();
+        this.filePath = filePath;
+        this.clock = options.clock || new SystemClock();
+        this.lines = [];
+        this.position = 0;
+        this.timer = null;
+        this.stopped = false;
+        this.finished = false;
+        this.linesEmitted = 0;
+    }
+
+    /**
+     * Load the file and begin replaying
+     */
+    async start() {
+        try {
+            const content = await fs.readFile(this.filePath, 'utf8');
+            this.lines = content.split(/\r?\n/);
+
+            // Drop the trailing empty line left by the final newline
+            if (this.lines.length > 0 && this.lines[this.lines.length - 1] === '') {
+                this.lines.pop();
+            }
+        } catch (error) {
+            this.emit('error', error);
+            return;
+        }
+
+        if (this.stopped) return;
+
+        // Anchor the clock to the first timestamp so now() runs in log time
+        const firstTimestamp = this.findNextTimestamp(0);
+        if (firstTimestamp !== null && typeof this.clock.anchor === 'function') {
+            this.clock.anchor(firstTimestamp);
+        }
+
+        this.pump();
+    }
+
+    /**
+     * Get the timestamp (ms) of a line, or null if it has none
+     */
+    getLineTimestamp(line) {
+        const match = LINE_TIMESTAMP_REGEX.exec(line);
+        if (!match) return null;
+
+        const time = Date.parse(match[1]);
+        return isNaN(time) ? null : time;
+    }
+
+    /**
+     * Find the first timestamp at or after a line index
+     */
+    findNextTimestamp(fromIndex) {
+        for (let i = fromIndex; i < this.lines.length; i++) {
+            const time = this.getLineTimestamp(this.lines[i]);
+            if (time !== null) return time;
+        }
+        return null;
+    }
+
+    /**
+     * Emit every line that is due, then wait for the next timestamp
+     */
+    pump() {
+        this.timer = null;
+
+        while (!this.stopped && this.position < this.lines.length) {
+            const line = this.lines[this.position];
+            const lineTime = this.getLineTimestamp(line);
+
+            // Lines without a timestamp belong to the previous line's moment
+            if (lineTime !== null) {
+                const delay = lineTime - this.clock.now();
+                if (delay > 0) {
+                    this.timer = this.clock.setTimeout(() => this.pump(), delay);
+                    return;
+                }
+            }
+
+            this.position++;
+            this.linesEmitted++;
+
+            try {
+                this.emit('line', line);
+            } catch (error) {
+                this.emit('error', error);
+            }
+        }
+
+        if (!this.stopped && !this.finished) {
+            this.finished = true;
+            this.emit('end', { lines: this.linesEmitted });
+        }
+    }
+
+    /**
+     * Get replay progress
+     */
+    getProgress() {
+        return {
+            position: this.position,
+            total: this.lines.length,
+            finished: this.finished
+        };
+    }
+
+    /**
+     * Stop replaying (mirrors Tail.unwatch)
+     */
+    unwatch() {
+        this.stopped = true;
+        if (this.timer !== null) {
+            this.clock.clearTimeout(this.timer);
+            this.timer = null;
+        }
+    }
+}
+
+module.exports = LogReplaySource;
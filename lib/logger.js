@@ -1,6 +1,14 @@
 const fs = require('fs');
 const path = require('path');
-const { app } = require('electron');
+
+// Electron is only there inside the app, tests and dev tools load the logger without it
+function getElectronApp() {
+    try {
+        return require('electron').app || null;
+    } catch (error) {
+        return null;
+    }
+}
 
 class Logger {
     constructor(name) {
@@ -46,6 +54,7 @@ class Logger {
         this.writeToFile(`Platform: ${process.platform}`);
         this.writeToFile(`Working Directory: ${process.cwd()}`);
         this.writeToFile(`Executable: ${process.execPath}`);
+        const app = getElectronApp();
         this.writeToFile(`Packaged: ${app ? app.isPackaged : 'N/A'}`);
         this.writeToFile(`Log Directory: ${this.logDir}`);
         this.writeToFile('=====================================\n');
@@ -5,7 +5,6 @@ const { promisify } = require('util');
 const execAsync = promisify(exec);
 const BaseManager = require('./base-manager');
 const Logger = require('../logger');
-const { app } = require('electron');
 
 /**
  * OBS Process Manager
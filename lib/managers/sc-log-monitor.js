@@ -2,6 +2,8 @@ const fs = require('fs');
 const path = require('path');
 const { Tail } = require('tail');
 const SCLogParser = require('../sc-log-parser');
+const LogReplaySource = require('../log-replay-source');
+const { SystemClock, ReplayClock } = require('../replay-clock');
 const BaseManager = require('./base-manager');
 const Logger = require('../logger');
 
@@ -10,9 +12,12 @@ const Logger = require('../logger');
  * Monitors Star Citizen log files for events
  */
 class SCLogMonitor extends BaseManager {
-    constructor() {
+    /**
+     * @param {Object} options - { clock, patternsPath, logger (defaults to a file Logger) }
+     */
+    constructor(options = {}) {
         super('sc-log');
-        this.logger = new Logger('sc-log-monitor');
+        this.logger = options.logger || new Logger('sc-log-monitor');
         this.logPath = null;
         this.monitoring = false;
         this.shutdownRequested = false;
@@ -24,8 +29,15 @@ class SCLogMonitor extends BaseManager {
         this.processStartTime = null;
         this.activeInstanceDetected = false;
 
+        // Clock used to stamp events - a ReplayClock while replaying a log
+        this.clock = options.clock || new SystemClock();
+        this.liveClock = this.clock;
+        this.replaying = false;
+        this.liveLogPath = null; // Live log to go back to when a replay ends
+
         // Initialize the log parser
-        this.parser = new SCLogParser();
+        this.patternsPath = options.patternsPath || null;
+        this.parser = new SCLogParser({ clock: this.clock });
         this.parserReady = false;
 
         // Event deduplication cache
@@ -36,7 +48,7 @@ class SCLogMonitor extends BaseManager {
         };
 
         // Initialize the parser
-        this.initializeParser();
+        this.parserInitialization = this.initializeParser();
     }
 
     /**
@@ -57,6 +69,14 @@ class SCLogMonitor extends BaseManager {
             case 'start-monitoring':
                 await this.startMonitoring(command.path);
                 break;
+
+            case 'start-replay':
+                await this.startReplay(command.path, command.options);
+                break;
+
+            case 'stop-replay':
+                await this.stopReplay();
+                break;
                 
             case 'stop-monitoring':
                 this.stopMonitoring();
@@ -77,7 +97,7 @@ class SCLogMonitor extends BaseManager {
     async initializeParser() {
         try {
             this.logger.log('Initializing log parser...');
-            const success = await this.parser.loadPatterns();
+            const success = await this.parser.loadPatterns(this.patternsPath);
             this.parserReady = success;
             
             if (success) {
@@ -117,8 +137,12 @@ class SCLogMonitor extends BaseManager {
 
     /**
      * Start monitoring log file
+     * Options:
+     *   replay - stream the existing file from the start instead of tailing it
+     *   speed  - replay speed multiplier (1 = real time, 0 = as fast as possible)
+     *   clock  - clock to stamp and pace events with (defaults to a ReplayClock when replaying)
      */
-    async startMonitoring(logPath) {
+    async startMonitoring(logPath, options = {}) {
         if (!logPath) {
             logPath = this.logPath;
         }
@@ -128,47 +152,71 @@ class SCLogMonitor extends BaseManager {
             return;
         }
 
+        // A replay borrows the monitor, remember the live log to resume it afterwards
+        if (options.replay && !this.replaying) {
+            this.liveLogPath = this.tail ? this.logPath : null;
+        } else if (!options.replay) {
+            this.liveLogPath = null;
+        }
+
         // Stop any existing monitoring
         if (this.tail) {
             this.tail.unwatch();
             this.tail = null;
         }
 
+        // Select the clock for this session
+        this.replaying = !!options.replay;
+        if (this.replaying) {
+            this.setClock(options.clock || new ReplayClock(options.speed !== undefined ? options.speed : 1));
+        } else {
+            this.setClock(options.clock || this.liveClock);
+        }
+
         // Reset player identification for new session
         if (this.parser) {
             this.parser.resetPlayer();
             this.logger.log('Player identification reset for new session');
         }
 
-        this.logger.log(`Starting monitoring: ${logPath}`);
+        // A replay must see the same patterns a live session would
+        if (this.replaying) {
+            await this.parserInitialization;
+            this.eventCache.clear();
+        }
+
+        this.logger.log(`Starting ${this.replaying ? 'replay' : 'monitoring'}: ${logPath}`);
         this.logPath = logPath;
         this.monitoring = true;
-        
+
         try {
-            // Use tail to monitor the log file
-            this.tail = new Tail(logPath, {
-                fromBeginning: false,
-                follow: true,
-                logger: console,
-                useWatchFile: true,
-                fsWatchOptions: {
-                    interval: 1000
-                }
-            });
-            
+            this.tail = this.createLineSource(logPath, options);
+
             this.tail.on('line', (line) => {
                 this.parseLine(line);
             });
-            
+
             this.tail.on('error', (error) => {
                 this.logger.error('Tail error:', error);
             });
-            
+
+            if (this.replaying) {
+                const source = this.tail;
+                source.on('end', (result) => {
+                    this.handleReplayComplete(source, result);
+                });
+            }
+
             this.emit('sc-status', { 
                 logActive: true,
                 instance: this.instance,
-                logPath: this.logPath
+                logPath: this.logPath,
+                replay: this.replaying
             });
+
+            if (this.replaying) {
+                await this.tail.start();
+            }
         } catch (error) {
             this.logger.error('Failed to start monitoring:', error);
             this.monitoring = false;
@@ -180,6 +228,104 @@ class SCLogMonitor extends BaseManager {
         }
     }
 
+    /**
+     * Create the line source for a log file - a live Tail or a paced replay
+     */
+    createLineSource(logPath, options = {}) {
+        if (options.replay) {
+            return new LogReplaySource(logPath, { clock: this.clock });
+        }
+
+        // Use tail to monitor the log file
+        return new Tail(logPath, {
+            fromBeginning: false,
+            follow: true,
+            logger: console,
+            useWatchFile: true,
+            fsWatchOptions: {
+                interval: 1000
+            }
+        });
+    }
+
+    /**
+     * Replay an existing Game.log through the parser as if it were live
+     */
+    async startReplay(logPath, options = {}) {
+        this.logger.log(`Replaying log at ${options.speed !== undefined ? options.speed : 1}x: ${logPath}`);
+        await this.startMonitoring(logPath, { ...options, replay: true });
+    }
+
+    /**
+     * Stop a running replay and go back to the live log
+     */
+    async stopReplay() {
+        if (!this.replaying) return;
+
+        this.logger.log('Stopping replay');
+        const liveLogPath = this.liveLogPath;
+        this.stopMonitoring();
+        await this.resumeLiveMonitoring(liveLogPath);
+    }
+
+    /**
+     * Tail the live log again after a replay, if one was being tailed before it
+     */
+    async resumeLiveMonitoring(liveLogPath) {
+        if (!liveLogPath || this.shutdownRequested) return;
+
+        this.logger.log(`Resuming live monitoring: ${liveLogPath}`);
+        await this.startMonitoring(liveLogPath);
+    }
+
+    /**
+     * Handle the end of a log replay
+     */
+    handleReplayComplete(source, result) {
+        if (this.tail !== source) return;
+
+        this.logger.log(`Replay complete: ${result.lines} lines from ${this.logPath}`);
+
+        this.tail = null;
+        this.monitoring = false;
+        this.replaying = false;
+        this.setClock(this.liveClock);
+
+        this.emit('replay-complete', {
+            logPath: this.logPath,
+            lines: result.lines
+        });
+
+        this.emit('sc-status', {
+            logActive: false,
+            instance: this.instance,
+            replay: false
+        });
+
+        const liveLogPath = this.liveLogPath;
+        this.liveLogPath = null;
+        this.resumeLiveMonitoring(liveLogPath).catch(error => {
+            this.logger.error('Failed to resume live monitoring:', error);
+        });
+    }
+
+    /**
+     * Set the clock used to stamp events
+     */
+    setClock(clock) {
+        this.clock = clock;
+        if (this.parser) {
+            this.parser.clock = clock;
+        }
+    }
+
+    /**
+     * Get the current time (ms) from the active clock
+     */
+    now() {
+        return this.clock.now();
+    }
+
     /**
      * Parse a log line for events
      */
@@ -203,7 +349,8 @@ class SCLogMonitor extends BaseManager {
                         subtype: 'player_identified',
                         name: 'Player Identified',
                         severity: 'low',
-                        timestamp: new Date().toISOString(),
+                        timestamp: new Date(this.now()).toISOString(),
+                        logTimestamp: this.parser.extractLineTimestamp(line),
                         message: `Player identified: ${playerAfter.name}`,
                         data: playerAfter,
                         raw: line
@@ -217,11 +364,13 @@ class SCLogMonitor extends BaseManager {
                         subtype: event.id,
                         name: event.name,
                         severity: event.severity,
-                        timestamp: event.timestamp || new Date().toISOString(),
+                        timestamp: event.timestamp || new Date(this.now()).toISOString(),
+                        logTimestamp: event.logTimestamp || null,
                         message: event.message,
                         data: event.data,
                         categoryInfo: event.categoryInfo,
-                        raw: line
+                        raw: line,
+                        ...(event.derived && { derived: true, correlation: event.correlation })
                     });
                 }
             } else {
@@ -239,7 +388,7 @@ class SCLogMonitor extends BaseManager {
                                 victim: killMatch[2]
                             },
                             message: `${killMatch[1]} killed ${killMatch[2]}`,
-                            timestamp: new Date().toISOString(),
+                            timestamp: new Date(this.now()).toISOString(),
                             raw: line
                         });
                     }
@@ -257,7 +406,7 @@ class SCLogMonitor extends BaseManager {
                                 player: deathMatch[1]
                             },
                             message: `${deathMatch[1]} died`,
-                            timestamp: new Date().toISOString(),
+                            timestamp: new Date(this.now()).toISOString(),
                             raw: line
                         });
                     }
@@ -270,7 +419,7 @@ class SCLogMonitor extends BaseManager {
                         subtype: 'bounty_completed',
                         name: 'Bounty Completed',
                         message: 'Bounty completed',
-                        timestamp: new Date().toISOString(),
+                        timestamp: new Date(this.now()).toISOString(),
                         raw: line
                     });
                 }
@@ -282,7 +431,7 @@ class SCLogMonitor extends BaseManager {
                         subtype: 'location_change',
                         name: 'Location Change',
                         message: 'Location changed',
-                        timestamp: new Date().toISOString(),
+                        timestamp: new Date(this.now()).toISOString(),
                         raw: line
                     });
                 }
@@ -331,7 +480,7 @@ class SCLogMonitor extends BaseManager {
             return false;
         }
 
-        const now = Date.now();
+        const now = this.now();
         const window = dedup.window || 5000; // Default 5 second window
 
         // Check if we have a recent matching event
@@ -407,7 +556,7 @@ class SCLogMonitor extends BaseManager {
             ...event
         });
 
-        this.lastEventTime = new Date();
+        this.lastEventTime = new Date(this.now());
     }
 
     /**
@@ -561,6 +710,12 @@ class SCLogMonitor extends BaseManager {
         this.monitoring = false;
         this.multiMonitoring = false;
         this.activeInstanceDetected = false;
+
+        // Return to the wall clock if a replay was interrupted
+        if (this.replaying) {
+            this.replaying = false;
+            this.setClock(this.liveClock);
+        }
     }
     
     /**
@@ -570,6 +725,7 @@ class SCLogMonitor extends BaseManager {
         this.logger.log('Stopping monitoring');
         
         this.stopAllMonitoring();
+        this.liveLogPath = null;
         
         this.emit('sc-status', { 
             logActive: false,
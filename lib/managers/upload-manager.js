@@ -2,7 +2,6 @@ const BaseManager = require('./base-manager');
 const EventEmitter = require('events');
 const path = require('path');
 const fs = require('fs').promises;
-const { safeStorage } = require('electron');
 const crypto = require('crypto');
 
 /**
@@ -93,6 +92,8 @@ class UploadManager extends BaseManager {
 
             const encryptedData = await fs.readFile(this.credentialStorePath);
 
+            // Loaded here so the supervisor can run without Electron, e.g. in tests
+            const { safeStorage } = require('electron');
             if (safeStorage.isEncryptionAvailable()) {
                 const decryptedData = safeStorage.decryptString(encryptedData);
                 const accountData = JSON.parse(decryptedData);
@@ -118,6 +119,7 @@ class UploadManager extends BaseManager {
             const accountData = Array.from(this.accounts.values());
             const jsonString = JSON.stringify(accountData, null, 2);
 
+            const { safeStorage } = require('electron');
             if (safeStorage.isEncryptionAvailable()) {
                 const encrypted = safeStorage.encryptString(jsonString);
                 await fs.writeFile(this.credentialStorePath, encrypted);
@@ -22,6 +22,9 @@ class WebSocketManager extends BaseManager {
         this.lastConnectionTime = null;
         this.connectionFailures = 0;
         this.currentRecordingPath = null; // Store the current recording path
+        this.replayBufferActive = false;
+        this.streamActive = false;
+        this.lastStreamStats = null; // { bytes, duration } of the previous poll, for the bitrate
         
         // Setup OBS event handlers
         this.setupOBSEventHandlers();
@@ -56,10 +59,42 @@ class WebSocketManager extends BaseManager {
                 await this.splitRecording();
                 break;
                 
+            case 'start-replay-buffer':
+                await this.startReplayBuffer();
+                break;
+                
+            case 'stop-replay-buffer':
+                await this.stopReplayBuffer();
+                break;
+                
+            case 'save-replay-buffer':
+                await this.saveReplayBuffer();
+                break;
+                
             case 'get-recording-stats':
                 await this.getRecordingStats();
                 break;
                 
+            case 'get-performance-stats':
+                await this.getPerformanceStats();
+                break;
+                
+            case 'start-stream':
+                await this.startStream(command.service);
+                break;
+                
+            case 'stop-stream':
+                await this.stopStream();
+                break;
+                
+            case 'get-stream-stats':
+                await this.getStreamStats();
+                break;
+                
+            case 'send-stream-caption':
+                await this.sendStreamCaption(command.text);
+                break;
+                
             case 'check-status':
                 this.checkStatus();
                 break;
@@ -112,6 +147,8 @@ class WebSocketManager extends BaseManager {
         this.obs.on('ConnectionClosed', () => {
             this.logger.log('Disconnected from OBS');
             this.connected = false;
+            this.replayBufferActive = false;
+            this.streamActive = false;
             this.lastDisconnectTime = Date.now();
             
             this.emit('status-update', { websocket: 'disconnected' });
@@ -179,9 +216,38 @@ class WebSocketManager extends BaseManager {
             }
         });
         
-        // Stream events (for monitoring)
+        // Replay buffer events
+        this.obs.on('ReplayBufferStateChanged', (data) => {
+            this.logger.log('Replay buffer state changed:', data);
+            this.replayBufferActive = data.outputActive;
+            
+            this.emit('replay-buffer-status', {
+                active: data.outputActive,
+                state: data.outputState
+            });
+        });
+
+        this.obs.on('ReplayBufferSaved', (data) => {
+            this.logger.log('Replay buffer saved:', data.savedReplayPath);
+            
+            this.emit('replay-buffer-saved', {
+                path: data.savedReplayPath,
+                timestamp: new Date().toISOString()
+            });
+        });
+        
+        // Stream events
         this.obs.on('StreamStateChanged', (data) => {
             this.logger.log('Stream state changed:', data);
+            this.streamActive = data.outputActive;
+            if (!data.outputActive) {
+                this.lastStreamStats = null;
+            }
+            
+            this.emit('stream-status', {
+                active: data.outputActive,
+                state: data.outputState
+            });
         });
     }
 
@@ -353,6 +419,21 @@ class WebSocketManager extends BaseManager {
                 bytes: recordStatus.outputBytes
             });
             
+            // Get replay buffer status, fails when the profile has no replay buffer
+            try {
+                const replayStatus = await this.obs.call('GetReplayBufferStatus');
+                this.replayBufferActive = replayStatus.outputActive;
+                this.emit('replay-buffer-status', { active: replayStatus.outputActive });
+            } catch (e) {
+                this.replayBufferActive = false;
+                this.emit('replay-buffer-status', { active: false, available: false });
+            }
+            
+            // Get stream status
+            const streamStatus = await this.obs.call('GetStreamStatus');
+            this.streamActive = streamStatus.outputActive;
+            this.emit('stream-status', { active: streamStatus.outputActive });
+            
             // Get available encoders
             await this.detectEncoders();
             
@@ -749,6 +830,134 @@ class WebSocketManager extends BaseManager {
         }
     }
 
+    /**
+     * Start OBS's replay buffer, it must be enabled in the profile (RecRB)
+     */
+    async startReplayBuffer() {
+        if (this.replayBufferActive) {
+            return;
+        }
+        
+        this.logger.log('Starting replay buffer...');
+        await this.executeCommand('StartReplayBuffer');
+    }
+
+    /**
+     * Stop the replay buffer, anything not saved is discarded
+     */
+    async stopReplayBuffer() {
+        if (!this.replayBufferActive) {
+            return;
+        }
+        
+        this.logger.log('Stopping replay buffer...');
+        await this.executeCommand('StopReplayBuffer');
+    }
+
+    /**
+     * Save the replay buffer to a file
+     * The path arrives with the ReplayBufferSaved event once OBS has written it
+     */
+    async saveReplayBuffer() {
+        if (!this.replayBufferActive) {
+            this.logger.error('Replay buffer is not running');
+            throw new Error('Replay buffer is not running');
+        }
+        
+        this.logger.log('Saving replay buffer...');
+        await this.executeCommand('SaveReplayBuffer');
+    }
+
+    /**
+     * Point OBS at a custom RTMP/RTMPS server and go live
+     * @param {Object} service - { server, key }, already validated by ConfigManager
+     */
+    async startStream(service) {
+        if (this.streamActive) {
+            return;
+        }
+        
+        if (service) {
+            // OBS refuses to change the service while the stream output is running
+            await this.executeCommand('SetStreamServiceSettings', {
+                streamServiceType: 'rtmp_custom',
+                streamServiceSettings: {
+                    server: service.server,
+                    key: service.key,
+                    use_auth: false
+                }
+            });
+        }
+        
+        this.logger.log('Starting stream...');
+        await this.executeCommand('StartStream');
+    }
+
+    /**
+     * Stop streaming
+     */
+    async stopStream() {
+        if (!this.streamActive) {
+            return;
+        }
+        
+        this.logger.log('Stopping stream...');
+        await this.executeCommand('StopStream');
+    }
+
+    /**
+     * Send a CEA-608 caption with the stream, shown by players that support them
+     */
+    async sendStreamCaption(text) {
+        if (!this.streamActive || !text) {
+            return;
+        }
+        
+        await this.executeCommand('SendStreamCaption', { captionText: text });
+    }
+
+    /**
+     * Get stream statistics
+     * The bitrate is taken from the bytes sent since the previous call, so it
+     * follows congestion instead of averaging over the whole stream
+     */
+    async getStreamStats() {
+        if (!this.connected) {
+            this.emit('stream-stats', null);
+            return;
+        }
+
+        try {
+            const streamStatus = await this.obs.call('GetStreamStatus');
+
+            let kbitsPerSec = null;
+            const previous = this.lastStreamStats;
+            if (streamStatus.outputActive && previous && streamStatus.outputDuration > previous.duration) {
+                kbitsPerSec = ((streamStatus.outputBytes - previous.bytes) * 8 / 1000) /
+                    ((streamStatus.outputDuration - previous.duration) / 1000);
+            }
+            this.lastStreamStats = streamStatus.outputActive
+                ? { bytes: streamStatus.outputBytes, duration: streamStatus.outputDuration }
+                : null;
+
+            this.emit('stream-stats', {
+                active: streamStatus.outputActive,
+                reconnecting: streamStatus.outputReconnecting,
+                duration: streamStatus.outputDuration / 1000, // Convert ms to seconds
+                bytes: streamStatus.outputBytes,
+                timecode: streamStatus.outputTimecode,
+                kbitsPerSec: kbitsPerSec,
+                congestion: streamStatus.outputCongestion,
+                skippedFrames: streamStatus.outputSkippedFrames,
+                totalFrames: streamStatus.outputTotalFrames
+            });
+
+        } catch (error) {
+            this.logger.error('Error getting stream stats:', error);
+            this.emit('stream-stats', null);
+        }
+    }
+
     /**
      * Get recording statistics
      */
@@ -805,6 +1014,33 @@ class WebSocketManager extends BaseManager {
         }
     }
 
+    /**
+     * Get OBS's render and output counters for the performance watchdog
+     */
+    async getPerformanceStats() {
+        if (!this.connected) {
+            this.emit('performance-stats', null);
+            return;
+        }
+
+        try {
+            const stats = await this.obs.call('GetStats');
+            this.emit('performance-stats', {
+                cpuUsage: stats.cpuUsage,
+                memoryUsage: stats.memoryUsage,
+                activeFps: stats.activeFps,
+                averageFrameRenderTime: stats.averageFrameRenderTime,
+                renderSkippedFrames: stats.renderSkippedFrames,
+                renderTotalFrames: stats.renderTotalFrames,
+                outputSkippedFrames: stats.outputSkippedFrames,
+                outputTotalFrames: stats.outputTotalFrames
+            });
+        } catch (error) {
+            this.logger.error('Error getting performance stats:', error);
+            this.emit('performance-stats', null);
+        }
+    }
+
     /**
      * Check current status
      */
@@ -0,0 +1,191 @@
+/**
+ * Montage Builder
+ * Lays out a sequence of clips from one or more recordings and builds the
+ * FFmpeg filter graph that renders it. Each clip is { videoPath, in, out,
+ * transition, transitionDuration, events }; the transition ('cut' or
+ * 'crossfade') joins a clip to the one before it. Crossfades overlap the two
+ * clips, so they shorten the montage by their duration.
+ *
+ * Sources are normalised to one size and frame rate before joining since
+ * concat and xfade need matching streams. Events of every clip are rebased
+ * onto the montage timeline to give one combined events track.
+ */
+
+const path = require('path');
+
+const TRANSITIONS = ['cut', 'crossfade'];
+const DEFAULT_TRANSITION_DURATION = 1;
+const MIN_CLIP_DURATION = 0.1;
+
+class MontageBuilder {
+    /**
+     * Work out where each clip sits on the montage timeline
+     * @param {Array} clips - Clips in montage order
+     * @returns {Object} { clips: [{ ...clip, duration, start, transition, transitionDuration }], duration }
+     */
+    getLayout(clips) {
+        const laidOut = [];
+        let position = 0;
+
+        for (const clip of clips) {
+            const clipIn = Math.max(0, Number(clip.in) || 0);
+            const clipOut = Number(clip.out);
+            const duration = clipOut - clipIn;
+            if (!(duration >= MIN_CLIP_DURATION)) continue;
+
+            const previous = laidOut[laidOut.length - 1];
+            let transition = TRANSITIONS.includes(clip.transition) ? clip.transition : 'cut';
+            let transitionDuration = 0;
+
+            if (previous && transition === 'crossfade') {
+                // xfade needs the overlap to be shorter than both clips
+                const requested = Number(clip.transitionDuration) || DEFAULT_TRANSITION_DURATION;
+                transitionDuration = Math.min(requested, previous.duration - MIN_CLIP_DURATION, duration - MIN_CLIP_DURATION);
+                if (transitionDuration <= 0) {
+                    transition = 'cut';
+                    transitionDuration = 0;
+                }
+            } else {
+                transition = 'cut';
+            }
+
+            const start = position - transitionDuration;
+            laidOut.push({ ...clip, in: clipIn, out: clipOut, duration, start, transition, transitionDuration });
+            position = start + duration;
+        }
+
+        return { clips: laidOut, duration: position };
+    }
+
+    /**
+     * Filter graph that joins the laid out clips. Input i must be clip i,
+     * already seeked to its in point and limited to its duration.
+     * @param {Object} layout - From getLayout
+     * @param {Object} output - { width, height, fps, hasAudio: [boolean per clip] }
+     * @returns {Object} { filters: [string], videoLabel, audioLabel }
+     */
+    buildFilterGraph(layout, output) {
+        const { width, height, fps } = output;
+        const hasAudio = output.hasAudio || [];
+        const filters = [];
+
+        layout.clips.forEach((clip, i) => {
+            filters.push(
+                `[${i}:v]setpts=PTS-STARTPTS,` +
+                `scale=${width}:${height}:force_original_aspect_ratio=decrease,` +
+                `pad=${width}:${height}:(ow-iw)/2:(oh-ih)/2,setsar=1,fps=${fps},format=yuv420p[v${i}]`
+            );
+
+            // Only the first (pre-mixed) audio track is used, silent clips get a silent track
+            if (hasAudio[i] === false) {
+                filters.push(`anullsrc=r=48000:cl=stereo,atrim=duration=${clip.duration}[a${i}]`);
+            } else {
+                filters.push(`[${i}:a:0]asetpts=PTS-STARTPTS,aresample=48000,aformat=channel_layouts=stereo[a${i}]`);
+            }
+        });
+
+        let videoLabel = 'v0';
+        let audioLabel = 'a0';
+
+        for (let i = 1; i < layout.clips.length; i++) {
+            const clip = layout.clips[i];
+            const nextVideo = `vx${i}`;
+            const nextAudio = `ax${i}`;
+
+            if (clip.transition === 'crossfade') {
+                filters.push(`[${videoLabel}][v${i}]xfade=transition=fade:duration=${clip.transitionDuration}:offset=${clip.start}[${nextVideo}]`);
+                filters.push(`[${audioLabel}][a${i}]acrossfade=d=${clip.transitionDuration}[${nextAudio}]`);
+            } else {
+                filters.push(`[${videoLabel}][${audioLabel}][v${i}][a${i}]concat=n=2:v=1:a=1[${nextVideo}][${nextAudio}]`);
+            }
+
+            videoLabel = nextVideo;
+            audioLabel = nextAudio;
+        }
+
+        return { filters, videoLabel, audioLabel };
+    }
+
+    /**
+     * Combined events track, each clip's events shifted onto the montage timeline
+     * @param {Object} layout - From getLayout
+     * @returns {Array} Events sorted by montage offset
+     */
+    buildEvents(layout) {
+        const events = [];
+        const seenIds = new Set();
+
+        layout.clips.forEach((clip, index) => {
+            for (const event of clip.events || []) {
+                if (typeof event.videoOffset !== 'number') continue;
+                if (event.videoOffset < clip.in || event.videoOffset > clip.out) continue;
+
+                // The same recording can appear twice, ids must stay unique
+                let id = event.id;
+                if (seenIds.has(id)) {
+                    id = `${event.id}_${index + 1}`;
+                }
+                seenIds.add(id);
+
+                events.push({
+                    ...event,
+                    id,
+                    videoOffset: clip.start + event.videoOffset - clip.in,
+                    thumbnail: null,
+                    montageClip: index
+                });
+            }
+        });
+
+        return events.sort((a, b) => a.videoOffset - b.videoOffset);
+    }
+
+    /**
+     * Montage section for the exported events metadata
+     */
+    buildMetadata(layout) {
+        return {
+            clips: layout.clips.map(clip => ({
+                source: path.basename(clip.videoPath),
+                in: clip.in,
+                out: clip.out,
+                start: clip.start,
+                transition: clip.transition,
+                transitionDuration: clip.transitionDuration
+            }))
+        };
+    }
+
+    /**
+     * Size, frame rate and audio presence of a source video
+     * @param {string} videoPath - Source video
+     * @returns {Promise<Object>} { width, height, fps, hasAudio }
+     */
+    probe(videoPath) {
+        const ffmpeg = require('fluent-ffmpeg');
+
+        return new Promise((resolve, reject) => {
+            ffmpeg.ffprobe(videoPath, (err, metadata) => {
+                if (err) {
+                    reject(new Error(`Could not probe ${path.basename(videoPath)}: ${err.message}`));
+                    return;
+                }
+
+                const video = metadata.streams.find(stream => stream.codec_type === 'video') || {};
+                const [num, den] = String(video.avg_frame_rate || video.r_frame_rate || '30/1').split('/').map(Number);
+
+                resolve({
+                    width: video.width || null,
+                    height: video.height || null,
+                    fps: den ? Math.round(num / den) || 30 : 30,
+                    hasAudio: metadata.streams.some(stream => stream.codec_type === 'audio')
+                });
+            });
+        });
+    }
+}
+
+MontageBuilder.TRANSITIONS = TRANSITIONS;
+MontageBuilder.DEFAULT_TRANSITION_DURATION = DEFAULT_TRANSITION_DURATION;
+
+module.exports = MontageBuilder;
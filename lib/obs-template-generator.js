@@ -1,5 +1,6 @@
 const fs = require('fs').promises;
 const path = require('path');
+const ConfigManager = require('./config-manager');
 
 class OBSTemplateGenerator {
     constructor(obsConfigPath) {
@@ -108,6 +109,8 @@ class OBSTemplateGenerator {
         const profilePath = path.join(this.obsConfigPath, 'basic', 'profiles', 'SC-Recorder');
         const basicIniPath = path.join(profilePath, 'basic.ini');
         const encoderJsonPath = path.join(profilePath, 'recordEncoder.json');
+        const streamEncoderJsonPath = path.join(profilePath, 'streamEncoder.json');
+        const serviceJsonPath = path.join(profilePath, 'service.json');
 
         // Ensure directory exists
         await fs.mkdir(profilePath, { recursive: true });
@@ -122,11 +125,91 @@ class OBSTemplateGenerator {
         const encoderConfig = this.generateEncoderJson(settings);
         await fs.writeFile(encoderJsonPath, JSON.stringify(encoderConfig, null, 2), 'utf8');
 
+        // Streaming encoder and service, the supervisor sets the service again when going live
+        const streamEncoderConfig = this.generateStreamEncoderJson(settings);
+        await fs.writeFile(streamEncoderJsonPath, JSON.stringify(streamEncoderConfig, null, 2), 'utf8');
+        await fs.writeFile(serviceJsonPath, JSON.stringify(this.generateServiceJson(settings), null, 2), 'utf8');
+
         // Get actual resolution for logging (from display or resolution settings)
         const width = settings.resolution?.width || settings.display?.width || 'unknown';
         const height = settings.resolution?.height || settings.display?.height || 'unknown';
         console.log(`Generated profile: SC-Recorder (${width}x${height})`);
         console.log(`Generated encoder config with bitrate: ${encoderConfig.bitrate} Kbps`);
+        console.log(`Generated stream encoder config: ${this.getStreamEncoderId(settings)} at ${streamEncoderConfig.bitrate} Kbps`);
+    }
+
+    // Custom RTMP/RTMPS service from the streaming settings, the key is decrypted only here
+    generateServiceJson(settings) {
+        const streaming = settings.streaming || {};
+        return {
+            type: 'rtmp_custom',
+            settings: {
+                server: (streaming.server || '').trim(),
+                key: ConfigManager.decryptSecret(streaming.keyEncrypted).trim(),
+                use_auth: false,
+                bwtest: false
+            }
+        };
+    }
+
+    // H.264 encoder for the stream from the same vendor as the recording encoder.
+    // HEVC and AV1 stay with recording, RTMP ingest servers generally only take H.264.
+    getStreamEncoderId(settings) {
+        const { recording = {}, streaming = {} } = settings;
+        if (streaming.encoderId) {
+            return streaming.encoderId;
+        }
+
+        const encoderId = recording.encoderId || recording.encoder || '';
+        if (encoderId.includes('amf')) {
+            return 'h264_texture_amf';
+        } else if (encoderId.includes('nvenc')) {
+            if (encoderId.startsWith('ffmpeg_')) return 'ffmpeg_nvenc';
+            if (encoderId.startsWith('obs_nvenc')) return 'obs_nvenc';
+            return 'jim_nvenc';
+        } else if (encoderId.includes('qsv')) {
+            return 'obs_qsv11';
+        }
+        return 'obs_x264';
+    }
+
+    // Generate streamEncoder.json, always CBR with 2 second keyframes as ingest servers expect
+    generateStreamEncoderJson(settings) {
+        const { streaming = {}, performance = {} } = settings;
+        const encoderId = this.getStreamEncoderId(settings);
+        const profile = performance.profile || 'custom';
+
+        const encoderConfig = {
+            bitrate: streaming.bitrate || 6000,
+            rate_control: 'CBR',
+            keyint_sec: 2
+        };
+
+        if (encoderId.includes('nvenc')) {
+            encoderConfig.preset = this.getNvencPreset(profile);
+            encoderConfig.bf = 2;
+        } else if (encoderId.includes('amf')) {
+            const presetMap = {
+                performance: "speed",
+                balanced: "balanced",
+                quality: "quality",
+                custom: "balanced"
+            };
+            encoderConfig.preset = presetMap[profile] || "balanced";
+            encoderConfig.profile = "high";
+        } else if (encoderId.includes('x264')) {
+            // A notch faster than recording, the stream shares the CPU with the game and the recording
+            const presetMap = {
+                performance: "ultrafast",
+                balanced: "veryfast",
+                quality: "fast",
+                custom: "veryfast"
+            };
+            encoderConfig.preset = presetMap[profile] || "veryfast";
+            encoderConfig.profile = "high";
+        }
+
+        return encoderConfig;
     }
 
     // Generate encoder JSON configuration file
@@ -436,11 +519,24 @@ class OBSTemplateGenerator {
         
         // Build encoder-specific settings - currently OBS doesn't support these in basic.ini
         // They are configured through the encoder itself, not through INI settings
-        // The RecRB (bitrate) setting is what actually controls the bitrate
+        // The bitrate is set in recordEncoder.json (see generateEncoderJson)
         // We'll keep this for potential future use but it won't be added to the INI
         const encoderSettingsArray = this.buildEncoderSettings(recording, performance, actualBitrate);
         const encoderSettings = ''; // Disabled for now as OBS doesn't read these from basic.ini
 
+        // Replay buffer (RecRB), kept in memory and written to the recordings folder on save.
+        // The memory limit defaults to the buffer length at the recording bitrate plus headroom.
+        const replayBuffer = settings.recordingOptions?.replayBuffer || {};
+        const replaySeconds = replayBuffer.seconds || 60;
+        const replayMaxSizeMB = replayBuffer.maxSizeMB ||
+            Math.max(512, Math.ceil(actualBitrate * replaySeconds / 8000 * 1.25));
+
+        // Stream output, scaled down when the recording is taller than the stream's max height
+        const streamMaxHeight = settings.streaming?.maxHeight || 1080;
+        const streamRescale = outputHeight > streamMaxHeight;
+        const streamHeight = streamRescale ? streamMaxHeight : outputHeight;
+        const streamWidth = Math.round(outputWidth * streamHeight / outputHeight / 2) * 2;
+
         return `[General]
 Name=SC-Recorder
 
@@ -466,12 +562,19 @@ CookieId=E5F95FDD0838D2B3
 Mode=Advanced
 
 [AdvOut]
+Encoder=${this.getStreamEncoderId(settings)}
+TrackIndex=1
+ApplyServiceSettings=true
+Rescale=${streamRescale}
+RescaleRes=${streamWidth}x${streamHeight}
 RecType=Standard
 RecEncoder=${recording.encoderId || recording.encoder}
 RecFilePath=${formattedPath}
 RecFormat=mkv
 RecTracks=${trackMask}
-RecRB=${actualBitrate}
+RecRB=${Boolean(replayBuffer.enabled)}
+RecRBTime=${replaySeconds}
+RecRBSize=${replayMaxSizeMB}
 RecUseRescale=${outputWidth !== resolution.width || outputHeight !== resolution.height}
 RecRescale=${outputWidth}x${outputHeight}
 RecMultitrack=true
@@ -487,6 +590,9 @@ RecSplitFileTime=30
 RecSplitFileSize=2048
 RecSplitFileResetTimestamps=true${encoderSettings}
 
+[SimpleOutput]
+RecRBPrefix=Replay
+
 [Audio]
 SampleRate=48000
 ChannelSetup=Stereo
@@ -940,38 +1046,37 @@ PeakMeterType=0
             });
         }
         
+        // Overlay for scene automation, hidden until a rule shows it
+        const respawningUuid = this.generateUUID();
+        sources.push(this.createTextSource('Respawning', respawningUuid, 'RESPAWNING', Math.round(resolution.height / 8)));
+        sceneItems.push(this.createSceneItem('Respawning', respawningUuid, sceneItems.length + 1, {
+            "visible": false,
+            "align": 0,  // Centered on pos
+            "pos": {
+                "x": resolution.width / 2,
+                "y": resolution.height / 2
+            }
+        }));
+
         // Create the Star Citizen scene with proper items
-        const starCitizenScene = {
-            "prev_ver": 520093699,
-            "name": "Star Citizen",
-            "uuid": this.generateUUID(),
-            "id": "scene",
-            "versioned_id": "scene",
-            "settings": {
-                "id_counter": itemId,
-                "custom_size": false,
-                "items": sceneItems
-            },
-            "mixers": 0,
-            "sync": 0,
-            "flags": 0,
-            "volume": 1.0,
-            "balance": 0.5,
-            "enabled": true,
-            "muted": false,
-            "push-to-mute": false,
-            "push-to-mute-delay": 0,
-            "push-to-talk": false,
-            "push-to-talk-delay": 0,
-            "hotkeys": {},
-            "deinterlace_mode": 0,
-            "deinterlace_field_order": 0,
-            "monitoring_type": 0,
-            "private_settings": {}
-        };
-        
-        // Add the scene to sources
-        sources.unshift(starCitizenScene);
+        const starCitizenScene = this.createScene('Star Citizen', sceneItems);
+
+        // Quantum travel scene, the game scene nested so its audio keeps playing, with a caption
+        const quantumLabelUuid = this.generateUUID();
+        sources.push(this.createTextSource('Quantum Travel Label', quantumLabelUuid, 'QUANTUM TRAVEL', Math.round(resolution.height / 16)));
+        const quantumScene = this.createScene('Quantum Travel', [
+            this.createSceneItem('Star Citizen', starCitizenScene.uuid, 1),
+            this.createSceneItem('Quantum Travel Label', quantumLabelUuid, 2, {
+                "align": 8,  // Bottom center on pos
+                "pos": {
+                    "x": resolution.width / 2,
+                    "y": Math.round(resolution.height * 0.92)
+                }
+            })
+        ]);
+
+        // Add the scenes to sources
+        sources.unshift(starCitizenScene, quantumScene);
         
         return {
             "current_program_scene": "Star Citizen",
@@ -990,6 +1095,9 @@ PeakMeterType=0
             "scene_order": [
                 {
                     "name": "Star Citizen"
+                },
+                {
+                    "name": "Quantum Travel"
                 }
             ],
             "sources": sources,
@@ -1003,6 +1111,124 @@ PeakMeterType=0
         };
     }
 
+    // Scene source holding the given items
+    createScene(name, items) {
+        return {
+            "prev_ver": 520093699,
+            "name": name,
+            "uuid": this.generateUUID(),
+            "id": "scene",
+            "versioned_id": "scene",
+            "settings": {
+                "id_counter": items.length,
+                "custom_size": false,
+                "items": items
+            },
+            "mixers": 0,
+            "sync": 0,
+            "flags": 0,
+            "volume": 1.0,
+            "balance": 0.5,
+            "enabled": true,
+            "muted": false,
+            "push-to-mute": false,
+            "push-to-mute-delay": 0,
+            "push-to-talk": false,
+            "push-to-talk-delay": 0,
+            "hotkeys": {},
+            "deinterlace_mode": 0,
+            "deinterlace_field_order": 0,
+            "monitoring_type": 0,
+            "private_settings": {}
+        };
+    }
+
+    // Scene item placing a source at the top left, overrides replace any field
+    createSceneItem(name, sourceUuid, id, overrides = {}) {
+        return {
+            "name": name,
+            "source_uuid": sourceUuid,
+            "visible": true,
+            "locked": false,
+            "rot": 0.0,
+            "align": 5,
+            "bounds_type": 0,
+            "bounds_align": 0,
+            "bounds_crop": false,
+            "crop_left": 0,
+            "crop_top": 0,
+            "crop_right": 0,
+            "crop_bottom": 0,
+            "id": id,
+            "group_item_backup": false,
+            "pos": {
+                "x": 0.0,
+                "y": 0.0
+            },
+            "scale": {
+                "x": 1.0,
+                "y": 1.0
+            },
+            "bounds": {
+                "x": 0.0,
+                "y": 0.0
+            },
+            "scale_filter": "disable",
+            "blend_method": "default",
+            "blend_type": "normal",
+            "show_transition": {
+                "duration": 0
+            },
+            "hide_transition": {
+                "duration": 0
+            },
+            "private_settings": {},
+            ...overrides
+        };
+    }
+
+    // White outlined caption (GDI+ text source)
+    createTextSource(name, uuid, text, size) {
+        return {
+            "prev_ver": 520093699,
+            "name": name,
+            "uuid": uuid,
+            "id": "text_gdiplus",
+            "versioned_id": "text_gdiplus_v2",
+            "settings": {
+                "text": text,
+                "font": {
+                    "face": "Arial",
+                    "size": size,
+                    "style": "Bold",
+                    "flags": 1
+                },
+                "color": 4294967295,  // ABGR white
+                "align": "center",
+                "valign": "center",
+                "outline": true,
+                "outline_size": Math.max(2, Math.round(size / 20)),
+                "outline_color": 4278190080  // ABGR black
+            },
+            "mixers": 0,
+            "sync": 0,
+            "flags": 0,
+            "volume": 1.0,
+            "balance": 0.5,
+            "enabled": true,
+            "muted": false,
+            "push-to-mute": false,
+            "push-to-mute-delay": 0,
+            "push-to-talk": false,
+            "push-to-talk-delay": 0,
+            "hotkeys": {},
+            "deinterlace_mode": 0,
+            "deinterlace_field_order": 0,
+            "monitoring_type": 0,
+            "private_settings": {}
+        };
+    }
+
     // Generate global.ini configuration
     async generateGlobalConfig(settings = {}) {
         const globalPath = path.join(this.obsConfigPath, 'global.ini');
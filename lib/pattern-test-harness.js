@@ -0,0 +1,254 @@
+const fs = require('fs').promises;
+const path = require('path');
+const SCLogParser = require('./sc-log-parser');
+const { getBundledConfigPath } = require('./config-path-helper');
+
+/**
+ * Pattern Test Harness
+ * Runs the fixture corpus (config/sc-log-pattern-fixtures.json) against a
+ * patterns file: every fixture line goes through SCLogParser and the
+ * extracted fields and rendered message are compared with the expectation.
+ *
+ * Fixture format:
+ *   transforms: [{ id, transform, input, output }]
+ *   fixtures:   [{ id, pattern, line, player?, expect: { data, message } }]
+ *               [{ id, pattern, line, player?, expectMatch: false }]
+ *               [{ id, pattern, lines: [...], ... }]  (correlations, last match wins)
+ *
+ * A patterns file may carry its own "fixtures"/"fixtureTransforms" arrays.
+ * Only entries with new ids are added, the bundled fixtures always run
+ * unchanged so an update can't talk its way past a broken pattern.
+ */
+class PatternTestHarness {
+    constructor(options = {}) {
+        this.fixturesPath = options.fixturesPath || getBundledConfigPath('sc-log-pattern-fixtures.json');
+    }
+
+    /**
+     * Load the fixture corpus
+     */
+    async loadFixtures(fixturesPath = null) {
+        const content = await fs.readFile(fixturesPath || this.fixturesPath, 'utf8');
+        const corpus = JSON.parse(content);
+
+        return {
+            transforms: corpus.transforms || [],
+            fixtures: corpus.fixtures || []
+        };
+    }
+
+    /**
+     * Add the fixtures shipped inside a patterns file to the corpus,
+     * skipping any that reuse a bundled id
+     */
+    mergeFixtures(corpus, patternsConfig) {
+        if (!patternsConfig) return corpus;
+
+        const merge = (base, extra) => {
+            if (!Array.isArray(extra) || extra.length === 0) return base;
+
+            const ids = new Set(base.map(entry => entry.id));
+            return base.concat(extra.filter(entry => {
+                if (ids.has(entry.id)) return false;
+                ids.add(entry.id);
+                return true;
+            }));
+        };
+
+        return {
+            transforms: merge(corpus.transforms, patternsConfig.fixtureTransforms),
+            fixtures: merge(corpus.fixtures, patternsConfig.fixtures)
+        };
+    }
+
+    /**
+     * Run the corpus against a patterns file
+     * @param {string} patternsPath - Patterns JSON to test
+     * @param {Object} corpus - Fixtures (defaults to the bundled corpus)
+     * @returns {Object} Report with per-fixture results
+     */
+    async run(patternsPath, corpus = null) {
+        const fixtures = corpus || await this.loadFixtures();
+        const parser = new SCLogParser();
+        const loaded = await parser.loadPatterns(patternsPath);
+
+        const report = {
+            patternsPath,
+            version: null,
+            loaded,
+            total: 0,
+            passed: 0,
+            failed: 0,
+            results: [],
+            compileErrors: [],
+            uncoveredPatterns: []
+        };
+
+        if (loaded) {
+            // loadPatterns only logs patterns whose regex fails to compile
+            report.compileErrors = parser.getPatterns()
+                .filter(pattern => !parser.compiledPatterns.has(pattern.id))
+                .map(pattern => pattern.id);
+
+            const covered = new Set(fixtures.fixtures.map(fixture => fixture.pattern));
+            report.uncoveredPatterns = [...parser.getPatterns(), ...parser.getCorrelations()]
+                .filter(pattern => !covered.has(pattern.id))
+                .map(pattern => pattern.id);
+
+            try {
+                const content = await fs.readFile(patternsPath, 'utf8');
+                report.version = JSON.parse(content).version || null;
+            } catch (error) {
+                // Version is informational only
+            }
+        }
+
+        for (const transform of fixtures.transforms) {
+            const reason = loaded ? this.checkTransform(parser, transform) : 'patterns failed to load';
+            this.record(report, { id: transform.id, type: 'transform', transform: transform.transform }, reason);
+        }
+
+        for (const fixture of fixtures.fixtures) {
+            const reason = loaded ? this.checkFixture(parser, fixture) : 'patterns failed to load';
+            this.record(report, { id: fixture.id, type: 'fixture', pattern: fixture.pattern }, reason);
+        }
+
+        return report;
+    }
+
+    /**
+     * Add a result to the report (reason is null when the check passed)
+     */
+    record(report, result, reason) {
+        report.total++;
+        if (reason) {
+            report.failed++;
+        } else {
+            report.passed++;
+        }
+        report.results.push({ ...result, passed: !reason, reason: reason || null });
+    }
+
+    /**
+     * Check one transform fixture, returns a failure reason or null
+     */
+    checkTransform(parser, fixture) {
+        if (!parser.transforms || !parser.transforms[fixture.transform]) {
+            return `transform ${fixture.transform} not defined`;
+        }
+
+        const output = parser.applyTransform(fixture.input, fixture.transform);
+        if (output !== fixture.output) {
+            return `expected "${fixture.output}", got "${output}"`;
+        }
+
+        return null;
+    }
+
+    /**
+     * Check one log line fixture, returns a failure reason or null
+     */
+    checkFixture(parser, fixture) {
+        const isCorrelation = parser.getCorrelations().some(correlation => correlation.id === fixture.pattern);
+        if (!parser.compiledPatterns.has(fixture.pattern) && !isCorrelation) {
+            return `pattern ${fixture.pattern} not defined`;
+        }
+
+        // Each fixture starts from a clean player and correlation state
+        parser.currentPlayer = fixture.player || null;
+        parser.resetCorrelations();
+
+        const lines = fixture.lines || [fixture.line];
+        const events = parser.parseLines(lines).filter(event => event.id === fixture.pattern).reverse();
+
+        if (fixture.expectMatch === false) {
+            return events.length > 0 ? 'matched but should not have' : null;
+        }
+
+        if (events.length === 0) {
+            return 'line did not match';
+        }
+
+        const event = events[0];
+        const expect = fixture.expect || {};
+
+        if (expect.data) {
+            for (const [field, expected] of Object.entries(expect.data)) {
+                if (event.data[field] !== expected) {
+                    return `field ${field}: expected "${expected}", got "${event.data[field]}"`;
+                }
+            }
+        }
+
+        if (expect.message !== undefined && event.message !== expect.message) {
+            return `message: expected "${expect.message}", got "${event.message}"`;
+        }
+
+        return null;
+    }
+
+    /**
+     * Results that passed in the baseline but fail in the candidate
+     */
+    findRegressions(baselineReport, candidateReport) {
+        const passedBefore = new Set(
+            baselineReport.results.filter(result => result.passed).map(result => `${result.type}:${result.id}`)
+        );
+
+        return candidateReport.results.filter(result =>
+            !result.passed && passedBefore.has(`${result.type}:${result.id}`)
+        );
+    }
+
+    /**
+     * Format a report for the console
+     */
+    formatReport(report) {
+        const lines = [];
+        const version = report.version ? ` v${report.version}` : '';
+
+        lines.push(`Patterns: ${report.patternsPath}${version}`);
+
+        if (!report.loaded) {
+            lines.push('  Patterns failed to load');
+        }
+
+        for (const result of report.results) {
+            const label = result.type === 'transform'
+                ? `transform ${result.transform} (${result.id})`
+                : `${result.pattern} (${result.id})`;
+            lines.push(result.passed ? `  PASS ${label}` : `  FAIL ${label}: ${result.reason}`);
+        }
+
+        for (const id of report.compileErrors) {
+            lines.push(`  Pattern ${id} failed to compile`);
+        }
+
+        if (report.uncoveredPatterns.length > 0) {
+            lines.push(`  No fixtures for: ${report.uncoveredPatterns.join(', ')}`);
+        }
+
+        lines.push(`${report.passed}/${report.total} passed, ${report.failed} failed`);
+        return lines.join('\n');
+    }
+}
+
+module.exports = PatternTestHarness;
+
+// npm run test:patterns [patternsPath] [fixturesPath]
+if (require.main === module) {
+    (async () => {
+        const patternsPath = process.argv[2] || path.join(__dirname, '..', 'config', 'sc-log-patterns.json');
+        const harness = new PatternTestHarness({ fixturesPath: process.argv[3] });
+
+        const content = await fs.readFile(patternsPath, 'utf8');
+        const corpus = harness.mergeFixtures(await harness.loadFixtures(), JSON.parse(content));
+        const report = await harness.run(patternsPath, corpus);
+
+        console.log(harness.formatReport(report));
+        process.exitCode = report.failed > 0 || report.compileErrors.length > 0 ? 1 : 0;
+    })().catch(error => {
+        console.error('Pattern tests failed to run:', error);
+        process.exitCode = 1;
+    });
+}
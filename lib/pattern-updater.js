@@ -1,6 +1,8 @@
 const https = require('https');
 const fs = require('fs').promises;
 const path = require('path');
+const PatternTestHarness = require('./pattern-test-harness');
+const { getBundledConfigPath } = require('./config-path-helper');
 
 /**
  * PatternUpdater - Manages automatic updates for sc-log-patterns.json
@@ -15,6 +17,8 @@ class PatternUpdater {
     const appDir = path.join(process.env.APPDATA || process.env.HOME, 'sc-recorder');
     this.localPath = path.join(appDir, 'sc-log-patterns.json');
     this.backupPath = path.join(appDir, 'sc-log-patterns.backup.json');
+    // Downloaded patterns are tested here before they replace the local file
+    this.stagingPath = path.join(appDir, 'sc-log-patterns.pending.json');
 
     // Define which major version of patterns this app supports
     // This is independent of the app version - patterns v1.x.x might work with app v2.x.x, v3.x.x, etc.
@@ -169,6 +173,22 @@ class PatternUpdater {
    * @returns {boolean} True if update was successful
    */
   async applyUpdate(updateInfo) {
+    // Refuse patterns that break fixtures the current patterns pass
+    const verification = await this.verifyUpdate(updateInfo);
+    updateInfo.verification = verification;
+
+    if (!verification.accepted) {
+      console.warn(`Refusing pattern update v${updateInfo.newVersion}: ${verification.reason}`);
+      for (const regression of verification.regressions) {
+        console.warn(`  ${regression.pattern || regression.transform} (${regression.id}): ${regression.reason}`);
+      }
+
+      if (updateInfo.isMissing) {
+        await this.installBundledPatterns();
+      }
+      return false;
+    }
+
     try {
       // Only backup if file exists (not missing)
       if (!updateInfo.isMissing) {
@@ -207,6 +227,83 @@ class PatternUpdater {
     }
   }
 
+  /**
+   * Run the pattern fixture suite on downloaded patterns
+   * Compares against the installed patterns (or the bundled copy when the
+   * local file is missing) and rejects the update if any fixture that
+   * passes today fails with the new file.
+   * @param {Object} updateInfo - Update information with new patterns
+   * @returns {Promise<Object>} { accepted, reason, regressions, report }
+   */
+  async verifyUpdate(updateInfo) {
+    const harness = new PatternTestHarness();
+
+    let corpus;
+    try {
+      corpus = harness.mergeFixtures(await harness.loadFixtures(), updateInfo.patterns);
+    } catch (error) {
+      // Without a corpus there is nothing to compare, keep the old behaviour
+      console.warn('Pattern fixtures unavailable, skipping verification:', error.message);
+      return { accepted: true, reason: 'fixtures unavailable', regressions: [], report: null };
+    }
+
+    try {
+      await fs.mkdir(path.dirname(this.stagingPath), { recursive: true });
+      await fs.writeFile(this.stagingPath, JSON.stringify(updateInfo.patterns, null, 2));
+
+      const report = await harness.run(this.stagingPath, corpus);
+      console.log(`Pattern fixtures for v${updateInfo.newVersion}: ${report.passed}/${report.total} passed`);
+
+      if (!report.loaded) {
+        return { accepted: false, reason: 'patterns failed to load', regressions: [], report };
+      }
+
+      const baselinePath = updateInfo.isMissing ? getBundledConfigPath('sc-log-patterns.json') : this.localPath;
+      let regressions;
+
+      try {
+        await fs.access(baselinePath);
+        const baseline = await harness.run(baselinePath, corpus);
+        regressions = harness.findRegressions(baseline, report);
+      } catch (error) {
+        // No baseline to compare with - every failure counts
+        regressions = report.results.filter(result => !result.passed);
+      }
+
+      if (regressions.length > 0) {
+        return {
+          accepted: false,
+          reason: `${regressions.length} fixture(s) regressed`,
+          regressions,
+          report
+        };
+      }
+
+      return { accepted: true, reason: null, regressions: [], report };
+    } catch (error) {
+      console.error('Pattern verification failed:', error);
+      return { accepted: false, reason: error.message, regressions: [], report: null };
+    } finally {
+      await fs.unlink(this.stagingPath).catch(() => {});
+    }
+  }
+
+  /**
+   * Install the patterns shipped with the app when there is no local file
+   * @returns {Promise<boolean>} True if the bundled patterns were copied
+   */
+  async installBundledPatterns() {
+    try {
+      const bundledPath = getBundledConfigPath('sc-log-patterns.json');
+      await fs.copyFile(bundledPath, this.localPath);
+      console.log(`Installed bundled patterns from ${bundledPath}`);
+      return true;
+    } catch (error) {
+      console.error('Failed to install bundled patterns:', error);
+      return false;
+    }
+  }
+
   /**
    * Fetch patterns from remote S3 URL
    * @returns {Promise<Object>} Remote pattern data
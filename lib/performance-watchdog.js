@@ -0,0 +1,283 @@
+/**
+ * Performance Watchdog
+ * Watches OBS's GetStats while recording for the moments OBS couldn't keep
+ * up. Each sample is compared with the oldest one inside the last
+ * windowSeconds:
+ * - encoder_overload: output frames skipped, the encoder is falling behind
+ * - render_lag: render frames missed, usually the GPU is busy with the game
+ * - high_cpu: OBS's CPU use stays high
+ * - slow_render: frames take most of their time budget to render
+ * An issue is reported once when it starts and closed when the window is
+ * clean again. When the recording ends the samples become a quality report,
+ * with a settings change for the next recording when frames were lost.
+ */
+
+// unit is what an issue's peak is measured in
+const ISSUES = {
+    encoder_overload: { name: 'Encoder Overloaded', severity: 'high', side: 'encoder', unit: '% skipped' },
+    render_lag: { name: 'Rendering Lag', severity: 'high', side: 'render', unit: '% missed' },
+    high_cpu: { name: 'High CPU Usage', severity: 'medium', side: 'encoder', unit: '% CPU' },
+    slow_render: { name: 'Slow Frame Rendering', severity: 'medium', side: 'render', unit: 'ms' }
+};
+
+// Lighter performance profile for each profile, see OBSTemplateGenerator's preset maps
+const LIGHTER_PROFILE = {
+    quality: 'balanced',
+    custom: 'balanced',
+    balanced: 'performance'
+};
+
+const PROFILE_NAMES = {
+    quality: 'Quality',
+    custom: 'Custom',
+    balanced: 'Balanced',
+    performance: 'Performance'
+};
+
+class PerformanceWatchdog {
+    constructor(options = {}) {
+        this.enabled = true;
+        this.autoApply = false;
+        this.windowSeconds = 10;
+        this.skipThreshold = 0.01; // Share of frames skipped or missed inside the window
+        this.cpuThreshold = 90; // Percent, averaged over the window
+        this.frameTimeThreshold = 0.8; // Share of the frame budget (1000 / fps ms)
+        this.session = null; // { startedAt, samples, issues, active }
+
+        this.configure(options);
+    }
+
+    /**
+     * @param {Object} options - { enabled, autoApply } plus any of the thresholds above
+     */
+    configure(options = {}) {
+        if (options.enabled !== undefined) {
+            this.enabled = Boolean(options.enabled);
+        }
+        if (options.autoApply !== undefined) {
+            this.autoApply = Boolean(options.autoApply);
+        }
+        for (const key of ['windowSeconds', 'skipThreshold', 'cpuThreshold', 'frameTimeThreshold']) {
+            if (options[key] !== undefined && !isNaN(Number(options[key]))) {
+                this[key] = Number(options[key]);
+            }
+        }
+    }
+
+    start(startedAt = Date.now()) {
+        this.session = { startedAt, samples: [], issues: [], active: new Map() };
+    }
+
+    isActive() {
+        return Boolean(this.session);
+    }
+
+    /**
+     * Drop the current watch without a report
+     */
+    reset() {
+        this.session = null;
+    }
+
+    /**
+     * Add a GetStats response
+     * @returns {Array} Issues that started with this sample, { type, name, severity, start, peak, readings }
+     */
+    addSample(stats, time = Date.now()) {
+        if (!this.session || !stats) return [];
+
+        const sample = {
+            time,
+            cpu: stats.cpuUsage || 0,
+            frameTime: stats.averageFrameRenderTime || 0,
+            fps: stats.activeFps || 0,
+            renderSkipped: stats.renderSkippedFrames || 0,
+            renderTotal: stats.renderTotalFrames || 0,
+            outputSkipped: stats.outputSkippedFrames || 0,
+            outputTotal: stats.outputTotalFrames || 0
+        };
+        const samples = this.session.samples;
+        samples.push(sample);
+
+        const windowSamples = samples.filter(s => time - s.time <= this.windowSeconds * 1000);
+        if (windowSamples.length < 2) return [];
+
+        const readings = this.measure(windowSamples);
+        const detected = {
+            encoder_overload: readings.outputSkipRatio >= this.skipThreshold ? readings.outputSkipRatio * 100 : null,
+            render_lag: readings.renderSkipRatio >= this.skipThreshold ? readings.renderSkipRatio * 100 : null,
+            high_cpu: readings.cpu >= this.cpuThreshold ? readings.cpu : null,
+            slow_render: readings.frameBudget > 0 && readings.frameTime >= readings.frameBudget * this.frameTimeThreshold
+                ? readings.frameTime : null
+        };
+
+        const offset = Math.round((time - this.session.startedAt) / 100) / 10;
+        const started = [];
+        for (const [type, value] of Object.entries(detected)) {
+            const issue = this.session.active.get(type);
+            if (value !== null && !issue) {
+                const newIssue = { type, ...ISSUES[type], start: offset, end: null, peak: value, readings };
+                this.session.active.set(type, newIssue);
+                this.session.issues.push(newIssue);
+                started.push(newIssue);
+            } else if (value !== null) {
+                issue.peak = Math.max(issue.peak, value);
+            } else if (issue) {
+                issue.end = offset;
+                this.session.active.delete(type);
+            }
+        }
+        return started;
+    }
+
+    /**
+     * Skip ratios between the first and last sample, means of the rest.
+     * OBS's frame counters restart with the outputs, so a drop counts as no data.
+     */
+    measure(samples) {
+        const first = samples[0];
+        const last = samples[samples.length - 1];
+        const ratio = (skipped, total) => total > 0 && skipped >= 0 ? skipped / total : 0;
+        const mean = (key) => samples.reduce((sum, s) => sum + s[key], 0) / samples.length;
+
+        return {
+            outputSkipRatio: ratio(last.outputSkipped - first.outputSkipped, last.outputTotal - first.outputTotal),
+            renderSkipRatio: ratio(last.renderSkipped - first.renderSkipped, last.renderTotal - first.renderTotal),
+            cpu: Math.round(mean('cpu') * 10) / 10,
+            frameTime: Math.round(mean('frameTime') * 100) / 100,
+            frameBudget: last.fps > 0 ? Math.round(1000 / last.fps * 100) / 100 : 0
+        };
+    }
+
+    /**
+     * End the recording's watch and build its quality report
+     * @param {Object} settings - Current config settings, for the suggestion
+     * @returns {Object|null} { duration, samples, outputFrames, renderFrames, cpu, frameTime, issues, rating, suggestion }
+     */
+    finish(endedAt = Date.now(), settings = {}) {
+        const session = this.session;
+        this.session = null;
+        if (!session || session.samples.length < 2) {
+            return null;
+        }
+
+        const duration = Math.round((endedAt - session.startedAt) / 100) / 10;
+        session.active.forEach(issue => {
+            issue.end = duration;
+        });
+
+        const { samples } = session;
+        const first = samples[0];
+        const last = samples[samples.length - 1];
+        const frames = (skipped, total) => ({
+            skipped: Math.max(0, skipped),
+            total: Math.max(0, total),
+            percent: total > 0 && skipped > 0 ? Math.round(skipped / total * 10000) / 100 : 0
+        });
+        const measured = this.measure(samples);
+
+        const report = {
+            checkedAt: new Date(endedAt).toISOString(),
+            duration,
+            samples: samples.length,
+            outputFrames: frames(last.outputSkipped - first.outputSkipped, last.outputTotal - first.outputTotal),
+            renderFrames: frames(last.renderSkipped - first.renderSkipped, last.renderTotal - first.renderTotal),
+            cpu: { average: measured.cpu, peak: Math.max(...samples.map(s => s.cpu)) },
+            frameTime: {
+                average: measured.frameTime,
+                peak: Math.max(...samples.map(s => s.frameTime)),
+                budget: measured.frameBudget
+            },
+            issues: session.issues.map(({ readings, ...issue }) => ({
+                ...issue,
+                peak: Math.round(issue.peak * 100) / 100
+            }))
+        };
+
+        const lostPercent = Math.max(report.outputFrames.percent, report.renderFrames.percent);
+        report.rating = lostPercent >= 5 ? 'poor' : (lostPercent >= this.skipThreshold * 100 || report.issues.length > 0 ? 'fair' : 'good');
+        report.suggestion = report.rating === 'good' ? null : this.suggestSettings(report, settings);
+        return report;
+    }
+
+    /**
+     * A lighter setting for each side that fell behind: the encoder gets a
+     * faster profile and then less bitrate, rendering gets 30 FPS and then a
+     * smaller output.
+     * @returns {Object|null} { changes (for ConfigManager.updateSettings), reasons, description }
+     */
+    suggestSettings(report, settings = {}) {
+        const recording = settings.recording || {};
+        const performance = settings.performance || {};
+        const resolution = settings.resolution || {};
+        const sides = new Set(report.issues.map(issue => issue.side));
+        if (report.outputFrames.percent >= this.skipThreshold * 100) sides.add('encoder');
+        if (report.renderFrames.percent >= this.skipThreshold * 100) sides.add('render');
+
+        const changes = {};
+        const reasons = [];
+
+        if (sides.has('encoder')) {
+            const profile = performance.profile || 'custom';
+            if (LIGHTER_PROFILE[profile]) {
+                // A preset picked by hand would win over the profile's
+                changes.performance = { profile: LIGHTER_PROFILE[profile], encoderPreset: null };
+                reasons.push(`Switch the performance profile from ${PROFILE_NAMES[profile]} to ${PROFILE_NAMES[LIGHTER_PROFILE[profile]]}`);
+            } else if (recording.bitrate > 4000) {
+                const bitrate = Math.max(4000, Math.round(recording.bitrate * 0.75 / 500) * 500);
+                changes.recording = { quality: 'custom', bitrate, bitrateMode: 'manual' };
+                changes.performance = { bitrateMode: 'manual' };
+                reasons.push(`Lower the recording bitrate from ${recording.bitrate} to ${bitrate} Kbps`);
+            }
+        }
+
+        if (sides.has('render')) {
+            const framerate = recording.framerate || 30;
+            // Same precedence as OBSTemplateGenerator: resolution.scaleFactor, then performance.resolutionScale
+            const scale = resolution.scaleFactor && resolution.scaleFactor !== 1
+                ? resolution.scaleFactor
+                : ({ '75': 0.75, '50': 0.5 })[performance.resolutionScale] || 1;
+            if (framerate > 30) {
+                changes.recording = { ...changes.recording, framerate: 30 };
+                reasons.push(`Record at 30 FPS instead of ${framerate}`);
+            } else if (resolution.preset !== 'custom' && scale > 0.5) {
+                const lower = scale > 0.75 ? 75 : 50;
+                changes.resolution = { preset: `scale-${lower}`, scaleFactor: lower / 100 };
+                changes.performance = { ...changes.performance, resolutionScale: String(lower) };
+                reasons.push(`Scale the recording to ${lower}% of the game resolution`);
+            }
+        }
+
+        if (reasons.length === 0) {
+            return null;
+        }
+        return { changes, reasons, description: reasons.join('; ') };
+    }
+
+    /**
+     * Warning event for the timeline when an issue starts
+     */
+    createWarningEvent(issue) {
+        const { readings } = issue;
+        const messages = {
+            encoder_overload: `Encoder overloaded, ${(readings.outputSkipRatio * 100).toFixed(1)}% of frames skipped in the last ${this.windowSeconds}s`,
+            render_lag: `Rendering lag, ${(readings.renderSkipRatio * 100).toFixed(1)}% of frames missed in the last ${this.windowSeconds}s`,
+            high_cpu: `OBS CPU usage at ${readings.cpu.toFixed(0)}%`,
+            slow_render: `Frames taking ${readings.frameTime.toFixed(1)}ms to render of a ${readings.frameBudget.toFixed(1)}ms budget`
+        };
+
+        return {
+            type: 'system',
+            subtype: issue.type,
+            name: issue.name,
+            message: messages[issue.type],
+            severity: issue.severity,
+            category: 'system',
+            data: { ...readings, windowSeconds: this.windowSeconds }
+        };
+    }
+}
+
+PerformanceWatchdog.ISSUES = ISSUES;
+
+module.exports = PerformanceWatchdog;
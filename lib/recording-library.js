@@ -0,0 +1,534 @@
+const EventEmitter = require('events');
+const fs = require('fs');
+const fsp = require('fs').promises;
+const path = require('path');
+const ffmpeg = require('fluent-ffmpeg');
+const { getConfigPath } = require('./config-path-helper');
+const CareerStatsStore = require('./career-stats-store');
+
+const LIBRARY_FOLDERS = ['recordings', 'saved', 'edited'];
+const VIDEO_EXTENSIONS = ['.mp4', '.mkv', '.avi', '.webm', '.mov'];
+
+// Changes to a file are batched for this long, a recording grows continuously
+const WATCH_DEBOUNCE_MS = 2000;
+// Files written to more recently than this are still being recorded, probe them later
+const PROBE_SETTLE_MS = 15000;
+
+/**
+ * Recording Library
+ * Persistent index of every video in the recordings, saved and edited
+ * folders with the facts from its events sidecar (player, ships, zones,
+ * event count), its duration and resolution, and user tags, rating and notes.
+ *
+ * The index is reconciled with a stat pass when opened and kept current
+ * by watching the folders; a sidecar is only parsed again when it changed.
+ * User data is keyed by file name so it follows a recording moved to saved.
+ *
+ * Emits 'changed' after entries are added, updated or removed.
+ */
+class RecordingLibrary extends EventEmitter {
+    constructor(options = {}) {
+        super();
+        this.indexPath = options.indexPath || getConfigPath('library.json');
+        this.ffprobePath = options.ffprobePath || null;
+        this.basePath = null;
+        this.index = null;
+        this.watchers = [];
+        this.pendingUpdates = new Map();
+        this.saveTimer = null;
+        this.probeQueue = [];
+        this.probing = false;
+    }
+
+    /**
+     * Load the index from disk
+     */
+    async load() {
+        if (this.index) return this.index;
+
+        try {
+            this.index = JSON.parse(await fsp.readFile(this.indexPath, 'utf8'));
+        } catch (error) {
+            this.index = { version: 1, entries: {}, userData: {} };
+        }
+
+        return this.index;
+    }
+
+    async saveIndex() {
+        if (this.saveTimer) {
+            clearTimeout(this.saveTimer);
+            this.saveTimer = null;
+        }
+
+        await fsp.mkdir(path.dirname(this.indexPath), { recursive: true });
+        const tempPath = this.indexPath + '.tmp';
+        await fsp.writeFile(tempPath, JSON.stringify(this.index), 'utf8');
+        await fsp.rename(tempPath, this.indexPath);
+    }
+
+    /**
+     * Write the index shortly after a burst of changes
+     */
+    scheduleSave() {
+        if (this.saveTimer) return;
+
+        this.saveTimer = setTimeout(() => {
+            this.saveTimer = null;
+            this.saveIndex().catch(error => {
+                console.error('[RecordingLibrary] Failed to save index:', error);
+            });
+        }, 1000);
+    }
+
+    /**
+     * Point the library at a recording output folder, reconcile and watch it
+     * @param {string} basePath - Recording output path (contains recordings/saved/edited)
+     */
+    async open(basePath) {
+        await this.load();
+
+        if (this.basePath === basePath && this.watchers.length === LIBRARY_FOLDERS.length) {
+            return this;
+        }
+
+        this.close();
+        this.basePath = basePath;
+
+        await this.reconcile();
+        this.watch();
+        return this;
+    }
+
+    /**
+     * Stop watching the folders
+     */
+    close() {
+        for (const watcher of this.watchers) {
+            watcher.close();
+        }
+        this.watchers = [];
+
+        for (const timer of this.pendingUpdates.values()) {
+            clearTimeout(timer);
+        }
+        this.pendingUpdates.clear();
+    }
+
+    /**
+     * Bring the index in line with the folders on disk
+     * Only stats files, sidecars are parsed when they changed
+     */
+    async reconcile() {
+        await this.load();
+        const seen = new Set();
+        let changed = 0;
+
+        for (const folder of LIBRARY_FOLDERS) {
+            const folderPath = path.join(this.basePath, folder);
+
+            let files;
+            try {
+                files = await fsp.readdir(folderPath);
+            } catch (error) {
+                continue;
+            }
+
+            for (const file of files) {
+                if (!VIDEO_EXTENSIONS.includes(path.extname(file).toLowerCase())) continue;
+
+                const videoPath = path.join(folderPath, file);
+                seen.add(videoPath);
+                if (await this.updateVideo(folder, videoPath)) changed++;
+            }
+        }
+
+        for (const videoPath of Object.keys(this.index.entries)) {
+            if (!seen.has(videoPath)) {
+                delete this.index.entries[videoPath];
+                changed++;
+            }
+        }
+
+        await this.saveIndex();
+
+        if (changed > 0) {
+            console.log(`[RecordingLibrary] Reconciled ${seen.size} recordings, ${changed} changed`);
+            this.emit('changed');
+        }
+    }
+
+    /**
+     * Watch the folders, changes are applied per recording after a short debounce
+     * Missing folders are created, saved/ only appears with the first replay or clip
+     */
+    watch() {
+        for (const folder of LIBRARY_FOLDERS) {
+            const folderPath = path.join(this.basePath, folder);
+
+            try {
+                fs.mkdirSync(folderPath, { recursive: true });
+                const watcher = fs.watch(folderPath, (eventType, filename) => {
+                    if (filename) this.queueUpdate(folder, filename.toString());
+                });
+                watcher.on('error', (error) => {
+                    console.error(`[RecordingLibrary] Watcher error for ${folderPath}:`, error.message);
+                });
+                this.watchers.push(watcher);
+            } catch (error) {
+                console.error(`[RecordingLibrary] Cannot watch ${folderPath}:`, error.message);
+            }
+        }
+    }
+
+    /**
+     * Debounce a change to a video or its sidecar
+     */
+    queueUpdate(folder, filename) {
+        const ext = path.extname(filename).toLowerCase();
+        if (!VIDEO_EXTENSIONS.includes(ext) && ext !== '.json') return;
+
+        const baseName = path.basename(filename, path.extname(filename));
+        const key = path.join(this.basePath, folder, baseName);
+
+        clearTimeout(this.pendingUpdates.get(key));
+        this.pendingUpdates.set(key, setTimeout(() => {
+            this.pendingUpdates.delete(key);
+            this.updateRecording(folder, key).catch(error => {
+                console.error(`[RecordingLibrary] Failed to update ${key}:`, error);
+            });
+        }, WATCH_DEBOUNCE_MS));
+    }
+
+    /**
+     * Re-check every video sharing a base name (video and sidecar changes land here)
+     */
+    async updateRecording(folder, basePathNoExt) {
+        let changed = false;
+
+        for (const ext of VIDEO_EXTENSIONS) {
+            const videoPath = basePathNoExt + ext;
+            if (fs.existsSync(videoPath)) {
+                changed = (await this.updateVideo(folder, videoPath)) || changed;
+            } else if (this.index.entries[videoPath]) {
+                delete this.index.entries[videoPath];
+                changed = true;
+            }
+        }
+
+        if (changed) {
+            this.scheduleSave();
+            this.emit('changed');
+        }
+    }
+
+    /**
+     * Refresh one entry if the video or its sidecar changed
+     * @returns {Promise<boolean>} Whether the entry changed
+     */
+    async updateVideo(folder, videoPath) {
+        let stats;
+        try {
+            stats = await fsp.stat(videoPath);
+        } catch (error) {
+            if (!this.index.entries[videoPath]) return false;
+            delete this.index.entries[videoPath];
+            return true;
+        }
+
+        const parsed = path.parse(videoPath);
+        const jsonPath = path.join(parsed.dir, `${parsed.name}.json`);
+        let jsonStats = null;
+        try {
+            jsonStats = await fsp.stat(jsonPath);
+        } catch (error) {
+            // No sidecar
+        }
+
+        const videoRev = `${stats.mtimeMs}-${stats.size}`;
+        const jsonRev = jsonStats ? `${jsonStats.mtimeMs}-${jsonStats.size}` : null;
+        const existing = this.index.entries[videoPath];
+
+        if (existing && existing.videoRev === videoRev && existing.jsonRev === jsonRev) {
+            // Probing may not have finished before the app closed
+            if (!existing.width && !existing.probeFailed) this.queueProbe(videoPath);
+            return false;
+        }
+
+        const entry = {
+            ...(existing || {}),
+            name: parsed.base,
+            path: videoPath,
+            folder,
+            size: stats.size,
+            modified: stats.mtime.toISOString(),
+            created: (stats.birthtime || stats.ctime).toISOString(),
+            videoRev
+        };
+
+        if (!existing || existing.jsonRev !== jsonRev) {
+            Object.assign(entry, await this.parseSidecar(jsonStats ? jsonPath : null));
+            entry.jsonRev = jsonRev;
+        }
+
+        // A rewritten video needs probing again
+        if (!existing || existing.videoRev !== videoRev) {
+            entry.width = null;
+            entry.height = null;
+            entry.probedDuration = null;
+            entry.probeFailed = false;
+            this.queueProbe(videoPath);
+        }
+
+        this.index.entries[videoPath] = entry;
+        return true;
+    }
+
+    /**
+     * Facts from the events sidecar
+     */
+    async parseSidecar(jsonPath) {
+        const facts = {
+            jsonPath: null,
+            hasEvents: false,
+            eventCount: 0,
+            eventDuration: null,
+            player: null,
+            instance: null,
+            ships: [],
+            zones: [],
+            systems: [],
+            kind: 'recording'
+        };
+
+        if (!jsonPath) return facts;
+
+        try {
+            const data = JSON.parse(await fsp.readFile(jsonPath, 'utf8'));
+            const events = Array.isArray(data.events) ? data.events : [];
+            const metadata = data.metadata || {};
+            const ships = new Set();
+            const zones = new Set();
+            const systems = new Set();
+
+            for (const event of events) {
+                const eventData = event.data || {};
+                if (event.subtype === 'seat_entered' && eventData.vehicle) ships.add(eventData.vehicle);
+                if (eventData.zone) zones.add(eventData.zone);
+                if (eventData.location) zones.add(eventData.location);
+
+                const system = CareerStatsStore.getEventSystem(event);
+                if (system) systems.add(system);
+            }
+
+            const stop = events.find(event => event.subtype === 'recording_stop');
+            const player = metadata.player || (metadata.combat && metadata.combat.player) || null;
+
+            Object.assign(facts, {
+                jsonPath,
+                hasEvents: true,
+                eventCount: events.length,
+                eventDuration: stop && stop.data && stop.data.duration
+                    ? stop.data.duration
+                    : metadata.recordingDuration || null,
+                player: player ? player.name || player.id || null : null,
+                instance: metadata.gameInstance || null,
+                ships: Array.from(ships),
+                zones: Array.from(zones),
+                systems: Array.from(systems),
+                kind: metadata.clip ? 'clip' : metadata.replay ? 'replay' : metadata.montage ? 'montage' : 'recording'
+            });
+        } catch (error) {
+            console.warn(`[RecordingLibrary] Could not read ${jsonPath}: ${error.message}`);
+            facts.jsonPath = jsonPath;
+        }
+
+        return facts;
+    }
+
+    /**
+     * Probe duration and resolution in the background, one file at a time
+     */
+    queueProbe(videoPath) {
+        if (!this.ffprobePath) return;
+        if (!this.probeQueue.includes(videoPath)) {
+            this.probeQueue.push(videoPath);
+        }
+        this.runProbes();
+    }
+
+    async runProbes() {
+        if (this.probing) return;
+        this.probing = true;
+        ffmpeg.setFfprobePath(this.ffprobePath);
+
+        try {
+            while (this.probeQueue.length > 0) {
+                const videoPath = this.probeQueue.shift();
+                const entry = this.index.entries[videoPath];
+                if (!entry) continue;
+
+                // Still being written, the final write queues it again
+                if (Date.now() - Date.parse(entry.modified) < PROBE_SETTLE_MS) {
+                    setTimeout(() => this.queueProbe(videoPath), PROBE_SETTLE_MS);
+                    continue;
+                }
+
+                try {
+                    const info = await this.probe(videoPath);
+                    Object.assign(entry, info);
+                    this.scheduleSave();
+                } catch (error) {
+                    console.warn(`[RecordingLibrary] Could not probe ${entry.name}: ${error.message}`);
+                    entry.probeFailed = true;
+                    this.scheduleSave();
+                }
+            }
+        } finally {
+            this.probing = false;
+        }
+    }
+
+    probe(videoPath) {
+        return new Promise((resolve, reject) => {
+            ffmpeg.ffprobe(videoPath, (err, metadata) => {
+                if (err) {
+                    reject(err);
+                    return;
+                }
+
+                const videoStream = metadata.streams.find(stream => stream.codec_type === 'video');
+                resolve({
+                    probedDuration: metadata.format.duration || null,
+                    width: videoStream ? videoStream.width : null,
+                    height: videoStream ? videoStream.height : null
+                });
+            });
+        });
+    }
+
+    /**
+     * Entry with user data and the best known duration
+     */
+    getEntry(videoPath) {
+        const entry = this.index.entries[videoPath];
+        if (!entry) return null;
+
+        const userData = this.index.userData[entry.name] || {};
+        return {
+            ...entry,
+            duration: entry.probedDuration || entry.eventDuration || null,
+            resolution: entry.width && entry.height ? `${entry.width}x${entry.height}` : null,
+            tags: userData.tags || [],
+            rating: userData.rating || 0,
+            notes: userData.notes || ''
+        };
+    }
+
+    /**
+     * Search the library
+     * @param {Object} filter - { folder, text, tags, ship, zone, system, player, instance,
+     *                            kind, minRating, hasEvents, sort, limit }
+     * @returns {Object} { total, entries, facets }
+     */
+    query(filter = {}) {
+        const lower = (value) => String(value || '').toLowerCase();
+        const terms = lower(filter.text).split(/\s+/).filter(Boolean);
+        const tags = (filter.tags || []).map(lower);
+
+        const entries = Object.keys(this.index.entries)
+            .map(videoPath => this.getEntry(videoPath))
+            .filter(entry => {
+                if (filter.folder && entry.folder !== filter.folder) return false;
+                if (filter.kind && entry.kind !== filter.kind) return false;
+                if (filter.hasEvents && !entry.hasEvents) return false;
+                if (filter.minRating && entry.rating < filter.minRating) return false;
+                if (filter.player && lower(entry.player) !== lower(filter.player)) return false;
+                if (filter.instance && lower(entry.instance) !== lower(filter.instance)) return false;
+                if (filter.ship && !entry.ships.some(ship => lower(ship) === lower(filter.ship))) return false;
+                if (filter.zone && !entry.zones.some(zone => lower(zone) === lower(filter.zone))) return false;
+                if (filter.system && !entry.systems.some(system => lower(system) === lower(filter.system))) return false;
+                if (tags.length > 0 && !tags.every(tag => entry.tags.map(lower).includes(tag))) return false;
+
+                if (terms.length > 0) {
+                    const haystack = lower([
+                        entry.name, entry.folder, entry.kind, entry.player, entry.instance, entry.notes,
+                        ...entry.tags, ...entry.ships, ...entry.zones, ...entry.systems
+                    ].filter(Boolean).join(' '));
+                    if (!terms.every(term => haystack.includes(term))) return false;
+                }
+
+                return true;
+            });
+
+        const sorters = {
+            modified: (a, b) => Date.parse(b.modified) - Date.parse(a.modified),
+            duration: (a, b) => (b.duration || 0) - (a.duration || 0),
+            rating: (a, b) => b.rating - a.rating || Date.parse(b.modified) - Date.parse(a.modified),
+            events: (a, b) => b.eventCount - a.eventCount
+        };
+        entries.sort(sorters[filter.sort] || sorters.modified);
+
+        return {
+            total: entries.length,
+            entries: filter.limit ? entries.slice(0, filter.limit) : entries,
+            facets: this.getFacets(entries)
+        };
+    }
+
+    /**
+     * Value counts for the filterable fields of a result set
+     */
+    getFacets(entries) {
+        const facets = { folders: {}, kinds: {}, tags: {}, ships: {}, zones: {}, systems: {}, players: {} };
+        const count = (facet, value) => {
+            if (value) facet[value] = (facet[value] || 0) + 1;
+        };
+
+        for (const entry of entries) {
+            count(facets.folders, entry.folder);
+            count(facets.kinds, entry.kind);
+            count(facets.players, entry.player);
+            entry.tags.forEach(tag => count(facets.tags, tag));
+            entry.ships.forEach(ship => count(facets.ships, ship));
+            entry.zones.forEach(zone => count(facets.zones, zone));
+            entry.systems.forEach(system => count(facets.systems, system));
+        }
+
+        return facets;
+    }
+
+    /**
+     * Save tags, rating and notes for a recording
+     * @param {string} videoPath - Recording video
+     * @param {Object} userData - { tags, rating, notes }, missing fields are left as they are
+     */
+    async setUserData(videoPath, userData = {}) {
+        await this.load();
+        const entry = this.index.entries[videoPath];
+        if (!entry) {
+            throw new Error(`Recording not in library: ${videoPath}`);
+        }
+
+        const current = this.index.userData[entry.name] || {};
+        const next = { ...current };
+
+        if (userData.tags !== undefined) {
+            next.tags = Array.from(new Set(userData.tags.map(tag => String(tag).trim()).filter(Boolean)));
+        }
+        if (userData.rating !== undefined) {
+            next.rating = Math.max(0, Math.min(5, Math.round(Number(userData.rating) || 0)));
+        }
+        if (userData.notes !== undefined) {
+            next.notes = String(userData.notes);
+        }
+
+        this.index.userData[entry.name] = next;
+        await this.saveIndex();
+        this.emit('changed');
+
+        return this.getEntry(videoPath);
+    }
+}
+
+module.exports = RecordingLibrary;
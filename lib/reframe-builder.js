@@ -0,0 +1,126 @@
+/**
+ * Reframe Builder
+ * Crops wide footage to a vertical (9:16) or square (1:1) video for Shorts,
+ * TikTok and similar. The crop window is as tall as the source and pans
+ * sideways between keyframes, each keyframe being { time, position } where
+ * time is in video seconds and position is the window centre as a share of
+ * the source width (0.5 is the middle of the screen).
+ *
+ * Panning between keyframes is eased, and the same interpolation drives the
+ * editor preview and the FFmpeg crop expression so the preview matches the
+ * export.
+ */
+
+const ASPECTS = {
+    '9:16': { ratio: 9 / 16, width: 1080, height: 1920 },
+    '1:1': { ratio: 1, width: 1080, height: 1080 }
+};
+
+// Window centres for common framings of a Star Citizen cockpit
+const POSITION_PRESETS = {
+    'cockpit-centre': { label: 'Cockpit Centre', position: 0.5 },
+    'left-panel': { label: 'Left Panel', position: 0.3 },
+    'right-panel': { label: 'Right Panel', position: 0.7 }
+};
+
+const DEFAULT_POSITION = 0.5;
+
+class ReframeBuilder {
+    /**
+     * Keyframes sorted by time with positions kept between 0 and 1
+     */
+    normalizeKeyframes(keyframes) {
+        return (keyframes || [])
+            .filter(keyframe => typeof keyframe.time === 'number' && !isNaN(keyframe.position))
+            .map(keyframe => ({ time: keyframe.time, position: Math.min(1, Math.max(0, Number(keyframe.position))) }))
+            .sort((a, b) => a.time - b.time);
+    }
+
+    /**
+     * Window centre at a time, holding the first and last keyframes outside their range
+     * @param {Array} keyframes - Normalized keyframes
+     * @param {number} time - Video seconds
+     */
+    getPositionAt(keyframes, time) {
+        if (keyframes.length === 0) return DEFAULT_POSITION;
+        if (time <= keyframes[0].time) return keyframes[0].position;
+
+        for (let i = 1; i < keyframes.length; i++) {
+            const previous = keyframes[i - 1];
+            const next = keyframes[i];
+            if (time < next.time) {
+                const progress = (time - previous.time) / (next.time - previous.time);
+                return previous.position + (next.position - previous.position) * (1 - Math.cos(Math.PI * progress)) / 2;
+            }
+        }
+
+        return keyframes[keyframes.length - 1].position;
+    }
+
+    /**
+     * Crop window for a source size, in the source's units
+     * @returns {Object} { width, height, left, top }
+     */
+    getCropWindow(aspect, sourceWidth, sourceHeight, position) {
+        const { ratio } = ASPECTS[aspect] || ASPECTS['9:16'];
+        const width = Math.min(sourceWidth, sourceHeight * ratio);
+        const height = Math.min(sourceHeight, sourceWidth / ratio);
+        const left = Math.min(sourceWidth - width, Math.max(0, position * sourceWidth - width / 2));
+
+        return { width, height, left, top: (sourceHeight - height) / 2 };
+    }
+
+    getOutputSize(aspect) {
+        const { width, height } = ASPECTS[aspect] || ASPECTS['9:16'];
+        return { width, height };
+    }
+
+    /**
+     * FFmpeg expression for the window centre, t counts from the start of the exported range
+     * @param {Array} keyframes - Normalized keyframes
+     * @param {number} rangeStart - Video time the export starts at
+     */
+    buildPositionExpression(keyframes, rangeStart) {
+        if (keyframes.length === 0) return String(DEFAULT_POSITION);
+
+        const times = keyframes.map(keyframe => (keyframe.time - rangeStart).toFixed(3));
+        const last = keyframes.length - 1;
+        let expression = keyframes[last].position.toFixed(4);
+
+        // Built from the last segment backwards, each segment eases from one keyframe to the next
+        for (let i = last - 1; i >= 0; i--) {
+            const from = keyframes[i].position.toFixed(4);
+            const change = (keyframes[i + 1].position - keyframes[i].position).toFixed(4);
+            const span = (keyframes[i + 1].time - keyframes[i].time).toFixed(3);
+            expression = `if(lt(t,${times[i + 1]}),${from}+${change}*(1-cos(PI*(t-${times[i]})/${span}))/2,${expression})`;
+        }
+
+        return `if(lt(t,${times[0]}),${keyframes[0].position.toFixed(4)},${expression})`;
+    }
+
+    /**
+     * Crop and scale filters rendering the reframed video
+     * @param {Object} reframe - { aspect, keyframes }
+     * @param {number} rangeStart - Video time the export starts at (mark in)
+     * @returns {Array} Filter strings for videoFilters()
+     */
+    buildFilters(reframe, rangeStart = 0) {
+        const aspect = ASPECTS[reframe.aspect] ? reframe.aspect : '9:16';
+        const { ratio, width, height } = ASPECTS[aspect];
+        const keyframes = this.normalizeKeyframes(reframe.keyframes);
+        const position = this.buildPositionExpression(keyframes, rangeStart);
+
+        // Window size is fixed, x is evaluated per frame
+        return [
+            `crop=w='trunc(min(iw,ih*${ratio.toFixed(6)})/2)*2':h='trunc(min(ih,iw/${ratio.toFixed(6)})/2)*2'` +
+                `:x='clip((${position})*iw-ow/2,0,iw-ow)':y='(ih-oh)/2'`,
+            `scale=${width}:${height}`,
+            'setsar=1'
+        ];
+    }
+}
+
+ReframeBuilder.ASPECTS = ASPECTS;
+ReframeBuilder.POSITION_PRESETS = POSITION_PRESETS;
+
+module.exports = ReframeBuilder;
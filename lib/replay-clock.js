@@ -0,0 +1,148 @@
+/**
+ * Clock abstractions for the SC log pipeline
+ *
+ * Everything that stamps or paces log events asks a clock for the time
+ * instead of calling Date.now() directly, so the same pipeline can run
+ * live, replay a Game.log at its original pace, or be stepped manually
+ * in headless tests.
+ */
+
+/**
+ * Wall clock - the default for live monitoring
+ */
+class SystemClock {
+    now() {
+        return Date.now();
+    }
+
+    setTimeout(callback, delayMs) {
+        return setTimeout(callback, delayMs);
+    }
+
+    clearTimeout(handle) {
+        clearTimeout(handle);
+    }
+}
+
+/**
+ * Replay clock
+ * Runs in log time: once anchored to the first log timestamp, now() advances
+ * from there at `speed` times real time. A speed of 0 replays as fast as possible.
+ */
+class ReplayClock {
+    constructor(speed = 1) {
+        this.speed = speed > 0 ? speed : 0;
+        this.logTimeAnchor = null;
+        this.wallTimeAnchor = null;
+    }
+
+    /**
+     * Anchor the clock to a log timestamp (ms since epoch)
+     */
+    anchor(logTime) {
+        this.logTimeAnchor = logTime;
+        this.wallTimeAnchor = Date.now();
+    }
+
+    now() {
+        if (this.logTimeAnchor === null) {
+            return Date.now();
+        }
+
+        if (this.speed === 0) {
+            return this.logTimeAnchor;
+        }
+
+        return this.logTimeAnchor + (Date.now() - this.wallTimeAnchor) * this.speed;
+    }
+
+    setTimeout(callback, delayMs) {
+        if (this.speed === 0) {
+            // Unpaced replay - jump the clock forward instead of waiting
+            return setTimeout(() => {
+                if (this.logTimeAnchor !== null) {
+                    this.logTimeAnchor += delayMs;
+                }
+                callback();
+            }, 0);
+        }
+
+        return setTimeout(callback, delayMs / this.speed);
+    }
+
+    clearTimeout(handle) {
+        clearTimeout(handle);
+    }
+}
+
+/**
+ * Manual clock for headless tests
+ * Time only moves when advance() or runAll() is called, timers fire synchronously.
+ */
+class ManualClock {
+    constructor(startTime = 0) {
+        this.currentTime = startTime;
+        this.timers = [];
+        this.nextTimerId = 1;
+    }
+
+    anchor(logTime) {
+        this.currentTime = logTime;
+    }
+
+    now() {
+        return this.currentTime;
+    }
+
+    setTimeout(callback, delayMs) {
+        const id = this.nextTimerId++;
+        this.timers.push({ id, callback, dueTime: this.currentTime + Math.max(0, delayMs) });
+        return id;
+    }
+
+    clearTimeout(id) {
+        this.timers = this.timers.filter(timer => timer.id !== id);
+    }
+
+    /**
+     * Advance time by delayMs, firing every timer that falls due
+     */
+    advance(delayMs) {
+        const targetTime = this.currentTime + delayMs;
+
+        while (true) {
+            const due = this.timers
+                .filter(timer => timer.dueTime <= targetTime)
+                .sort((a, b) => a.dueTime - b.dueTime || a.id - b.id)[0];
+
+            if (!due) break;
+
+            this.timers = this.timers.filter(timer => timer.id !== due.id);
+            this.currentTime = due.dueTime;
+            due.callback();
+        }
+
+        this.currentTime = targetTime;
+    }
+
+    /**
+     * Fire all pending timers (including ones they schedule) in order
+     */
+    runAll(maxTimers = 1000000) {
+        let fired = 0;
+
+        while (this.timers.length > 0 && fired < maxTimers) {
+            const next = this.timers.reduce((a, b) =>
+                (b.dueTime < a.dueTime || (b.dueTime === a.dueTime && b.id < a.id)) ? b : a
+            );
+            this.advance(next.dueTime - this.currentTime);
+            fired++;
+        }
+    }
+}
+
+module.exports = {
+    SystemClock,
+    ReplayClock,
+    ManualClock
+};
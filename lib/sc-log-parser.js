@@ -1,18 +1,26 @@
 const fs = require('fs').promises;
 const path = require('path');
 const { getPatternsPath } = require('./config-path-helper');
+const { SystemClock } = require('./replay-clock');
 
 /**
  * Star Citizen Log Parser
  * Parses game logs using configurable regex patterns from JSON
  */
 class SCLogParser {
-    constructor() {
+    constructor(options = {}) {
         this.patterns = null;
         this.transforms = null;
         this.categories = null;
         this.compiledPatterns = new Map();
 
+        // Start/end pairs from the "correlations" section, keyed by correlation id
+        this.correlations = [];
+        this.pendingCorrelations = new Map();
+
+        // Clock used to stamp events (swapped out for log replay)
+        this.clock = options.clock || new SystemClock();
+
         // Player identification
         this.currentPlayer = null;
         this.playerIdentificationPatterns = [
@@ -52,8 +60,9 @@ class SCLogParser {
             
             // Compile regex patterns for better performance
             this.compilePatterns();
+            this.loadCorrelations(config.correlations);
             
-            console.log(`[SCLogParser] Loaded ${this.patterns.length} patterns`);
+            console.log(`[SCLogParser] Loaded ${this.patterns.length} patterns, ${this.correlations.length} correlations`);
             return true;
         } catch (error) {
             console.error('[SCLogParser] Failed to load patterns:', error);
@@ -115,6 +124,38 @@ class SCLogParser {
         };
         
         this.compilePatterns();
+        this.loadCorrelations([]);
+    }
+
+    /**
+     * Load correlation definitions
+     *
+     * Each correlation pairs a start pattern with an end pattern:
+     *   { id, name, category, severity, start, end,
+     *     match: ['missionId'],          // fields both events must share
+     *     timeout: 900000,               // ms before an unmatched start expires
+     *     restart: 'replace' | 'keep',   // what a repeated start does to a pending one
+     *     fields: { destination: { from: 'start', field: 'destination' } },
+     *     message: 'Quantum travel {duration} to {destination}' }
+     */
+    loadCorrelations(correlations = []) {
+        this.correlations = [];
+        this.pendingCorrelations.clear();
+
+        for (const correlation of correlations || []) {
+            if (!this.compiledPatterns.has(correlation.start) || !this.compiledPatterns.has(correlation.end)) {
+                console.warn(`[SCLogParser] Skipping correlation ${correlation.id}: unknown start/end pattern`);
+                continue;
+            }
+
+            this.correlations.push({
+                match: [],
+                timeout: 600000,
+                restart: 'replace',
+                severity: 'low',
+                ...correlation
+            });
+        }
     }
 
     /**
@@ -136,7 +177,7 @@ class SCLogParser {
                         ...this.currentPlayer,
                         ...playerInfo,
                         identifiedBy: idPattern.name,
-                        identifiedAt: new Date().toISOString()
+                        identifiedAt: new Date(this.clock.now()).toISOString()
                     };
 
                     console.log(`[SCLogParser] Player identified: ${this.currentPlayer.name} (ID: ${this.currentPlayer.id}) via ${idPattern.name}`);
@@ -210,9 +251,173 @@ class SCLogParser {
             }
         }
 
+        // Derived events from start/end pairs
+        if (this.correlations.length > 0) {
+            events.push(...this.correlateEvents(events, line));
+        }
+
         return events;
     }
 
+    /**
+     * Feed events through the correlations, returning any derived events
+     */
+    correlateEvents(events, line) {
+        const lineTime = this.getEventTime({ logTimestamp: this.extractLineTimestamp(line) });
+        this.expireCorrelations(lineTime !== null ? lineTime : this.clock.now());
+
+        const derived = [];
+
+        for (const event of events) {
+            for (const correlation of this.correlations) {
+                if (event.id === correlation.end) {
+                    const result = this.completeCorrelation(correlation, event);
+                    if (result) {
+                        derived.push(result);
+                    }
+                }
+
+                if (event.id === correlation.start) {
+                    this.openCorrelation(correlation, event);
+                }
+            }
+        }
+
+        return derived;
+    }
+
+    /**
+     * Key a pending start by correlation id and its shared field values
+     */
+    getCorrelationKey(correlation, event) {
+        const values = correlation.match.map(field => {
+            const value = event.data ? event.data[field] : null;
+            return value === null || value === undefined ? '' : value;
+        });
+        return [correlation.id, ...values].join(':');
+    }
+
+    /**
+     * Remember a start event until its end arrives
+     */
+    openCorrelation(correlation, event) {
+        const key = this.getCorrelationKey(correlation, event);
+
+        if (correlation.restart === 'keep' && this.pendingCorrelations.has(key)) {
+            return;
+        }
+
+        const startTime = this.getEventTime(event);
+        this.pendingCorrelations.set(key, {
+            correlation,
+            event,
+            startTime: startTime !== null ? startTime : this.clock.now()
+        });
+    }
+
+    /**
+     * Pair an end event with its pending start and build the derived event
+     */
+    completeCorrelation(correlation, endEvent) {
+        const key = this.getCorrelationKey(correlation, endEvent);
+        const pending = this.pendingCorrelations.get(key);
+
+        if (!pending) {
+            return null;
+        }
+
+        this.pendingCorrelations.delete(key);
+
+        const startEvent = pending.event;
+        const endTime = this.getEventTime(endEvent);
+        const durationMs = Math.max(0, (endTime !== null ? endTime : this.clock.now()) - pending.startTime);
+
+        const data = {};
+        for (const [fieldName, fieldConfig] of Object.entries(correlation.fields || {})) {
+            const source = fieldConfig.from === 'end' ? endEvent : startEvent;
+            data[fieldName] = source.data ? source.data[fieldConfig.field || fieldName] : null;
+        }
+
+        data.durationSeconds = Math.round(durationMs / 1000);
+        data.duration = this.formatDuration(durationMs);
+        data.startTimestamp = startEvent.logTimestamp || startEvent.timestamp;
+        data.endTimestamp = endEvent.logTimestamp || endEvent.timestamp;
+
+        const event = {
+            id: correlation.id,
+            name: correlation.name || correlation.id,
+            category: correlation.category || endEvent.category,
+            severity: correlation.severity,
+            timestamp: endEvent.timestamp,
+            logTimestamp: endEvent.logTimestamp,
+            raw: endEvent.raw,
+            data,
+            message: correlation.message
+                ? this.formatMessage(correlation.message, data)
+                : correlation.name || correlation.id,
+            derived: true,
+            correlation: {
+                id: correlation.id,
+                start: startEvent.id,
+                end: endEvent.id
+            }
+        };
+
+        if (this.categories && this.categories[event.category]) {
+            event.categoryInfo = this.categories[event.category];
+        }
+
+        return event;
+    }
+
+    /**
+     * Drop pending starts older than their correlation's timeout
+     */
+    expireCorrelations(now) {
+        for (const [key, pending] of this.pendingCorrelations) {
+            if (now - pending.startTime > pending.correlation.timeout) {
+                this.pendingCorrelations.delete(key);
+            }
+        }
+    }
+
+    /**
+     * Forget all pending starts
+     */
+    resetCorrelations() {
+        this.pendingCorrelations.clear();
+    }
+
+    /**
+     * Event time in ms, preferring the game's own timestamp
+     */
+    getEventTime(event) {
+        for (const value of [event.logTimestamp, event.timestamp]) {
+            if (!value) continue;
+            const time = Date.parse(value);
+            if (!isNaN(time)) return time;
+        }
+        return null;
+    }
+
+    /**
+     * Format a duration as 42s, 3m 12s or 1h 05m
+     */
+    formatDuration(ms) {
+        const totalSeconds = Math.round(ms / 1000);
+        const hours = Math.floor(totalSeconds / 3600);
+        const minutes = Math.floor((totalSeconds % 3600) / 60);
+        const seconds = totalSeconds % 60;
+
+        if (hours > 0) {
+            return `${hours}h ${String(minutes).padStart(2, '0')}m`;
+        }
+        if (minutes > 0) {
+            return `${minutes}m ${seconds}s`;
+        }
+        return `${seconds}s`;
+    }
+
     /**
      * Extract event data from regex match
      */
@@ -222,7 +427,7 @@ class SCLogParser {
             name: pattern.name,
             category: pattern.category,
             severity: pattern.severity || 'low',
-            timestamp: new Date().toISOString(),
+            timestamp: new Date(this.clock.now()).toISOString(),
             raw: rawLine,
             data: {}
         };
@@ -249,6 +454,9 @@ class SCLogParser {
             }
         }
         
+        // Keep the time the game logged the event, separate from when we saw it
+        event.logTimestamp = event.data.timestamp || this.extractLineTimestamp(rawLine);
+        
         // Generate message from template
         if (pattern.message) {
             event.message = this.formatMessage(pattern.message, event.data);
@@ -264,6 +472,14 @@ class SCLogParser {
         return event;
     }
 
+    /**
+     * Extract the <...Z> timestamp a Game.log line starts with
+     */
+    extractLineTimestamp(line) {
+        const match = /^<(\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}\.\d{3}Z)>/.exec(line || '');
+        return match ? match[1] : null;
+    }
+
     /**
      * Apply transform to a value
      */
@@ -347,6 +563,7 @@ class SCLogParser {
 
             // First pass: Try to identify player
             this.identifyPlayer(lines);
+            this.resetCorrelations();
 
             // Second pass: Parse events
             return this.parseLines(lines);
@@ -456,6 +673,13 @@ class SCLogParser {
         return this.patterns || [];
     }
 
+    /**
+     * Get loaded correlation definitions
+     */
+    getCorrelations() {
+        return this.correlations;
+    }
+
     /**
      * Check if parser is ready
      */
@@ -0,0 +1,242 @@
+/**
+ * Scene Automation
+ * Drives OBS from game events: switch scenes, show or hide sources and mute
+ * inputs while something is happening in game, e.g. the quantum travel scene
+ * for the length of a jump. Rules use the auto clipper's trigger format plus
+ * an optional playerRole and an action:
+ *   { id, enabled, subtypes, minSeverity, playerRole,
+ *     action, scene, source, input, duration, revertOn }
+ * action is a key of ACTIONS and names the scene, the scene + source or the
+ * input it changes. The change is undone after duration seconds or when an
+ * event in revertOn arrives, whichever comes first; with neither it stays.
+ * Undoing restores what OBS had before the first rule touched that target,
+ * so overlapping rules don't leave a scene or source stuck.
+ *
+ * OBS requests go through the execute function given to the constructor
+ * (WebSocketManager.executeCommand in the supervisor) and run one at a time.
+ */
+
+const ACTIONS = {
+    'switch-scene': { label: 'Switch to scene', target: 'scene' },
+    'show-source': { label: 'Show source', target: 'source' },
+    'hide-source': { label: 'Hide source', target: 'source' },
+    'mute-input': { label: 'Mute input', target: 'input' },
+    'unmute-input': { label: 'Unmute input', target: 'input' }
+};
+
+// Scene and source names match the SC-Recording collection from OBSTemplateGenerator
+const DEFAULT_RULES = [
+    {
+        id: 'quantum_travel',
+        subtypes: ['quantum_jump_start'],
+        action: 'switch-scene',
+        scene: 'Quantum Travel',
+        revertOn: ['quantum_jump_complete'],
+        duration: 300
+    },
+    {
+        id: 'respawning',
+        subtypes: ['player_kill'],
+        playerRole: 'victim',
+        action: 'show-source',
+        scene: 'Star Citizen',
+        source: 'Respawning',
+        revertOn: ['spawn_location'],
+        duration: 60
+    },
+    {
+        // FastShutdown is logged when leaving the universe for the menu
+        id: 'menu_mute_mic',
+        enabled: false,
+        subtypes: ['player_disconnect'],
+        action: 'mute-input',
+        input: 'Microphone',
+        revertOn: ['game_joined'],
+        duration: 0
+    }
+];
+
+class SceneAutomation {
+    /**
+     * @param {Object} options - { clipper (AutoClipper, for rule matching), execute(requestType, requestData),
+     *                             getPlayerRole(event) ('victim', 'killer' or null), enabled, rules }
+     */
+    constructor(options = {}) {
+        this.clipper = options.clipper;
+        this.execute = options.execute;
+        this.getPlayerRole = options.getPlayerRole || (() => null);
+        this.enabled = false;
+        this.rules = DEFAULT_RULES;
+        this.active = new Map(); // Target key -> { ruleId, target, original, revertOn, timer }
+        this.queue = Promise.resolve();
+
+        this.configure(options);
+    }
+
+    /**
+     * @param {Object} options - { enabled, rules }
+     */
+    configure(options = {}) {
+        if (options.enabled !== undefined) {
+            this.enabled = Boolean(options.enabled);
+        }
+        if (Array.isArray(options.rules)) {
+            this.rules = options.rules;
+        }
+    }
+
+    /**
+     * Fill in rule defaults, null when the rule has no usable action
+     */
+    normalizeRule(rule, index) {
+        const action = ACTIONS[rule.action];
+        if (!action) return null;
+
+        const normalized = {
+            ...this.clipper.normalizeRule(rule, index),
+            enabled: rule.enabled !== false,
+            playerRole: rule.playerRole || null,
+            action: rule.action,
+            scene: rule.scene || '',
+            source: rule.source || '',
+            input: rule.input || '',
+            duration: Math.max(0, Number(rule.duration) || 0),
+            revertOn: Array.isArray(rule.revertOn) ? rule.revertOn : (rule.revertOn ? [rule.revertOn] : [])
+        };
+
+        const complete = action.target === 'scene' ? normalized.scene
+            : action.target === 'source' ? normalized.scene && normalized.source
+                : normalized.input;
+        return complete ? normalized : null;
+    }
+
+    getRules() {
+        return this.rules
+            .map((rule, index) => this.normalizeRule(rule, index))
+            .filter(rule => rule && rule.enabled);
+    }
+
+    /**
+     * Run the rules for a game event, undoing anything the event ends first
+     * @returns {Promise} Settles once OBS has been updated
+     */
+    handleEvent(event) {
+        if (!this.enabled) {
+            return this.queue;
+        }
+
+        const candidate = { ...event, severity: event.severity || 'medium' };
+        const ending = Array.from(this.active.values()).filter(entry => entry.revertOn.includes(event.subtype));
+        const rules = this.getRules().filter(rule => this.clipper.matchesRule(candidate, rule) &&
+            (!rule.playerRole || this.getPlayerRole(candidate) === rule.playerRole));
+
+        ending.forEach(entry => this.enqueue(() => this.revert(entry.target.key, event.subtype)));
+        rules.forEach(rule => this.enqueue(() => this.apply(rule, event)));
+        return this.queue;
+    }
+
+    enqueue(task) {
+        this.queue = this.queue.then(task).catch(error => {
+            console.warn('[SceneAutomation] OBS action failed:', error.message);
+        });
+        return this.queue;
+    }
+
+    /**
+     * Read, change and remember one OBS setting for a rule
+     */
+    async apply(rule, event) {
+        const target = await this.resolveTarget(rule);
+        const existing = this.active.get(target.key);
+        const original = existing ? existing.original : await target.read();
+
+        if (!existing && original === target.value) {
+            // Already in that state, there's nothing to undo later
+            return;
+        }
+
+        await target.write(target.value);
+        console.log(`[SceneAutomation] ${rule.id}: ${ACTIONS[rule.action].label} ${target.label} (${event.subtype})`);
+
+        if (existing) {
+            clearTimeout(existing.timer);
+        }
+        const entry = { ruleId: rule.id, target, original, revertOn: rule.revertOn, timer: null };
+        if (rule.duration > 0) {
+            entry.timer = setTimeout(() => {
+                entry.timer = null;
+                this.enqueue(() => this.revert(target.key, 'timeout'));
+            }, rule.duration * 1000);
+        }
+        this.active.set(target.key, entry);
+    }
+
+    async revert(key, reason) {
+        const entry = this.active.get(key);
+        if (!entry) return;
+
+        clearTimeout(entry.timer);
+        this.active.delete(key);
+        await entry.target.write(entry.original);
+        const restored = entry.target.key === 'scene' ? `"${entry.original}"` : entry.target.label;
+        console.log(`[SceneAutomation] ${entry.ruleId}: restored ${restored} (${reason})`);
+    }
+
+    /**
+     * Undo everything, used when automation is turned off
+     */
+    revertAll(reason = 'disabled') {
+        Array.from(this.active.keys()).forEach(key => this.enqueue(() => this.revert(key, reason)));
+        return this.queue;
+    }
+
+    /**
+     * Forget what was changed without touching OBS, its state is unknown after a disconnect
+     */
+    reset() {
+        this.active.forEach(entry => clearTimeout(entry.timer));
+        this.active.clear();
+    }
+
+    /**
+     * How to read and write the OBS setting a rule changes
+     * @returns {Promise<Object>} { key, label, value, read(), write(value) }
+     */
+    async resolveTarget(rule) {
+        switch (ACTIONS[rule.action].target) {
+            case 'scene':
+                return {
+                    key: 'scene',
+                    label: `"${rule.scene}"`,
+                    value: rule.scene,
+                    read: async () => (await this.execute('GetCurrentProgramScene')).currentProgramSceneName,
+                    write: (sceneName) => this.execute('SetCurrentProgramScene', { sceneName })
+                };
+
+            case 'source': {
+                const { sceneItemId } = await this.execute('GetSceneItemId', { sceneName: rule.scene, sourceName: rule.source });
+                return {
+                    key: `source:${rule.scene}:${rule.source}`,
+                    label: `"${rule.source}" in "${rule.scene}"`,
+                    value: rule.action === 'show-source',
+                    read: async () => (await this.execute('GetSceneItemEnabled', { sceneName: rule.scene, sceneItemId })).sceneItemEnabled,
+                    write: (sceneItemEnabled) => this.execute('SetSceneItemEnabled', { sceneName: rule.scene, sceneItemId, sceneItemEnabled })
+                };
+            }
+
+            default:
+                return {
+                    key: `input:${rule.input}`,
+                    label: `"${rule.input}"`,
+                    value: rule.action === 'mute-input',
+                    read: async () => (await this.execute('GetInputMute', { inputName: rule.input })).inputMuted,
+                    write: (inputMuted) => this.execute('SetInputMute', { inputName: rule.input, inputMuted })
+                };
+        }
+    }
+}
+
+SceneAutomation.ACTIONS = ACTIONS;
+SceneAutomation.DEFAULT_RULES = DEFAULT_RULES;
+
+module.exports = SceneAutomation;
@@ -0,0 +1,543 @@
+const path = require('path');
+const CombatAggregator = require('./combat-aggregator');
+
+/**
+ * Session Report
+ * Builds per-recording statistics from the events JSON written by
+ * EventCaptureManager.saveEvents, and renders them as Markdown, HTML or JSON.
+ */
+class SessionReport {
+    constructor() {
+        this.combatAggregator = new CombatAggregator();
+    }
+
+    /**
+     * Build the report
+     * @param {Object} recording - Parsed events JSON ({ metadata, events })
+     * @param {Object} options - { name } shown as the report title
+     * @returns {Object} Report data
+     */
+    build(recording, options = {}) {
+        const metadata = recording.metadata || {};
+        const events = [...(recording.events || [])]
+            .sort((a, b) => (a.videoOffset || 0) - (b.videoOffset || 0));
+
+        const player = this.resolvePlayer(metadata, events);
+        const duration = this.getDuration(metadata, events);
+
+        return {
+            version: '1.0.0',
+            generatedAt: new Date().toISOString(),
+            recording: {
+                name: options.name || null,
+                startTime: metadata.recordingStartTime || null,
+                duration,
+                eventCount: events.length
+            },
+            player,
+            combat: this.buildCombat(events, player),
+            ships: this.buildShips(events, duration),
+            zones: this.buildZones(events),
+            quantum: this.buildQuantum(events),
+            missions: this.buildMissions(events),
+            crimes: this.buildCrimes(events)
+        };
+    }
+
+    /**
+     * The player saved with the recording, falling back to identification events
+     */
+    resolvePlayer(metadata, events) {
+        const saved = metadata.player || (metadata.combat && metadata.combat.player);
+        if (saved && (saved.name || saved.id)) {
+            return { name: saved.name || null, id: saved.id || null };
+        }
+
+        const identified = events.find(event => event.subtype === 'player_identified' && event.data);
+        if (identified) {
+            return { name: identified.data.name || null, id: identified.data.id || null };
+        }
+
+        const connected = events.find(event => event.subtype === 'player_connect' && event.data);
+        if (connected) {
+            return { name: connected.data.player || null, id: connected.data.playerId || null };
+        }
+
+        return null;
+    }
+
+    /**
+     * Recording length in seconds
+     */
+    getDuration(metadata, events) {
+        const stop = events.find(event => event.subtype === 'recording_stop');
+        const lastOffset = events.reduce((max, event) => Math.max(max, event.videoOffset || 0), 0);
+
+        // The stop event holds the final length, metadata only has it while recording
+        if (stop && stop.data && stop.data.duration) {
+            return stop.data.duration;
+        }
+        return Math.max(metadata.recordingDuration || 0, lastOffset);
+    }
+
+    /**
+     * Kills vs deaths, using the same player matching as the combat aggregator
+     */
+    buildCombat(events, player) {
+        const combat = {
+            kills: 0,
+            deaths: 0,
+            kdRatio: null,
+            shipKills: 0,
+            shipsLost: 0,
+            encounters: 0,
+            longestStreak: 0,
+            weapons: [],
+            killedBy: []
+        };
+
+        const weapons = new Map();
+        const killedBy = new Map();
+
+        for (const event of events) {
+            if (event.subtype === 'combat_encounter') combat.encounters++;
+            if (event.subtype === 'kill_streak') {
+                combat.longestStreak = Math.max(combat.longestStreak, (event.data && event.data.count) || 0);
+            }
+
+            if (!CombatAggregator.isCombatEvent(event) || event.subtype === 'vehicle_soft_death') continue;
+
+            const role = this.combatAggregator.getPlayerRole(event, player);
+            const data = event.data || {};
+
+            if (role === 'killer') {
+                if (event.subtype === 'player_kill') {
+                    combat.kills++;
+                    if (data.weapon) weapons.set(data.weapon, (weapons.get(data.weapon) || 0) + 1);
+                } else {
+                    combat.shipKills++;
+                }
+            } else if (role === 'victim') {
+                if (event.subtype === 'player_kill') {
+                    combat.deaths++;
+                    if (data.killer) killedBy.set(data.killer, (killedBy.get(data.killer) || 0) + 1);
+                } else {
+                    combat.shipsLost++;
+                }
+            }
+        }
+
+        // Older recordings have no derived encounters, work them out here
+        if (combat.encounters === 0) {
+            const { streaks, encounters } = this.combatAggregator.aggregate(events, player);
+            combat.encounters = encounters.length;
+            combat.longestStreak = streaks.reduce((max, streak) => Math.max(max, streak.data.count), 0);
+        }
+
+        combat.kdRatio = combat.deaths > 0
+            ? Math.round((combat.kills / combat.deaths) * 100) / 100
+            : (combat.kills > 0 ? combat.kills : null);
+        combat.weapons = this.toCountList(weapons, 'weapon');
+        combat.killedBy = this.toCountList(killedBy, 'name');
+
+        return combat;
+    }
+
+    /**
+     * Ships flown and time spent in each, from seat entered/exited pairs
+     */
+    buildShips(events, duration) {
+        const ships = new Map();
+        const open = new Map();
+
+        const close = (vehicleId, endOffset) => {
+            const session = open.get(vehicleId);
+            if (!session) return;
+            open.delete(vehicleId);
+
+            const ship = ships.get(session.vehicle) || { vehicle: session.vehicle, seconds: 0, sessions: 0 };
+            ship.seconds += Math.max(0, endOffset - session.startOffset);
+            ship.sessions++;
+            ships.set(session.vehicle, ship);
+        };
+
+        for (const event of events) {
+            const data = event.data || {};
+            const offset = event.videoOffset || 0;
+            const vehicleId = data.vehicleId || data.vehicle;
+
+            if (event.subtype === 'seat_entered' && data.vehicle) {
+                if (open.has(vehicleId)) continue;
+
+                // Only one seat at a time - entering another ship leaves the last one
+                for (const id of Array.from(open.keys())) {
+                    close(id, offset);
+                }
+                open.set(vehicleId, { vehicle: data.vehicle, startOffset: Math.max(0, offset) });
+            } else if (event.subtype === 'seat_exited') {
+                close(vehicleId, offset);
+            }
+        }
+
+        // Still seated when the recording stopped
+        for (const id of Array.from(open.keys())) {
+            close(id, duration);
+        }
+
+        return Array.from(ships.values()).sort((a, b) => b.seconds - a.seconds);
+    }
+
+    /**
+     * Zones and systems visited, in order of first visit
+     */
+    buildZones(events) {
+        const zones = new Map();
+        const systems = [];
+
+        for (const event of events) {
+            const data = event.data || {};
+            let zone = null;
+
+            if (event.subtype === 'zone_entered') zone = data.zone;
+            if (event.subtype === 'spawn_location') zone = data.location;
+
+            if (zone) {
+                const entry = zones.get(zone) || { zone, firstOffset: event.videoOffset || 0, visits: 0 };
+                entry.visits++;
+                zones.set(zone, entry);
+            }
+
+            const system = event.subtype === 'system_arrival_pyro' ? 'Pyro'
+                : event.subtype === 'system_arrival_stanton' ? 'Stanton' : null;
+            if (system && systems[systems.length - 1] !== system) {
+                systems.push(system);
+            }
+        }
+
+        return {
+            visited: Array.from(zones.values()),
+            systems
+        };
+    }
+
+    /**
+     * Quantum jumps and where they went
+     */
+    buildQuantum(events) {
+        const destinations = new Map();
+        let jumps = 0;
+        let travelSeconds = 0;
+
+        for (const event of events) {
+            const data = event.data || {};
+
+            if (event.subtype === 'quantum_jump_start') {
+                jumps++;
+                if (data.destination) {
+                    destinations.set(data.destination, (destinations.get(data.destination) || 0) + 1);
+                }
+            }
+
+            // Correlated start/complete pairs carry the travel time
+            if (event.subtype === 'quantum_travel' && data.durationSeconds) {
+                travelSeconds += Number(data.durationSeconds) || 0;
+            }
+        }
+
+        return {
+            jumps,
+            travelSeconds,
+            destinations: this.toCountList(destinations, 'destination')
+        };
+    }
+
+    /**
+     * Missions accepted and how they ended
+     */
+    buildMissions(events) {
+        const missions = new Map();
+
+        const getMission = (missionId) => {
+            if (!missions.has(missionId)) {
+                missions.set(missionId, { missionId, contract: null, status: 'accepted', completionType: null });
+            }
+            return missions.get(missionId);
+        };
+
+        for (const event of events) {
+            const data = event.data || {};
+            if (!data.missionId) continue;
+
+            if (event.subtype === 'mission_start' || event.subtype === 'mission_start_notification') {
+                const mission = getMission(data.missionId);
+                mission.contract = mission.contract || data.contract || data.contractId || null;
+            } else if (event.subtype === 'mission_end' || event.subtype === 'mission_complete') {
+                const mission = getMission(data.missionId);
+                mission.completionType = data.completionType || mission.completionType;
+                mission.status = data.completionType === 'Complete' ? 'completed' : 'failed';
+            }
+        }
+
+        const list = Array.from(missions.values());
+        return {
+            accepted: list.length,
+            completed: list.filter(mission => mission.status === 'completed').length,
+            failed: list.filter(mission => mission.status === 'failed').length,
+            list
+        };
+    }
+
+    /**
+     * Crimes committed and bounties placed
+     */
+    buildCrimes(events) {
+        const crimes = [];
+        const bounties = [];
+
+        for (const event of events) {
+            const data = event.data || {};
+
+            if (event.subtype === 'crime_committed') {
+                crimes.push({ type: data.crimeType || null, level: data.crimeLevel || null, offset: event.videoOffset || 0 });
+            } else if (event.subtype === 'bounty_received') {
+                bounties.push({ amount: Number(data.amount) || 0, offset: event.videoOffset || 0 });
+            }
+        }
+
+        return { count: crimes.length, list: crimes, bounties };
+    }
+
+    toCountList(counts, key) {
+        return Array.from(counts.entries())
+            .map(([value, count]) => ({ [key]: value, count }))
+            .sort((a, b) => b.count - a.count);
+    }
+
+    /**
+     * Render as JSON
+     */
+    toJSON(report) {
+        return JSON.stringify(report, null, 2);
+    }
+
+    /**
+     * Render as Markdown, for pasting into Discord or a forum post
+     */
+    toMarkdown(report) {
+        const { combat, quantum, missions, crimes } = report;
+        const lines = [];
+
+        lines.push(`# Session Report${report.recording.name ? ` - ${report.recording.name}` : ''}`);
+        lines.push('');
+        lines.push(this.getSummaryLine(report));
+        lines.push('');
+
+        lines.push('## Combat');
+        lines.push('');
+        lines.push('| Kills | Deaths | K/D | Ship kills | Ships lost | Encounters | Best streak |');
+        lines.push('|---|---|---|---|---|---|---|');
+        lines.push(`| ${combat.kills} | ${combat.deaths} | ${combat.kdRatio ?? '-'} | ${combat.shipKills} | ${combat.shipsLost} | ${combat.encounters} | ${combat.longestStreak || '-'} |`);
+        if (combat.weapons.length > 0) {
+            lines.push('');
+            lines.push(`Weapons: ${combat.weapons.map(item => `${item.weapon} (${item.count})`).join(', ')}`);
+        }
+        if (combat.killedBy.length > 0) {
+            lines.push(`Killed by: ${combat.killedBy.map(item => `${item.name} (${item.count})`).join(', ')}`);
+        }
+        lines.push('');
+
+        lines.push('## Ships');
+        lines.push('');
+        if (report.ships.length > 0) {
+            lines.push('| Ship | Time | Sessions |');
+            lines.push('|---|---|---|');
+            for (const ship of report.ships) {
+                lines.push(`| ${ship.vehicle} | ${this.formatDuration(ship.seconds)} | ${ship.sessions} |`);
+            }
+        } else {
+            lines.push('No ships flown');
+        }
+        lines.push('');
+
+        lines.push('## Zones');
+        lines.push('');
+        if (report.zones.systems.length > 0) {
+            lines.push(`Systems: ${report.zones.systems.join(' → ')}`);
+        }
+        if (report.zones.visited.length > 0) {
+            for (const zone of report.zones.visited) {
+                lines.push(`- ${zone.zone} (${this.formatTimecode(zone.firstOffset)})`);
+            }
+        } else {
+            lines.push('No zone changes');
+        }
+        lines.push('');
+
+        lines.push('## Quantum Travel');
+        lines.push('');
+        lines.push(`${quantum.jumps} jump${quantum.jumps === 1 ? '' : 's'}` +
+            (quantum.travelSeconds > 0 ? `, ${this.formatDuration(quantum.travelSeconds)} in transit` : ''));
+        for (const item of quantum.destinations) {
+            lines.push(`- ${item.destination} ×${item.count}`);
+        }
+        lines.push('');
+
+        lines.push('## Missions');
+        lines.push('');
+        lines.push(`Accepted ${missions.accepted}, completed ${missions.completed}, failed ${missions.failed}`);
+        for (const mission of missions.list) {
+            lines.push(`- ${mission.contract || mission.missionId}: ${mission.status}`);
+        }
+        lines.push('');
+
+        lines.push('## Crimes');
+        lines.push('');
+        lines.push(`${crimes.count} crime${crimes.count === 1 ? '' : 's'}`);
+        for (const crime of crimes.list) {
+            lines.push(`- ${crime.type || 'Unknown'}${crime.level ? ` (level ${crime.level})` : ''} at ${this.formatTimecode(crime.offset)}`);
+        }
+        for (const bounty of crimes.bounties) {
+            lines.push(`- Bounty ${bounty.amount} UEC at ${this.formatTimecode(bounty.offset)}`);
+        }
+
+        return lines.join('\n') + '\n';
+    }
+
+    /**
+     * Render as HTML
+     * @param {Object} report - Report data
+     * @param {Object} options - { fragment } to skip the document wrapper (for the post view panel)
+     */
+    toHTML(report, options = {}) {
+        const { combat, quantum, missions, crimes } = report;
+        const esc = (value) => this.escapeHtml(value);
+        const stat = (label, value) =>
+            `<div class="session-report-stat"><span class="session-report-value">${esc(value)}</span><span class="session-report-label">${esc(label)}</span></div>`;
+
+        const sections = [];
+
+        sections.push(`<p class="session-report-summary">${esc(this.getSummaryLine(report).replace(/\*\*/g, ''))}</p>`);
+
+        sections.push(`<h4>Combat</h4><div class="session-report-stats">${[
+            stat('Kills', combat.kills),
+            stat('Deaths', combat.deaths),
+            stat('K/D', combat.kdRatio ?? '-'),
+            stat('Ship kills', combat.shipKills),
+            stat('Ships lost', combat.shipsLost),
+            stat('Encounters', combat.encounters),
+            stat('Best streak', combat.longestStreak || '-')
+        ].join('')}</div>` +
+            (combat.weapons.length > 0
+                ? `<p>Weapons: ${combat.weapons.map(item => `${esc(item.weapon)} (${item.count})`).join(', ')}</p>`
+                : ''));
+
+        sections.push('<h4>Ships</h4>' + (report.ships.length > 0
+            ? `<table class="session-report-table"><tr><th>Ship</th><th>Time</th><th>Sessions</th></tr>${
+                report.ships.map(ship => `<tr><td>${esc(ship.vehicle)}</td><td>${this.formatDuration(ship.seconds)}</td><td>${ship.sessions}</td></tr>`).join('')
+            }</table>`
+            : '<p>No ships flown</p>'));
+
+        sections.push('<h4>Zones</h4>' +
+            (report.zones.systems.length > 0 ? `<p>Systems: ${report.zones.systems.map(esc).join(' → ')}</p>` : '') +
+            (report.zones.visited.length > 0
+                ? `<ul>${report.zones.visited.map(zone => `<li>${esc(zone.zone)} <small>${this.formatTimecode(zone.firstOffset)}</small></li>`).join('')}</ul>`
+                : '<p>No zone changes</p>'));
+
+        sections.push(`<h4>Quantum Travel</h4><p>${quantum.jumps} jump${quantum.jumps === 1 ? '' : 's'}${
+            quantum.travelSeconds > 0 ? `, ${this.formatDuration(quantum.travelSeconds)} in transit` : ''}</p>` +
+            (quantum.destinations.length > 0
+                ? `<ul>${quantum.destinations.map(item => `<li>${esc(item.destination)} ×${item.count}</li>`).join('')}</ul>`
+                : ''));
+
+        sections.push(`<h4>Missions</h4><p>Accepted ${missions.accepted}, completed ${missions.completed}, failed ${missions.failed}</p>` +
+            (missions.list.length > 0
+                ? `<ul>${missions.list.map(mission => `<li>${esc(mission.contract || mission.missionId)}: ${esc(mission.status)}</li>`).join('')}</ul>`
+                : ''));
+
+        sections.push(`<h4>Crimes</h4><p>${crimes.count} crime${crimes.count === 1 ? '' : 's'}</p>` +
+            (crimes.list.length + crimes.bounties.length > 0
+                ? `<ul>${[
+                    ...crimes.list.map(crime => `<li>${esc(crime.type || 'Unknown')}${crime.level ? ` (level ${esc(crime.level)})` : ''} <small>${this.formatTimecode(crime.offset)}</small></li>`),
+                    ...crimes.bounties.map(bounty => `<li>Bounty ${bounty.amount} UEC <small>${this.formatTimecode(bounty.offset)}</small></li>`)
+                ].join('')}</ul>`
+                : ''));
+
+        const body = `<div class="session-report">${sections.join('\n')}</div>`;
+
+        if (options.fragment) {
+            return body;
+        }
+
+        const title = `Session Report${report.recording.name ? ` - ${report.recording.name}` : ''}`;
+        return `<!DOCTYPE html>
+<html>
+<head>
+<meta charset="utf-8">
+<title>${esc(title)}</title>
+<style>
+body { font-family: sans-serif; background: #1a1a2e; color: #e0e0e0; max-width: 900px; margin: 20px auto; padding: 0 20px; }
+h1, h4 { color: #4fc3f7; }
+.session-report-stats { display: flex; flex-wrap: wrap; gap: 10px; }
+.session-report-stat { background: #16213e; border-radius: 6px; padding: 8px 12px; text-align: center; min-width: 80px; }
+.session-report-value { display: block; font-size: 20px; font-weight: bold; }
+.session-report-label { font-size: 12px; color: #999; }
+.session-report-table { border-collapse: collapse; }
+.session-report-table th, .session-report-table td { border-bottom: 1px solid #333; padding: 4px 12px; text-align: left; }
+</style>
+</head>
+<body>
+<h1>${esc(title)}</h1>
+${body}
+</body>
+</html>
+`;
+    }
+
+    getSummaryLine(report) {
+        const parts = [];
+        if (report.player && report.player.name) parts.push(`**Player:** ${report.player.name}`);
+        if (report.recording.startTime) parts.push(`**Recorded:** ${new Date(report.recording.startTime).toLocaleString()}`);
+        parts.push(`**Duration:** ${this.formatDuration(report.recording.duration)}`);
+        parts.push(`**Events:** ${report.recording.eventCount}`);
+        return parts.join(' · ');
+    }
+
+    /**
+     * Default export file name next to the recording
+     */
+    getExportPath(eventsPath, format) {
+        const parsed = path.parse(eventsPath);
+        const extension = { markdown: 'md', html: 'html', json: 'json' }[format] || format;
+        return path.join(parsed.dir, `${parsed.name}.report.${extension}`);
+    }
+
+    formatDuration(seconds) {
+        const total = Math.max(0, Math.round(seconds || 0));
+        const hours = Math.floor(total / 3600);
+        const minutes = Math.floor((total % 3600) / 60);
+        const secs = total % 60;
+
+        if (hours > 0) return `${hours}h ${String(minutes).padStart(2, '0')}m`;
+        if (minutes > 0) return `${minutes}m ${secs}s`;
+        return `${secs}s`;
+    }
+
+    formatTimecode(seconds) {
+        const total = Math.max(0, Math.floor(seconds || 0));
+        const hours = Math.floor(total / 3600);
+        const minutes = Math.floor((total % 3600) / 60);
+        const secs = total % 60;
+        const mmss = `${String(minutes).padStart(2, '0')}:${String(secs).padStart(2, '0')}`;
+        return hours > 0 ? `${hours}:${mmss}` : mmss;
+    }
+
+    escapeHtml(value) {
+        return String(value ?? '')
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
+}
+
+module.exports = SessionReport;
@@ -0,0 +1,157 @@
+/**
+ * Stream Markers
+ * Marks SC events on a live stream's timeline. Markers are kept for the
+ * length of one stream and written to the streams folder when it ends:
+ * <name>_markers.json with offsets from the stream start, and
+ * <name>_chapters.txt in YouTube chapter format ("00:00:00 Stream start")
+ * ready to paste into the VOD description.
+ *
+ * Rules use the auto clipper's format ({ subtypes, minSeverity }) and pick
+ * which events become markers.
+ */
+
+const path = require('path');
+const fs = require('fs').promises;
+
+const DEFAULT_RULES = [
+    { id: 'high_severity', subtypes: [], minSeverity: 'high' },
+    { id: 'manual', subtypes: ['user_marked'] }
+];
+
+// YouTube drops chapters shorter than this
+const MIN_CHAPTER_GAP = 10;
+
+class StreamMarkers {
+    /**
+     * @param {Object} options - { clipper (AutoClipper, for rule matching), rules }
+     */
+    constructor(options = {}) {
+        this.clipper = options.clipper;
+        this.rules = DEFAULT_RULES;
+        this.session = null; // { startedAt, host, markers }
+
+        this.configure(options);
+    }
+
+    configure(options = {}) {
+        if (Array.isArray(options.rules) && options.rules.length > 0) {
+            this.rules = options.rules;
+        }
+    }
+
+    /**
+     * Begin a stream's marker list
+     * @param {number} startedAt - When OBS reported the stream started (ms)
+     * @param {Object} info - { host } of the stream server, kept in the markers file
+     */
+    start(startedAt = Date.now(), info = {}) {
+        this.session = { startedAt, host: info.host || null, markers: [] };
+    }
+
+    isActive() {
+        return Boolean(this.session);
+    }
+
+    /**
+     * Mark an event when it matches a rule
+     * @param {Object} event - Captured event, its timestamp is when it happened
+     * @returns {Object|null} The marker, null when the event isn't marked
+     */
+    addEvent(event) {
+        if (!this.session) return null;
+
+        const candidate = { ...event, severity: event.severity || 'medium' };
+        const rule = this.rules
+            .map((r, index) => this.clipper.normalizeRule(r, index))
+            .find(r => this.clipper.matchesRule(candidate, r));
+        if (!rule) return null;
+
+        const eventTime = event.timestamp ? new Date(event.timestamp).getTime() : Date.now();
+        const offset = Math.max(0, (eventTime - this.session.startedAt) / 1000);
+        const marker = {
+            id: `marker_${this.session.markers.length + 1}`,
+            offset: Math.round(offset * 100) / 100,
+            timecode: this.formatTimecode(offset),
+            rule: rule.id,
+            subtype: event.subtype || '',
+            severity: candidate.severity,
+            name: event.name || '',
+            // A manual mark's message is the "click to edit" placeholder
+            message: (event.type === 'manual' ? event.name : event.message) || event.name || event.subtype || 'Marker'
+        };
+
+        this.session.markers.push(marker);
+        return marker;
+    }
+
+    getMarkerCount() {
+        return this.session ? this.session.markers.length : 0;
+    }
+
+    /**
+     * End the stream and write its marker files, nothing is written for a stream without markers
+     * @param {string} outputDir - Folder the files go in
+     * @returns {Promise<Object|null>} { markersPath, chaptersPath, markerCount, duration }
+     */
+    async finish(outputDir, endedAt = Date.now()) {
+        const session = this.session;
+        this.session = null;
+        if (!session || session.markers.length === 0 || !outputDir) {
+            return null;
+        }
+
+        const duration = Math.max(0, (endedAt - session.startedAt) / 1000);
+        const name = `Stream ${this.formatFileDate(new Date(session.startedAt))}`;
+        const markersPath = path.join(outputDir, `${name}_markers.json`);
+        const chaptersPath = path.join(outputDir, `${name}_chapters.txt`);
+
+        await fs.mkdir(outputDir, { recursive: true });
+        await fs.writeFile(markersPath, JSON.stringify({
+            metadata: {
+                version: '1.0.0',
+                recorder: 'SC-Recorder',
+                host: session.host,
+                streamStartTime: new Date(session.startedAt).toISOString(),
+                streamEndTime: new Date(endedAt).toISOString(),
+                duration,
+                markerCount: session.markers.length
+            },
+            markers: session.markers
+        }, null, 2));
+        await fs.writeFile(chaptersPath, this.getChapters(session.markers));
+
+        console.log(`[StreamMarkers] Saved ${session.markers.length} markers to ${markersPath}`);
+        return { markersPath, chaptersPath, markerCount: session.markers.length, duration };
+    }
+
+    /**
+     * Chapter list, starting at 0 with markers too close to the previous chapter left out
+     */
+    getChapters(markers) {
+        const chapters = [{ offset: 0, title: 'Stream start' }];
+        for (const marker of markers) {
+            if (marker.offset - chapters[chapters.length - 1].offset >= MIN_CHAPTER_GAP) {
+                chapters.push({ offset: marker.offset, title: marker.message });
+            }
+        }
+        return chapters.map(chapter => `${this.formatTimecode(chapter.offset)} ${chapter.title}`).join('\n') + '\n';
+    }
+
+    formatTimecode(seconds) {
+        const total = Math.floor(seconds);
+        return [Math.floor(total / 3600), Math.floor(total / 60) % 60, total % 60]
+            .map(value => value.toString().padStart(2, '0'))
+            .join(':');
+    }
+
+    // Same layout as OBS's recording names, 2024-01-31 20-15-00
+    formatFileDate(date) {
+        const pad = (value) => value.toString().padStart(2, '0');
+        return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())} ` +
+            `${pad(date.getHours())}-${pad(date.getMinutes())}-${pad(date.getSeconds())}`;
+    }
+}
+
+StreamMarkers.DEFAULT_RULES = DEFAULT_RULES;
+
+module.exports = StreamMarkers;
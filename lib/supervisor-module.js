@@ -1,5 +1,11 @@
 const EventEmitter = require('events');
 const Logger = require('./logger');
+const EventCaptureManager = require('./event-capture-manager');
+const AutoClipper = require('./auto-clipper');
+const InstantReplay = require('./instant-replay');
+const SceneAutomation = require('./scene-automation');
+const StreamMarkers = require('./stream-markers');
+const PerformanceWatchdog = require('./performance-watchdog');
 
 // Import all managers
 const OBSProcessManager = require('./managers/obs-process-manager');
@@ -8,6 +14,13 @@ const SCProcessMonitor = require('./managers/sc-process-monitor');
 const SCLogMonitor = require('./managers/sc-log-monitor');
 const UploadManager = require('./managers/upload-manager');
 
+// Events that save the OBS replay buffer, same rule format as the auto clipper
+// plus an optional playerRole ('victim' or 'killer') for the identified player
+const DEFAULT_REPLAY_BUFFER_RULES = [
+    { id: 'player_death', subtypes: ['player_kill'], playerRole: 'victim' },
+    { id: 'vehicle_destroyed', subtypes: ['vehicle_destroyed'], minSeverity: 'high' }
+];
+
 /**
  * Supervisor Module
  * Coordinates all manager instances and maintains application state
@@ -21,12 +34,52 @@ class SupervisorModule extends EventEmitter {
             obs: { process: 'stopped', websocket: 'disconnected', encoder: 'pending' },
             starCitizen: { running: false, instance: null },
             recording: { active: false, outputPath: null, startTime: null },
+            replayBuffer: { active: false },
+            streaming: { active: false, state: null, host: null, startTime: null },
             events: []
         };
         this.config = null;
         this.shutdownRequested = false;
         this.currentRecording = null;
-        this.capturedEvents = [];
+        this.eventCapture = new EventCaptureManager();
+        this.autoClipper = new AutoClipper();
+        this.autoClipQueue = Promise.resolve();
+
+        // Instant replay - closed segments stay listed so a replay can reach back across a split
+        this.instantReplay = new InstantReplay({ clipper: this.autoClipper, eventCapture: this.eventCapture });
+        this.recentSegments = [];
+        this.protectedRecordings = new Set(); // Segments being read by a replay, skipped by cleanup
+        this.savingReplay = false;
+        this.replaySeconds = 60;
+
+        // OBS replay buffer - kept in memory by OBS instead of splitting files on disk
+        this.replayBufferEnabled = false;
+        this.replayBufferAutoSave = true;
+        this.replayBufferRules = DEFAULT_REPLAY_BUFFER_RULES;
+        this.replayBufferSaveDelay = 5; // Seconds of aftermath kept after a trigger event
+        this.replayBufferStartedAt = null;
+        this.replayBufferSaveTimer = null;
+        this.replayBufferSaveTimeout = null;
+        this.replayBufferSaveRequestedAt = null;
+        this.replayBufferSaveReason = null;
+        this.replayBufferTriggers = []; // Rules that fired since the last save
+
+        // Scene automation - OBS scene, source and mute changes driven by game events
+        this.sceneAutomation = new SceneAutomation({
+            clipper: this.autoClipper,
+            execute: (requestType, requestData) => this.executeOBSRequest(requestType, requestData),
+            getPlayerRole: (event) => this.eventCapture.combatAggregator.getPlayerRole(event, this.eventCapture.currentPlayer)
+        });
+
+        // Live streaming - markers are kept per stream and saved when it ends
+        this.streamMarkers = new StreamMarkers({ clipper: this.autoClipper });
+        this.streamMarkersEnabled = true;
+        this.streamCaptionsEnabled = false;
+        this.streamStatsInterval = null;
+
+        // Performance watchdog - OBS's dropped frames and load, sampled while recording
+        this.performanceWatchdog = new PerformanceWatchdog();
+        this.performanceInterval = null;
 
         // Rate limiting for OBS restarts
         this.obsRestartAttempts = 0;
@@ -64,6 +117,15 @@ class SupervisorModule extends EventEmitter {
             this.maxStorageGB = opts.maxStorageGB || 50;
             this.minFilesToKeep = opts.minFilesToKeep !== undefined ? opts.minFilesToKeep : 5;
             this.maxFilesToKeep = opts.maxFilesToKeep !== undefined ? opts.maxFilesToKeep : 0;
+            this.eventCapture.configure({
+                preRollSeconds: opts.eventPreRollSeconds !== undefined ? opts.eventPreRollSeconds : 30,
+                preRollMode: opts.eventPreRollMode || 'negative'
+            });
+            this.configureAutoClipper(opts);
+            this.replaySeconds = opts.replaySeconds || 60;
+            this.configureReplayBuffer(opts);
+            this.configureSceneAutomation(opts);
+            this.configurePerformanceWatchdog(opts);
 
             this.logger.log('Recording options loaded:', {
                 autoStart: this.autoStartEnabled,
@@ -71,9 +133,15 @@ class SupervisorModule extends EventEmitter {
                 splitDuration: this.fileSplitDuration,
                 maxStorage: this.maxStorageGB,
                 minFiles: this.minFilesToKeep,
-                maxFiles: this.maxFilesToKeep
+                maxFiles: this.maxFilesToKeep,
+                preRoll: this.eventCapture.preRollSeconds,
+                autoClip: this.autoClipper.enabled,
+                replayBuffer: this.replayBufferEnabled,
+                sceneAutomation: this.sceneAutomation.enabled,
+                performanceWatchdog: this.performanceWatchdog.enabled
             });
         }
+        this.updateStreamingOptions(config);
 
         try {
             // Create and initialize all managers
@@ -241,9 +309,70 @@ class SupervisorModule extends EventEmitter {
         
         // WebSocket Manager events
         wsManager.on('status-update', (data) => {
+            const wasConnected = this.state.obs.websocket === 'connected';
             this.state.obs = { ...this.state.obs, ...data };
             this.emit('state-changed', this.state);
             this.checkAutoStart();
+
+            if (!wasConnected && data.websocket === 'connected') {
+                this.syncReplayBuffer();
+            } else if (wasConnected && data.websocket !== 'connected') {
+                // OBS may come back with the collection's saved scene
+                this.sceneAutomation.reset();
+
+                // No StreamStateChanged will arrive for a stream that died with OBS
+                if (this.state.streaming.active) {
+                    this.state.streaming = { ...this.state.streaming, active: false, state: null };
+                    this.handleStreamStopped();
+                    this.emit('stream-status', this.state.streaming);
+                }
+            }
+        });
+
+        wsManager.on('replay-buffer-status', (data) => {
+            if (data.active && !this.state.replayBuffer.active) {
+                // What the buffer holds only reaches back to when it started
+                this.replayBufferStartedAt = Date.now();
+            } else if (!data.active) {
+                this.replayBufferStartedAt = null;
+            }
+
+            this.state.replayBuffer = { ...this.state.replayBuffer, ...data };
+            this.emit('state-changed', this.state);
+        });
+
+        wsManager.on('replay-buffer-saved', (data) => {
+            this.handleReplayBufferSaved(data);
+        });
+
+        wsManager.on('stream-status', (data) => {
+            const wasActive = this.state.streaming.active;
+            // OBS goes from STARTING straight to STOPPED when the server can't be reached
+            const failed = this.state.streaming.state === 'OBS_WEBSOCKET_OUTPUT_STARTING' &&
+                data.state === 'OBS_WEBSOCKET_OUTPUT_STOPPED';
+            this.state.streaming = { ...this.state.streaming, ...data, failed };
+            if (failed) {
+                this.logger.warn(`Stream to ${this.state.streaming.host || 'the server'} failed to start`);
+            }
+
+            if (data.active && !wasActive) {
+                this.handleStreamStarted();
+            } else if (!data.active && wasActive) {
+                this.handleStreamStopped();
+            }
+
+            this.emit('stream-status', this.state.streaming);
+            this.emit('state-changed', this.state);
+        });
+
+        wsManager.on('stream-stats', (data) => {
+            if (data) {
+                this.emit('stream-stats', {
+                    ...data,
+                    host: this.state.streaming.host,
+                    markers: this.streamMarkers.getMarkerCount()
+                });
+            }
         });
         
         wsManager.on('recording-status', (data) => {
@@ -255,36 +384,26 @@ class SupervisorModule extends EventEmitter {
             const recordingPath = data.path || data.outputPath;
             
             if (isActive && recordingPath && !this.currentRecording) {
-                // Recording started
+                // Recording started - OBS's RecordStateChanged is the video's time zero
                 const startTime = new Date();
                 this.currentRecording = {
                     path: recordingPath,
                     startTime: startTime.toISOString(),
-                    startTimestamp: startTime.getTime(),
-                    events: []
+                    startTimestamp: startTime.getTime()
                 };
-                this.capturedEvents = [];
+                this.eventCapture.setGameInstance(this.state.starCitizen.instance);
+                this.recentSegments = [];
+
+                // The player may have been identified before this session's listeners saw it
+                const scLog = this.managers.get('sc-log');
+                if (scLog && scLog.parser && scLog.parser.getCurrentPlayer()) {
+                    this.eventCapture.setCurrentPlayer(scLog.parser.getCurrentPlayer());
+                }
+                this.eventCapture.startRecording(recordingPath, startTime.getTime(), {
+                    startSource: 'obs-record-state-changed'
+                });
+                this.startPerformanceWatchdog(startTime.getTime());
                 this.logger.log(`Recording started: ${recordingPath}`);
-                
-                // Add recording start event
-                const startEvent = {
-                    id: `evt_${startTime.getTime()}_${Math.random().toString(36).substr(2, 9)}`,
-                    timestamp: startTime.toISOString(),
-                    videoOffset: 0,
-                    videoTimecode: "00:00:00.000",
-                    type: "system",
-                    subtype: "recording_start",
-                    name: "Recording Started",
-                    message: "Recording started",
-                    severity: "low",
-                    category: "system",
-                    categoryInfo: {},
-                    data: {
-                        startTime: startTime.toISOString()
-                    },
-                    raw: null
-                };
-                this.capturedEvents.push(startEvent);
             } else if (!isActive && this.currentRecording) {
                 // Recording stopped - save metadata (only if not already saving)
                 const lastPath = this.currentRecording.path;
@@ -317,39 +436,34 @@ class SupervisorModule extends EventEmitter {
             if (this.currentRecording && data.newPath) {
                 // Save the current events to JSON for the old file
                 this.logger.log(`Saving metadata for split file: ${this.currentRecording.path}`);
-                await this.saveRecordingMetadata();
+                await this.saveRecordingMetadata({ split: true });
                 
                 // Start new recording metadata for the new file
                 const startTime = new Date();
                 this.currentRecording = {
                     path: data.newPath,
                     startTime: startTime.toISOString(),
-                    startTimestamp: startTime.getTime(),
-                    events: []
+                    startTimestamp: startTime.getTime()
                 };
-                this.capturedEvents = [];
                 
-                // Add recording start event for the new split file
-                const startEvent = {
-                    id: `evt_${startTime.getTime()}_${Math.random().toString(36).substr(2, 9)}`,
-                    timestamp: startTime.toISOString(),
-                    videoOffset: 0,
-                    videoTimecode: "00:00:00.000",
-                    type: "system",
-                    subtype: "recording_split",
-                    name: "Recording Split",
-                    message: "Recording continued in new file",
-                    severity: "low",
-                    category: "system",
-                    categoryInfo: {},
-                    data: {
-                        previousPath: data.oldPath,
-                        splitTime: startTime.toISOString()
-                    },
-                    raw: null
-                };
-                this.capturedEvents.push(startEvent);
+                // Begin the new file with a split event instead of a recording start
+                this.eventCapture.startRecording(data.newPath, startTime.getTime(), {
+                    startSource: 'obs-record-file-changed',
+                    split: true,
+                    startEvent: {
+                        type: 'system',
+                        subtype: 'recording_split',
+                        name: 'Recording Split',
+                        message: 'Recording continued in new file',
+                        severity: 'low',
+                        data: {
+                            previousPath: data.oldPath,
+                            splitTime: startTime.toISOString()
+                        }
+                    }
+                });
                 
+                this.startPerformanceWatchdog(startTime.getTime());
                 this.logger.log(`Started new recording metadata for: ${data.newPath}`);
                 
                 // Notify UI about the split
@@ -369,6 +483,12 @@ class SupervisorModule extends EventEmitter {
         wsManager.on('recording-stats', (data) => {
             this.emit('recording-stats', data);
         });
+
+        wsManager.on('performance-stats', (data) => {
+            if (data && this.performanceWatchdog.isActive()) {
+                this.performanceWatchdog.addSample(data).forEach(issue => this.raisePerformanceWarning(issue));
+            }
+        });
         
         wsManager.on('audio-devices', (data) => {
             this.emit('audio-devices', data);
@@ -467,6 +587,16 @@ class SupervisorModule extends EventEmitter {
             });
         });
         
+        scLogMonitor.on('replay-complete', (data) => {
+            this.logger.log(`Log replay complete: ${data.lines} lines`);
+            this.emit('log-replay-complete', data);
+        });
+
+        scLogMonitor.on('player-identified', (player) => {
+            // Lets the combat aggregator tell the player's kills apart
+            this.eventCapture.setCurrentPlayer(player);
+        });
+
         scLogMonitor.on('event', (event) => {
             // Add to events list (keep last 100)
             this.state.events.unshift(event);
@@ -474,35 +604,34 @@ class SupervisorModule extends EventEmitter {
                 this.state.events.pop();
             }
             
+            this.checkReplayBufferTrigger(event);
+            if (this.state.obs.websocket === 'connected') {
+                this.sceneAutomation.handleEvent(event);
+            }
+
+            // A replayed log's timestamps are left out of the clock skew calibration
+            const captureOptions = { replayed: scLogMonitor.replaying };
+
             // Capture event if recording
             if (this.currentRecording) {
-                const now = Date.now();
-                const videoOffset = (now - new Date(this.currentRecording.startTime).getTime()) / 1000;
+                const capturedEvent = this.eventCapture.addEvent({
+                    ...event,
+                    severity: event.severity || 'medium'
+                }, Date.now(), captureOptions);
                 
-                const capturedEvent = {
-                    id: `evt_${now}_${Math.random().toString(36).substr(2, 9)}`,
-                    timestamp: new Date().toISOString(),
-                    videoOffset: videoOffset,
-                    videoTimecode: this.formatTimecode(videoOffset),
-                    type: event.type,
-                    subtype: event.subtype,
-                    name: event.name,
-                    message: event.message,
-                    severity: event.severity || 'medium',
-                    category: event.type,
-                    categoryInfo: event.categoryInfo || {},
-                    data: event.data || {},
-                    raw: event.raw || null
-                };
-                
-                this.capturedEvents.push(capturedEvent);
                 this.logger.log(`Event captured during recording: ${event.type}/${event.subtype}`);
                 
                 // Emit event with captured wrapper for UI
                 this.emit('event', { captured: capturedEvent });
+                this.addStreamMarker(capturedEvent);
             } else {
-                // Not recording, just forward the event
+                // Not recording - buffer it for pre-roll and just forward the event
+                const capturedEvent = this.eventCapture.addEvent({
+                    ...event,
+                    severity: event.severity || 'medium'
+                }, Date.now(), captureOptions);
                 this.emit('event', event);
+                this.addStreamMarker(capturedEvent);
             }
         });
 
@@ -626,6 +755,29 @@ class SupervisorModule extends EventEmitter {
         });
     }
 
+    /**
+     * Replay an existing Game.log through the live event pipeline
+     */
+    async startLogReplay(logPath, options = {}) {
+        this.logger.log(`Starting log replay: ${logPath}`);
+        const scLogMonitor = this.managers.get('sc-log');
+        await scLogMonitor.handleCommand({
+            type: 'start-replay',
+            path: logPath,
+            options: options
+        });
+    }
+
+    /**
+     * Stop a running log replay, the live log is tailed again
+     */
+    async stopLogReplay() {
+        const scLogMonitor = this.managers.get('sc-log');
+        if (scLogMonitor.replaying) {
+            await scLogMonitor.handleCommand({ type: 'stop-replay' });
+        }
+    }
+
     /**
      * Check if auto-start should trigger
      */
@@ -730,6 +882,456 @@ class SupervisorModule extends EventEmitter {
         }
     }
 
+    /**
+     * Save the last N seconds as a protected clip in the saved folder
+     * Splits the recording so the current file is closed, then joins the
+     * tail of the previous segment with it
+     * @param {number} seconds - Replay length, defaults to the configured replay length
+     */
+    async saveInstantReplay(seconds = null) {
+        // In replay buffer mode OBS already holds the last seconds in memory
+        if (this.replayBufferEnabled && this.state.replayBuffer.active) {
+            return this.saveReplayBuffer('hotkey');
+        }
+
+        seconds = Number(seconds) || this.replaySeconds;
+
+        if (!this.currentRecording) {
+            return { success: false, error: 'Not recording' };
+        }
+        if (this.savingReplay) {
+            return { success: false, error: 'A replay is already being saved' };
+        }
+
+        const outputPath = this.config?.settings?.recording?.outputPath;
+        if (!outputPath) {
+            return { success: false, error: 'No recording output path configured' };
+        }
+
+        const path = require('path');
+        const requestedAt = Date.now();
+        this.savingReplay = true;
+        this.logger.log(`Saving instant replay of the last ${seconds}s`);
+
+        try {
+            // The split handler saves the closed segment's events before it emits
+            let onSplit;
+            let timer;
+            const splitDone = new Promise((resolve, reject) => {
+                onSplit = resolve;
+                timer = setTimeout(() => reject(new Error('Timed out waiting for OBS to split the recording')), 15000);
+                this.once('recording-split', onSplit);
+            });
+
+            try {
+                await this.splitRecording();
+                await splitDone;
+            } finally {
+                clearTimeout(timer);
+                this.off('recording-split', onSplit);
+            }
+
+            const segments = this.recentSegments.filter(segment =>
+                segment.endTimestamp > requestedAt - seconds * 1000
+            );
+            if (segments.length === 0) {
+                throw new Error('The split recording was not saved');
+            }
+            segments.forEach(segment => this.protectedRecordings.add(segment.videoPath));
+
+            try {
+                const result = await this.instantReplay.save({
+                    segments,
+                    endTimestamp: Math.min(requestedAt, segments[segments.length - 1].endTimestamp),
+                    seconds,
+                    outputDir: path.join(outputPath, 'saved')
+                });
+
+                this.logger.log(`Instant replay saved: ${result.videoPath}`);
+                this.emit('replay-saved', result);
+                return result;
+            } finally {
+                segments.forEach(segment => this.protectedRecordings.delete(segment.videoPath));
+            }
+        } catch (error) {
+            this.logger.error('Failed to save instant replay:', error);
+            const result = { success: false, error: error.message };
+            this.emit('replay-saved', result);
+            return result;
+        } finally {
+            this.savingReplay = false;
+        }
+    }
+
+    /**
+     * Apply replay buffer options
+     * { enabled, seconds, autoSave, saveDelay, rules } - the buffer itself is set up in the OBS profile
+     */
+    configureReplayBuffer(opts) {
+        const replayBuffer = opts.replayBuffer || {};
+
+        this.replayBufferEnabled = Boolean(replayBuffer.enabled);
+        this.replayBufferAutoSave = replayBuffer.autoSave !== false;
+        this.replayBufferRules = Array.isArray(replayBuffer.rules) && replayBuffer.rules.length > 0
+            ? replayBuffer.rules
+            : DEFAULT_REPLAY_BUFFER_RULES;
+        this.replayBufferSaveDelay = replayBuffer.saveDelay !== undefined
+            ? Math.max(0, Number(replayBuffer.saveDelay) || 0)
+            : 5;
+
+        this.eventCapture.configure({
+            replayWindowSeconds: this.replayBufferEnabled ? (replayBuffer.seconds || 60) : 0
+        });
+    }
+
+    /**
+     * Apply scene automation options
+     * { enabled, rules } - without rules in the config SceneAutomation.DEFAULT_RULES are used
+     */
+    configureSceneAutomation(opts) {
+        const sceneAutomation = opts.sceneAutomation || {};
+        const wasEnabled = this.sceneAutomation.enabled;
+
+        this.sceneAutomation.configure({
+            enabled: Boolean(sceneAutomation.enabled),
+            rules: Array.isArray(sceneAutomation.rules) ? sceneAutomation.rules : SceneAutomation.DEFAULT_RULES
+        });
+
+        if (wasEnabled && !this.sceneAutomation.enabled && this.state.obs.websocket === 'connected') {
+            this.sceneAutomation.revertAll();
+        }
+    }
+
+    /**
+     * Apply performance watchdog options
+     * { enabled, autoApply } - autoApply is acted on in main, where the OBS profile is regenerated
+     */
+    configurePerformanceWatchdog(opts) {
+        const watchdog = opts.performanceWatchdog || {};
+
+        this.performanceWatchdog.configure({
+            ...watchdog,
+            enabled: watchdog.enabled !== false,
+            autoApply: Boolean(watchdog.autoApply)
+        });
+
+        if (!this.performanceWatchdog.enabled) {
+            this.stopPerformanceWatchdog();
+        }
+    }
+
+    /**
+     * Watch a new recording or split file, polling GetStats every 2 seconds
+     */
+    startPerformanceWatchdog(startTimestamp) {
+        if (!this.performanceWatchdog.enabled) {
+            return;
+        }
+
+        this.performanceWatchdog.start(startTimestamp);
+        if (this.performanceInterval) {
+            return;
+        }
+
+        const wsManager = this.managers.get('websocket');
+        this.performanceInterval = setInterval(() => {
+            wsManager.handleCommand({ type: 'get-performance-stats' }).catch(error => {
+                this.logger.error('Failed to get performance stats:', error);
+            });
+        }, 2000);
+    }
+
+    stopPerformanceWatchdog() {
+        clearInterval(this.performanceInterval);
+        this.performanceInterval = null;
+        this.performanceWatchdog.reset();
+    }
+
+    /**
+     * Put a watchdog issue on the recording's timeline
+     */
+    raisePerformanceWarning(issue) {
+        if (!this.currentRecording) {
+            return;
+        }
+
+        const capturedEvent = this.eventCapture.addEvent(this.performanceWatchdog.createWarningEvent(issue));
+        this.logger.warn(`${issue.name} ${issue.start}s into the recording: ${capturedEvent.message}`);
+        this.emit('event', { captured: capturedEvent });
+    }
+
+    /**
+     * Send a raw obs-websocket request and return its response
+     */
+    async executeOBSRequest(requestType, requestData = {}) {
+        if (this.state.obs.websocket !== 'connected') {
+            throw new Error('Not connected to OBS');
+        }
+
+        const wsManager = this.managers.get('websocket');
+        return wsManager.executeCommand(requestType, requestData);
+    }
+
+    /**
+     * Start or stop OBS's replay buffer to match the settings
+     */
+    async syncReplayBuffer() {
+        const wsManager = this.managers.get('websocket');
+        const active = this.state.replayBuffer.active;
+
+        try {
+            if (this.replayBufferEnabled && !active) {
+                await wsManager.handleCommand({ type: 'start-replay-buffer' });
+            } else if (!this.replayBufferEnabled && active) {
+                await wsManager.handleCommand({ type: 'stop-replay-buffer' });
+            }
+        } catch (error) {
+            // OBS refuses when the profile was generated without the replay buffer
+            this.logger.warn('Could not update replay buffer:', error.message);
+        }
+    }
+
+    /**
+     * Save the replay buffer when an event matches a trigger rule
+     * The save waits for the aftermath, triggers during the wait share one save
+     */
+    checkReplayBufferTrigger(event) {
+        if (!this.replayBufferEnabled || !this.replayBufferAutoSave || !this.state.replayBuffer.active) {
+            return;
+        }
+
+        const candidate = { ...event, severity: event.severity || 'medium' };
+        const rule = this.replayBufferRules
+            .map((r, index) => ({ ...this.autoClipper.normalizeRule(r, index), playerRole: r.playerRole || null }))
+            .find(r => this.autoClipper.matchesRule(candidate, r) &&
+                (!r.playerRole ||
+                    this.eventCapture.combatAggregator.getPlayerRole(candidate, this.eventCapture.currentPlayer) === r.playerRole));
+
+        if (!rule) {
+            return;
+        }
+
+        this.logger.log(`Replay buffer trigger: ${rule.id} (${event.subtype})`);
+        this.replayBufferTriggers.push({ rule: rule.id, subtype: event.subtype, message: event.message || '' });
+
+        if (!this.replayBufferSaveTimer) {
+            this.replayBufferSaveTimer = setTimeout(() => {
+                this.replayBufferSaveTimer = null;
+                this.saveReplayBuffer('auto');
+            }, this.replayBufferSaveDelay * 1000);
+        }
+    }
+
+    /**
+     * Ask OBS to save the replay buffer
+     * The file is handled in handleReplayBufferSaved and reported through replay-saved
+     * @param {string} reason - 'hotkey' or 'auto'
+     */
+    async saveReplayBuffer(reason = 'hotkey') {
+        if (!this.state.replayBuffer.active) {
+            return { success: false, error: 'Replay buffer is not running' };
+        }
+        if (this.replayBufferSaveRequestedAt) {
+            return { success: false, error: 'A replay is already being saved' };
+        }
+
+        this.logger.log(`Saving replay buffer (${reason})`);
+        this.replayBufferSaveRequestedAt = Date.now();
+        this.replayBufferSaveReason = reason;
+        this.replayBufferSaveTimeout = setTimeout(() => {
+            this.finishReplayBufferSave();
+            this.emit('replay-saved', { success: false, error: 'Timed out waiting for OBS to save the replay buffer' });
+        }, 15000);
+
+        try {
+            const wsManager = this.managers.get('websocket');
+            await wsManager.handleCommand({ type: 'save-replay-buffer' });
+            return { success: true, pending: true };
+        } catch (error) {
+            this.logger.error('Failed to save replay buffer:', error);
+            this.finishReplayBufferSave();
+            const result = { success: false, error: error.message };
+            this.emit('replay-saved', result);
+            return result;
+        }
+    }
+
+    /**
+     * Clear the pending save, returns what it was saving for
+     */
+    finishReplayBufferSave() {
+        clearTimeout(this.replayBufferSaveTimeout);
+        this.replayBufferSaveTimeout = null;
+
+        const pending = {
+            requestedAt: this.replayBufferSaveRequestedAt,
+            reason: this.replayBufferSaveReason || 'obs',
+            triggers: this.replayBufferTriggers
+        };
+        this.replayBufferSaveRequestedAt = null;
+        this.replayBufferSaveReason = null;
+        this.replayBufferTriggers = [];
+        return pending;
+    }
+
+    /**
+     * Move a saved replay into the saved folder and write its events file
+     * Replays saved from OBS itself (its own hotkey) are handled the same way
+     */
+    async handleReplayBufferSaved(data) {
+        const fs = require('fs').promises;
+        const path = require('path');
+        const pending = this.finishReplayBufferSave();
+        const savedAt = pending.requestedAt || Date.now();
+
+        try {
+            let videoPath = data.path;
+            const outputPath = this.config?.settings?.recording?.outputPath;
+
+            // OBS writes into the recordings folder, where shadow play cleanup would delete it
+            if (outputPath) {
+                const savedDir = path.join(outputPath, 'saved');
+                const target = path.join(savedDir, path.basename(videoPath));
+                await fs.mkdir(savedDir, { recursive: true });
+                try {
+                    await fs.rename(videoPath, target);
+                } catch (error) {
+                    if (error.code !== 'EXDEV') throw error;
+                    await fs.copyFile(videoPath, target);
+                    await fs.unlink(videoPath);
+                }
+                videoPath = target;
+            }
+
+            const events = await this.eventCapture.saveReplayEvents(videoPath, {
+                savedAt,
+                bufferStartedAt: this.replayBufferStartedAt
+            });
+
+            const result = {
+                success: true,
+                videoPath,
+                eventsPath: events.path,
+                duration: events.duration,
+                eventCount: events.eventCount,
+                source: 'replay-buffer',
+                reason: pending.reason,
+                triggers: pending.triggers
+            };
+
+            this.logger.log(`Replay buffer saved: ${videoPath} (${pending.reason}, ${events.eventCount} events)`);
+            this.emit('replay-saved', result);
+            return result;
+        } catch (error) {
+            this.logger.error('Failed to handle saved replay buffer:', error);
+            const result = { success: false, error: error.message };
+            this.emit('replay-saved', result);
+            return result;
+        }
+    }
+
+    /**
+     * Go live to a custom RTMP/RTMPS server
+     * @param {Object} target - { server, key }, the server checked by ConfigManager.validateStreamTarget and the decrypted key
+     */
+    async startStreaming(target) {
+        if (this.state.obs.websocket !== 'connected') {
+            throw new Error('Not connected to OBS');
+        }
+
+        // Only the host is kept, some services take the key as part of the server URL
+        this.state.streaming.host = new URL(target.server).host;
+        this.logger.log(`Starting stream to ${this.state.streaming.host}`);
+        const wsManager = this.managers.get('websocket');
+        await wsManager.handleCommand({ type: 'start-stream', service: target });
+    }
+
+    /**
+     * Stop streaming, the markers are saved once OBS reports the stream stopped
+     */
+    async stopStreaming() {
+        this.logger.log('Stopping stream...');
+        const wsManager = this.managers.get('websocket');
+        await wsManager.handleCommand({ type: 'stop-stream' });
+    }
+
+    /**
+     * Apply streaming options
+     * { markers, captions, markerRules } - without rules StreamMarkers.DEFAULT_RULES are used
+     */
+    updateStreamingOptions(config) {
+        const streaming = config?.settings?.streaming || {};
+
+        this.streamMarkersEnabled = streaming.markers !== false;
+        this.streamCaptionsEnabled = Boolean(streaming.captions);
+        this.streamMarkers.configure({
+            rules: Array.isArray(streaming.markerRules) && streaming.markerRules.length > 0
+                ? streaming.markerRules
+                : StreamMarkers.DEFAULT_RULES
+        });
+
+        this.logger.log('Streaming options loaded:', {
+            markers: this.streamMarkersEnabled,
+            captions: this.streamCaptionsEnabled
+        });
+    }
+
+    handleStreamStarted() {
+        this.state.streaming.startTime = Date.now();
+        this.streamMarkers.start(this.state.streaming.startTime, { host: this.state.streaming.host });
+        this.logger.log('Stream is live');
+
+        const wsManager = this.managers.get('websocket');
+        clearInterval(this.streamStatsInterval);
+        this.streamStatsInterval = setInterval(() => {
+            wsManager.handleCommand({ type: 'get-stream-stats' }).catch(error => {
+                this.logger.error('Failed to get stream stats:', error);
+            });
+        }, 2000);
+    }
+
+    async handleStreamStopped() {
+        clearInterval(this.streamStatsInterval);
+        this.streamStatsInterval = null;
+        this.state.streaming.startTime = null;
+        this.logger.log('Stream ended');
+
+        const path = require('path');
+        const outputPath = this.config?.settings?.recording?.outputPath;
+        try {
+            const result = await this.streamMarkers.finish(outputPath ? path.join(outputPath, 'streams') : null);
+            if (result) {
+                this.emit('stream-markers-saved', result);
+            }
+        } catch (error) {
+            this.logger.error('Failed to save stream markers:', error);
+        }
+    }
+
+    /**
+     * Mark a captured event on the live stream, and caption it when captions are on
+     */
+    addStreamMarker(capturedEvent) {
+        if (!this.state.streaming.active || !this.streamMarkersEnabled) {
+            return;
+        }
+
+        const marker = this.streamMarkers.addEvent(capturedEvent);
+        if (!marker) {
+            return;
+        }
+
+        this.logger.log(`Stream marker at ${marker.timecode}: ${marker.message}`);
+        this.emit('stream-marker', marker);
+
+        if (this.streamCaptionsEnabled) {
+            const wsManager = this.managers.get('websocket');
+            wsManager.handleCommand({ type: 'send-stream-caption', text: marker.message }).catch(error => {
+                this.logger.warn('Could not send stream caption:', error.message);
+            });
+        }
+    }
+
     /**
      * Toggle recording on/off
      */
@@ -750,34 +1352,19 @@ class SupervisorModule extends EventEmitter {
     addManualEvent(event) {
         this.logger.log('Adding manual event:', event);
 
+        this.addStreamMarker({ ...event, timestamp: new Date().toISOString() });
+
         // Check if we're recording
         if (!this.currentRecording) {
             this.logger.warn('Cannot add manual event - no active recording');
             return;
         }
 
-        // Create captured event with proper timestamps (same pattern as SC log events)
-        const now = Date.now();
-        const videoOffset = (now - new Date(this.currentRecording.startTime).getTime()) / 1000;
-
-        const capturedEvent = {
-            id: `evt_${now}_${Math.random().toString(36).substr(2, 9)}`,
-            timestamp: new Date().toISOString(),
-            videoOffset: videoOffset,
-            videoTimecode: this.formatTimecode(videoOffset),
-            type: event.type,
-            subtype: event.subtype,
-            name: event.name,
-            message: event.message,
-            severity: event.severity || 'medium',
-            category: event.category || event.type,
-            categoryInfo: event.categoryInfo || {},
-            data: event.data || {},
-            raw: event.raw || null
-        };
-
-        // Add to captured events array (will be saved with recording)
-        this.capturedEvents.push(capturedEvent);
+        // Capture through the same path as SC log events (will be saved with recording)
+        const capturedEvent = this.eventCapture.addEvent({
+            ...event,
+            severity: event.severity || 'medium'
+        });
         this.logger.log(`Manual event captured: ${event.type}/${event.subtype}`);
 
         // Emit event for UI with captured wrapper
@@ -851,6 +1438,13 @@ class SupervisorModule extends EventEmitter {
             // Sort by modification time (oldest first)
             fileStats.sort((a, b) => a.mtime - b.mtime);
 
+            // An instant replay may still be reading these
+            for (let i = fileStats.length - 1; i >= 0; i--) {
+                if (this.protectedRecordings.has(fileStats[i].path)) {
+                    fileStats.splice(i, 1);
+                }
+            }
+
             let filesToDelete = [];
 
             // PRIORITY 1: Check storage limit first (most critical)
@@ -1020,110 +1614,59 @@ class SupervisorModule extends EventEmitter {
     
     /**
      * Save recording metadata to JSON file
+     * @param {Object} options - { split } when recording continues in a new file
      */
-    async saveRecordingMetadata() {
+    async saveRecordingMetadata(options = {}) {
         if (!this.currentRecording || !this.currentRecording.path) {
             this.logger.log('No recording metadata to save');
             return;
         }
         
-        try {
-            const fs = require('fs').promises;
-            const path = require('path');
-            
-            // Get the base name without extension
-            const videoPath = this.currentRecording.path.replace(/\//g, path.sep);
-            const baseName = path.basename(videoPath, path.extname(videoPath));
-            const dirName = path.dirname(videoPath);
-            const jsonPath = path.join(dirName, `${baseName}.json`);
-            
-            // Calculate recording duration
-            const endTime = new Date();
-            const startTime = new Date(this.currentRecording.startTime);
-            const duration = (endTime - startTime) / 1000;
-            
-            // Add recording stop event
-            const stopEvent = {
-                id: `evt_${endTime.getTime()}_${Math.random().toString(36).substr(2, 9)}`,
-                timestamp: endTime.toISOString(),
-                videoOffset: duration,
-                videoTimecode: this.formatTimecode(duration),
-                type: "system",
-                subtype: "recording_stop",
-                name: "Recording Stopped",
-                message: `Recording stopped after ${this.formatTimecode(duration)}`,
-                severity: "low",
-                category: "system",
-                categoryInfo: {},
-                data: {
-                    stopTime: endTime.toISOString(),
-                    duration: duration
-                },
-                raw: null
-            };
-            this.capturedEvents.push(stopEvent);
-            
-            // Build category summary
-            const categories = {};
-            for (const event of this.capturedEvents) {
-                if (!categories[event.type]) {
-                    categories[event.type] = {
-                        count: 0,
-                        types: {}
-                    };
-                }
-                categories[event.type].count++;
-                const subtype = event.subtype || 'default';
-                categories[event.type].types[subtype] = (categories[event.type].types[subtype] || 0) + 1;
-            }
-            
-            // Prepare metadata in exact format
-            const metadata = {
-                metadata: {
-                    version: '1.0.0',
-                    recorder: 'SC-Recorder',
-                    recordingStartTime: this.currentRecording.startTime,
-                    recordingStartTimecode: new Date(this.currentRecording.startTime).getTime(),
-                    recordingDuration: duration,
-                    eventCount: this.capturedEvents.length,
-                    categories: categories,
-                    savedAt: endTime.toISOString()
-                },
-                events: this.capturedEvents
-            };
-            
-            // Save to file atomically to prevent corruption
-            const jsonContent = JSON.stringify(metadata, null, 2);
-            const tempPath = jsonPath + '.tmp.' + Date.now();
-
-            try {
-                // Write to temporary file first
-                await fs.writeFile(tempPath, jsonContent);
+        const videoPath = this.currentRecording.path;
+        const startTimestamp = this.currentRecording.startTimestamp;
+
+        // The quality report is saved in the JSON's metadata
+        const report = this.performanceWatchdog.finish(Date.now(), this.config?.settings);
+        this.eventCapture.setQualityReport(report);
+        if (!options.split) {
+            this.stopPerformanceWatchdog();
+        }
 
-                // Atomically rename temp file to final location
-                await fs.rename(tempPath, jsonPath);
+        try {
+            // Adds the recording stop event and writes the JSON next to the video
+            const result = await this.eventCapture.stopRecording();
 
-                this.logger.log(`Recording metadata saved: ${jsonPath} (${this.capturedEvents.length} events)`);
-            } catch (err) {
-                // Clean up temp file if rename failed
-                try {
-                    await fs.unlink(tempPath);
-                } catch (cleanupErr) {
-                    // Ignore cleanup errors
-                }
-                throw err;
+            if (!result || !result.success) {
+                throw new Error(result?.error || 'No events were saved');
             }
+
+            this.logger.log(`Recording metadata saved: ${result.path} (${result.eventCount} events)`);
             
             // Emit event for UI notification
-            this.emit('events-saved', {
-                success: true,
-                path: jsonPath,
-                eventCount: this.capturedEvents.length
+            this.emit('events-saved', result);
+
+            if (report) {
+                this.logger.log(`Recording quality ${report.rating}: ${report.outputFrames.percent}% encoder, ` +
+                    `${report.renderFrames.percent}% render frames lost, ${report.issues.length} issues`);
+                this.emit('performance-report', {
+                    videoPath,
+                    eventsPath: result.path,
+                    report,
+                    final: !options.split
+                });
+            }
+
+            this.recentSegments.push({
+                videoPath,
+                eventsPath: result.path,
+                startTimestamp,
+                endTimestamp: Date.now()
             });
-            
-            // Clear current recording
-            this.currentRecording = null;
-            this.capturedEvents = [];
+            this.recentSegments = this.recentSegments.slice(-3);
+
+            if (this.autoClipper.enabled) {
+                this.runAutoClipper(videoPath, result.path);
+            }
         } catch (error) {
             this.logger.error('Failed to save recording metadata:', error);
             this.emit('events-saved', {
@@ -1131,6 +1674,56 @@ class SupervisorModule extends EventEmitter {
                 error: error.message
             });
         }
+
+        // Clear current recording
+        this.currentRecording = null;
+    }
+
+    /**
+     * Apply auto clip options, FFmpeg is resolved the same way as for exports
+     */
+    configureAutoClipper(opts) {
+        const path = require('path');
+        const autoClip = opts.autoClip || {};
+        const localAppData = process.env.LOCALAPPDATA || process.env.APPDATA || '';
+        const resourcesBase = path.join(localAppData, 'sc-recorder', 'resources');
+
+        this.autoClipper.configure({
+            ...autoClip,
+            enabled: Boolean(autoClip.enabled),
+            ffmpegPath: this.config?.ffmpegPath || path.join(resourcesBase, 'ffmpeg', 'ffmpeg.exe'),
+            ffprobePath: this.config?.ffprobePath || path.join(resourcesBase, 'ffmpeg', 'ffprobe.exe')
+        });
+    }
+
+    /**
+     * Cut highlight clips from a finished recording or split file
+     * Runs one recording at a time so splits never stack FFmpeg jobs
+     */
+    runAutoClipper(videoPath, eventsPath) {
+        const path = require('path');
+        const outputPath = this.config?.settings?.recording?.outputPath;
+        const outputDir = outputPath ? path.join(outputPath, this.autoClipper.outputFolder) : null;
+
+        this.autoClipQueue = this.autoClipQueue.then(async () => {
+            try {
+                const result = await this.autoClipper.clipRecording(videoPath, eventsPath, { outputDir });
+                if (result.clips.length > 0 || result.errors.length > 0) {
+                    this.logger.log(`Auto clipper created ${result.clips.length} clips from ${videoPath}`);
+                    this.emit('clips-created', { source: videoPath, ...result });
+                }
+            } catch (error) {
+                this.logger.error('Auto clipping failed:', error);
+                this.emit('clips-created', {
+                    source: videoPath,
+                    success: false,
+                    clips: [],
+                    errors: [{ error: error.message }]
+                });
+            }
+        });
+
+        return this.autoClipQueue;
     }
 
     /**
@@ -1147,6 +1740,15 @@ class SupervisorModule extends EventEmitter {
             this.maxStorageGB = opts.maxStorageGB || 50;
             this.minFilesToKeep = opts.minFilesToKeep !== undefined ? opts.minFilesToKeep : 5;
             this.maxFilesToKeep = opts.maxFilesToKeep !== undefined ? opts.maxFilesToKeep : 0;
+            this.eventCapture.configure({
+                preRollSeconds: opts.eventPreRollSeconds !== undefined ? opts.eventPreRollSeconds : 30,
+                preRollMode: opts.eventPreRollMode || 'negative'
+            });
+            this.configureAutoClipper(opts);
+            this.replaySeconds = opts.replaySeconds || 60;
+            this.configureReplayBuffer(opts);
+            this.configureSceneAutomation(opts);
+            this.configurePerformanceWatchdog(opts);
 
             // Reset auto-start trigger if it was disabled and re-enabled
             if (!wasAutoStartEnabled && this.autoStartEnabled) {
@@ -1159,9 +1761,18 @@ class SupervisorModule extends EventEmitter {
                 splitDuration: this.fileSplitDuration,
                 maxStorage: this.maxStorageGB,
                 minFiles: this.minFilesToKeep,
-                maxFiles: this.maxFilesToKeep
+                maxFiles: this.maxFilesToKeep,
+                preRoll: this.eventCapture.preRollSeconds,
+                autoClip: this.autoClipper.enabled,
+                replayBuffer: this.replayBufferEnabled,
+                sceneAutomation: this.sceneAutomation.enabled,
+                performanceWatchdog: this.performanceWatchdog.enabled
             });
 
+            if (this.state.obs.websocket === 'connected') {
+                this.syncReplayBuffer();
+            }
+
             // If recording is active and split duration changed, restart timer
             if (this.state.recording?.active && this.shadowPlayEnabled) {
                 this.startFileSplitTimer();
@@ -1180,6 +1791,11 @@ class SupervisorModule extends EventEmitter {
         
         // Stop health checks
         this.stopHealthChecks();
+        clearTimeout(this.replayBufferSaveTimer);
+        clearTimeout(this.replayBufferSaveTimeout);
+        clearInterval(this.streamStatsInterval);
+        this.stopPerformanceWatchdog();
+        this.sceneAutomation.reset();
         
         // Shutdown all managers
         for (const [name, manager] of this.managers) {
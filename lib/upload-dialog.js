@@ -968,8 +968,26 @@ class UploadDialog {
                 return null;
             }
 
+            // Older recordings were saved before encounters were derived on save
+            const path = require('path');
+            const CombatAggregator = require(path.join(UploadDialog.libDir, 'combat-aggregator'));
+            let events = eventsData.events;
+            if (!events.some(event => event.subtype === 'combat_encounter')) {
+                const player = eventsData.metadata?.combat?.player || null;
+                events = new CombatAggregator().apply(events, player).events;
+            }
+
+            // One chapter per encounter instead of one per kill inside it
+            const coveredIds = new Set();
+            for (const event of events) {
+                if (event.subtype === 'combat_encounter' || event.subtype === 'kill_streak') {
+                    (event.data?.eventIds || []).forEach(id => coveredIds.add(id));
+                }
+            }
+            events = events.filter(event => !coveredIds.has(event.id) && event.subtype !== 'kill_streak');
+
             // Sort events by timestamp
-            const sortedEvents = [...eventsData.events].sort((a, b) => {
+            const sortedEvents = [...events].sort((a, b) => {
                 const timeA = a.videoOffset || 0;
                 const timeB = b.videoOffset || 0;
                 return timeA - timeB;
@@ -994,7 +1012,10 @@ class UploadDialog {
 
             for (const event of chapterEvents) {
                 const time = this.formatTimestamp(event.videoOffset || 0);
-                let label = event.name || event.type || 'Event';
+                // Encounter messages carry the kill/death tally
+                let label = event.subtype === 'combat_encounter'
+                    ? event.message
+                    : event.name || event.type || 'Event';
 
                 // Clean up label for chapter
                 label = label.replace(/_/g, ' ');
@@ -1573,6 +1594,12 @@ class UploadDialog {
     }
 }
 
+// index.html runs this file as a <script>, where require() resolves from the page's
+// folder instead of lib/, so lib modules are required by their full path
+UploadDialog.libDir = typeof document !== 'undefined' && document.currentScript
+    ? require('path').dirname(require('url').fileURLToPath(document.currentScript.src))
+    : __dirname;
+
 // Create singleton instance
 let uploadDialogInstance = null;
 
@@ -0,0 +1,236 @@
+/**
+ * Waveform Analyzer
+ * Peak data for the audio mixer lanes and speech detection for auto segments.
+ *
+ * Peaks are read straight from the 16-bit PCM WAV files AudioTrackManager
+ * extracts, streaming the file so long recordings aren't held in memory.
+ * Each bucket keeps the peak (0-1) for drawing and the RMS level in dB for
+ * speech detection.
+ */
+
+const fs = require('fs');
+
+const PEAKS_PER_SECOND = 50;
+const PEAK_VERSION = 1;
+
+// Speech detection defaults, times in seconds
+const SPEECH_DEFAULTS = {
+    threshold: null, // dB, null picks one above the track's noise floor
+    minSpeech: 0.25, // Shorter blips are clicks and keyboard noise
+    minSilence: 0.8, // Pauses shorter than this stay inside one segment
+    padding: 0.2 // Kept either side so words aren't clipped
+};
+
+class WaveformAnalyzer {
+    /**
+     * Peak data for a WAV file, cached as JSON next to it
+     * @param {string} wavPath - 16-bit PCM WAV
+     * @param {string} cachePath - Where the peak JSON is kept
+     * @returns {Promise<Object>} { version, peaksPerSecond, duration, peaks, levels }
+     */
+    async getPeaks(wavPath, cachePath) {
+        try {
+            const [wavStat, cacheStat] = await Promise.all([fs.promises.stat(wavPath), fs.promises.stat(cachePath)]);
+            if (cacheStat.mtimeMs >= wavStat.mtimeMs) {
+                const cached = JSON.parse(await fs.promises.readFile(cachePath, 'utf8'));
+                if (cached.version === PEAK_VERSION) {
+                    return cached;
+                }
+            }
+        } catch (error) {
+            // No cache yet
+        }
+
+        const peakData = await this.readPeaks(wavPath);
+        await fs.promises.writeFile(cachePath, JSON.stringify(peakData));
+        return peakData;
+    }
+
+    /**
+     * Parse the chunks before the sample data, ffmpeg writes a LIST chunk between fmt and data
+     * @returns {Object} { channels, sampleRate, bitsPerSample, dataOffset, dataSize }
+     */
+    async readWavHeader(wavPath) {
+        const handle = await fs.promises.open(wavPath, 'r');
+        try {
+            const header = Buffer.alloc(4096);
+            const { bytesRead } = await handle.read(header, 0, header.length, 0);
+
+            if (header.toString('ascii', 0, 4) !== 'RIFF' || header.toString('ascii', 8, 12) !== 'WAVE') {
+                throw new Error('Not a WAV file');
+            }
+
+            const format = {};
+            let offset = 12;
+            while (offset + 8 <= bytesRead) {
+                const id = header.toString('ascii', offset, offset + 4);
+                const size = header.readUInt32LE(offset + 4);
+
+                if (id === 'fmt ') {
+                    format.channels = header.readUInt16LE(offset + 10);
+                    format.sampleRate = header.readUInt32LE(offset + 12);
+                    format.bitsPerSample = header.readUInt16LE(offset + 22);
+                } else if (id === 'data') {
+                    format.dataOffset = offset + 8;
+                    // Streamed WAVs can carry a placeholder size, the file length is the truth
+                    format.dataSize = size;
+                    break;
+                }
+                offset += 8 + size + (size % 2);
+            }
+
+            if (!format.dataOffset || format.bitsPerSample !== 16) {
+                throw new Error('Unsupported WAV format, expected 16-bit PCM');
+            }
+            return format;
+        } finally {
+            await handle.close();
+        }
+    }
+
+    async readPeaks(wavPath) {
+        const format = await this.readWavHeader(wavPath);
+        const { size } = await fs.promises.stat(wavPath);
+        const dataSize = Math.min(format.dataSize || Infinity, size - format.dataOffset);
+
+        const frameBytes = format.channels * 2;
+        const framesPerPeak = Math.round(format.sampleRate / PEAKS_PER_SECOND);
+        const peaks = [];
+        const levels = [];
+
+        let peak = 0;
+        let sumSquares = 0;
+        let frames = 0;
+        let leftover = Buffer.alloc(0);
+
+        const stream = fs.createReadStream(wavPath, {
+            start: format.dataOffset,
+            end: format.dataOffset + dataSize - 1,
+            highWaterMark: 1024 * 1024
+        });
+
+        for await (const chunk of stream) {
+            const data = leftover.length > 0 ? Buffer.concat([leftover, chunk]) : chunk;
+            const usable = data.length - (data.length % frameBytes);
+
+            for (let offset = 0; offset < usable; offset += frameBytes) {
+                // Loudest channel of the frame
+                let sample = 0;
+                for (let c = 0; c < format.channels; c++) {
+                    const value = Math.abs(data.readInt16LE(offset + c * 2)) / 32768;
+                    if (value > sample) sample = value;
+                }
+
+                if (sample > peak) peak = sample;
+                sumSquares += sample * sample;
+                frames++;
+
+                if (frames === framesPerPeak) {
+                    peaks.push(Math.round(peak * 1000) / 1000);
+                    levels.push(this.toDecibels(sumSquares / frames));
+                    peak = 0;
+                    sumSquares = 0;
+                    frames = 0;
+                }
+            }
+
+            leftover = data.subarray(usable);
+        }
+
+        if (frames > 0) {
+            peaks.push(Math.round(peak * 1000) / 1000);
+            levels.push(this.toDecibels(sumSquares / frames));
+        }
+
+        return {
+            version: PEAK_VERSION,
+            peaksPerSecond: PEAKS_PER_SECOND,
+            duration: peaks.length / PEAKS_PER_SECOND,
+            peaks,
+            levels
+        };
+    }
+
+    /**
+     * Mean square to dB, digital silence is floored at -100
+     */
+    toDecibels(meanSquare) {
+        return meanSquare > 0 ? Math.max(-100, Math.round(10 * Math.log10(meanSquare) * 10) / 10) : -100;
+    }
+
+    /**
+     * Speech threshold 12dB above the noise floor, taken as the quietest tenth
+     * of the track, and never below -50dB
+     */
+    getAutoThreshold(levels) {
+        const sorted = levels.filter(level => level > -100).sort((a, b) => a - b);
+        if (sorted.length === 0) return -50;
+
+        const noiseFloor = sorted[Math.floor(sorted.length * 0.1)];
+        return Math.max(-50, noiseFloor + 12);
+    }
+
+    /**
+     * Ranges of the track that have speech in them
+     * @param {Object} peakData - From getPeaks()
+     * @param {Object} options - Overrides for SPEECH_DEFAULTS
+     * @returns {Array} [{ startTime, endTime }] in seconds
+     */
+    detectSpeech(peakData, options = {}) {
+        const settings = { ...SPEECH_DEFAULTS, ...options };
+        const { levels, peaksPerSecond } = peakData;
+        const threshold = settings.threshold !== null && settings.threshold !== undefined
+            ? settings.threshold
+            : this.getAutoThreshold(levels);
+
+        // Runs of buckets above the threshold
+        const ranges = [];
+        let start = null;
+        levels.forEach((level, index) => {
+            if (level >= threshold && start === null) {
+                start = index;
+            } else if (level < threshold && start !== null) {
+                ranges.push({ startTime: start / peaksPerSecond, endTime: index / peaksPerSecond });
+                start = null;
+            }
+        });
+        if (start !== null) {
+            ranges.push({ startTime: start / peaksPerSecond, endTime: levels.length / peaksPerSecond });
+        }
+
+        // Bridge short pauses, then drop what is still too short to be speech
+        const merged = [];
+        ranges.forEach(range => {
+            const previous = merged[merged.length - 1];
+            if (previous && range.startTime - previous.endTime < settings.minSilence) {
+                previous.endTime = range.endTime;
+            } else {
+                merged.push({ ...range });
+            }
+        });
+
+        const duration = levels.length / peaksPerSecond;
+        const speech = merged
+            .filter(range => range.endTime - range.startTime >= settings.minSpeech)
+            .map(range => ({
+                startTime: Math.max(0, range.startTime - settings.padding),
+                endTime: Math.min(duration, range.endTime + settings.padding)
+            }));
+
+        // Padding can make neighbours touch
+        return speech.reduce((result, range) => {
+            const previous = result[result.length - 1];
+            if (previous && range.startTime <= previous.endTime) {
+                previous.endTime = range.endTime;
+            } else {
+                result.push(range);
+            }
+            return result;
+        }, []);
+    }
+}
+
+WaveformAnalyzer.PEAKS_PER_SECOND = PEAKS_PER_SECOND;
+WaveformAnalyzer.SPEECH_DEFAULTS = SPEECH_DEFAULTS;
+
+module.exports = WaveformAnalyzer;
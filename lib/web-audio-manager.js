@@ -15,6 +15,8 @@ class WebAudioManager {
         this.pauseTime = 0;
         this.syncInterval = null; // Interval for sync monitoring
         this.syncOffset = 0; // Manual sync offset in seconds (positive = delay audio, negative = advance audio)
+        this.ducking = null; // Ducking settings from AudioMixBuilder.normalizeDucking()
+        this.duckingInterval = null;
     }
 
     /**
@@ -256,7 +258,11 @@ class WebAudioManager {
                 label: label,
                 buffer: audioBuffer,
                 source: null,
+                normGainNode: this.audioContext.createGain(), // Loudness normalization
                 gainNode: this.audioContext.createGain(),
+                duckGainNode: this.audioContext.createGain(), // Ducking under the voice tracks
+                analyser: this.audioContext.createAnalyser(),
+                loudness: undefined, // Estimated on first use
                 volume: 50, // Start at 50% volume to prevent loud playback
                 muted: false,
                 solo: false
@@ -265,8 +271,13 @@ class WebAudioManager {
             // Set initial gain to 50%
             track.gainNode.gain.setValueAtTime(0.5, this.audioContext.currentTime);
 
-            // Connect gain node to master
-            track.gainNode.connect(this.masterGainNode);
+            // source -> normalization -> volume -> ducking -> master, the analyser
+            // hears the track after volume and mute so muted voice doesn't duck
+            track.analyser.fftSize = 1024;
+            track.normGainNode.connect(track.gainNode);
+            track.gainNode.connect(track.duckGainNode);
+            track.gainNode.connect(track.analyser);
+            track.duckGainNode.connect(this.masterGainNode);
 
             // Store track
             this.tracks.set(trackId, track);
@@ -493,7 +504,7 @@ class WebAudioManager {
                 track.gainNode.gain.setValueAtTime(0, now);
                 track.gainNode.gain.linearRampToValueAtTime(targetGain, now + 0.02);
 
-                track.source.connect(track.gainNode);
+                track.source.connect(track.normGainNode);
 
                 // Start audio at exact video position with sync offset applied
                 // Use when parameter to schedule precisely
@@ -667,6 +678,121 @@ class WebAudioManager {
         console.log(`[WebAudioManager] Track ${trackId} solo ${solo ? 'enabled' : 'disabled'}`);
     }
 
+    /**
+     * Preview loudness normalization by matching each track's estimated
+     * loudness to a target, the export measures properly with loudnorm
+     * @param {number|null} targetLufs - Null turns normalization off
+     */
+    setLoudnessNormalization(targetLufs) {
+        this.tracks.forEach(track => {
+            let gain = 1;
+
+            if (targetLufs !== null && targetLufs !== undefined) {
+                if (track.loudness === undefined) {
+                    track.loudness = this.estimateLoudness(track.buffer);
+                }
+                // Quiet tracks are boosted by 20dB at most, like loudnorm's linear mode
+                if (track.loudness !== null) {
+                    gain = Math.pow(10, Math.min(20, targetLufs - track.loudness) / 20);
+                }
+            }
+
+            track.normGainNode.gain.setTargetAtTime(gain, this.audioContext.currentTime, 0.05);
+        });
+
+        console.log(`[WebAudioManager] Loudness normalization ${targetLufs !== null && targetLufs !== undefined ? `set to ${targetLufs} LUFS` : 'disabled'}`);
+    }
+
+    /**
+     * Rough integrated loudness of a decoded track, mean square power of
+     * 400ms blocks above -70dB without the K-weighting of real LUFS
+     * @returns {number|null} Loudness in dB, null for silence
+     */
+    estimateLoudness(buffer) {
+        const blockSize = Math.floor(buffer.sampleRate * 0.4);
+        const channels = [];
+        for (let c = 0; c < buffer.numberOfChannels; c++) {
+            channels.push(buffer.getChannelData(c));
+        }
+
+        let total = 0;
+        let blocks = 0;
+        for (let start = 0; start + blockSize <= buffer.length; start += blockSize) {
+            let sum = 0;
+            channels.forEach(data => {
+                // Every 4th sample is plenty for a level estimate
+                for (let i = start; i < start + blockSize; i += 4) {
+                    sum += data[i] * data[i];
+                }
+            });
+            const power = sum / (blockSize / 4);
+
+            if (power > 1e-7) {
+                total += power;
+                blocks++;
+            }
+        }
+
+        return blocks > 0 ? 10 * Math.log10(total / blocks) : null;
+    }
+
+    /**
+     * Duck the game track while the voice tracks are active
+     * @param {Object|null} ducking - { gameTrackId, voiceTrackIds, threshold, ratio, attack, release }
+     */
+    setDucking(ducking) {
+        this.ducking = ducking;
+
+        if (this.duckingInterval) {
+            clearInterval(this.duckingInterval);
+            this.duckingInterval = null;
+        }
+
+        // Release anything still ducked
+        this.tracks.forEach(track => {
+            track.duckGainNode.gain.setTargetAtTime(1, this.audioContext.currentTime, 0.05);
+        });
+
+        if (ducking) {
+            this.duckingInterval = setInterval(() => this.updateDucking(), 20);
+        }
+
+        console.log(`[WebAudioManager] Ducking ${ducking ? `${ducking.gameTrackId} under ${ducking.voiceTrackIds.join(', ')}` : 'disabled'}`);
+    }
+
+    /**
+     * Follow the voice level and apply the gain reduction sidechaincompress
+     * would, (level - threshold) * (1 - 1 / ratio) above the threshold
+     */
+    updateDucking() {
+        const game = this.tracks.get(this.ducking.gameTrackId);
+        if (!game || !this.isPlaying) return;
+
+        let level = -Infinity;
+        const samples = new Float32Array(1024);
+        this.ducking.voiceTrackIds.forEach(trackId => {
+            const voice = this.tracks.get(trackId);
+            if (!voice) return;
+
+            voice.analyser.getFloatTimeDomainData(samples);
+            let sum = 0;
+            for (let i = 0; i < samples.length; i++) {
+                sum += samples[i] * samples[i];
+            }
+            level = Math.max(level, 10 * Math.log10(sum / samples.length || 1e-10));
+        });
+
+        const reduction = level > this.ducking.threshold
+            ? (level - this.ducking.threshold) * (1 - 1 / this.ducking.ratio)
+            : 0;
+        const gain = game.duckGainNode.gain;
+        const target = Math.pow(10, -reduction / 20);
+
+        // Attack while ducking further, release on the way back up
+        const time = (target < gain.value ? this.ducking.attack : this.ducking.release) / 1000;
+        gain.setTargetAtTime(target, this.audioContext.currentTime, time);
+    }
+
     /**
      * Clean up resources
      */
@@ -674,9 +800,16 @@ class WebAudioManager {
         // Stop playback
         this.stop();
 
+        if (this.duckingInterval) {
+            clearInterval(this.duckingInterval);
+            this.duckingInterval = null;
+        }
+
         // Disconnect all nodes
         this.tracks.forEach(track => {
+            track.normGainNode.disconnect();
             track.gainNode.disconnect();
+            track.duckGainNode.disconnect();
         });
 
         if (this.masterGainNode) {
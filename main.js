@@ -72,10 +72,33 @@ function attachSupervisorListeners() {
     }
   });
 
+  supervisor.on('log-replay-complete', (data) => {
+    if (mainWindow && !mainWindow.isDestroyed()) {
+      mainWindow.webContents.send('log-replay-complete', data);
+    }
+  });
+
   supervisor.on('events-saved', (result) => {
     if (mainWindow && !mainWindow.isDestroyed()) {
       mainWindow.webContents.send('events-saved', result);
     }
+
+    // Index the new recording into the career stats in the background
+    getCareerStatsStore().sync(getRecordingBasePath()).catch(error => {
+      console.error('Career stats sync failed:', error);
+    });
+  });
+
+  supervisor.on('clips-created', (result) => {
+    if (mainWindow && !mainWindow.isDestroyed()) {
+      mainWindow.webContents.send('clips-created', result);
+    }
+  });
+
+  supervisor.on('replay-saved', (result) => {
+    if (mainWindow && !mainWindow.isDestroyed()) {
+      mainWindow.webContents.send('replay-saved', result);
+    }
   });
 
   supervisor.on('recording-stats', (data) => {
@@ -84,6 +107,46 @@ function attachSupervisorListeners() {
     }
   });
 
+  supervisor.on('stream-status', (data) => {
+    if (mainWindow && !mainWindow.isDestroyed()) {
+      mainWindow.webContents.send('stream-status', data);
+    }
+  });
+
+  supervisor.on('stream-stats', (data) => {
+    if (mainWindow && !mainWindow.isDestroyed()) {
+      mainWindow.webContents.send('stream-stats', data);
+    }
+  });
+
+  supervisor.on('stream-marker', (marker) => {
+    if (mainWindow && !mainWindow.isDestroyed()) {
+      mainWindow.webContents.send('stream-marker', marker);
+    }
+  });
+
+  supervisor.on('stream-markers-saved', (result) => {
+    if (mainWindow && !mainWindow.isDestroyed()) {
+      mainWindow.webContents.send('stream-markers-saved', result);
+    }
+  });
+
+  supervisor.on('performance-report', async (data) => {
+    let autoApplied = false;
+    if (data.final && data.report.suggestion && supervisor.performanceWatchdog.autoApply) {
+      try {
+        await applyPerformanceSuggestion(data.report.suggestion);
+        autoApplied = true;
+      } catch (error) {
+        console.error('[Watchdog] Could not apply suggestion:', error.message);
+      }
+    }
+
+    if (mainWindow && !mainWindow.isDestroyed()) {
+      mainWindow.webContents.send('performance-report', { ...data, autoApplied });
+    }
+  });
+
   supervisor.on('audio-devices', (data) => {
     if (mainWindow && !mainWindow.isDestroyed()) {
       mainWindow.webContents.send('audio-devices', data);
@@ -532,6 +595,11 @@ async function checkPatternUpdates() {
           if (configManager) {
             await configManager.updatePatternTracking(updateInfo.newVersion);
           }
+        } else if (updateInfo.verification && !updateInfo.verification.accepted && splashWindow) {
+          splashWindow.webContents.send('splash-progress', {
+            message: `Pattern update v${updateInfo.newVersion} refused: ${updateInfo.verification.reason}`,
+            progress: 15
+          });
         }
       } else {
 
@@ -548,6 +616,11 @@ async function checkPatternUpdates() {
           if (configManager) {
             await configManager.updatePatternTracking(updateInfo.newVersion);
           }
+        } else if (updateInfo.verification && !updateInfo.verification.accepted && splashWindow) {
+          splashWindow.webContents.send('splash-progress', {
+            message: `Pattern update v${updateInfo.newVersion} refused: ${updateInfo.verification.reason}`,
+            progress: 15
+          });
         }
       }
     } else {
@@ -692,6 +765,19 @@ app.on('before-quit', async (event) => {
   // Stop uiohook if running
   stopUiohook();
 
+  // Stop a background export, it runs again on the next start
+  if (exportJobManager) {
+    await exportJobManager.shutdown();
+  }
+
+  // Flush pending library changes and stop watching the recording folders
+  if (recordingLibrary) {
+    recordingLibrary.close();
+    await recordingLibrary.saveIndex().catch(error => {
+      console.error('Failed to save recording library:', error);
+    });
+  }
+
   if (supervisor) {
     await supervisor.shutdown();
   }
@@ -957,6 +1043,41 @@ function registerHotkeys(hotkeys) {
     }
   }
 
+  if (hotkeys?.saveReplay) {
+    const parsed = parseHotkey(hotkeys.saveReplay);
+    if (parsed) {
+      registeredHotkeys.saveReplay = {
+        original: hotkeys.saveReplay,
+        parsed: parsed,
+        callback: () => {
+          if (supervisor) {
+            supervisor.saveInstantReplay();
+          }
+        }
+      };
+    }
+  }
+
+  if (hotkeys?.startStopStream) {
+    const parsed = parseHotkey(hotkeys.startStopStream);
+    if (parsed) {
+      registeredHotkeys.startStopStream = {
+        original: hotkeys.startStopStream,
+        parsed: parsed,
+        callback: () => {
+          if (supervisor) {
+            toggleStreaming().catch(error => {
+              console.error('Failed to toggle stream:', error.message);
+              if (mainWindow && !mainWindow.isDestroyed()) {
+                mainWindow.webContents.send('supervisor-error', { source: 'streaming', error: error.message });
+              }
+            });
+          }
+        }
+      };
+    }
+  }
+
   if (hotkeys?.markEvent) {
     const parsed = parseHotkey(hotkeys.markEvent);
     if (parsed) {
@@ -1036,6 +1157,67 @@ ipcMain.handle('split-recording', async () => {
   return { success: false, error: 'Supervisor not initialized' };
 });
 
+// Go live with the saved stream target, or stop the running stream
+async function toggleStreaming() {
+  if (supervisor.getState().streaming.active) {
+    await supervisor.stopStreaming();
+    return;
+  }
+
+  const target = configManager.validateStreamTarget();
+  if (!target.valid) {
+    throw new Error(target.error);
+  }
+  await supervisor.startStreaming({ server: target.server, key: configManager.getStreamKey() });
+}
+
+ipcMain.handle('start-streaming', async () => {
+  if (supervisor) {
+    const target = configManager.validateStreamTarget();
+    if (!target.valid) {
+      return { success: false, error: target.error };
+    }
+    try {
+      await supervisor.startStreaming({ server: target.server, key: configManager.getStreamKey() });
+      return { success: true };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  }
+  return { success: false, error: 'Supervisor not initialized' };
+});
+
+ipcMain.handle('stop-streaming', async () => {
+  if (supervisor) {
+    try {
+      await supervisor.stopStreaming();
+      return { success: true };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  }
+  return { success: false, error: 'Supervisor not initialized' };
+});
+
+ipcMain.handle('toggle-streaming', async () => {
+  if (supervisor) {
+    try {
+      await toggleStreaming();
+      return { success: true };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  }
+  return { success: false, error: 'Supervisor not initialized' };
+});
+
+ipcMain.handle('save-instant-replay', async (event, seconds) => {
+  if (supervisor) {
+    return await supervisor.saveInstantReplay(seconds);
+  }
+  return { success: false, error: 'Supervisor not initialized' };
+});
+
 ipcMain.handle('mark-manual-event', async () => {
   if (supervisor) {
     const manualEvent = {
@@ -1057,6 +1239,22 @@ ipcMain.handle('mark-manual-event', async () => {
   return { success: false, error: 'Supervisor not initialized' };
 });
 
+ipcMain.handle('start-log-replay', async (event, { logPath, speed }) => {
+  if (supervisor) {
+    await supervisor.startLogReplay(logPath, { speed });
+    return { success: true };
+  }
+  return { success: false, error: 'Supervisor not initialized' };
+});
+
+ipcMain.handle('stop-log-replay', async () => {
+  if (supervisor) {
+    await supervisor.stopLogReplay();
+    return { success: true };
+  }
+  return { success: false, error: 'Supervisor not initialized' };
+});
+
 // Upload account management handlers
 ipcMain.handle('upload:add-account', async (event, data) => {
   if (supervisor) {
@@ -1908,6 +2106,20 @@ ipcMain.handle('extract-audio-tracks', async (event, videoPath) => {
   }
 });
 
+ipcMain.handle('get-audio-waveform', async (event, trackIndex) => {
+  try {
+    if (!audioTrackManager) {
+      throw new Error('No audio tracks have been extracted');
+    }
+
+    const waveform = await audioTrackManager.getWaveform(trackIndex);
+    return { success: true, waveform };
+  } catch (error) {
+    console.error('Failed to get audio waveform:', error);
+    return { success: false, error: error.message };
+  }
+});
+
 ipcMain.handle('cleanup-audio-tracks', async () => {
   try {
     if (audioTrackManager) {
@@ -1975,6 +2187,59 @@ ipcMain.handle('generate-thumbnails', async (event, options) => {
   }
 });
 
+// Cut highlight clips from a recording using the auto clip rules
+ipcMain.handle('clip-recording', async (event, options) => {
+  const AutoClipper = require('./lib/auto-clipper');
+
+  try {
+    const config = configManager ? configManager.get() : {};
+    const localAppData = process.env.LOCALAPPDATA || process.env.APPDATA;
+    const resourcesBase = path.join(localAppData, 'sc-recorder', 'resources');
+
+    const clipper = new AutoClipper({
+      ...(config?.settings?.recordingOptions?.autoClip || {}),
+      ffmpegPath: config.ffmpegPath || path.join(resourcesBase, 'ffmpeg', 'ffmpeg.exe'),
+      ffprobePath: config.ffprobePath || path.join(resourcesBase, 'ffmpeg', 'ffprobe.exe')
+    });
+
+    return await clipper.clipRecording(options.videoPath, options.eventsPath, {
+      outputDir: path.join(getRecordingBasePath(), clipper.outputFolder),
+      onProgress: (progress) => event.sender.send('clip-progress', progress)
+    });
+  } catch (error) {
+    console.error('[Main] Clip extraction failed:', error);
+    return {
+      success: false,
+      clips: [],
+      errors: [{ error: error.message }]
+    };
+  }
+});
+
+// Suggest highlight regions from scene changes and audio energy
+ipcMain.handle('analyze-highlights', async (event, options) => {
+  const HighlightDetector = require('./lib/highlight-detector');
+
+  try {
+    const config = configManager ? configManager.get() : {};
+    const localAppData = process.env.LOCALAPPDATA || process.env.APPDATA;
+    const resourcesBase = path.join(localAppData, 'sc-recorder', 'resources');
+
+    const detector = new HighlightDetector({
+      ffmpegPath: config.ffmpegPath || path.join(resourcesBase, 'ffmpeg', 'ffmpeg.exe'),
+      ffprobePath: config.ffprobePath || path.join(resourcesBase, 'ffmpeg', 'ffprobe.exe')
+    });
+
+    return await detector.analyze(options.videoPath, {
+      eventOffsets: options.eventOffsets || [],
+      onProgress: (progress) => event.sender.send('highlight-analysis-progress', progress)
+    });
+  } catch (error) {
+    console.error('[Main] Highlight analysis failed:', error);
+    return { success: false, suggestions: [], error: error.message };
+  }
+});
+
 // Check if thumbnails exist
 ipcMain.handle('check-thumbnails', async (event, videoPath) => {
   const ThumbnailGenerator = require('./lib/thumbnail-generator');
@@ -2101,6 +2366,9 @@ async function exportFilteredEvents(options, exportLogger) {
       categories: categories,  // Recalculated from filtered events
       savedAt: new Date().toISOString()  // Updated to current save time
     };
+    if (options.montageMetadata) {
+      metadata.montage = options.montageMetadata;
+    }
 
     // Create the final JSON structure matching original format
     const jsonData = {
@@ -2131,97 +2399,658 @@ function formatTimecode(seconds) {
   return `${String(hours).padStart(2, '0')}:${String(minutes).padStart(2, '0')}:${String(secs).padStart(2, '0')}.${String(ms).padStart(3, '0')}`;
 }
 
-// Video export IPC handlers using fluent-ffmpeg
-ipcMain.handle('export-video-fluent', async (event, options) => {
-  const ffmpeg = require('fluent-ffmpeg');
-  const path = require('path');
-  const fs = require('fs');
-  const fsPromises = require('fs').promises;
-  const Logger = require('./lib/logger');
+// Burned-in event captions (killfeed, lower thirds, session timer) as drawtext filters
+async function prepareOverlayFilters(overlayOptions, events, range, height, exportLogger) {
+  const EventOverlayRenderer = require('./lib/event-overlay-renderer');
+  const renderer = new EventOverlayRenderer(overlayOptions);
+  const overlays = renderer.buildOverlays(events, range);
+  const textDir = path.join(app.getPath('temp'), `sc_recorder_overlays_${Date.now()}`);
 
-  // Create logger for this export session
-  const exportLogger = new Logger('video-export');
+  await renderer.writeTextFiles(overlays, textDir);
+  exportLogger.log(`Rendering ${overlays.length} event overlays at ${height}p`);
 
-  try {
-    console.log('Starting video export with fluent-ffmpeg...');
+  return {
+    filters: renderer.buildDrawtextFilters(overlays, height),
+    cleanup: () => fs.rm(textDir, { recursive: true, force: true }).catch(() => {})
+  };
+}
 
-    // Log export session start
-    exportLogger.log('===== VIDEO EXPORT SESSION STARTED =====');
-    exportLogger.log('Export options:', JSON.stringify(options, null, 2));
-    exportLogger.log('Input path:', options.inputPath);
-    exportLogger.log('Output path:', options.outputPath);
-    exportLogger.log('Mark In:', options.markIn);
-    exportLogger.log('Mark Out:', options.markOut);
-    exportLogger.log('Video codec:', options.videoCodec);
-    exportLogger.log('Has multiple tracks:', options.hasMultipleTracks);
-    exportLogger.log('Is multi-track mode:', options.isMultiTrackMode);
-    exportLogger.log('Number of audio segments:', options.audioSegments ? options.audioSegments.length : 0);
-    if (options.extractedTracks) {
-      exportLogger.log('Extracted tracks:', options.extractedTracks.map(t => ({
-        trackIndex: t.trackIndex,
-        path: t.path
-      })));
+// Encoders found by FFmpegDetector, null when detection never ran
+async function loadDetectedEncoders() {
+  const FFmpegDetector = require('./lib/ffmpeg-detector');
+
+  // Setup saves capabilities to userData, the settings detection to APPDATA
+  const configPaths = [app.getPath('userData'), path.join(process.env.APPDATA || process.env.HOME, 'sc-recorder')];
+  for (const configPath of configPaths) {
+    const saved = await new FFmpegDetector().loadCapabilities(configPath);
+    if (saved && saved.capabilities && saved.capabilities.encoders) {
+      return saved.capabilities.encoders;
     }
+  }
 
-    // Ensure output directory exists
-    const outputDir = path.dirname(options.outputPath);
-    await fsPromises.mkdir(outputDir, { recursive: true });
+  return null;
+}
 
-    // Get FFmpeg path
-    const config = configManager ? configManager.get() : {};
-    // Use LOCALAPPDATA for downloaded resources
-    const localAppData = process.env.LOCALAPPDATA || process.env.APPDATA;
-    const resourcesBase = path.join(localAppData, 'sc-recorder', 'resources');
-    const ffmpegPath = config.ffmpegPath || path.join(resourcesBase, 'ffmpeg', 'ffmpeg.exe');
-    const ffprobePath = config.ffprobePath || path.join(resourcesBase, 'ffmpeg', 'ffprobe.exe');
+// Encoder, rate control, scaling and audio settings of an export preset for the exported range
+async function planPresetExport(options, exportLogger) {
+  const ExportPresets = require('./lib/export-presets');
+  const presets = new ExportPresets();
+
+  const source = await presets.probe(options.inputPath);
+  const markIn = options.markIn || 0;
+  const end = options.markOut !== null && options.markOut !== undefined ? options.markOut : source.duration;
+  source.duration = end ? end - markIn : null;
+
+  const plan = presets.plan(options.preset, source, { encoders: await loadDetectedEncoders() });
+  plan.warnings.forEach(warning => exportLogger.warn('Preset:', warning));
+  exportLogger.log(`Preset "${plan.preset.name}": ${plan.encoder}` +
+    (plan.videoBitrate ? ` at ${plan.videoBitrate}k` : ` quality ${plan.preset.video.quality}`) +
+    (plan.twoPass ? ', two-pass' : ''));
+
+  if (plan.twoPass) {
+    plan.passLogDir = path.join(app.getPath('temp'), `sc_recorder_passlog_${Date.now()}`);
+    await fs.mkdir(plan.passLogDir, { recursive: true });
+    plan.passLogFile = path.join(plan.passLogDir, 'ffmpeg2pass');
+  }
 
+  return plan;
+}
 
-    // Set FFmpeg and FFprobe paths
-    ffmpeg.setFfmpegPath(ffmpegPath);
-    ffmpeg.setFfprobePath(ffprobePath);
+// First pass of a two-pass preset export, only writes the encoder's log
+function runPresetFirstPass(hooks, preset, input, range, videoFilters, exportLogger) {
+  const ffmpeg = require('fluent-ffmpeg');
+  const ExportPresets = require('./lib/export-presets');
 
-    // Multi-step approach for multi-track audio with segments
-    if (options.isMultiTrackMode && options.audioSegments && options.audioSegments.length > 0) {
-      exportLogger.log('Using multi-step approach for multi-track audio export');
+  return new Promise((resolve, reject) => {
+    const command = ffmpeg(input);
+    hooks.onCommand(command);
+    if (range.start) {
+      command.seekInput(range.start);
+    }
+    if (range.duration) {
+      command.duration(range.duration);
+    }
+    if (videoFilters.length > 0) {
+      command.videoFilters(videoFilters);
+    }
 
-      // Step 1: Create trimmed temporary file with all audio tracks
-      const tempDir = app.getPath('temp');
-      const tempFile = path.join(tempDir, `sc_recorder_temp_${Date.now()}.mkv`);
-      let tempFileCreated = false;
+    command.videoCodec(preset.encoder)
+      .outputOptions([
+        ...preset.videoOptions,
+        ...new ExportPresets().passOptions(1, preset.passLogFile),
+        '-an'
+      ])
+      .format('null')
+      .output(process.platform === 'win32' ? 'NUL' : '/dev/null');
+
+    command.on('start', (commandLine) => {
+      exportLogger.log('First pass FFmpeg command:', commandLine);
+    });
 
-      exportLogger.log('Step 1: Creating trimmed temp file with all tracks:', tempFile);
+    command.on('progress', (progress) => {
+      hooks.onProgress({
+        percent: progress.percent ? progress.percent / 2 : 0,
+        currentTime: progress.timemark,
+        step: 'Analyzing (pass 1 of 2)...'
+      });
+    });
 
-      try {
-        await new Promise((resolve, reject) => {
-          const trimCommand = ffmpeg();
+    command.on('error', (err, stdout, stderr) => {
+      exportLogger.error('First pass FFmpeg error:', err.message);
+      exportLogger.error('First pass FFmpeg stderr:', stderr);
+      reject(err);
+    });
 
-          // Add main input with seek
-          trimCommand.input(options.inputPath);
-          if (options.markIn !== null && options.markIn !== undefined) {
-            trimCommand.seekInput(options.markIn);
-          }
+    command.on('end', () => resolve());
 
-          // Add extracted audio tracks with the same seek
-          if (options.extractedTracks && options.extractedTracks.length > 0) {
-            options.extractedTracks.forEach(track => {
-              trimCommand.input(track.path);
-              if (options.markIn !== null && options.markIn !== undefined) {
-                trimCommand.seekInput(options.markIn);
-              }
-            });
-          }
+    command.run();
+  });
+}
 
-          // Set duration
-          if (options.markOut !== null && options.markOut !== undefined) {
-            const duration = options.markOut - (options.markIn || 0);
-            trimCommand.duration(duration);
-          }
+// First loudnorm pass over an audio filter graph ending in [measured]
+function measureLoudness(hooks, input, graph, exportLogger) {
+  const ffmpeg = require('fluent-ffmpeg');
+  const AudioMixBuilder = require('./lib/audio-mix-builder');
 
-          // Map all video and audio streams
-          let mapOptions = [
-            '-c:v', 'copy',  // Copy video codec
-            '-c:a', 'copy',  // Copy audio codec
-            '-map', '0:v'    // Map video from first input
+  return new Promise((resolve, reject) => {
+    const command = ffmpeg(input);
+    hooks.onCommand(command);
+
+    command.complexFilter(graph)
+      .outputOptions(['-map', '[measured]', '-vn'])
+      .format('null')
+      .output(process.platform === 'win32' ? 'NUL' : '/dev/null');
+
+    command.on('start', (commandLine) => {
+      exportLogger.log('Loudness pass FFmpeg command:', commandLine);
+    });
+
+    command.on('progress', (progress) => {
+      hooks.onProgress({
+        percent: 50,
+        currentTime: progress.timemark,
+        step: 'Measuring loudness...'
+      });
+    });
+
+    command.on('error', (err, stdout, stderr) => {
+      exportLogger.error('Loudness pass FFmpeg error:', err.message);
+      exportLogger.error('Loudness pass FFmpeg stderr:', stderr);
+      reject(err);
+    });
+
+    command.on('end', (stdout, stderr) => {
+      resolve(new AudioMixBuilder().parseMeasurement(stderr));
+    });
+
+    command.run();
+  });
+}
+
+// Audio filters for the multi-track mix of the trimmed temp file: segments,
+// per track loudness, ducking and master loudness. Null when no segment is in range.
+async function buildMixAudioGraph(hooks, options, input, exportLogger) {
+  const AudioMixBuilder = require('./lib/audio-mix-builder');
+  const mixBuilder = new AudioMixBuilder();
+  const loudness = options.loudness && options.loudness.target ? options.loudness : null;
+  const ducking = mixBuilder.normalizeDucking(options.ducking);
+
+  const filters = [];
+  const trackLabels = {};
+
+  // Group segments by track
+  const segmentsByTrack = {};
+  options.audioSegments.forEach(segment => {
+    const trackId = segment.trackId;
+    if (!segmentsByTrack[trackId]) {
+      segmentsByTrack[trackId] = [];
+    }
+    segmentsByTrack[trackId].push(segment);
+  });
+
+  exportLogger.log('Segments grouped by track:', JSON.stringify(segmentsByTrack, null, 2));
+
+  // Process each track's segments
+  // Now all times are relative to 0 since we have a trimmed file
+  for (const [trackId, segments] of Object.entries(segmentsByTrack)) {
+    const trackNum = parseInt(trackId.split('-')[1]);
+
+    // In the temp file, tracks are in order: video, then audio tracks
+    // Audio track indices in temp file:
+    // Track 1 (from main) = 0:a:0
+    // Track 2 (from main or first extracted) = 0:a:1
+    // Track 3 = 0:a:2
+    // Track 4 = 0:a:3
+    const audioStreamIndex = trackNum - 1;
+    const audioStream = `0:a:${audioStreamIndex}`;
+
+    // Since the temp file is already trimmed, adjust segment times
+    const clipStart = options.markIn || 0;
+    const clipEnd = options.markOut || Infinity;
+
+    // Filter and adjust segments for the trimmed timeline
+    const validSegments = segments.filter(segment => {
+      return segment.endTime > clipStart && segment.startTime < clipEnd;
+    }).map(segment => ({
+      ...segment,
+      // Adjust times relative to the trimmed file (starting at 0)
+      startTime: Math.max(0, segment.startTime - clipStart),
+      endTime: Math.min(clipEnd - clipStart, segment.endTime - clipStart)
+    }));
+
+    if (validSegments.length === 0) {
+      continue;
+    }
+
+    // Normalize the whole track before segments and their volume changes are applied
+    let trackSource = audioStream;
+    if (loudness && loudness.tracks) {
+      const measured = await measureLoudness(hooks, input,
+        `[${audioStream}]${mixBuilder.buildMeasureFilter(loudness.target)}[measured]`, exportLogger);
+      if (measured) {
+        exportLogger.log(`Track ${trackNum} measured at ${measured.input_i} LUFS`);
+        filters.push(`[${audioStream}]${mixBuilder.buildNormalizeFilter(loudness.target, measured)}[track${trackNum}_norm]`);
+        trackSource = `track${trackNum}_norm`;
+      }
+    }
+
+    // Build filter for this track's segments
+    const trackFilterName = `track${trackNum}_processed`;
+
+    if (validSegments.length === 1) {
+      // Single segment
+      const segment = validSegments[0];
+      let segmentFilter = `[${trackSource}]`;
+
+      // Trim to segment duration
+      segmentFilter += `atrim=start=${segment.startTime}:end=${segment.endTime},asetpts=PTS-STARTPTS`;
+
+      // Add delay if segment doesn't start at 0
+      if (segment.startTime > 0) {
+        const delayMs = Math.round(segment.startTime * 1000);
+        segmentFilter += `,adelay=${delayMs}|${delayMs}`;
+      }
+
+      // Apply volume adjustment
+      if (segment.volume && segment.volume !== 0) {
+        segmentFilter += `,volume=${segment.volume}dB`;
+      }
+
+      segmentFilter += `[${trackFilterName}]`;
+
+      filters.push(segmentFilter);
+      trackLabels[trackId] = trackFilterName;
+
+    } else {
+      // Multiple segments - need to split and process each
+      const splitOutputs = validSegments.map((_, idx) => `[t${trackNum}_split${idx}]`).join('');
+      filters.push(`[${trackSource}]asplit=${validSegments.length}${splitOutputs}`);
+
+      const segmentOutputs = [];
+      validSegments.forEach((segment, idx) => {
+        const splitName = `t${trackNum}_split${idx}`;
+        const segName = `t${trackNum}_seg${idx}`;
+
+        let segmentFilter = `[${splitName}]`;
+        segmentFilter += `atrim=start=${segment.startTime}:end=${segment.endTime},asetpts=PTS-STARTPTS`;
+
+        if (segment.startTime > 0) {
+          const delayMs = Math.round(segment.startTime * 1000);
+          segmentFilter += `,adelay=${delayMs}|${delayMs}`;
+        }
+
+        if (segment.volume && segment.volume !== 0) {
+          segmentFilter += `,volume=${segment.volume}dB`;
+        }
+
+        segmentFilter += `[${segName}]`;
+        filters.push(segmentFilter);
+        segmentOutputs.push(`[${segName}]`);
+      });
+
+      // Mix this track's segments
+      const mixFilter = `${segmentOutputs.join('')}amix=inputs=${segmentOutputs.length}:duration=longest[${trackFilterName}]`;
+      filters.push(mixFilter);
+      trackLabels[trackId] = trackFilterName;
+    }
+  }
+
+  if (Object.keys(trackLabels).length === 0) {
+    return null;
+  }
+
+  // Duck the game track under whichever voice tracks made it into the mix
+  let mixLabels = Object.values(trackLabels);
+  const voiceIds = ducking ? ducking.voiceTrackIds.filter(id => trackLabels[id]) : [];
+  if (ducking && trackLabels[ducking.gameTrackId] && voiceIds.length > 0) {
+    const duck = mixBuilder.buildDuckingFilters(ducking, trackLabels[ducking.gameTrackId], voiceIds.map(id => trackLabels[id]));
+    filters.push(...duck.filters);
+
+    const otherLabels = Object.entries(trackLabels)
+      .filter(([id]) => id !== ducking.gameTrackId && !voiceIds.includes(id))
+      .map(([, label]) => label);
+    mixLabels = [duck.gameLabel, ...duck.voiceLabels, ...otherLabels];
+    exportLogger.log(`Ducking ${ducking.gameTrackId} under ${voiceIds.join(', ')}`);
+  }
+
+  // Mix all tracks together
+  filters.push(`${mixLabels.map(label => `[${label}]`).join('')}amix=inputs=${mixLabels.length}:duration=longest[mixed]`);
+
+  // Master loudness is measured on the finished mix
+  if (loudness && loudness.master) {
+    const measured = await measureLoudness(hooks, input,
+      `${filters.join(';')};[mixed]${mixBuilder.buildMeasureFilter(loudness.target)}[measured]`, exportLogger);
+    if (measured) {
+      exportLogger.log(`Mix measured at ${measured.input_i} LUFS`);
+      filters.push(`[mixed]${mixBuilder.buildNormalizeFilter(loudness.target, measured)}[mastered]`);
+      return { filters, output: 'mastered' };
+    }
+  }
+
+  return { filters, output: 'mixed' };
+}
+
+// After a size capped export, lower the bitrate when the output is over the target
+// Returns true when the final encode should run again
+async function retargetPresetExport(preset, outputPath, attempt, exportLogger) {
+  const MAX_TARGET_SIZE_ATTEMPTS = 3;
+  if (!preset || !preset.targetBytes) {
+    return false;
+  }
+
+  const { size } = await fs.stat(outputPath);
+  const sizeMB = (size / 1000 / 1000).toFixed(2);
+  if (size <= preset.targetBytes) {
+    exportLogger.log(`Target size met: ${sizeMB} MB`);
+    return false;
+  }
+
+  const ExportPresets = require('./lib/export-presets');
+  if (attempt >= MAX_TARGET_SIZE_ATTEMPTS || !new ExportPresets().retarget(preset, size)) {
+    exportLogger.warn(`Output is ${sizeMB} MB, over the target after ${attempt} attempts`);
+    return false;
+  }
+
+  exportLogger.log(`Output is ${sizeMB} MB, over the target. Retrying at ${preset.videoBitrate}k`);
+  return true;
+}
+
+// Preset video encoder and rate control, the second pass of a two-pass export
+function applyPresetVideo(command, preset) {
+  const ExportPresets = require('./lib/export-presets');
+
+  command.videoCodec(preset.encoder).outputOptions(preset.videoOptions);
+  if (preset.twoPass) {
+    command.outputOptions(new ExportPresets().passOptions(2, preset.passLogFile));
+  }
+}
+
+// Render a montage of clips from several recordings with a concat/xfade filter graph
+async function exportMontage(hooks, options, exportLogger) {
+  const ffmpeg = require('fluent-ffmpeg');
+  const MontageBuilder = require('./lib/montage-builder');
+  const builder = new MontageBuilder();
+
+  const layout = builder.getLayout(options.montage.clips || []);
+  if (layout.clips.length === 0) {
+    throw new Error('The montage has no clips');
+  }
+  exportLogger.log(`Montage of ${layout.clips.length} clips, ${layout.duration.toFixed(2)}s`);
+
+  // Every source is scaled to the first clip's size and frame rate
+  const probes = [];
+  for (const clip of layout.clips) {
+    probes.push(await builder.probe(clip.videoPath));
+  }
+  const output = {
+    width: options.montage.width || probes[0].width || 1920,
+    height: options.montage.height || probes[0].height || 1080,
+    fps: options.montage.fps || probes[0].fps || 30,
+    hasAudio: probes.map(probe => probe.hasAudio)
+  };
+
+  // Presets limit the montage size and frame rate, the filter graph already re-encodes
+  // so size targets use a capped bitrate instead of two passes
+  let preset = null;
+  if (options.preset) {
+    const ExportPresets = require('./lib/export-presets');
+    preset = new ExportPresets().plan(options.preset, { duration: layout.duration, audioTracks: 1 }, {
+      encoders: await loadDetectedEncoders(),
+      allowTwoPass: false
+    });
+    preset.warnings.forEach(warning => exportLogger.warn('Preset:', warning));
+
+    const { height, fps } = preset.preset.video;
+    if (height && height < output.height) {
+      output.width = Math.round(output.width * height / output.height);
+      output.height = height;
+    }
+    if (fps && fps < output.fps) {
+      output.fps = fps;
+    }
+  }
+  const duration = preset && preset.trimTo ? preset.trimTo : layout.duration;
+
+  // libx264/libx265 need even dimensions
+  output.width -= output.width % 2;
+  output.height -= output.height % 2;
+
+  const graph = builder.buildFilterGraph(layout, output);
+  const events = builder.buildEvents(layout);
+
+  // Overlays are drawn on the joined video, so they follow the montage timeline
+  const overlay = options.overlays
+    ? await prepareOverlayFilters(options.overlays, events, { start: 0, end: duration }, output.height, exportLogger)
+    : null;
+  if (overlay && overlay.filters.length > 0) {
+    graph.filters.push(`[${graph.videoLabel}]${overlay.filters.join(',')}[vover]`);
+    graph.videoLabel = 'vover';
+  }
+  exportLogger.log('Montage filter graph:', graph.filters.join(';'));
+
+  await new Promise((resolve, reject) => {
+    const command = ffmpeg();
+    hooks.onCommand(command);
+
+    layout.clips.forEach(clip => {
+      command.input(clip.videoPath)
+        .seekInput(clip.in)
+        .inputOptions(['-t', String(clip.duration)]);
+    });
+
+    command.complexFilter(graph.filters.join(';'));
+    command.outputOptions([
+      '-map', `[${graph.videoLabel}]`,
+      '-map', `[${graph.audioLabel}]`
+    ]);
+
+    // The filter graph always re-encodes, copy falls back to x264
+    if (preset) {
+      applyPresetVideo(command, preset);
+      command.audioCodec(preset.audioCodec === 'copy' ? 'aac' : preset.audioCodec)
+        .outputOptions(preset.audioCodec === 'copy' ? ['-b:a', '192k'] : preset.audioOptions);
+      if (preset.trimTo) {
+        command.outputOptions(['-t', String(preset.trimTo)]);
+      }
+    } else {
+      const videoCodec = options.videoCodec === 'libx265' ? 'libx265' : 'libx264';
+      command.videoCodec(videoCodec)
+        .outputOptions([
+          '-crf', options.videoQuality || '23',
+          '-preset', options.videoPreset || 'medium'
+        ]);
+      command.audioCodec('aac').audioBitrate('192k');
+    }
+
+    command.output(options.outputPath);
+
+    command.on('start', (commandLine) => {
+      exportLogger.log('Montage FFmpeg command:', commandLine);
+    });
+
+    command.on('progress', (progress) => {
+      // percent is relative to the first input only, use the output timemark instead
+      const [hours, minutes, seconds] = String(progress.timemark || '0:0:0').split(':').map(Number);
+      const elapsed = (hours || 0) * 3600 + (minutes || 0) * 60 + (seconds || 0);
+      hooks.onProgress({
+        percent: Math.min(100, elapsed / duration * 100),
+        currentTime: progress.timemark,
+        step: 'Rendering montage...'
+      });
+    });
+
+    command.on('error', (err, stdout, stderr) => {
+      console.error('Montage FFmpeg error:', err.message);
+      exportLogger.error('Montage FFmpeg error:', err.message);
+      exportLogger.error('Montage FFmpeg stderr:', stderr);
+      reject(err);
+    });
+
+    command.on('end', () => resolve());
+
+    command.run();
+  }).finally(() => overlay && overlay.cleanup());
+
+  // Combined events track, metadata is based on the first clip's recording
+  if (events.length > 0) {
+    await exportFilteredEvents({
+      inputPath: layout.clips[0].videoPath,
+      outputPath: options.outputPath,
+      markIn: 0,
+      markOut: duration,
+      events,
+      montageMetadata: builder.buildMetadata(layout)
+    }, exportLogger);
+  }
+
+  exportLogger.log('===== MONTAGE EXPORT COMPLETED SUCCESSFULLY =====');
+  return { success: true, duration, eventCount: events.length };
+}
+
+// Run one video export with fluent-ffmpeg
+// hooks.onProgress receives progress updates, hooks.onCommand each FFmpeg command before it runs
+async function runVideoExport(options, hooks = {}) {
+  hooks = { onProgress: () => {}, onCommand: () => {}, ...hooks };
+  const ffmpeg = require('fluent-ffmpeg');
+  const path = require('path');
+  const fs = require('fs');
+  const fsPromises = require('fs').promises;
+  const Logger = require('./lib/logger');
+
+  // Create logger for this export session
+  const exportLogger = new Logger('video-export');
+  let overlay = null;
+  let preset = null;
+
+  try {
+    console.log('Starting video export with fluent-ffmpeg...');
+
+    // Log export session start
+    exportLogger.log('===== VIDEO EXPORT SESSION STARTED =====');
+    exportLogger.log('Export options:', JSON.stringify(options, null, 2));
+    exportLogger.log('Input path:', options.inputPath);
+    exportLogger.log('Output path:', options.outputPath);
+    exportLogger.log('Mark In:', options.markIn);
+    exportLogger.log('Mark Out:', options.markOut);
+    exportLogger.log('Video codec:', options.videoCodec);
+    exportLogger.log('Has multiple tracks:', options.hasMultipleTracks);
+    exportLogger.log('Is multi-track mode:', options.isMultiTrackMode);
+    exportLogger.log('Number of audio segments:', options.audioSegments ? options.audioSegments.length : 0);
+    if (options.loudness || options.ducking) {
+      exportLogger.log('Loudness:', JSON.stringify(options.loudness || null), 'Ducking:', JSON.stringify(options.ducking || null));
+    }
+    if (options.extractedTracks) {
+      exportLogger.log('Extracted tracks:', options.extractedTracks.map(t => ({
+        trackIndex: t.trackIndex,
+        path: t.path
+      })));
+    }
+
+    // Ensure output directory exists
+    const outputDir = path.dirname(options.outputPath);
+    await fsPromises.mkdir(outputDir, { recursive: true });
+
+    // Get FFmpeg path
+    const config = configManager ? configManager.get() : {};
+    // Use LOCALAPPDATA for downloaded resources
+    const localAppData = process.env.LOCALAPPDATA || process.env.APPDATA;
+    const resourcesBase = path.join(localAppData, 'sc-recorder', 'resources');
+    const ffmpegPath = config.ffmpegPath || path.join(resourcesBase, 'ffmpeg', 'ffmpeg.exe');
+    const ffprobePath = config.ffprobePath || path.join(resourcesBase, 'ffmpeg', 'ffprobe.exe');
+
+
+    // Set FFmpeg and FFprobe paths
+    ffmpeg.setFfmpegPath(ffmpegPath);
+    ffmpeg.setFfprobePath(ffprobePath);
+
+    // Montage mode joins clips from several recordings
+    if (options.montage) {
+      return await exportMontage(hooks, options, exportLogger);
+    }
+
+    // A target size without a preset is a size capped H.264 (or x265) export of the first
+    // audio track, two-pass with x264 and re-encoded at a lower bitrate if it overshoots
+    if (options.targetSizeMB && !options.preset) {
+      options = {
+        ...options,
+        preset: {
+          name: `${options.targetSizeMB} MB target`,
+          container: path.extname(options.outputPath).slice(1),
+          video: {
+            codec: options.videoCodec === 'libx265' ? 'h265' : 'h264',
+            encoder: 'software',
+            targetSizeMB: options.targetSizeMB
+          },
+          audio: { mix: 'first', codec: 'aac', bitrate: 128 }
+        }
+      };
+    }
+
+    // Export presets choose the encoder, size and audio, and can shorten the export
+    if (options.preset) {
+      preset = await planPresetExport(options, exportLogger);
+      if (preset.trimTo) {
+        options = { ...options, markOut: (options.markIn || 0) + preset.trimTo };
+      }
+    }
+
+    // Vertical/square reframing crops the video, panning between keyframes
+    let reframeFilters = [];
+    if (options.reframe) {
+      const ReframeBuilder = require('./lib/reframe-builder');
+      const reframer = new ReframeBuilder();
+      const output = reframer.getOutputSize(options.reframe.aspect);
+      reframeFilters = reframer.buildFilters(options.reframe, options.markIn || 0);
+      exportLogger.log(`Reframing to ${options.reframe.aspect} (${output.width}x${output.height}) with ${(options.reframe.keyframes || []).length} keyframes`);
+
+      // Overlay sizes are for a 1080p landscape frame, scale them to the short side
+      if (options.overlays) {
+        options = { ...options, overlays: { ...options.overlays, height: Math.min(output.width, output.height) } };
+      }
+    }
+
+    // Event overlays are burned in, which needs a re-encode
+    if (options.overlays) {
+      overlay = await prepareOverlayFilters(options.overlays, options.events || [], {
+        start: options.markIn || 0,
+        end: options.markOut
+      }, options.overlays.height || 1080, exportLogger);
+    }
+
+    if ((options.overlays || options.reframe) && (!options.videoCodec || options.videoCodec === 'copy')) {
+      options = { ...options, videoCodec: 'libx264' };
+    }
+
+    // Overlays are drawn on the reframed picture, before the preset scales the video
+    const videoFilters = [
+      ...reframeFilters,
+      ...(overlay ? overlay.filters : []),
+      ...(preset ? preset.videoFilters : [])
+    ];
+
+    // Multi-step approach for multi-track audio with segments
+    if (options.isMultiTrackMode && options.audioSegments && options.audioSegments.length > 0) {
+      exportLogger.log('Using multi-step approach for multi-track audio export');
+
+      // Step 1: Create trimmed temporary file with all audio tracks
+      const tempDir = app.getPath('temp');
+      const tempFile = path.join(tempDir, `sc_recorder_temp_${Date.now()}.mkv`);
+      let tempFileCreated = false;
+
+      exportLogger.log('Step 1: Creating trimmed temp file with all tracks:', tempFile);
+
+      try {
+        await new Promise((resolve, reject) => {
+          const trimCommand = ffmpeg();
+          hooks.onCommand(trimCommand);
+
+          // Add main input with seek
+          trimCommand.input(options.inputPath);
+          if (options.markIn !== null && options.markIn !== undefined) {
+            trimCommand.seekInput(options.markIn);
+          }
+
+          // Add extracted audio tracks with the same seek
+          if (options.extractedTracks && options.extractedTracks.length > 0) {
+            options.extractedTracks.forEach(track => {
+              trimCommand.input(track.path);
+              if (options.markIn !== null && options.markIn !== undefined) {
+                trimCommand.seekInput(options.markIn);
+              }
+            });
+          }
+
+          // Set duration
+          if (options.markOut !== null && options.markOut !== undefined) {
+            const duration = options.markOut - (options.markIn || 0);
+            trimCommand.duration(duration);
+          }
+
+          // Map all video and audio streams
+          let mapOptions = [
+            '-c:v', 'copy',  // Copy video codec
+            '-c:a', 'copy',  // Copy audio codec
+            '-map', '0:v'    // Map video from first input
           ];
 
           // Map all audio tracks
@@ -2248,7 +3077,7 @@ ipcMain.handle('export-video-fluent', async (event, options) => {
           });
 
           trimCommand.on('progress', (progress) => {
-            event.sender.send('export-progress', {
+            hooks.onProgress({
               percent: progress.percent ? progress.percent / 2 : 0,  // First 50% of total progress
               currentTime: progress.timemark,
               step: 'Preparing tracks...'
@@ -2275,201 +3104,111 @@ ipcMain.handle('export-video-fluent', async (event, options) => {
         // Step 2: Apply audio segments and mix
         exportLogger.log('Step 2: Applying audio segments and mixing');
 
-        await new Promise((resolve, reject) => {
-          const mixCommand = ffmpeg();
-
-          // Use the temp file as input
-          mixCommand.input(tempFile);
-
-          // Build the audio mixing filter
-          const filters = [];
-          const inputs = [];
-
-          // Group segments by track
-          const segmentsByTrack = {};
-          options.audioSegments.forEach(segment => {
-            const trackId = segment.trackId;
-            if (!segmentsByTrack[trackId]) {
-              segmentsByTrack[trackId] = [];
-            }
-            segmentsByTrack[trackId].push(segment);
-          });
-
-          exportLogger.log('Segments grouped by track:', JSON.stringify(segmentsByTrack, null, 2));
-
-          // Process each track's segments
-          // Now all times are relative to 0 since we have a trimmed file
-          Object.entries(segmentsByTrack).forEach(([trackId, segments]) => {
-            const trackNum = parseInt(trackId.split('-')[1]);
-
-            // In the temp file, tracks are in order: video, then audio tracks
-            // Audio track indices in temp file:
-            // Track 1 (from main) = 0:a:0
-            // Track 2 (from main or first extracted) = 0:a:1
-            // Track 3 = 0:a:2
-            // Track 4 = 0:a:3
-            const audioStreamIndex = trackNum - 1;
-            const audioStream = `0:a:${audioStreamIndex}`;
-
-            // Since the temp file is already trimmed, adjust segment times
-            const clipStart = options.markIn || 0;
-            const clipEnd = options.markOut || Infinity;
-
-            // Filter and adjust segments for the trimmed timeline
-            const validSegments = segments.filter(segment => {
-              return segment.endTime > clipStart && segment.startTime < clipEnd;
-            }).map(segment => ({
-              ...segment,
-              // Adjust times relative to the trimmed file (starting at 0)
-              startTime: Math.max(0, segment.startTime - clipStart),
-              endTime: Math.min(clipEnd - clipStart, segment.endTime - clipStart)
-            }));
-
-            if (validSegments.length === 0) {
-              return;
-            }
-
-            // Build filter for this track's segments
-            const trackFilterName = `track${trackNum}_processed`;
+        // Built once, loudness measurements run their own FFmpeg passes
+        const audioGraph = await buildMixAudioGraph(hooks, options, tempFile, exportLogger);
 
-            if (validSegments.length === 1) {
-              // Single segment
-              const segment = validSegments[0];
-              let segmentFilter = `[${audioStream}]`;
-
-              // Trim to segment duration
-              segmentFilter += `atrim=start=${segment.startTime}:end=${segment.endTime},asetpts=PTS-STARTPTS`;
-
-              // Add delay if segment doesn't start at 0
-              if (segment.startTime > 0) {
-                const delayMs = Math.round(segment.startTime * 1000);
-                segmentFilter += `,adelay=${delayMs}|${delayMs}`;
-              }
+        // Size capped presets run step 2 again at a lower bitrate while the output is too big
+        for (let attempt = 1; ; attempt++) {
+          // The pass log is tied to the bitrate it was made at, a retry analyzes again
+          if (preset && preset.twoPass) {
+            await runPresetFirstPass(hooks, preset, tempFile, {}, videoFilters, exportLogger);
+          }
 
-              // Apply volume adjustment
-              if (segment.volume && segment.volume !== 0) {
-                segmentFilter += `,volume=${segment.volume}dB`;
-              }
+          await new Promise((resolve, reject) => {
+            const mixCommand = ffmpeg();
+            hooks.onCommand(mixCommand);
 
-              segmentFilter += `[${trackFilterName}]`;
+            // Use the temp file as input
+            mixCommand.input(tempFile);
 
-              filters.push(segmentFilter);
-              inputs.push(`[${trackFilterName}]`);
+            if (audioGraph) {
+              const complexFilter = audioGraph.filters.join(';');
+              exportLogger.log('Complex filter for mixing:', complexFilter);
 
+              mixCommand.complexFilter(complexFilter);
+              mixCommand.outputOptions([
+                '-map', '0:v',      // Map video from temp file
+                '-map', `[${audioGraph.output}]`   // Map mixed audio
+              ]);
             } else {
-              // Multiple segments - need to split and process each
-              const splitOutputs = validSegments.map((_, idx) => `[t${trackNum}_split${idx}]`).join('');
-              filters.push(`[${audioStream}]asplit=${validSegments.length}${splitOutputs}`);
-
-              const segmentOutputs = [];
-              validSegments.forEach((segment, idx) => {
-                const splitName = `t${trackNum}_split${idx}`;
-                const segName = `t${trackNum}_seg${idx}`;
-
-                let segmentFilter = `[${splitName}]`;
-                segmentFilter += `atrim=start=${segment.startTime}:end=${segment.endTime},asetpts=PTS-STARTPTS`;
-
-                if (segment.startTime > 0) {
-                  const delayMs = Math.round(segment.startTime * 1000);
-                  segmentFilter += `,adelay=${delayMs}|${delayMs}`;
-                }
-
-                if (segment.volume && segment.volume !== 0) {
-                  segmentFilter += `,volume=${segment.volume}dB`;
-                }
-
-                segmentFilter += `[${segName}]`;
-                filters.push(segmentFilter);
-                segmentOutputs.push(`[${segName}]`);
-              });
-
-              // Mix this track's segments
-              if (segmentOutputs.length > 0) {
-                const mixFilter = `${segmentOutputs.join('')}amix=inputs=${segmentOutputs.length}:duration=longest[${trackFilterName}]`;
-                filters.push(mixFilter);
-                inputs.push(`[${trackFilterName}]`);
-              }
+              // No segments, just copy
+              mixCommand.outputOptions([
+                '-map', '0:v',
+                '-map', '0:a:0'  // Use first audio track
+              ]);
             }
-          });
 
-          // Mix all tracks together
-          if (inputs.length > 0) {
-            const finalMixFilter = `${inputs.join('')}amix=inputs=${inputs.length}:duration=longest[mixed]`;
-            filters.push(finalMixFilter);
-
-            const complexFilter = filters.join(';');
-            exportLogger.log('Complex filter for mixing:', complexFilter);
+            if (videoFilters.length > 0) {
+              mixCommand.videoFilters(videoFilters);
+            }
 
-            mixCommand.complexFilter(complexFilter);
-            mixCommand.outputOptions([
-              '-map', '0:v',      // Map video from temp file
-              '-map', '[mixed]'   // Map mixed audio
-            ]);
-          } else {
-            // No segments, just copy
-            mixCommand.outputOptions([
-              '-map', '0:v',
-              '-map', '0:a:0'  // Use first audio track
-            ]);
-          }
+            // Video codec settings
+            if (preset) {
+              applyPresetVideo(mixCommand, preset);
+            } else if (options.videoCodec === 'copy') {
+              mixCommand.videoCodec('copy');
+            } else if (options.videoCodec === 'libx264') {
+              mixCommand.videoCodec('libx264')
+                .outputOptions([
+                  '-crf', options.videoQuality || '23',
+                  '-preset', options.videoPreset || 'medium'
+                ]);
+            } else if (options.videoCodec === 'libx265') {
+              mixCommand.videoCodec('libx265')
+                .outputOptions([
+                  '-crf', options.videoQuality || '23',
+                  '-preset', options.videoPreset || 'medium'
+                ]);
+            }
 
-          // Video codec settings
-          if (options.videoCodec === 'copy') {
-            mixCommand.videoCodec('copy');
-          } else if (options.videoCodec === 'libx264') {
-            mixCommand.videoCodec('libx264')
-              .outputOptions([
-                '-crf', options.videoQuality || '23',
-                '-preset', options.videoPreset || 'medium'
-              ]);
-          } else if (options.videoCodec === 'libx265') {
-            mixCommand.videoCodec('libx265')
-              .outputOptions([
-                '-crf', options.videoQuality || '23',
-                '-preset', options.videoPreset || 'medium'
-              ]);
-          }
+            // Audio codec - re-encode when mixing
+            if (preset && preset.audioCodec !== 'copy') {
+              mixCommand.audioCodec(preset.audioCodec).outputOptions(preset.audioOptions);
+            } else {
+              mixCommand.audioCodec('aac').audioBitrate('192k');
+            }
 
-          // Audio codec - re-encode when mixing
-          mixCommand.audioCodec('aac').audioBitrate('192k');
+            // Set output
+            mixCommand.output(options.outputPath);
 
-          // Set output
-          mixCommand.output(options.outputPath);
+            mixCommand.on('start', (commandLine) => {
+              exportLogger.log('Step 2 FFmpeg command:', commandLine);
+            });
 
-          mixCommand.on('start', (commandLine) => {
-            exportLogger.log('Step 2 FFmpeg command:', commandLine);
-          });
+            mixCommand.on('progress', (progress) => {
+              hooks.onProgress({
+                percent: 50 + (progress.percent ? progress.percent / 2 : 0),  // Second 50% of total progress
+                currentTime: progress.timemark,
+                step: 'Mixing audio tracks...'
+              });
+            });
 
-          mixCommand.on('progress', (progress) => {
-            event.sender.send('export-progress', {
-              percent: 50 + (progress.percent ? progress.percent / 2 : 0),  // Second 50% of total progress
-              currentTime: progress.timemark,
-              step: 'Mixing audio tracks...'
+            mixCommand.on('error', (err, stdout, stderr) => {
+              console.error('Step 2 FFmpeg error:', err.message);
+              console.error('Step 2 FFmpeg stderr:', stderr);
+              exportLogger.error('Step 2 FFmpeg error:', err.message);
+              exportLogger.error('Step 2 FFmpeg stderr:', stderr);
+              reject(err);
             });
-          });
 
-          mixCommand.on('error', (err, stdout, stderr) => {
-            console.error('Step 2 FFmpeg error:', err.message);
-            console.error('Step 2 FFmpeg stderr:', stderr);
-            exportLogger.error('Step 2 FFmpeg error:', err.message);
-            exportLogger.error('Step 2 FFmpeg stderr:', stderr);
-            reject(err);
-          });
+            mixCommand.on('end', async () => {
+              exportLogger.log('Step 2 completed: Export finished successfully');
+              exportLogger.log('Output file:', options.outputPath);
 
-          mixCommand.on('end', async () => {
-            exportLogger.log('Step 2 completed: Export finished successfully');
-            exportLogger.log('Output file:', options.outputPath);
+              // Export filtered events to JSON
+              if (options.events && options.events.length > 0) {
+                await exportFilteredEvents(options, exportLogger);
+              }
 
-            // Export filtered events to JSON
-            if (options.events && options.events.length > 0) {
-              await exportFilteredEvents(options, exportLogger);
-            }
+              resolve({ success: true });
+            });
 
-            resolve({ success: true });
+            mixCommand.run();
           });
-
-          mixCommand.run();
-        });
+          if (!(await retargetPresetExport(preset, options.outputPath, attempt, exportLogger))) {
+            break;
+          }
+        }
 
         // Clean up temp file
         try {
@@ -2501,95 +3240,133 @@ ipcMain.handle('export-video-fluent', async (event, options) => {
       // Original single-pass approach for non-multi-track or no segments
       exportLogger.log('Using single-pass export (no multi-track segments)');
 
-      return new Promise((resolve, reject) => {
-        const command = ffmpeg();
-
-        // Add main input with seek if needed
-        command.input(options.inputPath);
-        if (options.markIn !== null && options.markIn !== undefined) {
-          command.seekInput(options.markIn);
+      // Size capped presets encode again at a lower bitrate while the output is too big
+      for (let attempt = 1; ; attempt++) {
+        // The pass log is tied to the bitrate it was made at, a retry analyzes again
+        if (preset && preset.twoPass) {
+          await runPresetFirstPass(hooks, preset, options.inputPath, {
+            start: options.markIn,
+            duration: options.markOut !== null && options.markOut !== undefined ? options.markOut - (options.markIn || 0) : null
+          }, videoFilters, exportLogger);
         }
 
-        if (options.markOut !== null && options.markOut !== undefined) {
-          const duration = options.markOut - (options.markIn || 0);
-          command.duration(duration);
-        }
+        const result = await new Promise((resolve, reject) => {
+          const command = ffmpeg();
+          hooks.onCommand(command);
 
-        // For non-multi-track mode, use simple mapping
-        if (options.hasMultipleTracks && !options.isMultiTrackMode) {
-          // Multi-track file but not in multi-track mode - use only first audio track
-          command.outputOptions([
-            '-map', '0:v',
-            '-map', '0:a:0'
-          ]);
-        } else {
-          // Simple copy - map all streams
-          command.outputOptions([
-            '-map', '0:v',
-            '-map', '0:a'
-          ]);
-        }
+          // Add main input with seek if needed
+          command.input(options.inputPath);
+          if (options.markIn !== null && options.markIn !== undefined) {
+            command.seekInput(options.markIn);
+          }
+
+          if (options.markOut !== null && options.markOut !== undefined) {
+            const duration = options.markOut - (options.markIn || 0);
+            command.duration(duration);
+          }
 
-          // Video codec settings
-        if (options.videoCodec === 'copy') {
-          command.videoCodec('copy');
-        } else if (options.videoCodec === 'libx264') {
-          command.videoCodec('libx264')
-            .outputOptions([
-              '-crf', options.videoQuality || '23',
-              '-preset', options.videoPreset || 'medium'
+          // Presets pick the audio tracks, otherwise use simple mapping
+          if (preset && preset.audioMix === 'mixdown') {
+            const tracks = Array.from({ length: preset.audioTracks }, (_, i) => `[0:a:${i}]`).join('');
+            command.complexFilter(`${tracks}amix=inputs=${preset.audioTracks}:duration=longest[mixed]`);
+            command.outputOptions([
+              '-map', '0:v',
+              '-map', '[mixed]'
             ]);
-        } else if (options.videoCodec === 'libx265') {
-          command.videoCodec('libx265')
-            .outputOptions([
-              '-crf', options.videoQuality || '23',
-              '-preset', options.videoPreset || 'medium'
+          } else if (preset) {
+            command.outputOptions([
+              '-map', '0:v',
+              '-map', preset.audioMix === 'all' ? '0:a?' : '0:a:0?'
             ]);
-        }
+          } else if (options.hasMultipleTracks && !options.isMultiTrackMode) {
+            // Multi-track file but not in multi-track mode - use only first audio track
+            command.outputOptions([
+              '-map', '0:v',
+              '-map', '0:a:0'
+            ]);
+          } else {
+            // Simple copy - map all streams
+            command.outputOptions([
+              '-map', '0:v',
+              '-map', '0:a'
+            ]);
+          }
 
-        // Audio codec - copy when not doing complex filtering
-        command.audioCodec('copy');
+          if (videoFilters.length > 0) {
+            command.videoFilters(videoFilters);
+          }
 
-        // Set output
-        command.output(options.outputPath);
+            // Video codec settings
+          if (preset) {
+            applyPresetVideo(command, preset);
+          } else if (options.videoCodec === 'copy') {
+            command.videoCodec('copy');
+          } else if (options.videoCodec === 'libx264') {
+            command.videoCodec('libx264')
+              .outputOptions([
+                '-crf', options.videoQuality || '23',
+                '-preset', options.videoPreset || 'medium'
+              ]);
+          } else if (options.videoCodec === 'libx265') {
+            command.videoCodec('libx265')
+              .outputOptions([
+                '-crf', options.videoQuality || '23',
+                '-preset', options.videoPreset || 'medium'
+              ]);
+          }
 
-        // Progress tracking
-        command.on('start', (commandLine) => {
-          exportLogger.log('Single-pass FFmpeg command:', commandLine);
-        });
+          // Audio codec - copy when not doing complex filtering
+          if (preset) {
+            command.audioCodec(preset.audioCodec).outputOptions(preset.audioOptions);
+          } else {
+            command.audioCodec('copy');
+          }
 
-        command.on('progress', (progress) => {
-          event.sender.send('export-progress', {
-            percent: progress.percent,
-            currentTime: progress.timemark,
-            targetSize: progress.targetSize
+          // Set output
+          command.output(options.outputPath);
+
+          // Progress tracking
+          command.on('start', (commandLine) => {
+            exportLogger.log('Single-pass FFmpeg command:', commandLine);
           });
-        });
 
-        command.on('error', (err, stdout, stderr) => {
-          console.error('FFmpeg error:', err.message);
-          console.error('FFmpeg stderr:', stderr);
-          exportLogger.error('Single-pass FFmpeg error:', err.message);
-          exportLogger.error('FFmpeg stderr:', stderr);
-          resolve({ success: false, error: err.message });
-        });
+          command.on('progress', (progress) => {
+            hooks.onProgress({
+              // The first pass of a two-pass export was the first half
+              percent: preset && preset.twoPass ? 50 + (progress.percent || 0) / 2 : progress.percent,
+              currentTime: progress.timemark,
+              targetSize: progress.targetSize
+            });
+          });
 
-        command.on('end', async () => {
-          exportLogger.log('Single-pass export completed successfully');
-          exportLogger.log('Output file:', options.outputPath);
+          command.on('error', (err, stdout, stderr) => {
+            console.error('FFmpeg error:', err.message);
+            console.error('FFmpeg stderr:', stderr);
+            exportLogger.error('Single-pass FFmpeg error:', err.message);
+            exportLogger.error('FFmpeg stderr:', stderr);
+            resolve({ success: false, error: err.message });
+          });
 
-          // Export filtered events to JSON
-          if (options.events && options.events.length > 0) {
-            await exportFilteredEvents(options, exportLogger);
-          }
+          command.on('end', async () => {
+            exportLogger.log('Single-pass export completed successfully');
+            exportLogger.log('Output file:', options.outputPath);
 
-          exportLogger.log('===== VIDEO EXPORT SESSION COMPLETED SUCCESSFULLY =====');
-          resolve({ success: true });
-        });
+            // Export filtered events to JSON
+            if (options.events && options.events.length > 0) {
+              await exportFilteredEvents(options, exportLogger);
+            }
 
-          // Run the command
-        command.run();
-      });
+            exportLogger.log('===== VIDEO EXPORT SESSION COMPLETED SUCCESSFULLY =====');
+            resolve({ success: true });
+          });
+
+            // Run the command
+          command.run();
+        });
+        if (!result.success || !(await retargetPresetExport(preset, options.outputPath, attempt, exportLogger))) {
+          return result;
+        }
+      }
     }
   } catch (error) {
     console.error('Export error:', error);
@@ -2597,9 +3374,82 @@ ipcMain.handle('export-video-fluent', async (event, options) => {
     exportLogger.error('Error stack:', error.stack);
     exportLogger.error('===== VIDEO EXPORT SESSION FAILED =====');
     return { success: false, error: error.message };
+  } finally {
+    if (overlay) {
+      await overlay.cleanup();
+    }
+    if (preset && preset.passLogDir) {
+      await fsPromises.rm(preset.passLogDir, { recursive: true, force: true }).catch(() => {});
+    }
   }
+}
+
+// Video export IPC handler, runs the export inline with progress sent to the editor
+ipcMain.handle('export-video-fluent', async (event, options) => {
+  return await runVideoExport(options, {
+    onProgress: (progress) => event.sender.send('export-progress', progress)
+  });
 });
 
+// Background export queue - jobs run one at a time and survive restarts
+let exportJobManager = null;
+
+async function getExportJobManager() {
+  if (!exportJobManager) {
+    const ExportJobManager = require('./lib/export-job-manager');
+
+    exportJobManager = new ExportJobManager({
+      statePath: path.join(process.env.APPDATA || process.env.HOME, 'sc-recorder', 'export-jobs.json'),
+      runner: runVideoExport,
+      queueUpload: async (data) => {
+        if (!supervisor) {
+          throw new Error('Supervisor not initialized');
+        }
+        return await supervisor.uploadFile(data);
+      }
+    });
+
+    exportJobManager.on('state-changed', (state) => {
+      if (mainWindow && !mainWindow.isDestroyed()) {
+        mainWindow.webContents.send('export-queue-changed', state);
+      }
+    });
+    exportJobManager.on('job-progress', (progress) => {
+      if (mainWindow && !mainWindow.isDestroyed()) {
+        mainWindow.webContents.send('export-job-progress', progress);
+      }
+    });
+
+    await exportJobManager.initialize();
+  }
+
+  return exportJobManager;
+}
+
+// Export queue operations, each answers { success, ... } like the upload handlers
+function handleExportQueue(channel, action) {
+  ipcMain.handle(channel, async (event, data) => {
+    try {
+      const manager = await getExportJobManager();
+      return { success: true, ...(await action(manager, data || {})) };
+    } catch (error) {
+      console.error(`[ExportJobs] ${channel} failed:`, error);
+      return { success: false, error: error.message };
+    }
+  });
+}
+
+handleExportQueue('export-queue:add', async (manager, data) => ({ job: await manager.addJob(data.options, data.settings) }));
+handleExportQueue('export-queue:get-state', async (manager) => ({ state: manager.getState() }));
+handleExportQueue('export-queue:pause-job', (manager, data) => manager.pauseJob(data.jobId));
+handleExportQueue('export-queue:resume-job', (manager, data) => manager.resumeJob(data.jobId));
+handleExportQueue('export-queue:cancel-job', (manager, data) => manager.cancelJob(data.jobId));
+handleExportQueue('export-queue:set-priority', (manager, data) => manager.setPriority(data.jobId, data.priority));
+handleExportQueue('export-queue:remove-job', (manager, data) => manager.removeJob(data.jobId));
+handleExportQueue('export-queue:clear-finished', (manager) => manager.clearFinished());
+handleExportQueue('export-queue:pause', (manager) => manager.pauseQueue());
+handleExportQueue('export-queue:resume', (manager) => manager.resumeQueue());
+
 ipcMain.handle('open-folder', async (event, folderPath) => {
   const { shell } = require('electron');
   try {
@@ -3125,6 +3975,62 @@ ipcMain.handle('load-config', async () => {
   }
 });
 
+// Restart OBS with a profile generated from the current config
+async function regenerateOBSTemplates() {
+  // Step 1: Stop OBS via supervisor
+  await supervisor.stopOBS();
+
+  // Wait a bit for OBS to fully shut down
+  await new Promise(resolve => setTimeout(resolve, 3000));
+
+  // Step 2: Generate new templates
+  const localAppData = process.env.LOCALAPPDATA || process.env.APPDATA;
+  const resourcesBase = path.join(localAppData, 'sc-recorder', 'resources');
+  const obsPath = path.join(resourcesBase, 'obs-studio');
+  const templateGenerator = new OBSTemplateGenerator(path.join(obsPath, 'config', 'obs-studio'));
+  await templateGenerator.generateFromConfig(configManager.config);
+
+  // Step 3: Restart OBS via supervisor
+  await supervisor.startOBS();
+
+  // Wait for WebSocket to reconnect and force state update
+  setTimeout(() => {
+    if (supervisor && mainWindow && !mainWindow.isDestroyed()) {
+      const currentState = supervisor.getState();
+      mainWindow.webContents.send('status-update', currentState);
+    }
+  }, 4000); // Give WebSocket time to reconnect
+}
+
+// Save a performance watchdog suggestion, it takes effect from the next recording
+async function applyPerformanceSuggestion(suggestion) {
+  if (!suggestion || !suggestion.changes) {
+    throw new Error('No settings change to apply');
+  }
+
+  const state = supervisor.getState();
+  if (state.recording.active || state.streaming.active) {
+    throw new Error('Stop recording and streaming before changing encoder settings');
+  }
+
+  console.log('[Watchdog] Applying suggestion:', suggestion.description);
+  configManager.updateSettings(suggestion.changes);
+  await configManager.save(configManager.config);
+  await regenerateOBSTemplates();
+}
+
+ipcMain.handle('apply-performance-suggestion', async (event, suggestion) => {
+  if (supervisor) {
+    try {
+      await applyPerformanceSuggestion(suggestion);
+      return { success: true };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  }
+  return { success: false, error: 'Supervisor not initialized' };
+});
+
 ipcMain.handle('update-config', async (event, settings) => {
   try {
     // Update and save settings
@@ -3160,36 +4066,16 @@ ipcMain.handle('update-config', async (event, settings) => {
       supervisor.updateRecordingOptions(configManager.config);
     }
 
-    // Check if we need to regenerate templates (if recording settings changed)
-    const needsRegeneration = settings.resolution || settings.recording || settings.performance;
+    if (settings.streaming && supervisor) {
+      supervisor.updateStreamingOptions(configManager.config);
+    }
+
+    // Check if we need to regenerate templates (if recording or stream encoder settings changed)
+    const needsRegeneration = settings.resolution || settings.recording || settings.performance || settings.streaming;
 
     if (needsRegeneration && supervisor) {
       console.log('Settings changed, regenerating OBS templates...');
-
-      // Step 1: Stop OBS via supervisor
-      await supervisor.stopOBS();
-
-      // Wait a bit for OBS to fully shut down
-      await new Promise(resolve => setTimeout(resolve, 3000));
-
-      // Step 2: Generate new templates
-      const localAppData = process.env.LOCALAPPDATA || process.env.APPDATA;
-      const resourcesBase = path.join(localAppData, 'sc-recorder', 'resources');
-      const obsPath = path.join(resourcesBase, 'obs-studio');
-      const templateGenerator = new OBSTemplateGenerator(path.join(obsPath, 'config', 'obs-studio'));
-      await templateGenerator.generateFromConfig(configManager.config);
-
-      // Step 3: Restart OBS via supervisor
-      await supervisor.startOBS();
-
-      // Wait for WebSocket to reconnect and force state update
-      setTimeout(() => {
-        if (supervisor && mainWindow && !mainWindow.isDestroyed()) {
-          const currentState = supervisor.getState();
-          mainWindow.webContents.send('status-update', currentState);
-        }
-      }, 4000); // Give WebSocket time to reconnect
-
+      await regenerateOBSTemplates();
       return { success: true, regenerated: true };
     }
 
@@ -3519,6 +4405,12 @@ ipcMain.handle('show-open-dialog', async (event, options) => {
   return dialog.showOpenDialog(mainWindow, options);
 });
 
+// Show save dialog for file export
+ipcMain.handle('show-save-dialog', async (event, options) => {
+  const { dialog } = require('electron');
+  return dialog.showSaveDialog(mainWindow, options);
+});
+
 // Browse for folder selection
 ipcMain.handle('browse-folder', async (event, options) => {
   const { dialog } = require('electron');
@@ -3654,86 +4546,159 @@ ipcMain.handle('save-filter-templates', async (event, templates) => {
   }
 });
 
-// Get list of recordings with matching JSON files
-ipcMain.handle('get-recordings-list', async (event, folder = 'recordings') => {
-  try {
-    const config = configManager.get();
-    const basePath = config?.settings?.recording?.outputPath || path.join(app.getPath('videos'), 'SC-Recorder');
-
-    // Append the requested folder (recordings, saved, or edited)
-    const recordingPath = path.join(basePath, folder);
-
+// Export presets - built-in presets plus the user's saved ones, and the detected encoders
+ipcMain.handle('load-export-presets', async () => {
+  const ExportPresets = require('./lib/export-presets');
+  let userPresets = {};
 
-    // Ensure directory exists
-    try {
-      await fs.access(recordingPath);
-    } catch (error) {
-      return [];
+  try {
+    const content = await fs.readFile(configManager.getExportPresetsPath(), 'utf8');
+    userPresets = JSON.parse(content);
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      console.error('Error loading export presets:', error);
     }
+  }
 
-    // Get all files in the directory
-    const files = await fs.readdir(recordingPath);
+  return {
+    presets: new ExportPresets().list(userPresets),
+    encoders: await loadDetectedEncoders()
+  };
+});
 
-    // Filter for video files
-    const videoExtensions = ['.mp4', '.mkv', '.avi', '.webm', '.mov'];
-    const videoFiles = files.filter(file => {
-      const ext = path.extname(file).toLowerCase();
-      return videoExtensions.includes(ext);
-    });
+// Save user export presets (keyed by id) to file
+ipcMain.handle('save-export-presets', async (event, presets) => {
+  try {
+    const presetsPath = configManager.getExportPresetsPath();
 
-    // Build list with metadata
-    const recordings = [];
-    for (const videoFile of videoFiles) {
-      const videoPath = path.join(recordingPath, videoFile);
-      const baseName = path.basename(videoFile, path.extname(videoFile));
-      const jsonPath = path.join(recordingPath, `${baseName}.json`);
+    await fs.mkdir(path.dirname(presetsPath), { recursive: true });
+    await fs.writeFile(presetsPath, JSON.stringify(presets, null, 2));
 
-      try {
-        // Get video file stats
-        const stats = await fs.stat(videoPath);
+    return { success: true };
+  } catch (error) {
+    console.error('Error saving export presets:', error);
+    return { success: false, error: error.message };
+  }
+});
 
-        // Check for matching JSON file
-        let hasEvents = false;
-        let eventCount = 0;
-        try {
-          await fs.access(jsonPath);
-          hasEvents = true;
+// Recording library - indexed videos from all recording folders, kept current by a watcher
+let recordingLibrary = null;
 
-          // Try to read event count
-          try {
-            const jsonContent = await fs.readFile(jsonPath, 'utf8');
-            const eventData = JSON.parse(jsonContent);
-            if (Array.isArray(eventData.events)) {
-              eventCount = eventData.events.length;
-            }
-          } catch (e) {
-            console.error(`Failed to parse JSON for ${baseName}:`, e);
-          }
-        } catch {
-          // No JSON file
-        }
+async function getRecordingLibrary() {
+  if (!recordingLibrary) {
+    const RecordingLibrary = require('./lib/recording-library');
+    const config = configManager ? configManager.get() : {};
+    const localAppData = process.env.LOCALAPPDATA || process.env.APPDATA;
+    const resourcesBase = path.join(localAppData, 'sc-recorder', 'resources');
 
-        recordings.push({
-          name: videoFile,
-          path: videoPath,
-          jsonPath: hasEvents ? jsonPath : null,
-          hasEvents,
-          eventCount,
-          size: stats.size,
-          modified: stats.mtime,
-          created: stats.birthtime || stats.ctime
-        });
-      } catch (error) {
-        console.error(`Failed to get stats for ${videoFile}:`, error);
+    recordingLibrary = new RecordingLibrary({
+      ffprobePath: config.ffprobePath || path.join(resourcesBase, 'ffmpeg', 'ffprobe.exe')
+    });
+    recordingLibrary.on('changed', () => {
+      if (mainWindow && !mainWindow.isDestroyed()) {
+        mainWindow.webContents.send('library-changed');
       }
-    }
+    });
+  }
 
-    // Sort by modified date, newest first
-    recordings.sort((a, b) => b.modified - a.modified);
+  // Re-targets the watcher when the output path changed in settings
+  return recordingLibrary.open(getRecordingBasePath());
+}
 
-    return recordings;
+// Get list of recordings with matching JSON files
+ipcMain.handle('get-recordings-list', async (event, folder = 'recordings') => {
+  try {
+    const library = await getRecordingLibrary();
+    return library.query({ folder }).entries;
   } catch (error) {
     console.error('Failed to get recordings list:', error);
     return [];
   }
-});
\ No newline at end of file
+});
+
+ipcMain.handle('library-query', async (event, filter = {}) => {
+  try {
+    const library = await getRecordingLibrary();
+    return { success: true, ...library.query(filter) };
+  } catch (error) {
+    console.error('Library query failed:', error);
+    return { success: false, error: error.message, total: 0, entries: [], facets: {} };
+  }
+});
+
+ipcMain.handle('library-set-user-data', async (event, videoPath, userData) => {
+  try {
+    const library = await getRecordingLibrary();
+    return { success: true, entry: await library.setUserData(videoPath, userData) };
+  } catch (error) {
+    console.error('Failed to save library tags:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('library-refresh', async () => {
+  try {
+    const library = await getRecordingLibrary();
+    await library.reconcile();
+    return { success: true };
+  } catch (error) {
+    console.error('Library refresh failed:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+// Career statistics - events from every recording in one local store
+let careerStatsStore = null;
+
+function getCareerStatsStore() {
+  if (!careerStatsStore) {
+    const CareerStatsStore = require('./lib/career-stats-store');
+    careerStatsStore = new CareerStatsStore();
+  }
+  return careerStatsStore;
+}
+
+function getRecordingBasePath() {
+  const config = configManager.get();
+  return config?.settings?.recording?.outputPath || path.join(app.getPath('videos'), 'SC-Recorder');
+}
+
+ipcMain.handle('career-sync', async (event, options = {}) => {
+  try {
+    const store = getCareerStatsStore();
+    const result = options.rebuild
+      ? await store.rebuild(getRecordingBasePath())
+      : await store.sync(getRecordingBasePath());
+    return { success: true, ...result, summary: await store.getSummary() };
+  } catch (error) {
+    console.error('Failed to sync career stats:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('career-query', async (event, filter = {}) => {
+  try {
+    return { success: true, ...(await getCareerStatsStore().query(filter)) };
+  } catch (error) {
+    console.error('Career query failed:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('career-top', async (event, { field, filter = {}, limit = 10 } = {}) => {
+  try {
+    return { success: true, values: await getCareerStatsStore().top(field, filter, limit) };
+  } catch (error) {
+    console.error('Career top query failed:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('career-recordings', async (event, filter = {}) => {
+  try {
+    return { success: true, recordings: await getCareerStatsStore().recordings(filter) };
+  } catch (error) {
+    console.error('Career recordings query failed:', error);
+    return { success: false, error: error.message };
+  }
+});
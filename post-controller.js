@@ -22,12 +22,15 @@ class PostController {
         };
         this.currentVideo = null;
         this.currentEventsFile = null;  // Track the current events file path
+        this.sessionReport = null;  // Stats for the loaded events, see lib/session-report.js
+        this.pendingJump = null;  // Event to seek to once a recording opened from career search loads
         this.currentEventIndex = -1;
         this.isPlaying = false;
         this.eventCheckInterval = null;
         this.draggedElement = null;
         this.confirmCallback = null;  // For generic confirm dialog
         this.selectedMainThumbnailEventId = null;  // For tracking selected main thumbnail event
+        this.highlightSuggestions = [];  // Suggested highlights, see lib/highlight-detector.js
 
         // Initialize shared video browser with error handling
         try {
@@ -88,6 +91,10 @@ class PostController {
         document.getElementById('save-recording-btn')?.addEventListener('click', () => this.saveRecording());
         document.getElementById('export-clips-btn')?.addEventListener('click', () => this.exportClips());
         document.getElementById('upload-video-btn')?.addEventListener('click', () => this.uploadVideo());
+        document.getElementById('career-search-btn')?.addEventListener('click', () => this.openCareerSearch());
+        document.getElementById('career-text')?.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') this.runCareerSearch();
+        });
         
         // Modal controls (these are for the old modal, now handled by SharedVideoBrowser)
         // document.getElementById('close-browser-btn')?.addEventListener('click', () => this.hideVideoBrowser());
@@ -103,9 +110,21 @@ class PostController {
         document.getElementById('filter-templates')?.addEventListener('change', (e) => this.loadFilterTemplate(e.target.value));
         document.getElementById('delete-template-btn')?.addEventListener('click', () => this.deleteFilterTemplate());
 
+        // Session report export
+        document.getElementById('export-report-md-btn')?.addEventListener('click', () => this.exportSessionReport('markdown'));
+        document.getElementById('export-report-html-btn')?.addEventListener('click', () => this.exportSessionReport('html'));
+        document.getElementById('export-report-json-btn')?.addEventListener('click', () => this.exportSessionReport('json'));
+
         // Custom event controls
         document.getElementById('insert-event-btn')?.addEventListener('click', () => this.openCustomEventDialog());
 
+        // Highlight suggestions
+        document.getElementById('analyze-highlights-btn')?.addEventListener('click', () => this.analyzeHighlights());
+        ipcRenderer.on('highlight-analysis-progress', (event, progress) => {
+            const status = document.getElementById('suggestion-status');
+            if (status) status.textContent = `Analysing... ${Math.round(progress.percent)}%`;
+        });
+
         // Timeline controls
         document.getElementById('zoom-in-btn')?.addEventListener('click', () => this.zoomTimeline(1.5));
         document.getElementById('zoom-out-btn')?.addEventListener('click', () => this.zoomTimeline(0.67));
@@ -213,6 +232,7 @@ class PostController {
 
         // Try to load corresponding events file
         this.loadEventsForVideo(videoPath);
+        this.loadHighlightSuggestions(videoPath);
     }
     
     /**
@@ -480,6 +500,8 @@ class PostController {
                 
                 this.updateTimeline();
                 this.updateEventCount();
+                this.updateSessionReport(data, eventsPath);
+                this.applyPendingJump(eventsPath);
                 
                 // Enable export buttons if we have events
                 const exportBtn = document.getElementById('export-clips-btn');
@@ -1343,6 +1365,12 @@ class PostController {
             insertEventBtn.disabled = false;
         }
 
+        const analyzeBtn = document.getElementById('analyze-highlights-btn');
+        if (analyzeBtn) {
+            analyzeBtn.disabled = false;
+        }
+        this.renderHighlightSuggestions();
+
         // Force a repaint for H.265 videos which may have rendering issues
         this.videoPlayer.style.display = 'none';
         this.videoPlayer.offsetHeight; // Force reflow
@@ -1472,12 +1500,60 @@ class PostController {
     }
     
     /**
-     * Export clips based on events
+     * Cut highlight clips around the recording's trigger events (auto clip rules)
      */
     async exportClips() {
-        // This would require ffmpeg integration
-        console.log('Export clips feature - coming soon!');
-        this.showAlert('Export clips feature will be available in a future update!');
+        if (!this.currentVideo || !this.currentEventsFile) {
+            this.showAlert('Load a recording with events first');
+            return;
+        }
+
+        const exportBtn = document.getElementById('export-clips-btn');
+        const originalText = exportBtn ? exportBtn.textContent : '';
+        const onProgress = (event, progress) => {
+            if (exportBtn) exportBtn.textContent = `Exporting ${progress.current}/${progress.total}...`;
+        };
+
+        if (exportBtn) {
+            exportBtn.disabled = true;
+            exportBtn.textContent = 'Exporting...';
+        }
+        ipcRenderer.on('clip-progress', onProgress);
+
+        try {
+            const result = await ipcRenderer.invoke('clip-recording', {
+                videoPath: this.currentVideo,
+                eventsPath: this.currentEventsFile
+            });
+
+            if (result.clips.length === 0 && result.errors.length === 0) {
+                this.showAlert('No events in this recording match the clip rules', 'Export Clips');
+                return;
+            }
+
+            const clipList = result.clips
+                .map(clip => `<li>${this.escapeHtml(path.basename(clip.videoPath))} (${this.formatDuration(clip.end - clip.start)})</li>`)
+                .join('');
+            const errorList = result.errors
+                .map(error => `<li>${error.clip ? `${this.escapeHtml(error.clip)}: ` : ''}${this.escapeHtml(error.error)}</li>`)
+                .join('');
+
+            this.showAlert(
+                `<p><strong>${result.clips.length > 0 ? '✅' : '❌'} ${result.clips.length} clips exported to the saved folder</strong></p>
+                ${clipList ? `<ul>${clipList}</ul>` : ''}
+                ${errorList ? `<p>Failed:</p><ul>${errorList}</ul>` : ''}`,
+                'Export Clips'
+            );
+        } catch (error) {
+            console.error('Failed to export clips:', error);
+            this.showAlert(`<p><strong>❌ Export failed</strong></p><p>${error.message}</p>`, 'Export Clips');
+        } finally {
+            ipcRenderer.removeListener('clip-progress', onProgress);
+            if (exportBtn) {
+                exportBtn.disabled = false;
+                exportBtn.textContent = originalText;
+            }
+        }
     }
     
     /**
@@ -1876,6 +1952,286 @@ class PostController {
         }
     }
     
+    /**
+     * Build the session report for the loaded events and show it in the panel
+     */
+    updateSessionReport(data, eventsPath) {
+        const panel = document.getElementById('session-report-panel');
+        const content = document.getElementById('session-report-content');
+        if (!panel || !content) return;
+
+        try {
+            const SessionReport = require('./lib/session-report');
+            const reporter = new SessionReport();
+
+            this.sessionReport = reporter.build(data, { name: path.parse(eventsPath).name });
+            content.innerHTML = reporter.toHTML(this.sessionReport, { fragment: true });
+            panel.style.display = 'block';
+        } catch (error) {
+            console.error('Failed to build session report:', error);
+            this.sessionReport = null;
+            panel.style.display = 'none';
+        }
+    }
+
+    /**
+     * Export the session report as Markdown, HTML or JSON
+     */
+    async exportSessionReport(format) {
+        if (!this.sessionReport || !this.currentEventsFile) {
+            this.showAlert('No session report available - load a recording with events first');
+            return;
+        }
+
+        const SessionReport = require('./lib/session-report');
+        const reporter = new SessionReport();
+        const filters = {
+            markdown: [{ name: 'Markdown', extensions: ['md'] }],
+            html: [{ name: 'HTML', extensions: ['html'] }],
+            json: [{ name: 'JSON Files', extensions: ['json'] }]
+        }[format];
+
+        const result = await ipcRenderer.invoke('show-save-dialog', {
+            title: 'Export Session Report',
+            defaultPath: reporter.getExportPath(this.currentEventsFile, format),
+            filters
+        });
+
+        if (!result || result.canceled || !result.filePath) return;
+
+        try {
+            const fs = require('fs').promises;
+            const output = format === 'markdown' ? reporter.toMarkdown(this.sessionReport)
+                : format === 'html' ? reporter.toHTML(this.sessionReport)
+                : reporter.toJSON(this.sessionReport);
+
+            await fs.writeFile(result.filePath, output, 'utf8');
+            this.showAlert(
+                `<p><strong>✅ Report exported</strong></p>
+                <p>${path.basename(result.filePath)}</p>`,
+                'Session Report'
+            );
+        } catch (error) {
+            console.error('Failed to export session report:', error);
+            this.showAlert(
+                `<p><strong>❌ Export failed</strong></p>
+                <p>${error.message}</p>`,
+                'Session Report'
+            );
+        }
+    }
+
+    /**
+     * Open the career search dialog, indexing any new recordings first
+     */
+    async openCareerSearch() {
+        const dialog = document.getElementById('career-dialog');
+        if (!dialog) return;
+
+        dialog.style.display = 'flex';
+        await this.syncCareerStats(false);
+        await this.runCareerSearch();
+    }
+
+    closeCareerSearch() {
+        const dialog = document.getElementById('career-dialog');
+        if (dialog) dialog.style.display = 'none';
+    }
+
+    /**
+     * Bring the career index up to date with the recordings folder
+     */
+    async syncCareerStats(rebuild) {
+        const summaryEl = document.getElementById('career-summary');
+        if (summaryEl) summaryEl.textContent = rebuild ? 'Rebuilding index...' : 'Indexing recordings...';
+
+        const result = await ipcRenderer.invoke('career-sync', { rebuild });
+        if (!summaryEl) return;
+
+        if (!result || !result.success) {
+            summaryEl.textContent = `Indexing failed: ${result?.error || 'unknown error'}`;
+            return;
+        }
+
+        const { summary } = result;
+        const players = summary.players.length > 0 ? ` · ${summary.players.join(', ')}` : '';
+        summaryEl.textContent = `${summary.recordings} recordings, ${summary.events} events indexed${players}`;
+    }
+
+    async rebuildCareerStats() {
+        await this.syncCareerStats(true);
+        await this.runCareerSearch();
+    }
+
+    /**
+     * Build a career store filter from the dialog controls
+     */
+    getCareerFilter() {
+        const value = (id) => document.getElementById(id)?.value || '';
+        const presets = {
+            kills: { role: 'kill' },
+            deaths: { role: 'death' },
+            ships: { subtypes: ['seat_entered'] },
+            quantum: { subtypes: ['quantum_jump_start'] },
+            missions: { subtypes: ['mission_start', 'mission_start_notification', 'mission_complete', 'mission_end'] },
+            crimes: { subtypes: ['crime_committed'] }
+        };
+
+        const filter = { ...(presets[value('career-preset')] || {}) };
+
+        if (value('career-text')) filter.text = value('career-text');
+        if (value('career-killer')) {
+            filter.killerKind = value('career-killer');
+            filter.role = filter.role || 'death';
+        }
+        if (value('career-system')) filter.system = value('career-system');
+        if (value('career-instance')) filter.instance = value('career-instance');
+        if (value('career-period')) {
+            const days = parseInt(value('career-period'), 10);
+            filter.since = new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString();
+        }
+
+        return filter;
+    }
+
+    /**
+     * Query the career store and list the results
+     */
+    async runCareerSearch() {
+        const resultsEl = document.getElementById('career-results');
+        const topEl = document.getElementById('career-top');
+        if (!resultsEl) return;
+
+        const filter = this.getCareerFilter();
+        const byRecording = document.getElementById('career-preset')?.value === 'ships';
+
+        try {
+            const [result, weapons] = await Promise.all([
+                byRecording
+                    ? ipcRenderer.invoke('career-recordings', filter)
+                    : ipcRenderer.invoke('career-query', filter),
+                ipcRenderer.invoke('career-top', { field: 'weapon', filter: { ...filter, role: 'kill' }, limit: 3 })
+            ]);
+
+            if (!result || !result.success) {
+                throw new Error(result?.error || 'Query failed');
+            }
+
+            if (topEl) {
+                const top = weapons?.values || [];
+                topEl.textContent = top.length > 0
+                    ? `Most-used weapons: ${top.map(entry => `${entry.value} (${entry.count})`).join(', ')}`
+                    : '';
+            }
+
+            resultsEl.innerHTML = '';
+            const rows = byRecording
+                ? result.recordings.map(recording => ({
+                    time: recording.time,
+                    message: `${recording.matches} matching event${recording.matches === 1 ? '' : 's'}`,
+                    video: recording.video,
+                    offset: recording.firstOffset,
+                    eventId: recording.firstEventId,
+                    folder: recording.folder
+                }))
+                : result.events.map(record => ({
+                    time: record.time,
+                    message: record.message || record.name || record.subtype,
+                    video: record.video,
+                    offset: record.offset,
+                    eventId: record.id,
+                    folder: record.folder
+                }));
+
+            if (rows.length === 0) {
+                resultsEl.textContent = 'No matching events';
+                return;
+            }
+
+            for (const row of rows) {
+                const item = document.createElement('div');
+                item.className = 'career-result';
+                item.title = 'Open recording at this event';
+
+                const time = document.createElement('span');
+                time.className = 'career-result-time';
+                const date = new Date(row.time);
+                time.textContent = isNaN(date) ? '' : `${date.toLocaleDateString()} ${date.toLocaleTimeString()}`;
+
+                const message = document.createElement('span');
+                message.className = 'career-result-message';
+                message.textContent = row.message;
+
+                const source = document.createElement('span');
+                source.className = 'career-result-source';
+                source.textContent = `${path.basename(row.video)} @ ${this.formatTimecode(row.offset || 0)}`;
+
+                item.append(time, message, source);
+                item.addEventListener('click', () => this.openRecordingAt(row.video, row.offset, row.eventId));
+                resultsEl.appendChild(item);
+            }
+
+            if (!byRecording && result.total > rows.length) {
+                const more = document.createElement('div');
+                more.className = 'career-summary';
+                more.textContent = `Showing ${rows.length} of ${result.total} matches`;
+                resultsEl.appendChild(more);
+            }
+        } catch (error) {
+            console.error('Career search failed:', error);
+            resultsEl.textContent = `Search failed: ${error.message}`;
+        }
+    }
+
+    /**
+     * Load a recording and seek to one of its events
+     */
+    async openRecordingAt(videoPath, offset, eventId) {
+        const exists = await ipcRenderer.invoke('file-exists', videoPath);
+        if (!exists) {
+            this.showAlert(`Recording not found:<br>${this.escapeHtml(videoPath)}<br><br>Use Rebuild Index if recordings were moved.`);
+            return;
+        }
+
+        this.closeCareerSearch();
+
+        if (this.currentVideo === videoPath && this.events.length > 0) {
+            this.pendingJump = { eventId, offset };
+            this.applyPendingJump(this.currentEventsFile);
+            return;
+        }
+
+        this.pendingJump = { eventId, offset, video: videoPath };
+        this.loadVideoFile(videoPath);
+    }
+
+    /**
+     * Seek to the event requested by openRecordingAt once its events are loaded
+     */
+    applyPendingJump(eventsPath) {
+        const jump = this.pendingJump;
+        if (!jump) return;
+        if (jump.video && path.parse(jump.video).name !== path.parse(eventsPath).name) return;
+
+        this.pendingJump = null;
+
+        const seek = () => {
+            const index = this.filteredEvents.findIndex(event => event.id === jump.eventId);
+            if (index !== -1) {
+                this.jumpToEvent(index);
+            } else {
+                this.videoPlayer.currentTime = Math.max(0, (jump.offset || 0) - 0.5);
+            }
+        };
+
+        // Seeking before metadata is loaded gets reset by the new source
+        if (this.videoPlayer.readyState >= 1) {
+            seek();
+        } else {
+            this.videoPlayer.addEventListener('loadedmetadata', seek, { once: true });
+        }
+    }
+
     /**
      * Save filtered events to new JSON file
      */
@@ -2445,6 +2801,17 @@ class PostController {
         return `${hours.toString().padStart(2, '0')}:${minutes.toString().padStart(2, '0')}:${secs.toString().padStart(2, '0')}.${ms.toString().padStart(3, '0')}`;
     }
 
+    /**
+     * Escape text from the log and events before it goes into innerHTML
+     */
+    escapeHtml(text) {
+        return String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
+
     /**
      * Open custom event dialog
      */
@@ -2624,6 +2991,169 @@ class PostController {
         this.closeCustomEventDialog();
     }
 
+    /**
+     * Load suggestions from an earlier analysis of this recording
+     */
+    async loadHighlightSuggestions(videoPath) {
+        const fs = require('fs').promises;
+        const parsed = path.parse(videoPath);
+
+        try {
+            const data = JSON.parse(await fs.readFile(path.join(parsed.dir, `${parsed.name}_highlights.json`), 'utf8'));
+            this.highlightSuggestions = data.suggestions || [];
+        } catch (error) {
+            this.highlightSuggestions = [];
+        }
+
+        this.renderHighlightSuggestions();
+    }
+
+    /**
+     * Scan the recording's picture and sound for highlights the log missed
+     */
+    async analyzeHighlights() {
+        if (!this.currentVideo) return;
+
+        const analyzeBtn = document.getElementById('analyze-highlights-btn');
+        const status = document.getElementById('suggestion-status');
+        if (analyzeBtn) analyzeBtn.disabled = true;
+        if (status) status.textContent = 'Analysing...';
+
+        try {
+            const result = await ipcRenderer.invoke('analyze-highlights', {
+                videoPath: this.currentVideo,
+                eventOffsets: this.events.map(event => event.videoOffset).filter(offset => typeof offset === 'number')
+            });
+
+            if (!result.success) {
+                throw new Error(result.error);
+            }
+
+            this.highlightSuggestions = result.suggestions;
+            this.renderHighlightSuggestions();
+        } catch (error) {
+            console.error('Highlight analysis failed:', error);
+            if (status) status.textContent = '';
+            if (window.NotificationManager) {
+                window.NotificationManager.error('Highlight analysis failed: ' + error.message, 5000);
+            }
+        } finally {
+            if (analyzeBtn) analyzeBtn.disabled = false;
+        }
+    }
+
+    /**
+     * Draw the suggestion lane and list
+     */
+    renderHighlightSuggestions() {
+        const lane = document.getElementById('suggestion-lane');
+        const list = document.getElementById('suggestion-list');
+        const status = document.getElementById('suggestion-status');
+        if (!lane || !list) return;
+
+        const duration = this.videoPlayer.duration;
+        const suggestions = this.highlightSuggestions;
+
+        if (status) {
+            status.textContent = suggestions.length > 0 ? `${suggestions.length} suggested` : '';
+        }
+
+        lane.innerHTML = duration ? suggestions.map(suggestion => `
+            <div class="suggestion-block ${suggestion.type}"
+                 style="left: ${suggestion.start / duration * 100}%; width: ${Math.max(0.5, (suggestion.end - suggestion.start) / duration * 100)}%; opacity: ${0.4 + suggestion.score * 0.6};"
+                 title="${this.escapeHtml(suggestion.label)} at ${this.formatTimecode(suggestion.peakTime)}"
+                 onclick="window.postController.jumpToSuggestion('${suggestion.id}')"></div>
+        `).join('') : '';
+
+        list.innerHTML = suggestions.map(suggestion => `
+            <div class="suggestion-item ${suggestion.type}" onclick="window.postController.jumpToSuggestion('${suggestion.id}')">
+                <div class="suggestion-item-info">
+                    <span class="timeline-event-time">${this.formatTimecode(suggestion.peakTime)}</span>
+                    <span class="suggestion-item-label">${this.escapeHtml(suggestion.label)}</span>
+                    <span class="suggestion-item-reason">${this.escapeHtml(suggestion.reason)} • ${Math.round(suggestion.score * 100)}%</span>
+                </div>
+                <div class="suggestion-item-actions">
+                    <button class="btn btn-sm btn-primary" onclick="event.stopPropagation(); window.postController.promoteSuggestion('${suggestion.id}')" title="Add as an event">Promote</button>
+                    <button class="btn btn-sm btn-secondary" onclick="event.stopPropagation(); window.postController.dismissSuggestion('${suggestion.id}')" title="Dismiss">✕</button>
+                </div>
+            </div>
+        `).join('');
+    }
+
+    jumpToSuggestion(suggestionId) {
+        const suggestion = this.highlightSuggestions.find(s => s.id === suggestionId);
+        if (suggestion && this.videoPlayer) {
+            this.videoPlayer.currentTime = suggestion.start;
+        }
+    }
+
+    /**
+     * Turn a suggestion into a real event in the events file
+     */
+    async promoteSuggestion(suggestionId) {
+        const suggestion = this.highlightSuggestions.find(s => s.id === suggestionId);
+        if (!suggestion) return;
+
+        if (!this.currentEventsFile) {
+            if (window.NotificationManager) {
+                window.NotificationManager.warning('Load an events file before promoting suggestions', 3000);
+            }
+            return;
+        }
+
+        const now = Date.now();
+        this.events.push({
+            id: `evt_${now}_${Math.random().toString(36).substr(2, 9)}`,
+            timestamp: new Date().toISOString(),
+            videoOffset: suggestion.peakTime,
+            videoTimecode: this.formatTimecode(suggestion.peakTime),
+            type: 'manual',
+            subtype: `suggested_${suggestion.type}`,
+            name: suggestion.label,
+            message: `Suggested highlight: ${suggestion.reason}`,
+            severity: suggestion.score >= 0.75 ? 'high' : suggestion.score >= 0.4 ? 'medium' : 'low',
+            category: 'manual',
+            categoryInfo: {},
+            data: {
+                userNote: 'Click to add description',
+                editable: true,
+                markedAt: new Date().toISOString(),
+                suggestion: { start: suggestion.start, end: suggestion.end, score: suggestion.score }
+            },
+            raw: null
+        });
+        this.events.sort((a, b) => (a.videoOffset || 0) - (b.videoOffset || 0));
+
+        try {
+            await this.saveEventsToFile();
+        } catch (error) {
+            console.error('Failed to save events:', error);
+            if (window.NotificationManager) {
+                window.NotificationManager.error('Failed to save event: ' + error.message, 5000);
+            }
+        }
+
+        this.applyFilters();
+        await this.dismissSuggestion(suggestionId);
+    }
+
+    async dismissSuggestion(suggestionId) {
+        this.highlightSuggestions = this.highlightSuggestions.filter(s => s.id !== suggestionId);
+        this.renderHighlightSuggestions();
+
+        // Keep the cache in step so dismissed suggestions stay gone
+        const fs = require('fs').promises;
+        const parsed = path.parse(this.currentVideo);
+        const cachePath = path.join(parsed.dir, `${parsed.name}_highlights.json`);
+        try {
+            const data = JSON.parse(await fs.readFile(cachePath, 'utf8'));
+            data.suggestions = this.highlightSuggestions;
+            await fs.writeFile(cachePath, JSON.stringify(data, null, 2));
+        } catch (error) {
+            console.error('Failed to update highlight suggestions:', error);
+        }
+    }
+
     /**
      * Save events back to the JSON file
      */
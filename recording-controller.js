@@ -5,6 +5,10 @@
 class RecordingController {
     constructor() {
         this.isRecording = false;
+        this.replayBufferActive = false;
+        this.isStreaming = false;
+        this.streamMarkerCount = 0;
+        this.performanceNotification = null;
         this.statsInterval = null;
         this.recordButton = null;
         this.systemReady = false;
@@ -21,7 +25,10 @@ class RecordingController {
         this.recordText = this.recordButton?.querySelector('.record-text');
         this.splitButton = document.getElementById('split-recording-btn');
         this.markEventButton = document.getElementById('mark-event-btn');
+        this.replayButton = document.getElementById('save-replay-btn');
         this.saveButton = document.getElementById('save-current-recording-btn');
+        this.streamButton = document.getElementById('stream-button');
+        this.streamText = this.streamButton?.querySelector('.stream-text');
 
 
         // Ensure save button starts disabled
@@ -33,6 +40,8 @@ class RecordingController {
         this.recordButton?.addEventListener('click', () => this.toggleRecording());
         this.splitButton?.addEventListener('click', () => this.splitRecording());
         this.markEventButton?.addEventListener('click', () => this.markManualEvent());
+        this.replayButton?.addEventListener('click', () => this.saveInstantReplay());
+        this.streamButton?.addEventListener('click', () => this.toggleStreaming());
 
         if (this.saveButton) {
             this.saveButton.addEventListener('click', () => {
@@ -82,12 +91,50 @@ class RecordingController {
         ipcRenderer.on('events-saved', (event, result) => {
             this.handleEventsSaved(result);
         });
+
+        // Listen for instant replays, also saved from the hotkey
+        ipcRenderer.on('replay-saved', (event, result) => {
+            this.handleReplaySaved(result);
+        });
+
+        // Listen for clips cut by the auto clipper
+        ipcRenderer.on('clips-created', (event, result) => {
+            this.handleClipsCreated(result);
+        });
+
+        // Listen for the live stream, also started and stopped from the hotkey
+        ipcRenderer.on('stream-status', (event, status) => {
+            this.updateStreamStatus(status, true);
+        });
+
+        ipcRenderer.on('stream-stats', (event, stats) => {
+            this.updateStreamStats(stats);
+        });
+
+        ipcRenderer.on('stream-marker', () => {
+            this.streamMarkerCount++;
+            const markersEl = document.getElementById('stream-markers');
+            if (markersEl) markersEl.textContent = this.streamMarkerCount;
+        });
+
+        ipcRenderer.on('stream-markers-saved', (event, result) => {
+            const name = result.chaptersPath.split(/[\\/]/).pop();
+            this.showNotification(`📡 ${result.markerCount} stream marker${result.markerCount === 1 ? '' : 's'} saved: ${name}`, 'success');
+        });
+
+        // Listen for the performance watchdog's report when a recording or split file ends
+        ipcRenderer.on('performance-report', (event, result) => {
+            this.handlePerformanceReport(result);
+        });
         
         // Initial check of system ready status
         if (this.recordButton) {
             this.systemReady = window.systemReady || false;
             this.recordButton.disabled = !this.systemReady;
         }
+        if (this.streamButton) {
+            this.streamButton.disabled = !this.systemReady;
+        }
 
         // Ensure save button stays disabled on startup regardless of any initial status
         if (this.saveButton) {
@@ -115,6 +162,9 @@ class RecordingController {
                 if (this.recordButton && !this.isRecording) {
                     this.recordButton.disabled = !this.systemReady;
                 }
+                if (this.streamButton && !this.isStreaming) {
+                    this.streamButton.disabled = !this.systemReady;
+                }
             }
         }, 500);
         
@@ -137,6 +187,18 @@ class RecordingController {
      * Update system status indicators
      */
     updateSystemStatus(state) {
+        // The OBS replay buffer can be saved without a recording running
+        if (state.replayBuffer) {
+            this.replayBufferActive = Boolean(state.replayBuffer.active);
+            if (this.replayButton) {
+                this.replayButton.disabled = !this.isRecording && !this.replayBufferActive;
+            }
+        }
+
+        if (state.streaming) {
+            this.updateStreamStatus(state.streaming, false);
+        }
+
         // Only handle recording state changes
         if (state.recording?.active) {
             // Don't change disabled state while recording
@@ -220,16 +282,22 @@ class RecordingController {
             if (this.markEventButton) {
                 this.markEventButton.disabled = false;
             }
+            if (this.replayButton) {
+                this.replayButton.disabled = false;
+            }
         } else {
             this.recordButton.className = 'record-btn';
             if (this.recordIcon) this.recordIcon.textContent = '●';
             if (this.recordText) this.recordText.textContent = 'Start Recording';
-            // Disable split and mark event buttons when not recording
+            // Disable split and mark event buttons when not recording, marks still go on a live stream
             if (this.splitButton) {
                 this.splitButton.disabled = true;
             }
             if (this.markEventButton) {
-                this.markEventButton.disabled = true;
+                this.markEventButton.disabled = !this.isStreaming;
+            }
+            if (this.replayButton) {
+                this.replayButton.disabled = !this.replayBufferActive;
             }
         }
     }
@@ -263,12 +331,30 @@ class RecordingController {
         }
     }
     
+    /**
+     * Save the last seconds of the recording to the saved folder
+     */
+    async saveInstantReplay() {
+        if (!this.isRecording && !this.replayBufferActive) return;
+
+        if (this.replayButton) this.replayButton.disabled = true;
+        try {
+            // The result is reported through the replay-saved event
+            await ipcRenderer.invoke('save-instant-replay');
+        } catch (error) {
+            console.error('Instant replay error:', error);
+            this.showNotification('Error saving replay', 'error');
+        } finally {
+            if (this.replayButton) this.replayButton.disabled = !this.isRecording && !this.replayBufferActive;
+        }
+    }
+
     /**
      * Mark a manual event
      */
     async markManualEvent() {
-        if (!this.isRecording) {
-            console.log('Cannot mark event when not recording');
+        if (!this.isRecording && !this.isStreaming) {
+            console.log('Cannot mark event when not recording or streaming');
             return;
         }
 
@@ -292,6 +378,105 @@ class RecordingController {
         }
     }
 
+    /**
+     * Start or stop streaming to the server set in Settings
+     */
+    async toggleStreaming() {
+        if (!this.streamButton || (!this.systemReady && !this.isStreaming)) return;
+
+        this.streamButton.disabled = true;
+        try {
+            const result = await ipcRenderer.invoke(this.isStreaming ? 'stop-streaming' : 'start-streaming');
+            if (!result.success) {
+                this.showNotification(`Stream failed: ${result.error}`, 'error');
+            }
+        } catch (error) {
+            console.error('Stream toggle error:', error);
+        } finally {
+            this.streamButton.disabled = false;
+        }
+    }
+
+    /**
+     * Update the stream button and tile from the supervisor's stream state
+     * @param {boolean} notify - Only the stream-status channel reports failures, status-update repeats them
+     */
+    updateStreamStatus(status, notify) {
+        const wasStreaming = this.isStreaming;
+        const starting = status.state === 'OBS_WEBSOCKET_OUTPUT_STARTING';
+        this.isStreaming = Boolean(status.active);
+
+        if (this.isStreaming && !wasStreaming) {
+            this.clearStreamStats();
+        }
+
+        const badge = document.getElementById('stream-status-badge');
+        if (badge) {
+            const [label, className] = this.isStreaming ? ['Live', 'live']
+                : starting ? ['Connecting', 'starting']
+                    : status.failed ? ['Failed', 'failed'] : ['Offline', ''];
+            badge.textContent = label;
+            badge.className = `stream-status-badge ${className}`.trim();
+        }
+
+        const hostEl = document.getElementById('stream-host');
+        if (hostEl && status.host) {
+            hostEl.textContent = status.host;
+        }
+
+        if (this.streamButton) {
+            this.streamButton.classList.toggle('live', this.isStreaming);
+            if (this.streamText) this.streamText.textContent = this.isStreaming ? 'End Stream' : 'Go Live';
+        }
+        if (this.markEventButton) {
+            this.markEventButton.disabled = !this.isRecording && !this.isStreaming;
+        }
+
+        if (notify && status.failed) {
+            this.showNotification(`Could not connect to the stream server ${status.host || ''}`.trim(), 'error');
+        }
+    }
+
+    /**
+     * Update the Live Stream tile, polled by the supervisor while live
+     */
+    updateStreamStats(stats) {
+        if (!stats || !stats.active) return;
+
+        const durationEl = document.getElementById('stream-duration');
+        if (durationEl) {
+            durationEl.textContent = this.formatDuration(stats.duration);
+        }
+
+        const bitrateEl = document.getElementById('stream-bitrate');
+        if (bitrateEl && stats.kbitsPerSec !== null) {
+            bitrateEl.textContent = `${(stats.kbitsPerSec / 1000).toFixed(1)} Mbps`;
+        }
+
+        const droppedEl = document.getElementById('stream-dropped');
+        if (droppedEl && stats.totalFrames) {
+            const percent = (stats.skippedFrames / stats.totalFrames * 100).toFixed(1);
+            droppedEl.textContent = `${stats.skippedFrames} (${percent}%)`;
+        }
+
+        const markersEl = document.getElementById('stream-markers');
+        if (markersEl) {
+            this.streamMarkerCount = stats.markers || 0;
+            markersEl.textContent = this.streamMarkerCount;
+        }
+    }
+
+    /**
+     * Clear the Live Stream tile for a new stream
+     */
+    clearStreamStats() {
+        this.streamMarkerCount = 0;
+        for (const [id, text] of [['stream-duration', '--:--:--'], ['stream-bitrate', '--'], ['stream-dropped', '--'], ['stream-markers', '0']]) {
+            const el = document.getElementById(id);
+            if (el) el.textContent = text;
+        }
+    }
+
     /**
      * Start periodic stats updates
      */
@@ -543,7 +728,91 @@ class RecordingController {
             // Could show a notification to the user
         }
     }
+
+    /**
+     * Handle a saved instant replay
+     */
+    handleReplaySaved(result) {
+        if (!result) return;
+
+        if (result.success) {
+            const name = result.videoPath.split(/[\\/]/).pop();
+            const trigger = result.reason === 'auto' && result.triggers?.length ? ` (${result.triggers[0].subtype})` : '';
+            this.showNotification(`⏪ Replay saved${trigger}: ${name}`, 'success');
+        } else {
+            this.showNotification(`Failed to save replay: ${result.error}`, 'error');
+        }
+    }
+
+    /**
+     * Handle clips cut from a finished recording
+     */
+    handleClipsCreated(result) {
+        if (!result) return;
+
+        if (result.clips.length > 0) {
+            this.showNotification(`✂️ ${result.clips.length} highlight clip${result.clips.length === 1 ? '' : 's'} saved`, 'success');
+        }
+        if (result.errors.length > 0) {
+            this.showNotification(`Auto clip failed: ${result.errors[0].error}`, 'error');
+        }
+    }
     
+    /**
+     * Warn about dropped frames, with a button that applies the suggested settings
+     */
+    handlePerformanceReport(result) {
+        if (!result || !result.report || result.report.rating === 'good' || !window.NotificationManager) return;
+
+        const { report } = result;
+        const lost = [];
+        if (report.outputFrames.percent > 0) lost.push(`${report.outputFrames.percent}% of frames skipped by the encoder`);
+        if (report.renderFrames.percent > 0) lost.push(`${report.renderFrames.percent}% missed while rendering`);
+        const summary = lost.length > 0 ? lost.join(', ') : report.issues.map(issue => issue.name).join(', ');
+
+        if (result.autoApplied) {
+            window.NotificationManager.warning({
+                title: 'Recording fell behind',
+                message: `${summary}. Applied for the next recording: ${report.suggestion.description}`
+            }, 10000);
+            return;
+        }
+
+        // One report on screen at a time, split files would stack them
+        if (this.performanceNotification) {
+            this.performanceNotification.remove();
+        }
+
+        const notification = window.NotificationManager.warning({
+            title: 'Recording fell behind',
+            message: report.suggestion ? `${summary}. Suggested: ${report.suggestion.description}` : summary
+        }, 0);
+        this.performanceNotification = notification;
+
+        if (!report.suggestion) return;
+
+        const applyButton = document.createElement('button');
+        applyButton.className = 'notification-action';
+        applyButton.textContent = 'Apply';
+        applyButton.addEventListener('click', async () => {
+            applyButton.disabled = true;
+            applyButton.textContent = 'Applying...';
+            try {
+                const applied = await ipcRenderer.invoke('apply-performance-suggestion', report.suggestion);
+                if (!applied.success) {
+                    throw new Error(applied.error);
+                }
+                window.NotificationManager.close(notification.querySelector('.notification-close'));
+                window.NotificationManager.success('Settings applied, OBS is restarting', 5000);
+            } catch (error) {
+                applyButton.disabled = false;
+                applyButton.textContent = 'Apply';
+                window.NotificationManager.error('Could not apply settings: ' + error.message, 5000);
+            }
+        });
+        notification.querySelector('.notification-content').appendChild(applyButton);
+    }
+
     /**
      * Clear recording stats
      */
@@ -0,0 +1,955 @@
+const EventEmitter = require('events');
+const crypto = require('crypto');
+const fs = require('fs');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+const { spawn } = require('child_process');
+const { WebSocketServer } = require('ws');
+const msgpack = require('@msgpack/msgpack');
+
+/**
+ * Mock OBS Server
+ * A stand-in obs-websocket v5 server for running the recorder without OBS,
+ * e.g. on a Linux box. It speaks the protocol in JSON or MessagePack (the
+ * encoding obs-websocket-js picks under Node), with or without a password,
+ * and implements the requests
+ * WebSocketManager sends. Recording writes dummy .mkv files named the way
+ * OBS names them, and the output events (RecordStateChanged,
+ * RecordFileChanged, ReplayBufferSaved) fire with the same data OBS sends.
+ *
+ * Faults can be injected to exercise the recorder's error handling:
+ *   setRequestDelay('StopRecord', 70000)   - slow responses, for callWithTimeout
+ *   failNextRequest('SplitRecordFile', 702) - one failed response
+ *   dropConnections()                       - abnormal close, for scheduleReconnect
+ *   restart(5000)                           - OBS restarting, for forceReconnection
+ *   setLoad({ outputSkipRatio: 0.05 })      - skipped frames and CPU in GetStats, for the performance watchdog
+ *
+ * Scenes start as OBS's default empty "Scene". Pass a collection from
+ * OBSTemplateGenerator.generateSceneJson as sceneCollection (or --scenes with
+ * its JSON file) to get the recorder's scenes, sources and mute states for
+ * scene automation.
+ *
+ * Streaming goes to the custom server set with SetStreamServiceSettings. With
+ * ffmpegPath (or --ffmpeg) a test pattern and tone are pushed there as FLV, so
+ * a local RTMP sink receives a real stream:
+ *   ffmpeg -listen 1 -f flv -i rtmp://127.0.0.1:1935/live/test -c copy stream.flv
+ * Without it the server is only connected to over TCP: a refused connection
+ * fails the stream the way OBS's does, an accepted one reports it live.
+ *
+ * Run standalone with `npm run mock-obs -- --port 4455 --password secret --output ./mock-recordings`
+ * and point the recorder's WebSocket settings at it, or create one in a script:
+ *   const server = new MockOBSServer({ port: 0 });
+ *   await server.start();  // server.port is the port picked
+ */
+
+const RPC_VERSION = 1;
+const OBS_VERSION = '30.2.0';
+const OBS_WEBSOCKET_VERSION = '5.5.0';
+
+// RequestStatus codes from the obs-websocket v5 protocol
+const STATUS = {
+    SUCCESS: 100,
+    UNKNOWN_REQUEST_TYPE: 204,
+    MISSING_REQUEST_FIELD: 300,
+    OUTPUT_RUNNING: 500,
+    OUTPUT_NOT_RUNNING: 501,
+    OUTPUT_DISABLED: 504,
+    RESOURCE_NOT_FOUND: 600,
+    RESOURCE_ALREADY_EXISTS: 601,
+    REQUEST_PROCESSING_FAILED: 702
+};
+
+// EventSubscription bits, events only go to clients subscribed to their category
+const SUBSCRIPTIONS = {
+    General: 1 << 0,
+    Scenes: 1 << 2,
+    Inputs: 1 << 3,
+    Outputs: 1 << 6,
+    SceneItems: 1 << 7
+};
+const ALL_SUBSCRIPTIONS = 0x7FF;
+
+const EVENT_CATEGORIES = {
+    ExitStarted: 'General',
+    SceneCreated: 'Scenes',
+    SceneRemoved: 'Scenes',
+    CurrentProgramSceneChanged: 'Scenes',
+    InputCreated: 'Inputs',
+    InputRemoved: 'Inputs',
+    InputMuteStateChanged: 'Inputs',
+    SceneItemEnableStateChanged: 'SceneItems',
+    RecordStateChanged: 'Outputs',
+    RecordFileChanged: 'Outputs',
+    ReplayBufferStateChanged: 'Outputs',
+    ReplayBufferSaved: 'Outputs',
+    StreamStateChanged: 'Outputs'
+};
+
+// Devices and windows listed by GetInputPropertiesListPropertyItems
+const DEFAULT_DEVICES = {
+    wasapi_input_capture: [
+        { itemName: 'Default', itemValue: 'default', itemEnabled: true },
+        { itemName: 'Microphone (Mock USB Audio)', itemValue: '{0.0.1.00000000}.{mock-mic}', itemEnabled: true }
+    ],
+    wasapi_output_capture: [
+        { itemName: 'Default', itemValue: 'default', itemEnabled: true },
+        { itemName: 'Speakers (Mock High Definition Audio)', itemValue: '{0.0.0.00000000}.{mock-speakers}', itemEnabled: true }
+    ],
+    wasapi_process_output_capture: [
+        { itemName: '[StarCitizen.exe]: Star Citizen', itemValue: 'Star Citizen:CryENGINE:StarCitizen.exe', itemEnabled: true },
+        { itemName: '[Discord.exe]: Discord', itemValue: 'Discord:Chrome_WidgetWin_1:Discord.exe', itemEnabled: true }
+    ]
+};
+
+// Default logger, the tests run the mock without output on stdout
+const SILENT_LOGGER = { log() {}, warn() {}, error() {} };
+
+// Matroska EBML magic, enough for the files to be recognised as video containers
+const MKV_HEADER = Buffer.from([0x1A, 0x45, 0xDF, 0xA3]);
+
+class MockOBSServer extends EventEmitter {
+    /**
+     * @param {Object} options - { port, password, outputDir, bitrate (kbps, for the reported
+     *                             byte counts), fps, replayBuffer (false when the profile has none),
+     *                             startDelay (ms OBS takes to start an output),
+     *                             sceneCollection (scene collection JSON to load),
+     *                             ffmpegPath (pushes a real stream when set),
+     *                             logger (console for the CLI, silent by default) }
+     */
+    constructor(options = {}) {
+        super();
+        this.port = options.port !== undefined ? options.port : 4455;
+        this.password = options.password || '';
+        this.outputDir = options.outputDir || path.join(os.tmpdir(), 'sc-recorder-mock-obs');
+        this.bitrate = options.bitrate || 6000;
+        this.fps = options.fps || 60;
+        this.replayBufferAvailable = options.replayBuffer !== false;
+        this.startDelay = options.startDelay !== undefined ? options.startDelay : 100;
+        this.ffmpegPath = options.ffmpegPath || null;
+        this.logger = options.logger || SILENT_LOGGER;
+
+        this.server = null;
+        this.clients = new Set();
+        this.requestDelays = new Map();
+        this.requestFailures = new Map();
+
+        this.record = null; // { path, startedAt, segmentStartedAt }
+        this.recordState = 'OBS_WEBSOCKET_OUTPUT_STOPPED';
+        this.replayBuffer = null; // { startedAt }
+        this.lastReplayPath = null;
+        this.stream = null; // { startedAt, url, connection (socket or ffmpeg process), stopping }
+        this.streamState = 'OBS_WEBSOCKET_OUTPUT_STOPPED';
+        this.streamService = { streamServiceType: 'rtmp_custom', streamServiceSettings: { server: '', key: '' } };
+        this.scenes = new Set(['Scene']);
+        this.inputs = new Map(); // inputName -> { sceneName, inputKind, inputSettings, muted }
+        this.sceneItems = new Map([['Scene', []]]); // sceneName -> [{ sceneItemId, sourceName, sceneItemEnabled }]
+        this.currentScene = 'Scene';
+        this.startedAt = Date.now();
+        this.load = { cpuUsage: 8.5, averageFrameRenderTime: 1.2, renderSkipRatio: 0, outputSkipRatio: 0 };
+        this.skippedFrames = { render: 0, output: 0, updatedAt: Date.now() };
+
+        if (options.sceneCollection) {
+            this.loadSceneCollection(options.sceneCollection);
+        }
+    }
+
+    /**
+     * Replace the scenes and inputs with those of an OBS scene collection
+     */
+    loadSceneCollection(collection) {
+        const sources = collection.sources || [];
+        const scenes = sources.filter(source => source.id === 'scene');
+
+        this.scenes = new Set(scenes.map(scene => scene.name));
+        this.sceneItems = new Map(scenes.map(scene => [scene.name, (scene.settings.items || []).map(item => ({
+            sceneItemId: item.id,
+            sourceName: item.name,
+            sceneItemEnabled: item.visible !== false
+        }))]));
+
+        this.inputs = new Map(sources.filter(source => source.id !== 'scene').map(source => [source.name, {
+            sceneName: (scenes.find(scene => (scene.settings.items || []).some(item => item.name === source.name)) || {}).name,
+            inputKind: source.versioned_id || source.id,
+            inputSettings: source.settings || {},
+            muted: Boolean(source.muted)
+        }]));
+
+        this.currentScene = collection.current_program_scene || scenes.map(scene => scene.name)[0] || 'Scene';
+    }
+
+    /**
+     * Start listening on 127.0.0.1
+     * @returns {Promise<number>} The port, useful when constructed with port 0
+     */
+    start() {
+        fs.mkdirSync(this.outputDir, { recursive: true });
+
+        return new Promise((resolve, reject) => {
+            this.server = new WebSocketServer({
+                host: '127.0.0.1',
+                port: this.port,
+                handleProtocols: (protocols) => ['obswebsocket.json', 'obswebsocket.msgpack'].find(p => protocols.has(p)) || false
+            });
+
+            this.server.once('error', reject);
+            this.server.once('listening', () => {
+                this.server.off('error', reject);
+                this.port = this.server.address().port;
+                this.logger.log(`[MockOBS] Listening on ws://127.0.0.1:${this.port}${this.password ? ' (password required)' : ''}`);
+                resolve(this.port);
+            });
+
+            this.server.on('connection', (socket) => this.handleConnection(socket));
+        });
+    }
+
+    /**
+     * Stop like OBS closing: outputs stop, clients get ExitStarted and the socket closes
+     */
+    async stop() {
+        if (!this.server) return;
+
+        this.broadcast('ExitStarted', {});
+        if (this.record) {
+            this.finishRecording();
+        }
+        this.replayBuffer = null;
+        if (this.stream) {
+            this.finishStream();
+        }
+
+        for (const client of this.clients) {
+            client.socket.close(1001, 'Server stopping');
+        }
+        this.clients.clear();
+
+        await new Promise(resolve => this.server.close(() => resolve()));
+        this.server = null;
+        this.logger.log('[MockOBS] Stopped');
+    }
+
+    /**
+     * Simulate OBS restarting: down for downtimeMs, then listening again on the same port
+     */
+    async restart(downtimeMs = 3000) {
+        await this.stop();
+        await new Promise(resolve => setTimeout(resolve, downtimeMs));
+        await this.start();
+    }
+
+    /**
+     * Drop every connection without a close handshake, the way a crash or network fault does
+     */
+    dropConnections() {
+        for (const client of this.clients) {
+            client.socket.terminate();
+        }
+        this.clients.clear();
+    }
+
+    /**
+     * Delay the responses to one request type, 0 removes the delay
+     */
+    setRequestDelay(requestType, ms) {
+        if (ms > 0) {
+            this.requestDelays.set(requestType, ms);
+        } else {
+            this.requestDelays.delete(requestType);
+        }
+    }
+
+    /**
+     * Fail the next request of a type with the given status code
+     */
+    failNextRequest(requestType, code = STATUS.REQUEST_PROCESSING_FAILED, comment = 'Injected failure') {
+        this.requestFailures.set(requestType, { code, comment });
+    }
+
+    /**
+     * Report a busy machine in GetStats from now on: { cpuUsage, averageFrameRenderTime (ms),
+     * renderSkipRatio, outputSkipRatio (shares of frames skipped, output only while recording) }
+     */
+    setLoad(load = {}) {
+        this.countSkippedFrames();
+        this.load = { ...this.load, ...load };
+    }
+
+    /**
+     * Add the frames skipped since the last call at the current load, OBS's counters only go up
+     */
+    countSkippedFrames() {
+        const now = Date.now();
+        const frames = (now - this.skippedFrames.updatedAt) / 1000 * this.fps;
+        this.skippedFrames.render += frames * this.load.renderSkipRatio;
+        if (this.record) {
+            this.skippedFrames.output += frames * this.load.outputSkipRatio;
+        }
+        this.skippedFrames.updatedAt = now;
+    }
+
+    handleConnection(socket) {
+        const client = {
+            socket,
+            msgpack: socket.protocol === 'obswebsocket.msgpack',
+            identified: false,
+            subscriptions: ALL_SUBSCRIPTIONS,
+            auth: null
+        };
+        this.clients.add(client);
+
+        const hello = { obsWebSocketVersion: OBS_WEBSOCKET_VERSION, rpcVersion: RPC_VERSION };
+        if (this.password) {
+            client.auth = {
+                challenge: crypto.randomBytes(32).toString('base64'),
+                salt: crypto.randomBytes(32).toString('base64')
+            };
+            hello.authentication = client.auth;
+        }
+        this.send(client, 0, hello);
+
+        socket.on('message', (raw) => {
+            let message;
+            try {
+                message = client.msgpack ? msgpack.decode(raw) : JSON.parse(raw.toString());
+            } catch (error) {
+                socket.close(4002, 'Message could not be decoded');
+                return;
+            }
+            this.handleMessage(client, message);
+        });
+
+        socket.on('close', () => {
+            this.clients.delete(client);
+            this.emit('client-disconnected');
+        });
+    }
+
+    handleMessage(client, { op, d = {} }) {
+        if (op === 1) {
+            // Identify
+            if (client.auth && d.authentication !== this.getAuthString(client.auth)) {
+                client.socket.close(4009, 'Authentication failed');
+                return;
+            }
+            client.identified = true;
+            client.subscriptions = d.eventSubscriptions !== undefined ? d.eventSubscriptions : ALL_SUBSCRIPTIONS;
+            this.send(client, 2, { negotiatedRpcVersion: RPC_VERSION });
+            this.emit('client-identified');
+            return;
+        }
+
+        if (!client.identified) {
+            client.socket.close(4007, 'Not identified');
+            return;
+        }
+
+        if (op === 3) {
+            // Reidentify
+            if (d.eventSubscriptions !== undefined) {
+                client.subscriptions = d.eventSubscriptions;
+            }
+            this.send(client, 2, { negotiatedRpcVersion: RPC_VERSION });
+        } else if (op === 6) {
+            this.handleRequest(client, d);
+        } else {
+            client.socket.close(4004, `Unknown op code ${op}`);
+        }
+    }
+
+    /**
+     * base64(sha256(base64(sha256(password + salt)) + challenge))
+     */
+    getAuthString({ challenge, salt }) {
+        const secret = crypto.createHash('sha256').update(this.password + salt).digest('base64');
+        return crypto.createHash('sha256').update(secret + challenge).digest('base64');
+    }
+
+    async handleRequest(client, { requestType, requestId, requestData = {} }) {
+        this.emit('request', { requestType, requestData });
+
+        const delay = this.requestDelays.get(requestType);
+        if (delay) {
+            await new Promise(resolve => setTimeout(resolve, delay));
+        }
+
+        let requestStatus = { result: true, code: STATUS.SUCCESS };
+        let responseData;
+
+        const failure = this.requestFailures.get(requestType);
+        if (failure) {
+            this.requestFailures.delete(requestType);
+            requestStatus = { result: false, code: failure.code, comment: failure.comment };
+        } else {
+            try {
+                responseData = this.runRequest(requestType, requestData);
+            } catch (error) {
+                requestStatus = { result: false, code: error.code || STATUS.REQUEST_PROCESSING_FAILED, comment: error.message };
+            }
+        }
+
+        const response = { requestType, requestId, requestStatus };
+        if (responseData !== undefined) {
+            response.responseData = responseData;
+        }
+        this.send(client, 7, response);
+    }
+
+    runRequest(requestType, data) {
+        switch (requestType) {
+            case 'GetVersion':
+                return {
+                    obsVersion: OBS_VERSION,
+                    obsWebSocketVersion: OBS_WEBSOCKET_VERSION,
+                    rpcVersion: RPC_VERSION,
+                    availableRequests: MockOBSServer.REQUESTS,
+                    supportedImageFormats: ['jpg', 'png'],
+                    platform: process.platform,
+                    platformDescription: `${os.type()} ${os.release()} (mock)`
+                };
+
+            case 'GetStats':
+                return this.getStats();
+
+            case 'GetRecordStatus':
+                return this.getRecordStatus();
+
+            case 'StartRecord':
+                if (this.record) throw this.requestError(STATUS.OUTPUT_RUNNING, 'The record output is already running.');
+                this.startRecording();
+                return undefined;
+
+            case 'StopRecord':
+                if (!this.record) throw this.requestError(STATUS.OUTPUT_NOT_RUNNING, 'The record output is not running.');
+                return { outputPath: this.stopRecording() };
+
+            case 'SplitRecordFile':
+                if (!this.record) throw this.requestError(STATUS.OUTPUT_NOT_RUNNING, 'The record output is not running.');
+                this.splitRecording();
+                return undefined;
+
+            case 'GetReplayBufferStatus':
+                this.requireReplayBuffer();
+                return { outputActive: Boolean(this.replayBuffer) };
+
+            case 'StartReplayBuffer':
+                this.requireReplayBuffer();
+                if (this.replayBuffer) throw this.requestError(STATUS.OUTPUT_RUNNING, 'The replay buffer output is already running.');
+                this.setReplayBufferState(true);
+                return undefined;
+
+            case 'StopReplayBuffer':
+                this.requireReplayBuffer();
+                if (!this.replayBuffer) throw this.requestError(STATUS.OUTPUT_NOT_RUNNING, 'The replay buffer output is not running.');
+                this.setReplayBufferState(false);
+                return undefined;
+
+            case 'SaveReplayBuffer':
+                this.requireReplayBuffer();
+                if (!this.replayBuffer) throw this.requestError(STATUS.OUTPUT_NOT_RUNNING, 'The replay buffer output is not running.');
+                this.saveReplayBuffer();
+                return undefined;
+
+            case 'GetLastReplayBufferReplay':
+                this.requireReplayBuffer();
+                return { savedReplayPath: this.lastReplayPath };
+
+            case 'GetStreamServiceSettings':
+                return this.streamService;
+
+            case 'SetStreamServiceSettings':
+                this.requireField(data, 'streamServiceType');
+                this.requireField(data, 'streamServiceSettings');
+                if (this.stream) throw this.requestError(STATUS.OUTPUT_RUNNING, 'You cannot change stream service settings while streaming.');
+                this.streamService = {
+                    streamServiceType: data.streamServiceType,
+                    streamServiceSettings: { ...data.streamServiceSettings }
+                };
+                return undefined;
+
+            case 'GetStreamStatus':
+                return this.getStreamStatus();
+
+            case 'StartStream':
+                if (this.stream) throw this.requestError(STATUS.OUTPUT_RUNNING, 'The stream output is already running.');
+                this.startStream();
+                return undefined;
+
+            case 'StopStream':
+                if (!this.stream) throw this.requestError(STATUS.OUTPUT_NOT_RUNNING, 'The stream output is not running.');
+                this.stopStream();
+                return undefined;
+
+            case 'SendStreamCaption':
+                this.requireField(data, 'captionText');
+                if (!this.stream) throw this.requestError(STATUS.OUTPUT_NOT_RUNNING, 'The stream output is not running.');
+                this.logger.log(`[MockOBS] Caption: ${data.captionText}`);
+                this.emit('caption', data.captionText);
+                return undefined;
+
+            case 'GetSceneList':
+                return {
+                    currentProgramSceneName: this.currentScene,
+                    currentPreviewSceneName: null,
+                    scenes: Array.from(this.scenes).reverse().map((sceneName, index) => ({ sceneName, sceneIndex: index }))
+                };
+
+            case 'CreateScene':
+                this.requireField(data, 'sceneName');
+                if (this.scenes.has(data.sceneName)) throw this.requestError(STATUS.RESOURCE_ALREADY_EXISTS, 'A source already exists by that scene name.');
+                this.scenes.add(data.sceneName);
+                this.sceneItems.set(data.sceneName, []);
+                this.broadcast('SceneCreated', { sceneName: data.sceneName, isGroup: false });
+                return { sceneUuid: crypto.randomUUID() };
+
+            case 'RemoveScene':
+                this.requireField(data, 'sceneName');
+                if (!this.scenes.delete(data.sceneName)) throw this.requestError(STATUS.RESOURCE_NOT_FOUND, 'No source was found by the name of `sceneName`.');
+                for (const [inputName, input] of this.inputs) {
+                    if (input.sceneName === data.sceneName) this.inputs.delete(inputName);
+                }
+                this.sceneItems.delete(data.sceneName);
+                this.broadcast('SceneRemoved', { sceneName: data.sceneName, isGroup: false });
+                if (this.currentScene === data.sceneName) {
+                    this.setCurrentScene(Array.from(this.scenes)[0] || null);
+                }
+                return undefined;
+
+            case 'GetCurrentProgramScene':
+                return { sceneName: this.currentScene, currentProgramSceneName: this.currentScene };
+
+            case 'SetCurrentProgramScene':
+                this.requireField(data, 'sceneName');
+                this.requireScene(data.sceneName);
+                this.setCurrentScene(data.sceneName);
+                return undefined;
+
+            case 'GetSceneItemId': {
+                this.requireField(data, 'sceneName');
+                this.requireField(data, 'sourceName');
+                const item = this.requireScene(data.sceneName).find(i => i.sourceName === data.sourceName);
+                if (!item) throw this.requestError(STATUS.RESOURCE_NOT_FOUND, 'No scene items were found in the specified scene by that name or offset.');
+                return { sceneItemId: item.sceneItemId };
+            }
+
+            case 'GetSceneItemEnabled':
+                return { sceneItemEnabled: this.requireSceneItem(data).sceneItemEnabled };
+
+            case 'SetSceneItemEnabled': {
+                this.requireField(data, 'sceneItemEnabled');
+                const item = this.requireSceneItem(data);
+                item.sceneItemEnabled = Boolean(data.sceneItemEnabled);
+                this.broadcast('SceneItemEnableStateChanged', {
+                    sceneName: data.sceneName,
+                    sceneItemId: item.sceneItemId,
+                    sceneItemEnabled: item.sceneItemEnabled
+                });
+                return undefined;
+            }
+
+            case 'GetInputList':
+                return {
+                    inputs: Array.from(this.inputs.entries())
+                        .filter(([, input]) => !data.inputKind || input.inputKind === data.inputKind)
+                        .map(([inputName, input]) => ({ inputName, inputKind: input.inputKind, unversionedInputKind: input.inputKind }))
+                };
+
+            case 'CreateInput':
+                this.requireField(data, 'inputName');
+                this.requireField(data, 'inputKind');
+                if (!this.scenes.has(data.sceneName)) throw this.requestError(STATUS.RESOURCE_NOT_FOUND, 'No source was found by the name of `sceneName`.');
+                if (this.inputs.has(data.inputName)) throw this.requestError(STATUS.RESOURCE_ALREADY_EXISTS, 'A source already exists by that input name.');
+                this.inputs.set(data.inputName, { sceneName: data.sceneName, inputKind: data.inputKind, inputSettings: data.inputSettings || {}, muted: false });
+                this.broadcast('InputCreated', { inputName: data.inputName, inputKind: data.inputKind, inputSettings: data.inputSettings || {} });
+                return { inputUuid: crypto.randomUUID(), sceneItemId: this.addSceneItem(data.sceneName, data.inputName, data.sceneItemEnabled !== false) };
+
+            case 'RemoveInput':
+                this.requireField(data, 'inputName');
+                if (!this.inputs.delete(data.inputName)) throw this.requestError(STATUS.RESOURCE_NOT_FOUND, 'No source was found by the name of `inputName`.');
+                for (const [sceneName, items] of this.sceneItems) {
+                    this.sceneItems.set(sceneName, items.filter(item => item.sourceName !== data.inputName));
+                }
+                this.broadcast('InputRemoved', { inputName: data.inputName });
+                return undefined;
+
+            case 'GetInputMute':
+                return { inputMuted: this.requireInput(data).muted };
+
+            case 'SetInputMute': {
+                this.requireField(data, 'inputMuted');
+                const input = this.requireInput(data);
+                input.muted = Boolean(data.inputMuted);
+                this.broadcast('InputMuteStateChanged', { inputName: data.inputName, inputMuted: input.muted });
+                return undefined;
+            }
+
+            case 'GetInputPropertiesListPropertyItems': {
+                this.requireField(data, 'inputName');
+                this.requireField(data, 'propertyName');
+                const input = this.inputs.get(data.inputName);
+                if (!input) throw this.requestError(STATUS.RESOURCE_NOT_FOUND, 'No source was found by the name of `inputName`.');
+                return { propertyItems: DEFAULT_DEVICES[input.inputKind] || [] };
+            }
+
+            default:
+                throw this.requestError(STATUS.UNKNOWN_REQUEST_TYPE, `Your request type is not valid: ${requestType}`);
+        }
+    }
+
+    requestError(code, message) {
+        const error = new Error(message);
+        error.code = code;
+        return error;
+    }
+
+    requireField(data, field) {
+        if (data[field] === undefined || data[field] === null) {
+            throw this.requestError(STATUS.MISSING_REQUEST_FIELD, `Your request is missing the \`${field}\` field.`);
+        }
+    }
+
+    requireScene(sceneName) {
+        const items = this.sceneItems.get(sceneName);
+        if (!items) throw this.requestError(STATUS.RESOURCE_NOT_FOUND, 'No source was found by the name of `sceneName`.');
+        return items;
+    }
+
+    requireSceneItem(data) {
+        this.requireField(data, 'sceneName');
+        this.requireField(data, 'sceneItemId');
+        const item = this.requireScene(data.sceneName).find(i => i.sceneItemId === data.sceneItemId);
+        if (!item) throw this.requestError(STATUS.RESOURCE_NOT_FOUND, 'No scene items were found in scene `sceneName` with the ID `sceneItemId`.');
+        return item;
+    }
+
+    requireInput(data) {
+        this.requireField(data, 'inputName');
+        const input = this.inputs.get(data.inputName);
+        if (!input) throw this.requestError(STATUS.RESOURCE_NOT_FOUND, 'No source was found by the name of `inputName`.');
+        return input;
+    }
+
+    addSceneItem(sceneName, sourceName, sceneItemEnabled) {
+        const items = this.sceneItems.get(sceneName);
+        const sceneItemId = items.reduce((max, item) => Math.max(max, item.sceneItemId), 0) + 1;
+        items.push({ sceneItemId, sourceName, sceneItemEnabled });
+        return sceneItemId;
+    }
+
+    setCurrentScene(sceneName) {
+        if (sceneName === this.currentScene) return;
+
+        this.currentScene = sceneName;
+        this.broadcast('CurrentProgramSceneChanged', { sceneName });
+    }
+
+    requireReplayBuffer() {
+        if (!this.replayBufferAvailable) {
+            throw this.requestError(STATUS.OUTPUT_DISABLED, 'Replay buffer is not available.');
+        }
+    }
+
+    /**
+     * StartRecord answers straight away, the output reports STARTING then STARTED
+     */
+    startRecording() {
+        this.countSkippedFrames();
+        const now = Date.now();
+        this.record = { path: this.createOutputFile(''), startedAt: now, segmentStartedAt: now };
+        this.setRecordState('OBS_WEBSOCKET_OUTPUT_STARTING', null);
+
+        setTimeout(() => {
+            if (this.record) {
+                this.setRecordState('OBS_WEBSOCKET_OUTPUT_STARTED', this.record.path);
+                this.logger.log(`[MockOBS] Recording to ${this.record.path}`);
+            }
+        }, this.startDelay);
+    }
+
+    stopRecording() {
+        const outputPath = this.record.path;
+        this.setRecordState('OBS_WEBSOCKET_OUTPUT_STOPPING', null);
+        this.finishRecording();
+        this.logger.log(`[MockOBS] Recording stopped: ${outputPath}`);
+        return outputPath;
+    }
+
+    finishRecording() {
+        const outputPath = this.record.path;
+        this.record = null;
+        this.setRecordState('OBS_WEBSOCKET_OUTPUT_STOPPED', outputPath);
+    }
+
+    /**
+     * Close the current file and continue in a new one, as OBS does for MKV
+     */
+    splitRecording() {
+        const newPath = this.createOutputFile('');
+        this.record.path = newPath;
+        this.record.segmentStartedAt = Date.now();
+        this.broadcast('RecordFileChanged', { newOutputPath: newPath });
+        this.logger.log(`[MockOBS] Recording split to ${newPath}`);
+    }
+
+    setRecordState(outputState, outputPath) {
+        this.recordState = outputState;
+        this.broadcast('RecordStateChanged', {
+            outputActive: outputState === 'OBS_WEBSOCKET_OUTPUT_STARTED',
+            outputState,
+            outputPath
+        });
+    }
+
+    setReplayBufferState(active) {
+        this.replayBuffer = active ? { startedAt: Date.now() } : null;
+        const states = active
+            ? ['OBS_WEBSOCKET_OUTPUT_STARTING', 'OBS_WEBSOCKET_OUTPUT_STARTED']
+            : ['OBS_WEBSOCKET_OUTPUT_STOPPING', 'OBS_WEBSOCKET_OUTPUT_STOPPED'];
+
+        for (const outputState of states) {
+            this.broadcast('ReplayBufferStateChanged', {
+                outputActive: outputState === 'OBS_WEBSOCKET_OUTPUT_STARTED',
+                outputState
+            });
+        }
+    }
+
+    saveReplayBuffer() {
+        this.lastReplayPath = this.createOutputFile('Replay ');
+        this.broadcast('ReplayBufferSaved', { savedReplayPath: this.lastReplayPath });
+        this.logger.log(`[MockOBS] Replay saved: ${this.lastReplayPath}`);
+    }
+
+    /**
+     * StartStream answers straight away, the output reports STARTING then
+     * STARTED once the server accepts the connection, or STOPPED when it doesn't
+     */
+    startStream() {
+        const { server, key } = this.streamService.streamServiceSettings;
+        let url;
+        try {
+            url = new URL(server);
+        } catch (error) {
+            throw this.requestError(STATUS.REQUEST_PROCESSING_FAILED, `Invalid stream server: ${server}`);
+        }
+
+        const target = key ? `${server.replace(/\/+$/, '')}/${key}` : server;
+        this.stream = { startedAt: null, url: target, connection: null, stopping: false };
+        this.setStreamState('OBS_WEBSOCKET_OUTPUT_STARTING');
+
+        const stream = this.stream;
+        const started = () => {
+            if (this.stream === stream && !stream.startedAt) {
+                stream.startedAt = Date.now();
+                this.setStreamState('OBS_WEBSOCKET_OUTPUT_STARTED');
+                this.logger.log(`[MockOBS] Streaming to ${url.protocol}//${url.host}${url.pathname}`);
+            }
+        };
+        const ended = (reason) => {
+            if (this.stream === stream && !stream.stopping) {
+                this.logger.log(`[MockOBS] Stream failed: ${reason}`);
+                this.finishStream();
+            }
+        };
+
+        if (this.ffmpegPath) {
+            // Live once ffmpeg reports its first progress line, by then the server has accepted the publish
+            const ffmpeg = spawn(this.ffmpegPath, [
+                '-hide_banner', '-loglevel', 'error', '-stats', '-re',
+                '-f', 'lavfi', '-i', `testsrc2=size=1280x720:rate=${this.fps}`,
+                '-f', 'lavfi', '-i', 'sine=frequency=440:sample_rate=48000',
+                '-c:v', 'libx264', '-preset', 'ultrafast', '-b:v', `${this.bitrate}k`, '-g', String(this.fps * 2),
+                '-c:a', 'aac', '-b:a', '160k', '-f', 'flv', target
+            ], { stdio: ['ignore', 'ignore', 'pipe'] });
+
+            let lastError = '';
+            ffmpeg.stderr.on('data', (chunk) => {
+                const text = chunk.toString();
+                if (/frame=\s*\d+/.test(text)) {
+                    started();
+                } else if (text.trim()) {
+                    lastError = text.trim();
+                }
+            });
+            ffmpeg.on('error', (error) => ended(error.message));
+            ffmpeg.on('exit', (code) => ended(lastError || `ffmpeg exited with code ${code}`));
+            stream.connection = ffmpeg;
+        } else {
+            // Only checks the server is reachable, nothing is sent
+            const socket = net.connect({
+                host: url.hostname,
+                port: Number(url.port) || (url.protocol === 'rtmps:' ? 443 : 1935)
+            });
+            socket.once('connect', () => setTimeout(started, this.startDelay));
+            socket.on('error', (error) => ended(error.message));
+            socket.on('close', () => ended('Connection closed by server'));
+            stream.connection = socket;
+        }
+    }
+
+    stopStream() {
+        this.setStreamState('OBS_WEBSOCKET_OUTPUT_STOPPING');
+        this.finishStream();
+        this.logger.log('[MockOBS] Stream stopped');
+    }
+
+    finishStream() {
+        const { connection } = this.stream;
+        this.stream.stopping = true;
+        this.stream = null;
+
+        if (connection instanceof net.Socket) {
+            connection.destroy();
+        } else if (connection && connection.exitCode === null) {
+            connection.kill();
+        }
+        this.setStreamState('OBS_WEBSOCKET_OUTPUT_STOPPED');
+    }
+
+    setStreamState(outputState) {
+        this.streamState = outputState;
+        this.broadcast('StreamStateChanged', {
+            outputActive: outputState === 'OBS_WEBSOCKET_OUTPUT_STARTED',
+            outputState
+        });
+    }
+
+    getStreamStatus() {
+        if (!this.stream || !this.stream.startedAt) {
+            return {
+                outputActive: false, outputReconnecting: false, outputTimecode: '00:00:00.000', outputDuration: 0,
+                outputCongestion: 0, outputBytes: 0, outputSkippedFrames: 0, outputTotalFrames: 0
+            };
+        }
+
+        const duration = Date.now() - this.stream.startedAt;
+        return {
+            outputActive: true,
+            outputReconnecting: false,
+            outputTimecode: this.formatTimecode(duration),
+            outputDuration: duration,
+            outputCongestion: 0,
+            outputBytes: Math.round(duration / 1000 * this.bitrate * 1000 / 8),
+            outputSkippedFrames: 0,
+            outputTotalFrames: Math.round(duration / 1000 * this.fps)
+        };
+    }
+
+    /**
+     * Write a dummy file named like OBS's default "%CCYY-%MM-%DD %hh-%mm-%ss"
+     */
+    createOutputFile(prefix) {
+        const now = new Date();
+        const pad = (value) => String(value).padStart(2, '0');
+        const name = `${prefix}${now.getFullYear()}-${pad(now.getMonth() + 1)}-${pad(now.getDate())} ` +
+            `${pad(now.getHours())}-${pad(now.getMinutes())}-${pad(now.getSeconds())}`;
+
+        // Splits can land in the same second, OBS adds a counter the same way
+        let filePath = path.join(this.outputDir, `${name}.mkv`);
+        for (let counter = 2; fs.existsSync(filePath); counter++) {
+            filePath = path.join(this.outputDir, `${name} (${counter}).mkv`);
+        }
+
+        fs.writeFileSync(filePath, MKV_HEADER);
+        return filePath;
+    }
+
+    getRecordStatus() {
+        if (!this.record) {
+            return { outputActive: false, outputPaused: false, outputTimecode: '00:00:00.000', outputDuration: 0, outputBytes: 0 };
+        }
+
+        // Duration and bytes are per file, like OBS with RecSplitFileResetTimestamps
+        const duration = Date.now() - this.record.segmentStartedAt;
+        return {
+            outputActive: this.recordState === 'OBS_WEBSOCKET_OUTPUT_STARTED',
+            outputPaused: false,
+            outputTimecode: this.formatTimecode(duration),
+            outputDuration: duration,
+            outputBytes: Math.round(duration / 1000 * this.bitrate * 1000 / 8)
+        };
+    }
+
+    getStats() {
+        const outputFrames = this.record ? Math.round((Date.now() - this.record.startedAt) / 1000 * this.fps) : 0;
+        const renderFrames = Math.round((Date.now() - this.startedAt) / 1000 * this.fps);
+        this.countSkippedFrames();
+
+        return {
+            cpuUsage: this.load.cpuUsage,
+            memoryUsage: 412.3,
+            availableDiskSpace: 512000,
+            activeFps: this.fps,
+            averageFrameRenderTime: this.load.averageFrameRenderTime,
+            renderSkippedFrames: Math.round(this.skippedFrames.render),
+            renderTotalFrames: renderFrames,
+            outputSkippedFrames: Math.round(this.skippedFrames.output),
+            outputTotalFrames: outputFrames,
+            webSocketSessionIncomingMessages: 0,
+            webSocketSessionOutgoingMessages: 0
+        };
+    }
+
+    formatTimecode(ms) {
+        const pad = (value, length = 2) => String(value).padStart(length, '0');
+        const totalSeconds = Math.floor(ms / 1000);
+        return `${pad(Math.floor(totalSeconds / 3600))}:${pad(Math.floor(totalSeconds / 60) % 60)}:${pad(totalSeconds % 60)}.${pad(ms % 1000, 3)}`;
+    }
+
+    broadcast(eventType, eventData) {
+        const category = SUBSCRIPTIONS[EVENT_CATEGORIES[eventType]] || 0;
+
+        for (const client of this.clients) {
+            if (client.identified && (client.subscriptions & category)) {
+                this.send(client, 5, { eventType, eventIntent: category, eventData });
+            }
+        }
+        this.emit('obs-event', { eventType, eventData });
+    }
+
+    send(client, op, d) {
+        if (client.socket.readyState === client.socket.OPEN) {
+            client.socket.send(client.msgpack ? msgpack.encode({ op, d }) : JSON.stringify({ op, d }));
+        }
+    }
+}
+
+MockOBSServer.STATUS = STATUS;
+MockOBSServer.REQUESTS = [
+    'GetVersion', 'GetStats', 'GetRecordStatus', 'StartRecord', 'StopRecord', 'SplitRecordFile',
+    'GetReplayBufferStatus', 'StartReplayBuffer', 'StopReplayBuffer', 'SaveReplayBuffer', 'GetLastReplayBufferReplay',
+    'GetStreamServiceSettings', 'SetStreamServiceSettings', 'GetStreamStatus', 'StartStream', 'StopStream', 'SendStreamCaption',
+    'GetSceneList', 'CreateScene', 'RemoveScene', 'GetCurrentProgramScene', 'SetCurrentProgramScene',
+    'GetSceneItemId', 'GetSceneItemEnabled', 'SetSceneItemEnabled',
+    'GetInputList', 'CreateInput', 'RemoveInput', 'GetInputMute', 'SetInputMute',
+    'GetInputPropertiesListPropertyItems'
+];
+
+module.exports = MockOBSServer;
+
+if (require.main === module) {
+    const args = process.argv.slice(2);
+    const option = (name) => {
+        const index = args.indexOf(`--${name}`);
+        return index !== -1 ? args[index + 1] : undefined;
+    };
+
+    const server = new MockOBSServer({
+        port: option('port') !== undefined ? Number(option('port')) : 4455,
+        password: option('password'),
+        outputDir: option('output') && path.resolve(option('output')),
+        replayBuffer: !args.includes('--no-replay-buffer'),
+        sceneCollection: option('scenes') && JSON.parse(fs.readFileSync(path.resolve(option('scenes')), 'utf8')),
+        ffmpegPath: option('ffmpeg'),
+        logger: console
+    });
+
+    server.start().catch(error => {
+        console.error('Mock OBS failed to start:', error);
+        process.exitCode = 1;
+    });
+
+    process.on('SIGINT', () => {
+        server.stop().then(() => process.exit(0));
+    });
+}
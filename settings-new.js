@@ -1,4 +1,6 @@
 // New Settings Manager for multi-view settings
+const SceneAutomation = require('./lib/scene-automation');
+
 class NewSettingsManager {
     constructor() {
         this.config = null;
@@ -7,6 +9,7 @@ class NewSettingsManager {
         this.nativeResolution = null;
         this.performanceProfile = 'custom';
         this.currentView = null;
+        this.sceneRules = [];
         this.initialize();
     }
 
@@ -54,6 +57,49 @@ class NewSettingsManager {
 
         // Setup hotkey inputs
         this.setupHotkeyInputs();
+
+        this.setupSceneRuleEditor();
+    }
+
+    setupSceneRuleEditor() {
+        const list = document.getElementById('scene-automation-rules');
+
+        document.getElementById('scene-automation-add-rule')?.addEventListener('click', () => {
+            this.sceneRules = this.gatherSceneRules();
+            this.sceneRules.push({
+                id: `rule_${Date.now()}`,
+                subtypes: [],
+                action: 'switch-scene',
+                scene: '',
+                revertOn: [],
+                duration: 0
+            });
+            this.renderSceneRules();
+            this.hasChanges = true;
+        });
+
+        document.getElementById('scene-automation-reset-rules')?.addEventListener('click', () => {
+            this.sceneRules = JSON.parse(JSON.stringify(SceneAutomation.DEFAULT_RULES));
+            this.renderSceneRules();
+            this.hasChanges = true;
+        });
+
+        // Rows are re-rendered, so listen on the list
+        list?.addEventListener('click', (e) => {
+            if (e.target.classList.contains('scene-rule-remove')) {
+                this.sceneRules = this.gatherSceneRules();
+                this.sceneRules.splice(parseInt(e.target.closest('.scene-rule').dataset.index), 1);
+                this.renderSceneRules();
+                this.hasChanges = true;
+            }
+        });
+        list?.addEventListener('change', (e) => {
+            const row = e.target.closest('.scene-rule');
+            if (row) {
+                this.updateSceneRuleRow(row);
+                this.hasChanges = true;
+            }
+        });
     }
 
     setupHotkeyInputs() {
@@ -391,8 +437,23 @@ class NewSettingsManager {
             if (this.config.settings.hotkeys.markEvent) {
                 document.getElementById('hotkey-mark-event').value = this.config.settings.hotkeys.markEvent;
             }
+            if (this.config.settings.hotkeys.saveReplay) {
+                document.getElementById('hotkey-save-replay').value = this.config.settings.hotkeys.saveReplay;
+            }
+            if (this.config.settings.hotkeys.startStopStream) {
+                document.getElementById('hotkey-start-stop-stream').value = this.config.settings.hotkeys.startStopStream;
+            }
         }
 
+        // Streaming
+        const streaming = this.config.settings.streaming || {};
+        document.getElementById('stream-server').value = streaming.server || '';
+        this.showStreamKeyState(streaming);
+        document.getElementById('stream-bitrate-setting').value = streaming.bitrate || 6000;
+        document.getElementById('stream-max-height').value = String(streaming.maxHeight || 1080);
+        document.getElementById('stream-markers-enabled').checked = streaming.markers !== false;
+        document.getElementById('stream-captions-enabled').checked = streaming.captions || false;
+
         // Load auto-update setting
         if (this.config.settings.autoUpdateEnabled !== undefined) {
             document.getElementById('auto-update-enabled').checked = this.config.settings.autoUpdateEnabled;
@@ -409,6 +470,23 @@ class NewSettingsManager {
             document.getElementById('max-storage-gb').value = opts.maxStorageGB || 50;
             document.getElementById('min-files-to-keep').value = opts.minFilesToKeep !== undefined ? opts.minFilesToKeep : 5;
             document.getElementById('max-files-to-keep').value = opts.maxFilesToKeep !== undefined ? opts.maxFilesToKeep : 0;
+            document.getElementById('event-pre-roll-seconds').value = opts.eventPreRollSeconds !== undefined ? opts.eventPreRollSeconds : 30;
+            document.getElementById('event-pre-roll-mode').value = opts.eventPreRollMode || 'negative';
+            document.getElementById('replay-seconds').value = opts.replaySeconds || 60;
+            const autoClip = opts.autoClip || {};
+            document.getElementById('auto-clip-enabled').checked = autoClip.enabled || false;
+            document.getElementById('auto-clip-before').value = autoClip.before !== undefined ? autoClip.before : 20;
+            document.getElementById('auto-clip-after').value = autoClip.after !== undefined ? autoClip.after : 10;
+            const replayBuffer = opts.replayBuffer || {};
+            document.getElementById('replay-buffer-enabled').checked = replayBuffer.enabled || false;
+            document.getElementById('replay-buffer-seconds').value = replayBuffer.seconds || 60;
+            document.getElementById('replay-buffer-auto-save').checked = replayBuffer.autoSave !== false;
+            const sceneAutomation = opts.sceneAutomation || {};
+            document.getElementById('scene-automation-enabled').checked = sceneAutomation.enabled || false;
+            this.sceneRules = JSON.parse(JSON.stringify(sceneAutomation.rules || SceneAutomation.DEFAULT_RULES));
+            const performanceWatchdog = opts.performanceWatchdog || {};
+            document.getElementById('performance-watchdog-enabled').checked = performanceWatchdog.enabled !== false;
+            document.getElementById('performance-watchdog-auto-apply').checked = performanceWatchdog.autoApply || false;
         } else {
             // Set defaults if not configured
             document.getElementById('auto-start-recording').checked = false;
@@ -417,7 +495,116 @@ class NewSettingsManager {
             document.getElementById('max-storage-gb').value = 50;
             document.getElementById('min-files-to-keep').value = 5;
             document.getElementById('max-files-to-keep').value = 0;
+            document.getElementById('event-pre-roll-seconds').value = 30;
+            document.getElementById('event-pre-roll-mode').value = 'negative';
+            document.getElementById('replay-seconds').value = 60;
+            document.getElementById('auto-clip-enabled').checked = false;
+            document.getElementById('auto-clip-before').value = 20;
+            document.getElementById('auto-clip-after').value = 10;
+            document.getElementById('replay-buffer-enabled').checked = false;
+            document.getElementById('replay-buffer-seconds').value = 60;
+            document.getElementById('replay-buffer-auto-save').checked = true;
+            document.getElementById('scene-automation-enabled').checked = false;
+            this.sceneRules = JSON.parse(JSON.stringify(SceneAutomation.DEFAULT_RULES));
+            document.getElementById('performance-watchdog-enabled').checked = true;
+            document.getElementById('performance-watchdog-auto-apply').checked = false;
+        }
+        this.renderSceneRules();
+    }
+
+    // The saved stream key stays encrypted in main, the field is only for entering a new one
+    showStreamKeyState(streaming) {
+        const keyInput = document.getElementById('stream-key');
+        keyInput.value = '';
+        keyInput.placeholder = streaming.keyEncrypted ? 'Saved, enter a new key to replace it' : 'Stream key';
+    }
+
+    renderSceneRules() {
+        const list = document.getElementById('scene-automation-rules');
+        if (!list) return;
+
+        if (this.sceneRules.length === 0) {
+            list.innerHTML = '<div class="scene-rule-empty">No rules, OBS is left alone</div>';
+            return;
         }
+
+        const escape = (value) => String(value === undefined || value === null ? '' : value).replace(/"/g, '&quot;');
+        const roles = { '': 'Anyone', victim: 'I died', killer: 'I killed' };
+
+        list.innerHTML = this.sceneRules.map((rule, index) => {
+            const subtypes = rule.subtypes || (rule.subtype ? [rule.subtype] : []);
+            const revertOn = Array.isArray(rule.revertOn) ? rule.revertOn : (rule.revertOn ? [rule.revertOn] : []);
+            const target = SceneAutomation.ACTIONS[rule.action]?.target === 'input' ? rule.input : rule.source;
+
+            return `
+                <div class="scene-rule" data-index="${index}">
+                    <input type="checkbox" class="scene-rule-enabled" title="Enabled" ${rule.enabled !== false ? 'checked' : ''}>
+                    <input type="text" class="setting-control scene-rule-subtypes" placeholder="Events, e.g. quantum_jump_start" value="${escape(subtypes.join(', '))}">
+                    <select class="setting-control scene-rule-role" title="Only when the identified player is">
+                        ${Object.entries(roles).map(([value, label]) => `<option value="${value}" ${(rule.playerRole || '') === value ? 'selected' : ''}>${label}</option>`).join('')}
+                    </select>
+                    <select class="setting-control scene-rule-action">
+                        ${Object.entries(SceneAutomation.ACTIONS).map(([value, action]) => `<option value="${value}" ${rule.action === value ? 'selected' : ''}>${action.label}</option>`).join('')}
+                    </select>
+                    <input type="text" class="setting-control scene-rule-scene" placeholder="Scene" value="${escape(rule.scene)}">
+                    <input type="text" class="setting-control scene-rule-target" value="${escape(target)}">
+                    <input type="number" class="setting-control scene-rule-duration" min="0" max="3600" title="Seconds before it's undone, 0 = no limit" value="${rule.duration || 0}">
+                    <input type="text" class="setting-control scene-rule-revert-on" placeholder="Until, e.g. quantum_jump_complete" value="${escape(revertOn.join(', '))}">
+                    <button class="btn btn-danger btn-sm scene-rule-remove" title="Remove rule">✕</button>
+                </div>
+            `;
+        }).join('');
+
+        list.querySelectorAll('.scene-rule').forEach(row => this.updateSceneRuleRow(row));
+    }
+
+    /**
+     * Only the fields the row's action uses are editable
+     */
+    updateSceneRuleRow(row) {
+        const target = SceneAutomation.ACTIONS[row.querySelector('.scene-rule-action').value].target;
+        const targetInput = row.querySelector('.scene-rule-target');
+
+        row.classList.toggle('disabled', !row.querySelector('.scene-rule-enabled').checked);
+        row.querySelector('.scene-rule-scene').disabled = target === 'input';
+        targetInput.disabled = target === 'scene';
+        targetInput.placeholder = target === 'input' ? 'Input' : target === 'source' ? 'Source' : '';
+    }
+
+    /**
+     * Rules as edited, keys the editor doesn't show (id, minSeverity) are kept
+     */
+    gatherSceneRules() {
+        const list = (value) => value.split(',').map(item => item.trim()).filter(Boolean);
+
+        return Array.from(document.querySelectorAll('#scene-automation-rules .scene-rule')).map(row => {
+            const action = row.querySelector('.scene-rule-action').value;
+            const target = SceneAutomation.ACTIONS[action].target;
+            const rule = {
+                ...this.sceneRules[parseInt(row.dataset.index)],
+                enabled: row.querySelector('.scene-rule-enabled').checked,
+                subtypes: list(row.querySelector('.scene-rule-subtypes').value),
+                action,
+                duration: parseInt(row.querySelector('.scene-rule-duration').value) || 0,
+                revertOn: list(row.querySelector('.scene-rule-revert-on').value)
+            };
+            delete rule.subtype;
+            delete rule.scene;
+            delete rule.source;
+            delete rule.input;
+            delete rule.playerRole;
+
+            if (target !== 'input') {
+                rule.scene = row.querySelector('.scene-rule-scene').value.trim();
+            }
+            if (target !== 'scene') {
+                rule[target] = row.querySelector('.scene-rule-target').value.trim();
+            }
+            if (row.querySelector('.scene-rule-role').value) {
+                rule.playerRole = row.querySelector('.scene-rule-role').value;
+            }
+            return rule;
+        });
     }
 
     populateCaptureSettings() {
@@ -685,7 +872,19 @@ class NewSettingsManager {
             hotkeys: {
                 startStop: document.getElementById('hotkey-start-stop').value || '',
                 split: document.getElementById('hotkey-split').value || '',
-                markEvent: document.getElementById('hotkey-mark-event').value || ''
+                markEvent: document.getElementById('hotkey-mark-event').value || '',
+                saveReplay: document.getElementById('hotkey-save-replay').value || '',
+                startStopStream: document.getElementById('hotkey-start-stop-stream').value || ''
+            },
+            streaming: {
+                // Hand-written marker rules and encoder in the config file are kept
+                ...(this.config?.settings?.streaming || {}),
+                server: document.getElementById('stream-server').value.trim(),
+                key: document.getElementById('stream-key').value.trim(),
+                bitrate: parseInt(document.getElementById('stream-bitrate-setting').value) || 6000,
+                maxHeight: parseInt(document.getElementById('stream-max-height').value) || 1080,
+                markers: document.getElementById('stream-markers-enabled').checked,
+                captions: document.getElementById('stream-captions-enabled').checked
             },
             recordingOptions: {
                 autoStartRecording: document.getElementById('auto-start-recording').checked,
@@ -693,7 +892,34 @@ class NewSettingsManager {
                 fileSplitDuration: parseInt(document.getElementById('file-split-duration').value) || 5,
                 maxStorageGB: parseInt(document.getElementById('max-storage-gb').value) || 50,
                 minFilesToKeep: parseInt(document.getElementById('min-files-to-keep').value) || 0,
-                maxFilesToKeep: parseInt(document.getElementById('max-files-to-keep').value) || 0
+                maxFilesToKeep: parseInt(document.getElementById('max-files-to-keep').value) || 0,
+                eventPreRollSeconds: parseInt(document.getElementById('event-pre-roll-seconds').value) || 0,
+                eventPreRollMode: document.getElementById('event-pre-roll-mode').value || 'negative',
+                replaySeconds: parseInt(document.getElementById('replay-seconds').value) || 60,
+                autoClip: {
+                    // Hand-written rules in the config file are kept
+                    ...(this.config?.settings?.recordingOptions?.autoClip || {}),
+                    enabled: document.getElementById('auto-clip-enabled').checked,
+                    before: parseInt(document.getElementById('auto-clip-before').value) || 0,
+                    after: parseInt(document.getElementById('auto-clip-after').value) || 0
+                },
+                replayBuffer: {
+                    // Hand-written trigger rules in the config file are kept
+                    ...(this.config?.settings?.recordingOptions?.replayBuffer || {}),
+                    enabled: document.getElementById('replay-buffer-enabled').checked,
+                    seconds: parseInt(document.getElementById('replay-buffer-seconds').value) || 60,
+                    autoSave: document.getElementById('replay-buffer-auto-save').checked
+                },
+                sceneAutomation: {
+                    enabled: document.getElementById('scene-automation-enabled').checked,
+                    rules: this.gatherSceneRules()
+                },
+                performanceWatchdog: {
+                    // Hand-written thresholds in the config file are kept
+                    ...(this.config?.settings?.recordingOptions?.performanceWatchdog || {}),
+                    enabled: document.getElementById('performance-watchdog-enabled').checked,
+                    autoApply: document.getElementById('performance-watchdog-auto-apply').checked
+                }
             }
         };
     }
@@ -886,6 +1112,11 @@ class NewSettingsManager {
             const result = await ipcRenderer.invoke('update-config', mergedSettings);
 
             if (result.success) {
+                // Take the encrypted key main stored in place of the typed one
+                const saved = await ipcRenderer.invoke('load-config');
+                this.config.settings.streaming = saved.settings.streaming;
+                this.showStreamKeyState(this.config.settings.streaming);
+
                 window.NotificationManager.success('General settings saved successfully');
                 this.hasChanges = false;
             } else {
@@ -8,6 +8,9 @@ class SharedVideoBrowser {
         this.onVideoSelected = options.onVideoSelected || null;
         this.onEventsSelected = options.onEventsSelected || null;
         this.currentFolder = 'recordings'; // Default to recordings folder
+        this.filter = { text: '', tag: '', ship: '', zone: '', player: '', kind: '', sort: 'modified' };
+        this.editingPath = null; // Item whose tags/notes form is open, library reloads wait for it
+        this.reloadTimer = null;
 
         // Create modal if it doesn't exist
         this.createModal();
@@ -42,6 +45,7 @@ class SharedVideoBrowser {
                 </div>
                 <div class="modal-body">
                     <div class="folder-tabs">
+                        <button class="folder-tab" data-folder="" id="${this.modalId}-all-tab">All</button>
                         <button class="folder-tab active" data-folder="recordings" id="${this.modalId}-recordings-tab">Recordings</button>
                         <button class="folder-tab" data-folder="saved" id="${this.modalId}-saved-tab">Saved</button>
                         <button class="folder-tab" data-folder="edited" id="${this.modalId}-edited-tab">Edited</button>
@@ -50,6 +54,21 @@ class SharedVideoBrowser {
                         <button id="${this.modalId}-refresh" class="btn btn-sm">🔄 Refresh</button>
                         <span class="browser-path" id="${this.modalId}-path">--</span>
                     </div>
+                    <div class="library-filters">
+                        <input type="text" class="library-search" id="${this.modalId}-search" placeholder="Search name, player, ship, zone, tag, notes...">
+                        <select data-filter="tag" id="${this.modalId}-tag"><option value="">All tags</option></select>
+                        <select data-filter="ship" id="${this.modalId}-ship"><option value="">All ships</option></select>
+                        <select data-filter="zone" id="${this.modalId}-zone"><option value="">All zones</option></select>
+                        <select data-filter="player" id="${this.modalId}-player"><option value="">All players</option></select>
+                        <select data-filter="kind" id="${this.modalId}-kind"><option value="">All types</option></select>
+                        <select data-filter="sort" id="${this.modalId}-sort">
+                            <option value="modified">Newest</option>
+                            <option value="rating">Rating</option>
+                            <option value="duration">Longest</option>
+                            <option value="events">Most events</option>
+                        </select>
+                        <span class="library-count" id="${this.modalId}-count"></span>
+                    </div>
                     <div class="video-list" id="${this.modalId}-list">
                         <!-- Video items will be populated here -->
                     </div>
@@ -93,7 +112,7 @@ class SharedVideoBrowser {
             // Refresh button
             const refreshBtn = document.getElementById(`${this.modalId}-refresh`);
             if (refreshBtn) {
-                refreshBtn.addEventListener('click', () => this.loadVideoList());
+                refreshBtn.addEventListener('click', () => this.refreshLibrary());
             } else {
                 console.warn(`[SharedVideoBrowser] Refresh button not found for ${this.modalId}`);
             }
@@ -115,6 +134,27 @@ class SharedVideoBrowser {
                     });
                 });
 
+                // Search box, reloads once typing pauses
+                const searchInput = document.getElementById(`${this.modalId}-search`);
+                if (searchInput) {
+                    let searchTimer = null;
+                    searchInput.addEventListener('input', () => {
+                        clearTimeout(searchTimer);
+                        searchTimer = setTimeout(() => {
+                            this.filter.text = searchInput.value.trim();
+                            this.loadVideoList();
+                        }, 300);
+                    });
+                }
+
+                // Facet and sort selects
+                modal.querySelectorAll('.library-filters select').forEach(select => {
+                    select.addEventListener('change', () => {
+                        this.filter[select.dataset.filter] = select.value;
+                        this.loadVideoList();
+                    });
+                });
+
                 // Click outside to close
                 modal.addEventListener('click', (e) => {
                     if (e.target === modal) {
@@ -122,10 +162,26 @@ class SharedVideoBrowser {
                     }
                 });
             }
+
+            // The library watcher reports new, changed and removed files
+            ipcRenderer.on('library-changed', () => this.scheduleReload());
         } catch (error) {
             console.error('Error setting up SharedVideoBrowser event listeners:', error);
         }
     }
+
+    /**
+     * Reload the list after library changes, only while the modal is open
+     */
+    scheduleReload() {
+        clearTimeout(this.reloadTimer);
+        this.reloadTimer = setTimeout(() => {
+            const modal = document.getElementById(this.modalId);
+            if (modal && modal.style.display !== 'none' && !this.editingPath) {
+                this.loadVideoList();
+            }
+        }, 500);
+    }
     
     /**
      * Show the browser modal
@@ -151,17 +207,76 @@ class SharedVideoBrowser {
     }
     
     /**
-     * Load list of videos from recording directory
+     * Load list of videos from the recording library
      */
     async loadVideoList() {
         try {
-            const recordings = await ipcRenderer.invoke('get-recordings-list', this.currentFolder);
-            this.displayVideoList(recordings);
+            const result = await ipcRenderer.invoke('library-query', {
+                folder: this.currentFolder,
+                text: this.filter.text,
+                tags: this.filter.tag ? [this.filter.tag] : [],
+                ship: this.filter.ship,
+                zone: this.filter.zone,
+                player: this.filter.player,
+                kind: this.filter.kind,
+                sort: this.filter.sort
+            });
+            if (!result.success) {
+                throw new Error(result.error);
+            }
+
+            this.updateFacets(result.facets);
+            this.displayVideoList(result.entries);
+
+            const countEl = document.getElementById(`${this.modalId}-count`);
+            if (countEl) {
+                countEl.textContent = `${result.total} video${result.total === 1 ? '' : 's'}`;
+            }
         } catch (error) {
             console.error('Failed to load video list:', error);
             this.displayVideoList([]);
         }
     }
+
+    /**
+     * Rescan the recording folders, then reload
+     */
+    async refreshLibrary() {
+        try {
+            await ipcRenderer.invoke('library-refresh');
+        } catch (error) {
+            console.error('Failed to refresh library:', error);
+        }
+        await this.loadVideoList();
+    }
+
+    /**
+     * Fill the facet selects from the current results, keeping the selection
+     */
+    updateFacets(facets = {}) {
+        const facetSelects = {
+            tag: { values: facets.tags, label: 'All tags' },
+            ship: { values: facets.ships, label: 'All ships' },
+            zone: { values: facets.zones, label: 'All zones' },
+            player: { values: facets.players, label: 'All players' },
+            kind: { values: facets.kinds, label: 'All types' }
+        };
+
+        for (const [key, { values, label }] of Object.entries(facetSelects)) {
+            const select = document.getElementById(`${this.modalId}-${key}`);
+            if (!select) continue;
+
+            const selected = this.filter[key];
+            const counts = { ...(values || {}) };
+            if (selected && !counts[selected]) counts[selected] = 0;
+
+            select.innerHTML = `<option value="">${label}</option>` + Object.keys(counts)
+                .sort((a, b) => counts[b] - counts[a] || a.localeCompare(b))
+                .map(value => `<option value="${this.escapeHtml(value)}">${this.escapeHtml(value)} (${counts[value]})</option>`)
+                .join('');
+            select.value = selected;
+        }
+    }
     
     /**
      * Display video list in browser
@@ -195,18 +310,35 @@ class SharedVideoBrowser {
             
             const date = new Date(video.modified);
             const dateStr = date.toLocaleDateString() + ' ' + date.toLocaleTimeString();
+            const ships = video.ships || [];
+            const tags = video.tags || [];
             
             videoItem.innerHTML = `
                 <div class="video-info">
-                    <div class="video-name">${video.name}</div>
+                    <div class="video-name">
+                        ${this.escapeHtml(video.name)}
+                        ${video.kind && video.kind !== 'recording' ? `<span class="video-kind">${video.kind}</span>` : ''}
+                        ${video.rating > 0 ? `<span class="video-rating">${'★'.repeat(video.rating)}${'☆'.repeat(5 - video.rating)}</span>` : ''}
+                    </div>
                     <div class="video-details">
                         <span class="video-date">📅 ${dateStr}</span>
                         <span class="video-size">💾 ${this.formatFileSize(video.size)}</span>
+                        ${video.duration ? `<span class="video-duration">⏱️ ${this.formatDuration(video.duration)}</span>` : ''}
+                        ${video.resolution ? `<span class="video-resolution">🖥️ ${video.resolution}</span>` : ''}
                         ${video.eventCount > 0 ? `<span class="video-events">📊 ${video.eventCount} events</span>` : ''}
                     </div>
+                    ${video.player || ships.length > 0 ? `
+                        <div class="video-details">
+                            ${video.player ? `<span>👤 ${this.escapeHtml(video.player)}</span>` : ''}
+                            ${ships.length > 0 ? `<span>🚀 ${this.escapeHtml(ships.slice(0, 3).join(', '))}${ships.length > 3 ? ` +${ships.length - 3}` : ''}</span>` : ''}
+                        </div>
+                    ` : ''}
+                    ${tags.length > 0 ? `<div class="video-tags">${tags.map(tag => `<span class="video-tag">${this.escapeHtml(tag)}</span>`).join('')}</div>` : ''}
+                    ${video.notes ? `<div class="video-notes">${this.escapeHtml(video.notes)}</div>` : ''}
                 </div>
                 <div class="video-actions">
-                    <button class="btn btn-sm btn-primary load-btn" data-path="${video.path}">Load</button>
+                    <button class="btn btn-sm edit-btn" title="Tags, rating and notes">🏷️</button>
+                    <button class="btn btn-sm btn-primary load-btn">Load</button>
                 </div>
             `;
             
@@ -217,11 +349,67 @@ class SharedVideoBrowser {
                     this.selectVideo(video);
                 });
             }
+
+            const editBtn = videoItem.querySelector('.edit-btn');
+            if (editBtn) {
+                editBtn.addEventListener('click', () => {
+                    this.showEditForm(videoItem, video);
+                });
+            }
             
             videoListEl.appendChild(videoItem);
         });
     }
     
+    /**
+     * Inline form for a video's tags, rating and notes
+     */
+    showEditForm(videoItem, video) {
+        if (videoItem.querySelector('.video-edit-form')) return;
+        this.editingPath = video.path;
+
+        const form = document.createElement('div');
+        form.className = 'video-edit-form';
+        form.innerHTML = `
+            <input type="text" class="edit-tags" placeholder="Tags, comma separated" value="${this.escapeHtml((video.tags || []).join(', '))}">
+            <select class="edit-rating">
+                ${[0, 1, 2, 3, 4, 5].map(value => `<option value="${value}" ${value === (video.rating || 0) ? 'selected' : ''}>${value === 0 ? 'No rating' : '★'.repeat(value)}</option>`).join('')}
+            </select>
+            <textarea class="edit-notes" rows="2" placeholder="Notes">${this.escapeHtml(video.notes || '')}</textarea>
+            <div class="video-edit-actions">
+                <button class="btn btn-sm cancel-edit-btn">Cancel</button>
+                <button class="btn btn-sm btn-primary save-edit-btn">Save</button>
+            </div>
+        `;
+        // Clicks inside the form must not reach the item
+        form.addEventListener('click', (e) => e.stopPropagation());
+
+        form.querySelector('.cancel-edit-btn').addEventListener('click', () => {
+            form.remove();
+            this.editingPath = null;
+        });
+
+        form.querySelector('.save-edit-btn').addEventListener('click', async () => {
+            const result = await ipcRenderer.invoke('library-set-user-data', video.path, {
+                tags: form.querySelector('.edit-tags').value.split(','),
+                rating: Number(form.querySelector('.edit-rating').value),
+                notes: form.querySelector('.edit-notes').value.trim()
+            });
+
+            if (!result.success) {
+                console.error('Failed to save video tags:', result.error);
+                return;
+            }
+
+            this.editingPath = null;
+            await this.loadVideoList();
+        });
+
+        videoItem.classList.add('editing');
+        videoItem.querySelector('.video-info').appendChild(form);
+        form.querySelector('.edit-tags').focus();
+    }
+
     /**
      * Handle video selection
      */
@@ -255,6 +443,24 @@ class SharedVideoBrowser {
         const i = Math.floor(Math.log(bytes) / Math.log(k));
         return Math.round(bytes / Math.pow(k, i) * 100) / 100 + ' ' + sizes[i];
     }
+
+    /**
+     * Format duration as h:mm:ss or m:ss
+     */
+    formatDuration(seconds) {
+        const hours = Math.floor(seconds / 3600);
+        const minutes = Math.floor((seconds % 3600) / 60);
+        const secs = Math.floor(seconds % 60).toString().padStart(2, '0');
+        return hours > 0 ? `${hours}:${minutes.toString().padStart(2, '0')}:${secs}` : `${minutes}:${secs}`;
+    }
+
+    escapeHtml(text) {
+        return String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
 }
 
 // Export for use in other modules
@@ -0,0 +1,80 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const AutoClipper = require('../lib/auto-clipper');
+
+function event(id, subtype, videoOffset, severity = 'high') {
+    return { id, subtype, videoOffset, severity };
+}
+
+test('default rules clip high severity kills and ship kills', () => {
+    const clipper = new AutoClipper();
+    const clips = clipper.planClips([
+        event('a', 'player_kill', 100),
+        event('b', 'player_kill', 300, 'medium'),
+        event('c', 'quantum_jump_start', 400),
+        event('d', 'vehicle_destroyed', 500)
+    ]);
+
+    assert.deepStrictEqual(clips.map(clip => [clip.start, clip.end, clip.rules]), [
+        [80, 110, ['player_kill']],
+        [480, 510, ['vehicle_destroyed']]
+    ]);
+});
+
+test('overlapping windows merge into one clip with every trigger and rule', () => {
+    const clipper = new AutoClipper();
+    const kill = event('a', 'player_kill', 100);
+    const shipKill = event('b', 'vehicle_destroyed', 125);
+    const clips = clipper.planClips([kill, shipKill]);
+
+    assert.strictEqual(clips.length, 1);
+    assert.deepStrictEqual([clips[0].start, clips[0].end], [80, 135]);
+    assert.deepStrictEqual(clips[0].triggers, [kill, shipKill]);
+    assert.deepStrictEqual(clips[0].rules, ['player_kill', 'vehicle_destroyed']);
+});
+
+test('windows within the merge gap are joined, further ones are not', () => {
+    const clipper = new AutoClipper({ mergeGap: 15 });
+    const clips = clipper.planClips([
+        event('a', 'player_kill', 100),
+        event('b', 'player_kill', 140),
+        event('c', 'player_kill', 200)
+    ]);
+
+    assert.deepStrictEqual(clips.map(clip => [clip.start, clip.end]), [[80, 150], [180, 210]]);
+});
+
+test('rule windows override the clipper window and clips stay inside the video', () => {
+    const clipper = new AutoClipper({
+        rules: [{ subtype: 'player_kill', before: 5, after: 30 }]
+    });
+    const clips = clipper.planClips([
+        event('a', 'player_kill', 2, 'low'),
+        event('b', 'player_kill', 90, 'low')
+    ], 100);
+
+    assert.deepStrictEqual(clips.map(clip => [clip.start, clip.end, clip.rules]), [
+        [0, 32, ['rule_1']],
+        [85, 100, ['rule_1']]
+    ]);
+});
+
+test('pre-roll events with negative offsets never trigger a clip', () => {
+    const clipper = new AutoClipper();
+    assert.deepStrictEqual(clipper.planClips([event('a', 'player_kill', -5)]), []);
+});
+
+test('clip events are rebased onto the clip', () => {
+    const clipper = new AutoClipper();
+    const trigger = event('a', 'player_kill', 100);
+    const data = clipper.buildClipData({
+        metadata: { recordingStartTime: '2025-01-10T18:00:00.000Z' },
+        events: [event('x', 'zone_entered', 50), trigger, event('y', 'seat_exited', 105)]
+    }, { start: 80, end: 110, rules: ['player_kill'], triggers: [trigger] }, '/videos/session.mkv', null);
+
+    assert.deepStrictEqual(data.events.map(item => [item.id, item.videoOffset]), [['a', 20], ['y', 25]]);
+    assert.strictEqual(data.metadata.recordingStartTime, '2025-01-10T18:01:20.000Z');
+    assert.deepStrictEqual(data.metadata.clip, {
+        source: 'session.mkv', start: 80, end: 110, rules: ['player_kill'], triggers: ['a']
+    });
+});
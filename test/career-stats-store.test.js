@@ -0,0 +1,103 @@
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const CareerStatsStore = require('../lib/career-stats-store');
+
+const PLAYER = { name: 'PilotOne', id: '200146295288' };
+
+let baseDir;
+let store;
+
+beforeEach(() => {
+    baseDir = fs.mkdtempSync(path.join(os.tmpdir(), 'sc-career-'));
+    store = new CareerStatsStore({ storeDir: path.join(baseDir, 'career') });
+});
+
+afterEach(() => {
+    fs.rmSync(baseDir, { recursive: true, force: true });
+});
+
+// A video with its events JSON in one of the recording folders
+function writeRecording(folder, name, events, metadata = {}) {
+    const folderPath = path.join(baseDir, folder);
+    fs.mkdirSync(folderPath, { recursive: true });
+    fs.writeFileSync(path.join(folderPath, `${name}.mkv`), '');
+    const jsonPath = path.join(folderPath, `${name}.json`);
+    fs.writeFileSync(jsonPath, JSON.stringify({
+        metadata: { player: PLAYER, gameInstance: 'LIVE', recordingStartTime: '2025-01-10T18:00:00.000Z', ...metadata },
+        events
+    }));
+    return jsonPath;
+}
+
+function kill(offset, killer, victim, extra = {}) {
+    return {
+        id: `kill-${offset}`,
+        type: 'combat',
+        subtype: 'player_kill',
+        message: `${killer} killed ${victim}`,
+        videoOffset: offset,
+        data: { killer, victim, weapon: 'behr rifle ballistic 02', zone: 'OOC_Stanton_1_Hurston', ...extra }
+    };
+}
+
+test('sync indexes recordings and skips clips and JSON without a video', async () => {
+    writeRecording('recordings', 'session-1', [kill(10, 'PilotOne', 'Pirate'), kill(20, 'Pirate Ace', 'PilotOne')]);
+    writeRecording('saved', 'clip-1', [kill(10, 'PilotOne', 'Pirate')], { clip: { source: 'session-1.mkv' } });
+    fs.writeFileSync(path.join(baseDir, 'recordings', 'orphan.json'), '{"events": []}');
+
+    const result = await store.sync(baseDir);
+
+    assert.deepStrictEqual(result, { added: 2, updated: 0, removed: 0, recordings: 2 });
+    const summary = await store.getSummary();
+    assert.strictEqual(summary.events, 2);
+    assert.deepStrictEqual(summary.players, ['PilotOne']);
+    assert.deepStrictEqual(summary.instances, ['LIVE']);
+});
+
+test('queries filter by role, system and text', async () => {
+    writeRecording('recordings', 'session-1', [
+        kill(10, 'PilotOne', 'Pirate Sniper'),
+        kill(20, 'PilotOne', 'Pirate Gunner', { weapon: 'klwe laser' }),
+        kill(30, 'Pirate Ace', 'PilotOne'),
+        { type: 'vehicle', subtype: 'seat_entered', message: 'Entered Cutlass Black', videoOffset: 5, data: { vehicle: 'Cutlass Black' } }
+    ]);
+    await store.sync(baseDir);
+
+    const kills = await store.query({ role: 'kill' });
+    assert.strictEqual(kills.total, 2);
+    assert.strictEqual((await store.query({ role: 'death', system: 'stanton' })).total, 1);
+    assert.strictEqual((await store.query({ text: 'pirate gunner' })).total, 1);
+    assert.deepStrictEqual(await store.top('weapon', { role: 'kill' }), [
+        { value: 'behr rifle ballistic 02', count: 1 },
+        { value: 'klwe laser', count: 1 }
+    ]);
+
+    const flown = await store.recordings({ text: 'cutlass' });
+    assert.strictEqual(flown.length, 1);
+    assert.strictEqual(flown[0].video, path.join(baseDir, 'recordings', 'session-1.mkv'));
+    assert.strictEqual(flown[0].firstOffset, 5);
+});
+
+test('changed and deleted recordings drop their old lines', async () => {
+    const jsonPath = writeRecording('recordings', 'session-1', [kill(10, 'PilotOne', 'Pirate')]);
+    writeRecording('recordings', 'session-2', [kill(10, 'PilotOne', 'Pirate')]);
+    await store.sync(baseDir);
+
+    fs.writeFileSync(jsonPath, JSON.stringify({
+        metadata: { player: PLAYER },
+        events: [kill(10, 'PilotOne', 'Pirate'), kill(40, 'PilotOne', 'Pirate Boss')]
+    }));
+    fs.utimesSync(jsonPath, new Date(), new Date(Date.now() + 5000));
+    fs.rmSync(path.join(baseDir, 'recordings', 'session-2.json'));
+
+    const result = await store.sync(baseDir);
+    assert.deepStrictEqual(result, { added: 0, updated: 1, removed: 1, recordings: 1 });
+    assert.strictEqual((await store.query({ role: 'kill' })).total, 2);
+
+    await store.compact();
+    const lines = fs.readFileSync(store.eventsPath, 'utf8').trim().split('\n');
+    assert.strictEqual(lines.length, 2);
+});
@@ -0,0 +1,119 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const EventCaptureManager = require('../lib/event-capture-manager');
+
+const SKEW = 5000; // Our clock runs this far ahead of the game log
+
+let tempDir;
+
+before(() => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'sc-event-capture-'));
+});
+
+after(() => {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+});
+
+function logEvent(logTime, subtype = 'vehicle_destroyed') {
+    return { type: 'combat', subtype, severity: 'high', logTimestamp: new Date(logTime).toISOString() };
+}
+
+function arrivalEvent(subtype = 'vehicle_destroyed') {
+    return { type: 'combat', subtype, severity: 'high' };
+}
+
+test('pre-roll events keep the skew they were captured with', () => {
+    const capture = new EventCaptureManager();
+    const start = Date.now();
+
+    capture.addEvent(logEvent(start - 10000 - SKEW, 'player_kill'), start - 10000);
+    capture.addEvent(logEvent(start - 29000 - SKEW, 'quantum_jump_start'), start - 29000);
+    capture.addEvent(logEvent(start - 31000 - SKEW, 'player_death'), start - 31000);
+    capture.startRecording(null, start);
+
+    const backfilled = capture.events.filter(event => event.backfilled);
+    assert.deepStrictEqual(backfilled.map(event => [event.subtype, event.videoOffset]), [
+        ['player_kill', -10],
+        ['quantum_jump_start', -29]
+    ]);
+    assert.ok(backfilled.every(event => event.preRoll));
+    assert.strictEqual(capture.clockSkewSamples.length, 0);
+});
+
+test('clamp mode pins pre-roll events to the start of the video', () => {
+    const capture = new EventCaptureManager();
+    capture.configure({ preRollSeconds: 15, preRollMode: 'clamp' });
+    const start = Date.now();
+
+    capture.addEvent(arrivalEvent(), start - 4000);
+    capture.addEvent(arrivalEvent('player_kill'), start - 20000);
+    capture.startRecording(null, start);
+
+    const backfilled = capture.events.filter(event => event.backfilled);
+    assert.strictEqual(backfilled.length, 1);
+    assert.strictEqual(backfilled[0].videoOffset, 0);
+    assert.strictEqual(backfilled[0].offsetClamped, true);
+    assert.strictEqual(backfilled[0].originalVideoOffset, -4);
+});
+
+test('no events are backfilled without a pre-roll window', () => {
+    const capture = new EventCaptureManager();
+    capture.configure({ preRollSeconds: 0 });
+    const start = Date.now();
+
+    capture.addEvent(arrivalEvent(), start - 1000);
+    capture.startRecording(null, start);
+
+    assert.deepStrictEqual(capture.events.map(event => event.subtype), ['recording_start']);
+});
+
+test('events just after a split are copied into the previous segment', async () => {
+    const capture = new EventCaptureManager();
+    const firstPath = path.join(tempDir, 'segment-1.mkv');
+    const secondPath = path.join(tempDir, 'segment-2.mkv');
+    const firstStart = Date.now() - 60000;
+
+    capture.startRecording(firstPath, firstStart);
+    const killTime = Date.now() - 5000;
+    capture.addEvent(arrivalEvent('player_kill'), killTime);
+    await capture.stopRecording();
+    const { stopTime } = capture.lastSegment;
+
+    capture.startRecording(secondPath, stopTime, { split: true });
+    capture.addEvent(arrivalEvent(), stopTime + 2000);
+    capture.addEvent(arrivalEvent('quantum_jump_start'), stopTime + 40000);
+
+    // The kill late in the first segment is pre-roll for the second
+    const backfilled = capture.events.find(event => event.backfilled);
+    assert.strictEqual(backfilled.subtype, 'player_kill');
+    assert.strictEqual(backfilled.videoOffset, (killTime - stopTime) / 1000);
+
+    assert.strictEqual(await capture.flushPreviousSegment(), 1);
+    const saved = JSON.parse(fs.readFileSync(path.join(tempDir, 'segment-1.json'), 'utf8'));
+    const copies = saved.events.filter(event => event.boundaryCopy === 'next-segment');
+    assert.deepStrictEqual(copies.map(event => event.subtype), ['vehicle_destroyed']);
+    assert.strictEqual(copies[0].videoOffset, (stopTime + 2000 - firstStart) / 1000);
+    assert.strictEqual(saved.metadata.boundaryEvents, 1);
+});
+
+test('boundary copies past the end of a clamped segment are pinned to its duration', async () => {
+    const capture = new EventCaptureManager();
+    capture.configure({ preRollMode: 'clamp' });
+    const segmentPath = path.join(tempDir, 'segment-clamp.mkv');
+
+    capture.startRecording(segmentPath, Date.now() - 10000);
+    await capture.stopRecording();
+    const { stopTime, duration } = capture.lastSegment;
+
+    capture.startRecording(path.join(tempDir, 'segment-clamp-2.mkv'), stopTime, { split: true });
+    capture.addEvent(arrivalEvent(), stopTime + 3000);
+    await capture.flushPreviousSegment();
+
+    const saved = JSON.parse(fs.readFileSync(path.join(tempDir, 'segment-clamp.json'), 'utf8'));
+    const copy = saved.events.find(event => event.boundaryCopy === 'next-segment');
+    assert.strictEqual(copy.videoOffset, duration);
+    assert.strictEqual(copy.offsetClamped, true);
+});
@@ -0,0 +1,117 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const EventCaptureManager = require('../lib/event-capture-manager');
+
+const SKEW = 5000; // Our clock runs this far ahead of the game log
+
+let tempDir;
+
+before(() => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'sc-replay-buffer-'));
+});
+
+after(() => {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+});
+
+function arrivalEvent(subtype = 'vehicle_destroyed') {
+    return { type: 'combat', subtype, severity: 'high', message: subtype };
+}
+
+test('events are only remembered while a replay window is set', () => {
+    const capture = new EventCaptureManager();
+    const now = Date.now();
+
+    capture.addEvent(arrivalEvent(), now);
+    assert.strictEqual(capture.replayHistory.length, 0);
+
+    capture.configure({ replayWindowSeconds: 60 });
+    capture.addEvent(arrivalEvent(), now);
+    capture.addEvent({ type: 'system', subtype: 'recording_split' }, now);
+    assert.deepStrictEqual(capture.replayHistory.map(entry => entry.event.subtype), ['vehicle_destroyed']);
+
+    capture.configure({ replayWindowSeconds: 0 });
+    assert.strictEqual(capture.replayHistory.length, 0);
+});
+
+test('history older than the window and a little slack is dropped', () => {
+    const capture = new EventCaptureManager();
+    capture.configure({ replayWindowSeconds: 30 });
+    const now = Date.now();
+
+    capture.addEvent(arrivalEvent('player_death'), now - 45000);
+    capture.addEvent(arrivalEvent('player_kill'), now - 35000);
+    capture.addEvent(arrivalEvent('vehicle_destroyed'), now);
+
+    assert.deepStrictEqual(capture.replayHistory.map(entry => entry.event.subtype), ['player_kill', 'vehicle_destroyed']);
+});
+
+test('events are remembered while recording as well', () => {
+    const capture = new EventCaptureManager();
+    capture.configure({ replayWindowSeconds: 60 });
+    const start = Date.now();
+
+    capture.startRecording(null, start);
+    capture.addEvent(arrivalEvent('player_kill'), start + 1000);
+
+    assert.deepStrictEqual(capture.replayHistory.map(entry => entry.event.subtype), ['player_kill']);
+    assert.ok(capture.events.some(event => event.subtype === 'player_kill'));
+});
+
+test('a saved replay gets the events of its window rebased to the replay start', async () => {
+    const capture = new EventCaptureManager();
+    capture.configure({ replayWindowSeconds: 60 });
+    capture.setGameInstance('LIVE');
+    const savedAt = Date.now();
+
+    capture.addEvent(arrivalEvent('quantum_jump_start'), savedAt - 65000);
+    capture.addEvent({ ...arrivalEvent('player_kill'), logTimestamp: new Date(savedAt - 30000 - SKEW).toISOString() }, savedAt - 30000);
+    capture.addEvent(arrivalEvent('vehicle_destroyed'), savedAt - 5000);
+    capture.addEvent(arrivalEvent('player_death'), savedAt + 1000);
+
+    const videoPath = path.join(tempDir, 'Replay 2025-01-10.mkv');
+    const result = await capture.saveReplayEvents(videoPath, { savedAt });
+
+    assert.strictEqual(result.success, true);
+    assert.strictEqual(result.path, path.join(tempDir, 'Replay 2025-01-10.json'));
+    assert.strictEqual(result.duration, 60);
+
+    // The kill also opens a combat encounter, derived on save
+    const saved = JSON.parse(fs.readFileSync(result.path, 'utf8'));
+    assert.strictEqual(result.eventCount, saved.events.length);
+    assert.deepStrictEqual(saved.events.map(event => [event.subtype, event.videoOffset, event.videoTimecode]), [
+        ['player_kill', 30, '00:00:30.000'],
+        ['combat_encounter', 30, '00:00:30.000'],
+        ['vehicle_destroyed', 55, '00:00:55.000']
+    ]);
+    assert.strictEqual(saved.metadata.gameInstance, 'LIVE');
+    assert.strictEqual(saved.metadata.recordingStartTimecode, savedAt - 60000);
+    assert.strictEqual(saved.metadata.timing.offsetSource, 'replay-buffer');
+    assert.deepStrictEqual(saved.metadata.replayBuffer, { seconds: 60, savedAt: new Date(savedAt).toISOString() });
+
+    // History entries are copied, the saved ids don't collide with the live ones
+    const liveIds = capture.replayHistory.map(entry => entry.event.id);
+    assert.ok(saved.events.every(event => !liveIds.includes(event.id)));
+    assert.ok(capture.replayHistory.every(entry => entry.event.videoOffset === 0));
+});
+
+test('a buffer started recently shortens the replay window', async () => {
+    const capture = new EventCaptureManager();
+    capture.configure({ replayWindowSeconds: 60 });
+    const savedAt = Date.now();
+
+    capture.addEvent(arrivalEvent('player_kill'), savedAt - 50000);
+    capture.addEvent(arrivalEvent('vehicle_destroyed'), savedAt - 30000);
+
+    const result = await capture.saveReplayEvents(path.join(tempDir, 'Replay short.mkv'), {
+        savedAt,
+        bufferStartedAt: savedAt - 40000
+    });
+
+    assert.strictEqual(result.duration, 40);
+    const saved = JSON.parse(fs.readFileSync(result.path, 'utf8'));
+    assert.deepStrictEqual(saved.events.map(event => [event.subtype, event.videoOffset]), [['vehicle_destroyed', 10]]);
+});
@@ -0,0 +1,39 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const EventCaptureManager = require('../lib/event-capture-manager');
+
+const LOG_TIME = Date.parse('2025-01-10T18:22:31.123Z');
+
+function logEvent(logTime, extra = {}) {
+    return { type: 'combat', subtype: 'player_kill', logTimestamp: new Date(logTime).toISOString(), ...extra };
+}
+
+test('replayed events keep their arrival time and leave the skew calibration alone', () => {
+    const capture = new EventCaptureManager();
+    const start = Date.now();
+    capture.startRecording(null, start);
+
+    capture.addEvent(logEvent(start - 200), start);
+    const replayed = capture.addEvent(logEvent(LOG_TIME), start + 5000, { replayed: true });
+
+    assert.strictEqual(capture.getClockSkew(), 200);
+    assert.strictEqual(replayed.offsetSource, 'arrival-time');
+    assert.strictEqual(replayed.videoOffset, 5);
+    assert.strictEqual(replayed.logTimestamp, new Date(LOG_TIME).toISOString());
+});
+
+test('each recording calibrates its own skew', async () => {
+    const capture = new EventCaptureManager();
+    const start = Date.now();
+    capture.startRecording(null, start);
+    capture.addEvent(logEvent(start - 3600 * 1000), start);
+    assert.strictEqual(capture.getClockSkew(), 3600 * 1000);
+    await capture.stopRecording();
+
+    capture.startRecording(null, start + 10000);
+    assert.strictEqual(capture.clockSkewSamples.length, 0);
+
+    const event = capture.addEvent(logEvent(start + 11000), start + 11250);
+    assert.strictEqual(capture.getClockSkew(), 250);
+    assert.strictEqual(event.videoOffset, 1.25);
+});
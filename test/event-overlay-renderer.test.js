@@ -0,0 +1,113 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const EventOverlayRenderer = require('../lib/event-overlay-renderer');
+
+function kill(videoOffset, message) {
+    return { type: 'combat', subtype: 'player_kill', message, videoOffset };
+}
+
+function zone(videoOffset, message) {
+    return { type: 'location', subtype: 'zone_entered', message, videoOffset };
+}
+
+const spans = (overlays) => overlays.map(overlay => [overlay.text, overlay.start, overlay.end, overlay.line]);
+
+test('configure merges layers over the defaults and rejects bad values', () => {
+    const renderer = new EventOverlayRenderer({
+        killfeed: { position: 'middle', fontSize: 'big', maxLines: 0 },
+        timer: { enabled: true }
+    });
+
+    assert.strictEqual(renderer.options.killfeed.position, 'top-right');
+    assert.strictEqual(renderer.options.killfeed.fontSize, 30);
+    assert.strictEqual(renderer.options.killfeed.maxLines, 5);
+    assert.strictEqual(renderer.options.killfeed.duration, 5);
+    assert.strictEqual(renderer.options.timer.enabled, true);
+    assert.strictEqual(EventOverlayRenderer.DEFAULT_OPTIONS.timer.enabled, false);
+});
+
+test('killfeed pushes older kills down and drops them past maxLines', () => {
+    const renderer = new EventOverlayRenderer({ killfeed: { maxLines: 2 }, lowerThird: { enabled: false } });
+    const overlays = renderer.buildOverlays([kill(1, 'A'), kill(2, 'B'), kill(3, 'C')], { start: 0, end: 7.5 });
+
+    assert.deepStrictEqual(spans(overlays), [
+        ['A', 1, 2, 0],
+        ['A', 2, 3, 1],
+        ['B', 2, 3, 0],
+        ['B', 3, 7, 1],
+        ['C', 3, 7.5, 0]
+    ]);
+});
+
+test('a new lower third replaces the previous one and times are relative to the range', () => {
+    const renderer = new EventOverlayRenderer({ killfeed: { enabled: false } });
+    const events = [
+        zone(5, 'Outside range'),
+        zone(12, 'Hurston'),
+        zone(14, 'Lorville'),
+        { subtype: 'zone_entered', videoOffset: 15 },
+        zone(40, 'Past the end')
+    ];
+
+    assert.deepStrictEqual(spans(renderer.buildOverlays(events, { start: 10, end: 30 })), [
+        ['Hurston', 2, 4, 0],
+        ['Lorville', 4, 8, 0]
+    ]);
+});
+
+test('the timer covers the range and counts from the recording start', () => {
+    const renderer = new EventOverlayRenderer({ killfeed: { enabled: false }, lowerThird: { enabled: false }, timer: { enabled: true } });
+    const [timer] = renderer.buildOverlays([], { start: 65, end: 95 });
+
+    assert.strictEqual(timer.layer, 'timer');
+    assert.strictEqual(timer.start, 0);
+    assert.strictEqual(timer.end, 30);
+    assert.strictEqual(timer.timerOffset, 65);
+    assert.strictEqual(renderer.formatTimer(3725.9), '01:02:05');
+});
+
+test('active overlays use a half-open window', () => {
+    const renderer = new EventOverlayRenderer();
+    const overlays = renderer.buildOverlays([kill(1, 'A'), kill(2, 'B')], { start: 0, end: 10 });
+
+    assert.deepStrictEqual(renderer.getActiveOverlays(overlays, 2).map(overlay => [overlay.text, overlay.line]), [
+        ['A', 1],
+        ['B', 0]
+    ]);
+});
+
+test('drawtext filters scale to the output and read captions from files', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'sc-overlay-'));
+    try {
+        const renderer = new EventOverlayRenderer({ font: 'C:\\Windows\\Fonts\\arial.ttf', timer: { enabled: true } });
+        const overlays = renderer.buildOverlays([kill(1, "Pilot's kill"), kill(2, "Pilot's kill"), zone(3, 'Lorville')], { start: 0, end: 10 });
+
+        await renderer.writeTextFiles(overlays, dir);
+        assert.deepStrictEqual(fs.readdirSync(dir).sort(), ['overlay_1.txt', 'overlay_2.txt']);
+        assert.strictEqual(fs.readFileSync(overlays[0].textFile, 'utf8'), "Pilot's kill");
+
+        const filters = renderer.buildDrawtextFilters(overlays, 720);
+        const killLine = filters[1];
+        assert.ok(killLine.startsWith("drawtext=fontfile='C\\:/Windows/Fonts/arial.ttf':textfile='"));
+        assert.ok(killLine.includes(':fontsize=20:fontcolor=white'));
+        assert.ok(killLine.includes(`:x=w-tw-27:y=${27 + 32}:`));
+        assert.ok(killLine.endsWith(":enable='gte(t,2.000)*lt(t,6.000)'"));
+
+        const lowerThird = filters.find(filter => filter.includes('fontsize=29'));
+        assert.ok(lowerThird.includes(':x=27:y=h-th-27:'));
+
+        const timer = filters[filters.length - 1];
+        assert.ok(timer.includes("text='%{pts\\:hms\\:0.000}'"));
+    } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+});
+
+test('filter paths escape drive colons and quotes', () => {
+    const renderer = new EventOverlayRenderer();
+
+    assert.strictEqual(renderer.escapeFilterPath("C:\\Temp\\it's.txt"), "C\\:/Temp/it'\\''s.txt");
+});
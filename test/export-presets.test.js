@@ -0,0 +1,101 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const ExportPresets = require('../lib/export-presets');
+
+const presets = new ExportPresets();
+const builtin = (id) => ExportPresets.BUILTIN_PRESETS.find(preset => preset.id === id);
+
+test('user presets are normalised and listed after the built-ins', () => {
+    const list = presets.list({
+        'user-clips': { id: 'user-clips', name: 'Clips', container: 'webm', video: { codec: 'vp9' }, audio: { mix: 'mixdown', codec: 'copy' } },
+        'user-av1': { name: 'Small AV1!', container: 'webm', video: { codec: 'av1' }, maxDuration: -5 }
+    });
+
+    assert.strictEqual(list.filter(preset => preset.builtin).length, ExportPresets.BUILTIN_PRESETS.length);
+
+    const [clips, av1] = list.filter(preset => !preset.builtin);
+    assert.strictEqual(clips.container, 'mkv');
+    assert.strictEqual(clips.video.codec, 'h264');
+    assert.strictEqual(clips.audio.codec, 'aac');
+    assert.strictEqual(av1.id, 'user-small-av1');
+    assert.strictEqual(av1.container, 'webm');
+    assert.strictEqual(av1.audio.codec, 'opus');
+    assert.strictEqual(av1.maxDuration, null);
+});
+
+test('encoders prefer detected hardware unless software is asked for', () => {
+    const detected = { h264: ['libx264', 'h264_amf'], h265: ['libx265'], av1: ['libaom-av1'] };
+
+    assert.strictEqual(presets.resolveEncoder({ codec: 'h264', encoder: 'auto' }, detected), 'h264_amf');
+    assert.strictEqual(presets.resolveEncoder({ codec: 'h264', encoder: 'auto' }), 'libx264');
+    assert.strictEqual(presets.resolveEncoder({ codec: 'h264', encoder: 'software' }, detected), 'libx264');
+    assert.strictEqual(presets.resolveEncoder({ codec: 'h264', encoder: 'h264_nvenc' }, detected), 'h264_amf');
+    assert.strictEqual(presets.resolveEncoder({ codec: 'h265', encoder: 'auto' }, detected), 'libx265');
+    assert.strictEqual(presets.resolveEncoder({ codec: 'av1', encoder: 'auto' }, detected), 'libaom-av1');
+});
+
+test('a size target becomes a two-pass bitrate for the duration', () => {
+    const plan = presets.plan(builtin('discord-25mb'), { duration: 50, height: 1080, fps: 60, audioTracks: 2 });
+
+    // 25 MB less 4% overhead over 50 s is 3840 kbps, less 128 kbps of audio
+    assert.strictEqual(plan.encoder, 'libx264');
+    assert.strictEqual(plan.videoBitrate, 3712);
+    assert.strictEqual(plan.twoPass, true);
+    assert.strictEqual(plan.targetBytes, 25000000);
+    assert.strictEqual(plan.estimatedSizeMB, 24);
+    assert.deepStrictEqual(plan.videoFilters, ['scale=-2:720']);
+    assert.deepStrictEqual(plan.videoOptions, ['-b:v', '3712k', '-maxrate', '3712k', '-bufsize', '7424k', '-preset', 'medium', '-pix_fmt', 'yuv420p']);
+    assert.deepStrictEqual(plan.warnings, []);
+
+    assert.strictEqual(presets.plan(builtin('discord-25mb'), { duration: 50 }, { allowTwoPass: false }).twoPass, false);
+});
+
+test('size targets warn when the length is unknown or too long', () => {
+    const unknown = presets.plan(builtin('discord-25mb'), {});
+    assert.strictEqual(unknown.targetBytes, null);
+    assert.match(unknown.warnings[0], /length is unknown/);
+
+    const long = presets.plan(builtin('discord-25mb'), { duration: 1000 });
+    assert.strictEqual(long.videoBitrate, 150);
+    assert.deepStrictEqual(long.warnings, ['16:40 is too long to fit in 25 MB at watchable quality']);
+});
+
+test('max duration trims and sources below the preset are not scaled up', () => {
+    const plan = presets.plan(builtin('twitter-x'), { duration: 200, height: 720, fps: 30 }, { encoders: { h264: ['h264_nvenc'] } });
+
+    assert.strictEqual(plan.trimTo, 140);
+    assert.strictEqual(plan.duration, 140);
+    assert.match(plan.warnings[0], /allows 2:20/);
+    assert.deepStrictEqual(plan.videoFilters, []);
+    assert.deepStrictEqual(plan.videoOptions.slice(0, 3), ['-rc', 'vbr', '-b:v']);
+});
+
+test('archive presets copy every audio track at constant quality', () => {
+    const plan = presets.plan(builtin('archive-hevc'), { duration: 600, audioTracks: 3 }, { encoders: { h265: ['hevc_qsv'] } });
+
+    assert.strictEqual(plan.encoder, 'hevc_qsv');
+    assert.deepStrictEqual(plan.videoOptions, ['-global_quality', '20', '-pix_fmt', 'yuv420p']);
+    assert.strictEqual(plan.audioCodec, 'copy');
+    assert.deepStrictEqual(plan.audioOptions, []);
+    assert.strictEqual(plan.audioMix, 'all');
+    assert.strictEqual(plan.estimatedSizeMB, null);
+
+    const mixdown = presets.plan({ ...builtin('archive-hevc'), audio: { mix: 'mixdown' } }, { audioTracks: 1 });
+    assert.strictEqual(mixdown.audioMix, 'first');
+});
+
+test('retarget takes the overshoot and some headroom off the video bitrate', () => {
+    const plan = presets.plan(builtin('discord-25mb'), { duration: 50 });
+
+    assert.strictEqual(presets.retarget(plan, 24000000), false);
+    assert.strictEqual(presets.retarget(plan, 26000000), true);
+    // 1 MB over 50 s is 160 kbps, 2% of the target another 80
+    assert.strictEqual(plan.videoBitrate, 3472);
+    assert.deepStrictEqual(plan.videoOptions.slice(0, 2), ['-b:v', '3472k']);
+
+    assert.strictEqual(presets.retarget(plan, 60000000), false);
+    assert.strictEqual(plan.videoBitrate, 3472);
+
+    const unsized = presets.plan(builtin('youtube-1440p60-h264'), { duration: 50 });
+    assert.strictEqual(presets.retarget(unsized, 900000000), false);
+});
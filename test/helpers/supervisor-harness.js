@@ -0,0 +1,86 @@
+/**
+ * Supervisor Harness
+ * Shared setup for the tests that run the supervisor against the mock OBS
+ * server. node --test loads this file as well, it only defines helpers.
+ */
+
+const { before, after } = require('node:test');
+const EventEmitter = require('events');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const silentLogger = { log() {}, warn() {}, error() {}, debug() {} };
+
+/**
+ * Point APPDATA at a temporary folder for the test file, loggers write under it
+ * @param {string} prefix - Folder name prefix
+ * @returns {Object} { dir }, dir is set once the before hook has run
+ */
+function useTempAppData(prefix) {
+    const appData = { dir: null };
+    let previousAppData;
+
+    before(() => {
+        appData.dir = fs.mkdtempSync(path.join(os.tmpdir(), prefix));
+        previousAppData = process.env.APPDATA;
+        process.env.APPDATA = appData.dir;
+    });
+
+    after(() => {
+        if (previousAppData === undefined) {
+            delete process.env.APPDATA;
+        } else {
+            process.env.APPDATA = previousAppData;
+        }
+        fs.rmSync(appData.dir, { recursive: true, force: true });
+    });
+
+    return appData;
+}
+
+async function waitFor(check, timeout = 5000) {
+    const started = Date.now();
+    while (!check()) {
+        if (Date.now() - started > timeout) {
+            throw new Error('Timed out waiting for the supervisor');
+        }
+        await new Promise(resolve => setTimeout(resolve, 20));
+    }
+}
+
+/**
+ * Supervisor wired to a WebSocketManager connected to the mock, the other managers are bare emitters
+ * @param {MockOBSServer} mock - Started mock server
+ * @param {Object} settings - Supervisor config settings
+ * @param {string} password - WebSocket password the mock was started with
+ * @returns {Promise<Object>} { supervisor, websocket }
+ */
+async function startSupervisor(mock, settings, password = '') {
+    const SupervisorModule = require('../../lib/supervisor-module');
+    const WebSocketManager = require('../../lib/managers/websocket-manager');
+
+    const supervisor = new SupervisorModule();
+    supervisor.logger = silentLogger;
+    supervisor.config = { settings };
+    supervisor.updateStreamingOptions(supervisor.config);
+
+    const websocket = new WebSocketManager();
+    websocket.logger = silentLogger;
+    for (const name of ['obs-process', 'sc-process', 'sc-log', 'upload']) {
+        supervisor.managers.set(name, new EventEmitter());
+    }
+    supervisor.managers.set('websocket', websocket);
+    supervisor.setupManagerCommunication();
+
+    await websocket.connect({ port: mock.port, password });
+    await waitFor(() => supervisor.state.obs.websocket === 'connected');
+    return { supervisor, websocket };
+}
+
+module.exports = {
+    silentLogger,
+    useTempAppData,
+    waitFor,
+    startSupervisor
+};
@@ -0,0 +1,99 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const MontageBuilder = require('../lib/montage-builder');
+
+const builder = new MontageBuilder();
+const OUTPUT = { width: 1920, height: 1080, fps: 60 };
+
+test('layout places cuts end to end and overlaps crossfades', () => {
+    const layout = builder.getLayout([
+        { videoPath: 'a.mkv', in: 10, out: 20 },
+        { videoPath: 'b.mkv', in: 0, out: 5, transition: 'crossfade', transitionDuration: 2 },
+        { videoPath: 'c.mkv', in: 30, out: 40, transition: 'cut' }
+    ]);
+
+    assert.deepStrictEqual(layout.clips.map(clip => [clip.start, clip.duration, clip.transition, clip.transitionDuration]), [
+        [0, 10, 'cut', 0],
+        [8, 5, 'crossfade', 2],
+        [13, 10, 'cut', 0]
+    ]);
+    assert.strictEqual(layout.duration, 23);
+});
+
+test('layout skips empty clips and keeps crossfades shorter than both clips', () => {
+    const layout = builder.getLayout([
+        { videoPath: 'a.mkv', in: 5, out: 5 },
+        { videoPath: 'b.mkv', in: -3, out: 1, transition: 'crossfade' },
+        { videoPath: 'c.mkv', in: 0, out: 4, transition: 'crossfade', transitionDuration: 3 },
+        { videoPath: 'd.mkv', in: 0, out: 0.1, transition: 'crossfade' },
+        { videoPath: 'e.mkv', in: 0, out: 2, transition: 'wipe' }
+    ]);
+
+    // The first clip left cannot crossfade into anything, an unknown transition is a cut
+    assert.deepStrictEqual(layout.clips.map(clip => [clip.videoPath, clip.in, clip.transition]), [
+        ['b.mkv', 0, 'cut'],
+        ['c.mkv', 0, 'crossfade'],
+        ['d.mkv', 0, 'cut'],
+        ['e.mkv', 0, 'cut']
+    ]);
+    assert.strictEqual(layout.clips[1].transitionDuration, 0.9);
+    assert.ok(Math.abs(layout.clips[1].start - 0.1) < 1e-9);
+    assert.strictEqual(layout.clips[2].transitionDuration, 0);
+});
+
+test('filter graph normalises every input and chains the joins', () => {
+    const layout = builder.getLayout([
+        { videoPath: 'a.mkv', in: 0, out: 10 },
+        { videoPath: 'b.mkv', in: 0, out: 10, transition: 'crossfade' },
+        { videoPath: 'c.mkv', in: 0, out: 3 }
+    ]);
+    const { filters, videoLabel, audioLabel } = builder.buildFilterGraph(layout, { ...OUTPUT, hasAudio: [true, false, true] });
+
+    assert.strictEqual(filters[0],
+        '[0:v]setpts=PTS-STARTPTS,scale=1920:1080:force_original_aspect_ratio=decrease,' +
+        'pad=1920:1080:(ow-iw)/2:(oh-ih)/2,setsar=1,fps=60,format=yuv420p[v0]');
+    assert.strictEqual(filters[1], '[0:a:0]asetpts=PTS-STARTPTS,aresample=48000,aformat=channel_layouts=stereo[a0]');
+    assert.strictEqual(filters[3], 'anullsrc=r=48000:cl=stereo,atrim=duration=10[a1]');
+    assert.deepStrictEqual(filters.slice(6), [
+        '[v0][v1]xfade=transition=fade:duration=1:offset=9[vx1]',
+        '[a0][a1]acrossfade=d=1[ax1]',
+        '[vx1][ax1][v2][a2]concat=n=2:v=1:a=1[vx2][ax2]'
+    ]);
+    assert.strictEqual(videoLabel, 'vx2');
+    assert.strictEqual(audioLabel, 'ax2');
+});
+
+test('a single clip needs no joins', () => {
+    const layout = builder.getLayout([{ videoPath: 'a.mkv', in: 0, out: 10 }]);
+    const { filters, videoLabel, audioLabel } = builder.buildFilterGraph(layout, OUTPUT);
+
+    assert.strictEqual(filters.length, 2);
+    assert.strictEqual(videoLabel, 'v0');
+    assert.strictEqual(audioLabel, 'a0');
+});
+
+test('events are rebased onto the montage and keep unique ids', () => {
+    const events = [
+        { id: 'kill-1', videoOffset: 12 },
+        { id: 'kill-2', videoOffset: 25 },
+        { id: 'note', videoOffset: null }
+    ];
+    const layout = builder.getLayout([
+        { videoPath: '/recordings/session.mkv', in: 10, out: 20, events },
+        { videoPath: '/recordings/session.mkv', in: 10, out: 15, transition: 'crossfade', events }
+    ]);
+
+    assert.deepStrictEqual(builder.buildEvents(layout).map(event => [event.id, event.videoOffset, event.montageClip]), [
+        ['kill-1', 2, 0],
+        ['kill-1_2', 11, 1]
+    ]);
+
+    assert.deepStrictEqual(builder.buildMetadata(layout).clips[1], {
+        source: 'session.mkv',
+        in: 10,
+        out: 15,
+        start: 9,
+        transition: 'crossfade',
+        transitionDuration: 1
+    });
+});
@@ -0,0 +1,61 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const PatternUpdater = require('../lib/pattern-updater');
+
+const BUNDLED_PATTERNS = path.join(__dirname, '..', 'config', 'sc-log-patterns.json');
+
+let appData;
+let previousAppData;
+
+before(() => {
+    previousAppData = process.env.APPDATA;
+    appData = fs.mkdtempSync(path.join(os.tmpdir(), 'sc-pattern-verify-'));
+    process.env.APPDATA = appData;
+});
+
+after(() => {
+    if (previousAppData === undefined) {
+        delete process.env.APPDATA;
+    } else {
+        process.env.APPDATA = previousAppData;
+    }
+    fs.rmSync(appData, { recursive: true, force: true });
+});
+
+function candidatePatterns(edit) {
+    const patterns = JSON.parse(fs.readFileSync(BUNDLED_PATTERNS, 'utf8'));
+    edit(patterns);
+    return patterns;
+}
+
+function breakPlayerKill(patterns) {
+    const pattern = patterns.patterns.find(entry => entry.id === 'player_kill');
+    pattern.pattern = pattern.pattern.replace('CActor::Kill', 'CActor::Killed');
+}
+
+test('an update cannot replace a bundled fixture to hide a broken pattern', async () => {
+    const patterns = candidatePatterns(candidate => {
+        breakPlayerKill(candidate);
+        candidate.fixtures = [{ id: 'player_kill_npc', pattern: 'player_kill', line: 'nothing to see', expectMatch: false }];
+    });
+
+    const result = await new PatternUpdater().verifyUpdate({ newVersion: '9.9.9', isMissing: true, patterns });
+
+    assert.strictEqual(result.accepted, false);
+    assert.ok(result.regressions.some(regression => regression.id === 'player_kill_npc'));
+});
+
+test('fixtures with new ids run alongside the bundled corpus', async () => {
+    const patterns = candidatePatterns(candidate => {
+        candidate.fixtures = [{ id: 'update_only_fixture', pattern: 'player_kill', line: 'nothing to see', expectMatch: false }];
+    });
+
+    const result = await new PatternUpdater().verifyUpdate({ newVersion: '9.9.9', isMissing: true, patterns });
+
+    assert.strictEqual(result.accepted, true);
+    assert.ok(result.report.results.some(entry => entry.id === 'update_only_fixture' && entry.passed));
+    assert.ok(result.report.results.some(entry => entry.id === 'player_kill_npc' && entry.passed));
+});
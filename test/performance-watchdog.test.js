@@ -0,0 +1,132 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const PerformanceWatchdog = require('../lib/performance-watchdog');
+
+// GetStats response, frame counters are totals since the outputs started
+function stats({ outputSkipped = 0, outputTotal = 0, renderSkipped = 0, renderTotal = 0, cpu = 20, frameTime = 5, fps = 60 } = {}) {
+    return {
+        cpuUsage: cpu,
+        averageFrameRenderTime: frameTime,
+        activeFps: fps,
+        outputSkippedFrames: outputSkipped,
+        outputTotalFrames: outputTotal,
+        renderSkippedFrames: renderSkipped,
+        renderTotalFrames: renderTotal
+    };
+}
+
+// Report with only what suggestSettings reads
+function report({ issues = [], output = 0, render = 0 } = {}) {
+    return { issues, outputFrames: { percent: output }, renderFrames: { percent: render } };
+}
+
+test('thresholds are configurable and samples are ignored outside a recording', () => {
+    const watchdog = new PerformanceWatchdog({ windowSeconds: '5', cpuThreshold: 'high', autoApply: 1 });
+
+    assert.strictEqual(watchdog.windowSeconds, 5);
+    assert.strictEqual(watchdog.cpuThreshold, 90);
+    assert.strictEqual(watchdog.autoApply, true);
+    assert.deepStrictEqual(watchdog.addSample(stats({ cpu: 100 })), []);
+    assert.strictEqual(watchdog.finish(), null);
+});
+
+test('skipped frames open an issue once and close it when the window is clean', () => {
+    const watchdog = new PerformanceWatchdog();
+    watchdog.start(0);
+
+    assert.deepStrictEqual(watchdog.addSample(stats(), 0), []);
+
+    const started = watchdog.addSample(stats({ outputSkipped: 6, outputTotal: 60, renderTotal: 60 }), 1000);
+    assert.deepStrictEqual(started.map(issue => [issue.type, issue.side, issue.start]), [['encoder_overload', 'encoder', 1]]);
+    assert.strictEqual(watchdog.createWarningEvent(started[0]).message, 'Encoder overloaded, 10.0% of frames skipped in the last 10s');
+
+    // Still skipping, the open issue only takes the new peak
+    assert.deepStrictEqual(watchdog.addSample(stats({ outputSkipped: 18, outputTotal: 120, renderTotal: 120 }), 2000), []);
+
+    // Nothing skipped since the oldest sample left in the window
+    watchdog.addSample(stats({ outputSkipped: 18, outputTotal: 720, renderTotal: 720 }), 12000);
+    assert.strictEqual(watchdog.session.active.size, 0);
+
+    const result = watchdog.finish(15000, { performance: { profile: 'quality' } });
+    assert.strictEqual(watchdog.isActive(), false);
+    assert.strictEqual(result.duration, 15);
+    assert.deepStrictEqual(result.outputFrames, { skipped: 18, total: 720, percent: 2.5 });
+    assert.strictEqual(result.rating, 'fair');
+    assert.deepStrictEqual(result.issues.map(issue => [issue.type, issue.start, issue.end, issue.peak]), [['encoder_overload', 1, 12, 15]]);
+    assert.deepStrictEqual(result.suggestion.changes, { performance: { profile: 'balanced', encoderPreset: null } });
+    assert.strictEqual(result.suggestion.description, 'Switch the performance profile from Quality to Balanced');
+});
+
+test('high CPU and slow frames are measured as means over the window', () => {
+    const watchdog = new PerformanceWatchdog();
+    watchdog.start(0);
+
+    watchdog.addSample(stats({ cpu: 94, frameTime: 15 }), 0);
+    const started = watchdog.addSample(stats({ cpu: 96, frameTime: 15 }), 1000);
+
+    assert.deepStrictEqual(started.map(issue => issue.type), ['high_cpu', 'slow_render']);
+    assert.strictEqual(watchdog.createWarningEvent(started[0]).message, 'OBS CPU usage at 95%');
+    assert.strictEqual(watchdog.createWarningEvent(started[1]).message, 'Frames taking 15.0ms to render of a 16.7ms budget');
+});
+
+test('frame counters restarting with the outputs are not counted as skips', () => {
+    const watchdog = new PerformanceWatchdog();
+    watchdog.start(0);
+
+    watchdog.addSample(stats({ outputSkipped: 50, outputTotal: 1000, renderSkipped: 50, renderTotal: 1000 }), 0);
+    assert.deepStrictEqual(watchdog.addSample(stats({ outputSkipped: 1, outputTotal: 60, renderTotal: 60 }), 1000), []);
+
+    const result = watchdog.finish(2000);
+    assert.strictEqual(result.rating, 'good');
+    assert.strictEqual(result.suggestion, null);
+});
+
+test('the encoder gets a lighter profile, then less bitrate', () => {
+    const watchdog = new PerformanceWatchdog();
+    const encoderIssue = report({ issues: [{ side: 'encoder' }] });
+
+    assert.deepStrictEqual(watchdog.suggestSettings(encoderIssue, { performance: { profile: 'balanced' } }).changes, {
+        performance: { profile: 'performance', encoderPreset: null }
+    });
+    assert.deepStrictEqual(watchdog.suggestSettings(encoderIssue, { performance: { profile: 'performance' }, recording: { bitrate: 20000 } }), {
+        changes: {
+            recording: { quality: 'custom', bitrate: 15000, bitrateMode: 'manual' },
+            performance: { bitrateMode: 'manual' }
+        },
+        reasons: ['Lower the recording bitrate from 20000 to 15000 Kbps'],
+        description: 'Lower the recording bitrate from 20000 to 15000 Kbps'
+    });
+
+    // Skipped output frames count without an issue, the bitrate doesn't go under 4000
+    const skipped = report({ output: 2 });
+    assert.strictEqual(watchdog.suggestSettings(skipped, { performance: { profile: 'performance' }, recording: { bitrate: 5000 } }).changes.recording.bitrate, 4000);
+    assert.strictEqual(watchdog.suggestSettings(skipped, { performance: { profile: 'performance' }, recording: { bitrate: 4000 } }), null);
+});
+
+test('rendering gets 30 FPS, then a smaller output', () => {
+    const watchdog = new PerformanceWatchdog();
+    const renderLag = report({ render: 3 });
+
+    assert.deepStrictEqual(watchdog.suggestSettings(renderLag, { recording: { framerate: 60 } }).changes, { recording: { framerate: 30 } });
+    assert.deepStrictEqual(watchdog.suggestSettings(renderLag, { recording: { framerate: 30 } }).changes, {
+        resolution: { preset: 'scale-75', scaleFactor: 0.75 },
+        performance: { resolutionScale: '75' }
+    });
+    assert.strictEqual(watchdog.suggestSettings(renderLag, { resolution: { scaleFactor: 0.75 } }).changes.resolution.preset, 'scale-50');
+    assert.strictEqual(watchdog.suggestSettings(renderLag, { performance: { resolutionScale: '50' } }), null);
+    assert.strictEqual(watchdog.suggestSettings(renderLag, { resolution: { preset: 'custom' } }), null);
+});
+
+test('both sides falling behind get a change each', () => {
+    const watchdog = new PerformanceWatchdog();
+    const suggestion = watchdog.suggestSettings(
+        report({ issues: [{ side: 'encoder' }, { side: 'render' }] }),
+        { performance: { profile: 'balanced' }, recording: { framerate: 60 } }
+    );
+
+    assert.deepStrictEqual(suggestion.changes, {
+        performance: { profile: 'performance', encoderPreset: null },
+        recording: { framerate: 30 }
+    });
+    assert.strictEqual(suggestion.description, 'Switch the performance profile from Balanced to Performance; Record at 30 FPS instead of 60');
+});
@@ -0,0 +1,148 @@
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const RecordingLibrary = require('../lib/recording-library');
+
+let baseDir;
+let library;
+
+beforeEach(() => {
+    baseDir = fs.mkdtempSync(path.join(os.tmpdir(), 'sc-library-'));
+    library = new RecordingLibrary({ indexPath: path.join(baseDir, 'library.json') });
+});
+
+afterEach(() => {
+    library.close();
+    fs.rmSync(baseDir, { recursive: true, force: true });
+});
+
+// A video, optionally with its events JSON, last written at the given date
+function writeRecording(folder, name, modified, sidecar = null) {
+    const folderPath = path.join(baseDir, folder);
+    fs.mkdirSync(folderPath, { recursive: true });
+    const videoPath = path.join(folderPath, `${name}.mkv`);
+    fs.writeFileSync(videoPath, '');
+    if (sidecar) {
+        fs.writeFileSync(path.join(folderPath, `${name}.json`), JSON.stringify(sidecar));
+    }
+    fs.utimesSync(videoPath, modified, modified);
+    return videoPath;
+}
+
+// Reconcile without watching, no ffprobe so nothing is probed
+async function scan() {
+    library.basePath = baseDir;
+    await library.reconcile();
+}
+
+async function createLibrary() {
+    const session = writeRecording('recordings', 'session-1', new Date('2025-01-10T18:00:00Z'), {
+        metadata: { player: { name: 'PilotOne' }, gameInstance: 'LIVE', recordingDuration: 600 },
+        events: [
+            { type: 'vehicle', subtype: 'seat_entered', data: { vehicle: 'Cutlass Black' } },
+            { type: 'location', subtype: 'zone_entered', data: { zone: 'OOC_Stanton_1_Hurston' } },
+            { type: 'system', subtype: 'recording_stop', data: { duration: 612 } }
+        ]
+    });
+    const clip = writeRecording('saved', 'clip-1', new Date('2025-01-11T18:00:00Z'), {
+        metadata: { player: { name: 'PilotOne' }, gameInstance: 'PTU', clip: { source: 'session-1.mkv' } },
+        events: [
+            { type: 'system', subtype: 'system_arrival_pyro', data: {} },
+            { type: 'vehicle', subtype: 'seat_entered', data: { vehicle: 'Gladius' } }
+        ]
+    });
+    const plain = writeRecording('edited', 'edit-1', new Date('2025-01-12T18:00:00Z'));
+
+    await scan();
+    return { session, clip, plain };
+}
+
+test('reconcile reads the sidecar facts into each entry', async () => {
+    const { session, clip, plain } = await createLibrary();
+
+    const entry = library.getEntry(session);
+    assert.strictEqual(entry.folder, 'recordings');
+    assert.strictEqual(entry.kind, 'recording');
+    assert.strictEqual(entry.player, 'PilotOne');
+    assert.strictEqual(entry.instance, 'LIVE');
+    assert.strictEqual(entry.eventCount, 3);
+    assert.strictEqual(entry.duration, 612);
+    assert.deepStrictEqual(entry.ships, ['Cutlass Black']);
+    assert.deepStrictEqual(entry.zones, ['OOC_Stanton_1_Hurston']);
+    assert.deepStrictEqual(entry.systems, ['Stanton']);
+
+    assert.strictEqual(library.getEntry(clip).kind, 'clip');
+    assert.deepStrictEqual(library.getEntry(clip).systems, ['Pyro']);
+    assert.strictEqual(library.getEntry(plain).hasEvents, false);
+    assert.strictEqual(library.getEntry(path.join(baseDir, 'missing.mkv')), null);
+});
+
+test('query filters by fields and text, newest first', async () => {
+    const { session, clip, plain } = await createLibrary();
+
+    assert.deepStrictEqual(library.query().entries.map(entry => entry.path), [plain, clip, session]);
+    assert.deepStrictEqual(library.query({ hasEvents: true }).entries.map(entry => entry.path), [clip, session]);
+    assert.strictEqual(library.query({ folder: 'saved' }).total, 1);
+    assert.strictEqual(library.query({ kind: 'clip' }).entries[0].path, clip);
+    assert.strictEqual(library.query({ ship: 'cutlass black' }).entries[0].path, session);
+    assert.strictEqual(library.query({ system: 'pyro' }).entries[0].path, clip);
+    assert.strictEqual(library.query({ instance: 'ptu' }).entries[0].path, clip);
+    assert.strictEqual(library.query({ player: 'pilotone' }).total, 2);
+    assert.strictEqual(library.query({ text: 'hurston cutlass' }).entries[0].path, session);
+    assert.strictEqual(library.query({ text: 'hurston gladius' }).total, 0);
+
+    const limited = library.query({ limit: 1 });
+    assert.strictEqual(limited.total, 3);
+    assert.strictEqual(limited.entries.length, 1);
+});
+
+test('facets count the values of the result set', async () => {
+    await createLibrary();
+
+    const { facets } = library.query({ hasEvents: true });
+    assert.deepStrictEqual(facets.folders, { recordings: 1, saved: 1 });
+    assert.deepStrictEqual(facets.kinds, { recording: 1, clip: 1 });
+    assert.deepStrictEqual(facets.players, { PilotOne: 2 });
+    assert.deepStrictEqual(facets.ships, { 'Cutlass Black': 1, Gladius: 1 });
+    assert.deepStrictEqual(facets.systems, { Stanton: 1, Pyro: 1 });
+});
+
+test('user data is normalised, searchable and survives a reload', async () => {
+    const { session, clip } = await createLibrary();
+
+    const entry = await library.setUserData(session, { tags: [' dogfight ', 'dogfight', '', 'win'], rating: 7, notes: 'Close call' });
+    assert.deepStrictEqual(entry.tags, ['dogfight', 'win']);
+    assert.strictEqual(entry.rating, 5);
+    assert.strictEqual(entry.notes, 'Close call');
+
+    await library.setUserData(clip, { rating: 2.4 });
+    await library.setUserData(session, { notes: 'Closer call' });
+    assert.deepStrictEqual(library.getEntry(session).tags, ['dogfight', 'win']);
+
+    assert.deepStrictEqual(library.query({ tags: ['Dogfight'] }).entries.map(item => item.path), [session]);
+    assert.strictEqual(library.query({ text: 'closer' }).total, 1);
+    assert.strictEqual(library.query({ minRating: 3 }).total, 1);
+    assert.deepStrictEqual(library.query({ sort: 'rating' }).entries.map(item => item.rating), [5, 2, 0]);
+
+    await assert.rejects(library.setUserData(path.join(baseDir, 'missing.mkv'), { rating: 1 }), /not in library/);
+
+    const reloaded = new RecordingLibrary({ indexPath: library.indexPath });
+    await reloaded.load();
+    assert.strictEqual(reloaded.getEntry(clip).rating, 2);
+    assert.strictEqual(reloaded.getEntry(session).notes, 'Closer call');
+});
+
+test('reconcile drops entries whose video is gone and keeps user data by name', async () => {
+    const { session } = await createLibrary();
+    await library.setUserData(session, { tags: ['keeper'] });
+
+    const savedPath = path.join(baseDir, 'saved', 'session-1.mkv');
+    fs.renameSync(session, savedPath);
+    await scan();
+
+    assert.strictEqual(library.getEntry(session), null);
+    assert.strictEqual(library.getEntry(savedPath).folder, 'saved');
+    assert.deepStrictEqual(library.getEntry(savedPath).tags, ['keeper']);
+});
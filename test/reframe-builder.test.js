@@ -0,0 +1,73 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const ReframeBuilder = require('../lib/reframe-builder');
+
+const builder = new ReframeBuilder();
+
+// Evaluate an FFmpeg position expression for a time t
+function evaluate(expression, t) {
+    const js = expression.replace(/\bPI\b/g, 'Math.PI').replace(/\bcos\(/g, 'Math.cos(').replace(/\bif\(/g, 'iff(');
+    return new Function('t', 'iff', 'lt', `return ${js};`)(t, (c, a, b) => (c ? a : b), (a, b) => a < b);
+}
+
+test('keyframes are sorted, clamped and invalid ones dropped', () => {
+    assert.deepStrictEqual(builder.normalizeKeyframes([
+        { time: 8, position: 1.4 },
+        { time: 2, position: '0.25' },
+        { time: '5', position: 0.5 },
+        { time: 4, position: 'left' },
+        { time: 6, position: -1 }
+    ]), [
+        { time: 2, position: 0.25 },
+        { time: 6, position: 0 },
+        { time: 8, position: 1 }
+    ]);
+    assert.deepStrictEqual(builder.normalizeKeyframes(null), []);
+});
+
+test('positions hold outside the keyframes and ease between them', () => {
+    const keyframes = builder.normalizeKeyframes([{ time: 10, position: 0.2 }, { time: 20, position: 0.8 }]);
+
+    assert.strictEqual(builder.getPositionAt([], 5), 0.5);
+    assert.strictEqual(builder.getPositionAt(keyframes, 0), 0.2);
+    assert.strictEqual(builder.getPositionAt(keyframes, 25), 0.8);
+    assert.ok(Math.abs(builder.getPositionAt(keyframes, 15) - 0.5) < 1e-9);
+    // Eased, so a quarter of the way in has moved less than a quarter
+    assert.ok(builder.getPositionAt(keyframes, 12.5) < 0.35);
+});
+
+test('crop windows fit the aspect and stay inside the source', () => {
+    assert.deepStrictEqual(builder.getCropWindow('9:16', 1920, 1080, 0.5), { width: 607.5, height: 1080, left: 656.25, top: 0 });
+    assert.deepStrictEqual(builder.getCropWindow('1:1', 1920, 1080, 0), { width: 1080, height: 1080, left: 0, top: 0 });
+    assert.deepStrictEqual(builder.getCropWindow('1:1', 1920, 1080, 1), { width: 1080, height: 1080, left: 840, top: 0 });
+    assert.deepStrictEqual(builder.getCropWindow('1:1', 1000, 2000, 0.5), { width: 1000, height: 1000, left: 0, top: 500 });
+    assert.deepStrictEqual(builder.getOutputSize('4:3'), { width: 1080, height: 1920 });
+});
+
+test('the crop expression matches the preview interpolation', () => {
+    const keyframes = builder.normalizeKeyframes([
+        { time: 12, position: 0.3 },
+        { time: 15, position: 0.7 },
+        { time: 20, position: 0.5 }
+    ]);
+    const expression = builder.buildPositionExpression(keyframes, 10);
+
+    for (const time of [10, 12, 13, 14.5, 15, 17.25, 19.9, 20, 30]) {
+        const expected = builder.getPositionAt(keyframes, time);
+        assert.ok(Math.abs(evaluate(expression, time - 10) - expected) < 1e-3, `position at ${time}s`);
+    }
+
+    assert.strictEqual(builder.buildPositionExpression([], 0), '0.5');
+});
+
+test('filters crop, scale to the output size and square the pixels', () => {
+    const filters = builder.buildFilters({ aspect: '1:1', keyframes: [{ time: 0, position: 0.7 }] });
+
+    assert.deepStrictEqual(filters, [
+        "crop=w='trunc(min(iw,ih*1.000000)/2)*2':h='trunc(min(ih,iw/1.000000)/2)*2'" +
+            ":x='clip((if(lt(t,0.000),0.7000,0.7000))*iw-ow/2,0,iw-ow)':y='(ih-oh)/2'",
+        'scale=1080:1080',
+        'setsar=1'
+    ]);
+    assert.strictEqual(builder.buildFilters({ aspect: 'wide' })[1], 'scale=1080:1920');
+});
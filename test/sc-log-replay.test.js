@@ -0,0 +1,138 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const SCLogMonitor = require('../lib/managers/sc-log-monitor');
+const { ManualClock } = require('../lib/replay-clock');
+
+const LOG_PATH = path.join(__dirname, 'fixtures', 'replay-game.log');
+const PATTERNS_PATH = path.join(__dirname, '..', 'config', 'sc-log-patterns.json');
+const silentLogger = { log() {}, warn() {}, error() {}, debug() {} };
+
+function createMonitor() {
+    const monitor = new SCLogMonitor({ patternsPath: PATTERNS_PATH, logger: silentLogger });
+    const events = [];
+    monitor.on('event', event => events.push(event));
+    return { monitor, events };
+}
+
+// A live Game.log in a temporary folder, removed by the returned cleanup
+function createLiveLog() {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'sc-live-log-'));
+    const logPath = path.join(dir, 'Game.log');
+    fs.writeFileSync(logPath, '<2025-01-10T18:00:00.000Z> [Notice] Live session\n');
+    return { logPath, cleanup: () => fs.rmSync(dir, { recursive: true, force: true }) };
+}
+
+async function waitFor(check, timeout = 5000) {
+    const started = Date.now();
+    while (!check()) {
+        if (Date.now() - started > timeout) {
+            throw new Error('Timed out waiting for the monitor');
+        }
+        await new Promise(resolve => setTimeout(resolve, 50));
+    }
+}
+
+test('replay stamps events with the log time and waits for the clock between lines', async () => {
+    const { monitor, events } = createMonitor();
+    const clock = new ManualClock();
+    let complete = null;
+    monitor.on('replay-complete', result => { complete = result; });
+
+    await monitor.startReplay(LOG_PATH, { clock });
+
+    // Only the first line is due once the clock is anchored to it
+    assert.deepStrictEqual(events.map(event => event.subtype), ['player_kill']);
+    assert.strictEqual(events[0].timestamp, '2025-01-10T18:22:31.123Z');
+    assert.strictEqual(clock.now(), Date.parse('2025-01-10T18:22:31.123Z'));
+
+    clock.advance(4999);
+    assert.strictEqual(events.length, 1);
+    clock.advance(1);
+    assert.deepStrictEqual(events.map(event => event.subtype), ['player_kill', 'vehicle_destroyed']);
+    assert.strictEqual(events[1].timestamp, '2025-01-10T18:22:36.123Z');
+
+    clock.runAll();
+    assert.strictEqual(events[events.length - 1].subtype, 'quantum_jump_start');
+    assert.strictEqual(events[events.length - 1].timestamp, '2025-01-10T18:23:01.123Z');
+    assert.deepStrictEqual(complete, { logPath: LOG_PATH, lines: 4 });
+    assert.strictEqual(monitor.replaying, false);
+});
+
+test('stopping a replay leaves the remaining lines unread', async () => {
+    const { monitor, events } = createMonitor();
+    const clock = new ManualClock();
+
+    await monitor.startReplay(LOG_PATH, { clock });
+    monitor.stopMonitoring();
+    clock.runAll();
+
+    assert.deepStrictEqual(events.map(event => event.subtype), ['player_kill']);
+});
+
+test('replayed events look the same as live ones', async () => {
+    const { monitor, events } = createMonitor();
+    const clock = new ManualClock();
+
+    await monitor.startReplay(LOG_PATH, { clock });
+    clock.runAll();
+
+    assert.ok(events.length > 0);
+    assert.ok(events.every(event => !('replayed' in event)));
+});
+
+test('the live log is tailed again once a replay ends', async () => {
+    const { monitor, events } = createMonitor();
+    const live = createLiveLog();
+
+    try {
+        await monitor.startMonitoring(live.logPath);
+        const clock = new ManualClock();
+        await monitor.startReplay(LOG_PATH, { clock });
+        assert.strictEqual(monitor.logPath, LOG_PATH);
+
+        clock.runAll();
+        await waitFor(() => monitor.logPath === live.logPath);
+        assert.strictEqual(monitor.replaying, false);
+        assert.strictEqual(monitor.monitoring, true);
+
+        // New lines in the live log reach the parser again. The tail takes its
+        // first stat asynchronously and a line written before that counts as
+        // old content, so keep appending until one comes through.
+        const replayedCount = events.length;
+        const killLine = fs.readFileSync(LOG_PATH, 'utf8').split(/\r?\n/)[0];
+        let appendedAt = 0;
+        await waitFor(() => {
+            if (events.length > replayedCount) return true;
+            if (Date.now() - appendedAt >= 1000) {
+                fs.appendFileSync(live.logPath, killLine + '\n');
+                appendedAt = Date.now();
+            }
+            return false;
+        }, 10000);
+        assert.strictEqual(events[events.length - 1].subtype, 'player_kill');
+    } finally {
+        monitor.stopMonitoring();
+        live.cleanup();
+    }
+});
+
+test('stopping a replay goes back to the live log', async () => {
+    const { monitor } = createMonitor();
+    const live = createLiveLog();
+
+    try {
+        await monitor.startMonitoring(live.logPath);
+        await monitor.startReplay(LOG_PATH, { clock: new ManualClock() });
+        await monitor.stopReplay();
+
+        assert.strictEqual(monitor.replaying, false);
+        assert.strictEqual(monitor.monitoring, true);
+        assert.strictEqual(monitor.logPath, live.logPath);
+    } finally {
+        monitor.stopMonitoring();
+        live.cleanup();
+    }
+});
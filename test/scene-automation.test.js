@@ -0,0 +1,189 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const AutoClipper = require('../lib/auto-clipper');
+const SceneAutomation = require('../lib/scene-automation');
+
+// Just enough OBS state for the requests scene automation sends
+function createOBS() {
+    const obs = {
+        scene: 'Star Citizen',
+        sceneItems: [{ sceneName: 'Star Citizen', sourceName: 'Respawning', sceneItemId: 7, enabled: false }],
+        muted: { Microphone: false },
+        writes: []
+    };
+
+    obs.execute = async (requestType, data = {}) => {
+        const item = obs.sceneItems.find(sceneItem => sceneItem.sceneName === data.sceneName &&
+            (sceneItem.sourceName === data.sourceName || sceneItem.sceneItemId === data.sceneItemId));
+
+        switch (requestType) {
+            case 'GetCurrentProgramScene':
+                return { currentProgramSceneName: obs.scene };
+            case 'SetCurrentProgramScene':
+                obs.writes.push(['scene', data.sceneName]);
+                obs.scene = data.sceneName;
+                return {};
+            case 'GetSceneItemId':
+                if (!item) throw new Error(`No source ${data.sourceName}`);
+                return { sceneItemId: item.sceneItemId };
+            case 'GetSceneItemEnabled':
+                return { sceneItemEnabled: item.enabled };
+            case 'SetSceneItemEnabled':
+                obs.writes.push(['source', item.sourceName, data.sceneItemEnabled]);
+                item.enabled = data.sceneItemEnabled;
+                return {};
+            case 'GetInputMute':
+                return { inputMuted: obs.muted[data.inputName] };
+            case 'SetInputMute':
+                obs.writes.push(['mute', data.inputName, data.inputMuted]);
+                obs.muted[data.inputName] = data.inputMuted;
+                return {};
+            default:
+                throw new Error(`Unexpected request ${requestType}`);
+        }
+    };
+
+    return obs;
+}
+
+function createAutomation(obs, options = {}) {
+    return new SceneAutomation({
+        clipper: new AutoClipper(),
+        execute: obs.execute,
+        enabled: true,
+        ...options
+    });
+}
+
+test('rules without a complete target or turned off are left out', () => {
+    const automation = createAutomation(createOBS(), {
+        rules: [
+            { id: 'no_action', subtypes: ['player_kill'], scene: 'Combat' },
+            { id: 'no_source', subtypes: ['player_kill'], action: 'show-source', scene: 'Star Citizen' },
+            { id: 'off', enabled: false, subtypes: ['player_kill'], action: 'switch-scene', scene: 'Combat' },
+            { subtype: 'player_kill', action: 'switch-scene', scene: 'Combat', duration: -5, revertOn: 'spawn_location' }
+        ]
+    });
+
+    const rules = automation.getRules();
+    assert.strictEqual(rules.length, 1);
+    assert.strictEqual(rules[0].id, 'rule_4');
+    assert.deepStrictEqual(rules[0].subtypes, ['player_kill']);
+    assert.strictEqual(rules[0].duration, 0);
+    assert.deepStrictEqual(rules[0].revertOn, ['spawn_location']);
+
+    // The menu mute rule ships turned off
+    assert.deepStrictEqual(createAutomation(createOBS()).getRules().map(rule => rule.id), ['quantum_travel', 'respawning']);
+});
+
+test('a quantum jump switches scene until the jump completes', async () => {
+    const obs = createOBS();
+    const automation = createAutomation(obs);
+
+    await automation.handleEvent({ subtype: 'quantum_jump_start' });
+    assert.strictEqual(obs.scene, 'Quantum Travel');
+    assert.strictEqual(automation.active.size, 1);
+
+    await automation.handleEvent({ subtype: 'quantum_jump_complete' });
+    assert.strictEqual(obs.scene, 'Star Citizen');
+    assert.strictEqual(automation.active.size, 0);
+});
+
+test('overlapping rules restore what OBS had before the first one', async () => {
+    const obs = createOBS();
+    const automation = createAutomation(obs, {
+        rules: [
+            { id: 'jump', subtypes: ['quantum_jump_start'], action: 'switch-scene', scene: 'Quantum Travel', revertOn: ['quantum_jump_complete'] },
+            { id: 'combat', subtypes: ['player_kill'], action: 'switch-scene', scene: 'Combat', revertOn: ['spawn_location'] }
+        ]
+    });
+
+    await automation.handleEvent({ subtype: 'quantum_jump_start' });
+    await automation.handleEvent({ subtype: 'player_kill', severity: 'high' });
+    assert.strictEqual(obs.scene, 'Combat');
+
+    // The combat rule took over the scene, its revert event is the one that ends it
+    await automation.handleEvent({ subtype: 'quantum_jump_complete' });
+    assert.strictEqual(obs.scene, 'Combat');
+    await automation.handleEvent({ subtype: 'spawn_location' });
+    assert.strictEqual(obs.scene, 'Star Citizen');
+});
+
+test('the respawn overlay only shows when the player was the victim', async () => {
+    const obs = createOBS();
+    const automation = createAutomation(obs, {
+        getPlayerRole: (event) => (event.data.victim === 'PilotOne' ? 'victim' : 'killer')
+    });
+
+    await automation.handleEvent({ subtype: 'player_kill', data: { killer: 'PilotOne', victim: 'Pirate' } });
+    assert.deepStrictEqual(obs.writes, []);
+
+    await automation.handleEvent({ subtype: 'player_kill', data: { killer: 'Pirate', victim: 'PilotOne' } });
+    assert.strictEqual(obs.sceneItems[0].enabled, true);
+
+    await automation.handleEvent({ subtype: 'spawn_location', data: {} });
+    assert.deepStrictEqual(obs.writes, [['source', 'Respawning', true], ['source', 'Respawning', false]]);
+});
+
+test('changes are undone after their duration', async () => {
+    const obs = createOBS();
+    const automation = createAutomation(obs, {
+        rules: [{ id: 'mute', subtypes: ['player_disconnect'], action: 'mute-input', input: 'Microphone', duration: 0.05 }]
+    });
+
+    await automation.handleEvent({ subtype: 'player_disconnect' });
+    assert.strictEqual(obs.muted.Microphone, true);
+
+    await new Promise(resolve => setTimeout(resolve, 100));
+    await automation.queue;
+    assert.strictEqual(obs.muted.Microphone, false);
+    assert.strictEqual(automation.active.size, 0);
+});
+
+test('nothing is written when OBS is already in the state a rule asks for', async () => {
+    const obs = createOBS();
+    obs.scene = 'Quantum Travel';
+    const automation = createAutomation(obs);
+
+    await automation.handleEvent({ subtype: 'quantum_jump_start' });
+    await automation.handleEvent({ subtype: 'quantum_jump_complete' });
+
+    assert.deepStrictEqual(obs.writes, []);
+    assert.strictEqual(obs.scene, 'Quantum Travel');
+});
+
+test('disabling reverts everything and a failed request does not stop the queue', async () => {
+    const obs = createOBS();
+    const automation = createAutomation(obs, {
+        rules: [
+            { id: 'missing', subtypes: ['player_kill'], action: 'show-source', scene: 'Star Citizen', source: 'Not There' },
+            { id: 'jump', subtypes: ['quantum_jump_start'], action: 'switch-scene', scene: 'Quantum Travel' },
+            { id: 'mute', subtypes: ['quantum_jump_start'], action: 'mute-input', input: 'Microphone' }
+        ]
+    });
+
+    await automation.handleEvent({ subtype: 'player_kill', severity: 'high' });
+    await automation.handleEvent({ subtype: 'quantum_jump_start' });
+    assert.strictEqual(obs.scene, 'Quantum Travel');
+    assert.strictEqual(obs.muted.Microphone, true);
+
+    await automation.revertAll();
+    assert.strictEqual(obs.scene, 'Star Citizen');
+    assert.strictEqual(obs.muted.Microphone, false);
+
+    automation.configure({ enabled: false });
+    await automation.handleEvent({ subtype: 'quantum_jump_start' });
+    assert.strictEqual(obs.scene, 'Star Citizen');
+});
+
+test('reset forgets changes without touching OBS', async () => {
+    const obs = createOBS();
+    const automation = createAutomation(obs);
+
+    await automation.handleEvent({ subtype: 'quantum_jump_start' });
+    automation.reset();
+    await automation.handleEvent({ subtype: 'quantum_jump_complete' });
+
+    assert.strictEqual(automation.active.size, 0);
+    assert.strictEqual(obs.scene, 'Quantum Travel');
+});
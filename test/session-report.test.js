@@ -0,0 +1,104 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const SessionReport = require('../lib/session-report');
+
+const PLAYER = { name: 'PilotOne', id: '200146295288' };
+
+function kill(offset, killer, victim, weapon = 'behr rifle ballistic 02') {
+    return {
+        type: 'combat',
+        subtype: 'player_kill',
+        videoOffset: offset,
+        data: { killer, victim, weapon }
+    };
+}
+
+function recording(events) {
+    return {
+        metadata: { player: PLAYER, recordingStartTime: '2025-01-10T18:00:00.000Z' },
+        events: [
+            ...events,
+            { type: 'system', subtype: 'recording_stop', videoOffset: 600, data: { duration: 600 } }
+        ]
+    };
+}
+
+test('combat counts the player\'s kills and deaths with weapons and killers', () => {
+    const report = new SessionReport().build(recording([
+        kill(10, 'PilotOne', 'Pirate Sniper'),
+        kill(20, 'PilotOne', 'Pirate Gunner'),
+        kill(30, 'PilotOne', 'Pirate Boss', 'klwe laser'),
+        kill(200, 'Pirate Ace', 'PilotOne'),
+        kill(300, 'Someone', 'Someone Else')
+    ]));
+
+    assert.strictEqual(report.combat.kills, 3);
+    assert.strictEqual(report.combat.deaths, 1);
+    assert.strictEqual(report.combat.kdRatio, 3);
+    assert.deepStrictEqual(report.combat.weapons[0], { weapon: 'behr rifle ballistic 02', count: 2 });
+    assert.deepStrictEqual(report.combat.killedBy, [{ name: 'Pirate Ace', count: 1 }]);
+    assert.ok(report.combat.encounters >= 1);
+    assert.strictEqual(report.recording.duration, 600);
+});
+
+test('ship time runs from entering a seat to leaving it or the end of the recording', () => {
+    const report = new SessionReport().build(recording([
+        { subtype: 'seat_entered', videoOffset: 60, data: { vehicle: 'Cutlass Black', vehicleId: '1' } },
+        { subtype: 'seat_exited', videoOffset: 160, data: { vehicle: 'Cutlass Black', vehicleId: '1' } },
+        { subtype: 'seat_entered', videoOffset: 400, data: { vehicle: 'Gladius', vehicleId: '2' } }
+    ]));
+
+    assert.deepStrictEqual(report.ships, [
+        { vehicle: 'Gladius', seconds: 200, sessions: 1 },
+        { vehicle: 'Cutlass Black', seconds: 100, sessions: 1 }
+    ]);
+});
+
+test('quantum jumps, missions and crimes are summarised', () => {
+    const report = new SessionReport().build(recording([
+        { subtype: 'quantum_jump_start', videoOffset: 5, data: { destination: 'ArcCorp' } },
+        { subtype: 'quantum_jump_start', videoOffset: 50, data: { destination: 'ArcCorp' } },
+        { subtype: 'quantum_travel', videoOffset: 60, data: { durationSeconds: 42 } },
+        { subtype: 'mission_start', videoOffset: 70, data: { missionId: 'm1', contract: 'Bounty' } },
+        { subtype: 'mission_end', videoOffset: 90, data: { missionId: 'm1', completionType: 'Complete' } },
+        { subtype: 'mission_start', videoOffset: 100, data: { missionId: 'm2' } },
+        { subtype: 'mission_end', videoOffset: 110, data: { missionId: 'm2', completionType: 'Abandon' } },
+        { subtype: 'crime_committed', videoOffset: 120, data: { crimeType: 'Trespassing', crimeLevel: 1 } }
+    ]));
+
+    assert.deepStrictEqual(report.quantum, { jumps: 2, travelSeconds: 42, destinations: [{ destination: 'ArcCorp', count: 2 }] });
+    assert.strictEqual(report.missions.accepted, 2);
+    assert.strictEqual(report.missions.completed, 1);
+    assert.strictEqual(report.missions.failed, 1);
+    assert.strictEqual(report.crimes.count, 1);
+});
+
+test('the player falls back to the identification event', () => {
+    const report = new SessionReport().build({
+        metadata: {},
+        events: [{ subtype: 'player_identified', videoOffset: 0, data: { name: 'PilotTwo', id: '42' } }]
+    });
+
+    assert.deepStrictEqual(report.player, { name: 'PilotTwo', id: '42' });
+});
+
+test('HTML output escapes names from the log', () => {
+    const sessionReport = new SessionReport();
+    const report = sessionReport.build(recording([kill(10, 'PilotOne', 'Pirate', '<img src=x>')]), { name: 'a & b' });
+    const html = sessionReport.toHTML(report);
+
+    assert.ok(html.includes('&lt;img src=x&gt; (1)'));
+    assert.ok(!html.includes('<img src=x>'));
+    assert.ok(html.includes('a &amp; b'));
+    assert.ok(sessionReport.toMarkdown(report).startsWith('# Session Report - a & b'));
+});
+
+test('exports are named after the recording', () => {
+    const sessionReport = new SessionReport();
+    const eventsPath = path.join('recordings', 'sc-2025-01-10 18-00-00.json');
+
+    assert.strictEqual(sessionReport.getExportPath(eventsPath, 'markdown'), path.join('recordings', 'sc-2025-01-10 18-00-00.report.md'));
+    assert.strictEqual(sessionReport.formatDuration(3725), '1h 02m');
+    assert.strictEqual(sessionReport.formatTimecode(3725), '1:02:05');
+});
@@ -0,0 +1,171 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const MockOBSServer = require('../scripts/mock-obs-server');
+const { useTempAppData, waitFor, startSupervisor } = require('./helpers/supervisor-harness');
+
+const appData = useTempAppData('sc-supervisor-mock-');
+
+test('a recording against the mock OBS saves its events next to the video', async () => {
+    const outputDir = path.join(appData.dir, 'obs-output');
+    const mock = new MockOBSServer({ port: 0, password: 'secret', outputDir, startDelay: 10 });
+    await mock.start();
+    let supervisor;
+    let websocket;
+
+    try {
+        ({ supervisor, websocket } = await startSupervisor(mock, { recording: { outputPath: appData.dir } }, 'secret'));
+
+        await websocket.handleCommand({ type: 'start-recording' });
+        await waitFor(() => supervisor.state.recording.active);
+        const videoPath = supervisor.state.recording.outputPath;
+        assert.ok(fs.existsSync(videoPath));
+
+        supervisor.managers.get('sc-log').emit('event', {
+            type: 'combat',
+            subtype: 'vehicle_destroyed',
+            name: 'Vehicle Destroyed',
+            message: 'Cutlass Black destroyed',
+            severity: 'high'
+        });
+
+        await websocket.handleCommand({ type: 'stop-recording' });
+        await waitFor(() => !supervisor.state.recording.active);
+
+        const eventsPath = videoPath.replace(/\.mkv$/, '.json');
+        await waitFor(() => fs.existsSync(eventsPath));
+        const saved = JSON.parse(fs.readFileSync(eventsPath, 'utf8'));
+        assert.deepStrictEqual(saved.events.map(event => event.subtype), ['recording_start', 'vehicle_destroyed', 'recording_stop']);
+        assert.ok(saved.events[1].videoOffset >= 0);
+    } finally {
+        supervisor?.stopHealthChecks();
+        await websocket?.shutdown();
+        await mock.stop();
+    }
+});
+
+test('the supervisor reconnects after the connection drops', async () => {
+    const mock = new MockOBSServer({ port: 0, password: 'secret', outputDir: path.join(appData.dir, 'obs-output') });
+    await mock.start();
+    let supervisor;
+    let websocket;
+
+    try {
+        ({ supervisor, websocket } = await startSupervisor(mock, { recording: { outputPath: appData.dir } }, 'secret'));
+
+        let reconnectsScheduled = 0;
+        const scheduleReconnect = websocket.scheduleReconnect.bind(websocket);
+        websocket.scheduleReconnect = () => {
+            reconnectsScheduled++;
+            scheduleReconnect();
+        };
+
+        mock.dropConnections();
+        await waitFor(() => supervisor.state.obs.websocket === 'disconnected');
+        await waitFor(() => supervisor.state.obs.websocket === 'connected');
+
+        assert.strictEqual(reconnectsScheduled, 1);
+        assert.strictEqual(websocket.connected, true);
+        assert.strictEqual(websocket.reconnectAttempts, 0);
+    } finally {
+        supervisor?.stopHealthChecks();
+        await websocket?.shutdown();
+        await mock.stop();
+    }
+});
+
+test('the supervisor reconnects once OBS is back after a restart', async () => {
+    const mock = new MockOBSServer({ port: 0, password: 'secret', outputDir: path.join(appData.dir, 'obs-output') });
+    await mock.start();
+    let supervisor;
+    let websocket;
+
+    try {
+        ({ supervisor, websocket } = await startSupervisor(mock, { recording: { outputPath: appData.dir } }, 'secret'));
+
+        const restarting = mock.restart(2500);
+        await waitFor(() => supervisor.state.obs.websocket !== 'connected');
+        await restarting;
+
+        // OBS is running again but the socket is still down, the supervisor forces a
+        // reconnect instead of restarting OBS
+        let forced = 0;
+        const forceReconnection = websocket.forceReconnection.bind(websocket);
+        websocket.forceReconnection = () => {
+            forced++;
+            forceReconnection();
+        };
+        supervisor.managers.get('obs-process').isOBSRunning = async () => true;
+        websocket.emit('obs-connection-failed', { failures: 3, message: 'Unable to connect to OBS' });
+
+        await waitFor(() => supervisor.state.obs.websocket === 'connected');
+        assert.strictEqual(forced, 1);
+        assert.strictEqual(websocket.forceReconnect, false);
+    } finally {
+        supervisor?.stopHealthChecks();
+        await websocket?.shutdown();
+        await mock.stop();
+    }
+});
+
+test('the file split timer closes the segment and the next file starts with a split event', async () => {
+    const mock = new MockOBSServer({ port: 0, password: 'secret', outputDir: path.join(appData.dir, 'obs-output'), startDelay: 10 });
+    await mock.start();
+    let supervisor;
+    let websocket;
+
+    try {
+        ({ supervisor, websocket } = await startSupervisor(mock, { recording: { outputPath: appData.dir } }, 'secret'));
+        supervisor.shadowPlayEnabled = true;
+        supervisor.fileSplitDuration = 0.02; // 1.2 seconds
+        const splits = [];
+        supervisor.on('recording-split', split => splits.push(split));
+
+        await supervisor.startRecording();
+        await waitFor(() => supervisor.state.recording.active);
+        const firstPath = supervisor.state.recording.outputPath;
+
+        const scLog = supervisor.managers.get('sc-log');
+        scLog.emit('event', { type: 'combat', subtype: 'vehicle_destroyed', message: 'Before the split', severity: 'high' });
+
+        await waitFor(() => splits.length === 1);
+        scLog.emit('event', { type: 'combat', subtype: 'player_kill', message: 'After the split', severity: 'high' });
+        await supervisor.stopRecording();
+        await waitFor(() => !supervisor.state.recording.active);
+
+        const secondPath = splits[0].newPath;
+        assert.strictEqual(splits[0].oldPath, firstPath);
+        assert.notStrictEqual(secondPath, firstPath);
+
+        const firstEvents = firstPath.replace(/\.mkv$/, '.json');
+        const secondEvents = secondPath.replace(/\.mkv$/, '.json');
+        await waitFor(() => fs.existsSync(firstEvents) && fs.existsSync(secondEvents));
+        // Boundary copies are otherwise written a pre-roll window after the split
+        await supervisor.eventCapture.flushPreviousSegment();
+
+        // Events near the boundary are kept in both files
+        // Encounters derived from the kills are left out
+        const first = JSON.parse(fs.readFileSync(firstEvents, 'utf8')).events
+            .filter(event => event.subtype !== 'combat_encounter');
+        const firstStop = first.find(event => event.subtype === 'recording_stop');
+        const copied = first.find(event => event.subtype === 'player_kill');
+        assert.deepStrictEqual(first.map(event => event.subtype), ['recording_start', 'vehicle_destroyed', 'recording_stop', 'player_kill']);
+        assert.strictEqual(copied.boundaryCopy, 'next-segment');
+        assert.ok(copied.videoOffset >= firstStop.videoOffset);
+
+        const second = JSON.parse(fs.readFileSync(secondEvents, 'utf8')).events;
+        const split = second.find(event => event.subtype === 'recording_split');
+        const preRoll = second.find(event => event.subtype === 'vehicle_destroyed');
+        assert.strictEqual(split.videoOffset, 0);
+        assert.strictEqual(split.data.previousPath, firstPath);
+        assert.ok(preRoll.preRoll);
+        assert.ok(preRoll.videoOffset < 0);
+        assert.ok(second.find(event => event.subtype === 'player_kill').videoOffset >= 0);
+    } finally {
+        supervisor?.stopFileSplitTimer();
+        supervisor?.stopHealthChecks();
+        await websocket?.shutdown();
+        await mock.stop();
+    }
+});
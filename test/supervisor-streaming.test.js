@@ -0,0 +1,66 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const net = require('net');
+const path = require('path');
+const MockOBSServer = require('../scripts/mock-obs-server');
+const { useTempAppData, waitFor, startSupervisor } = require('./helpers/supervisor-harness');
+
+const appData = useTempAppData('sc-supervisor-stream-');
+
+test('a stream to a local sink marks game events and saves the markers when it stops', async () => {
+    // The mock only opens a TCP connection to the stream server without ffmpeg
+    const sink = net.createServer(socket => socket.on('error', () => {}));
+    await new Promise(resolve => sink.listen(0, '127.0.0.1', resolve));
+    const mock = new MockOBSServer({ port: 0, outputDir: path.join(appData.dir, 'obs-output'), startDelay: 10 });
+    await mock.start();
+
+    const captions = [];
+    mock.on('caption', text => captions.push(text));
+    let supervisor;
+    let websocket;
+
+    try {
+        ({ supervisor, websocket } = await startSupervisor(mock, {
+            recording: { outputPath: appData.dir },
+            streaming: { markers: true, captions: true }
+        }));
+        const markers = [];
+        let saved = null;
+        supervisor.on('stream-marker', marker => markers.push(marker));
+        supervisor.on('stream-markers-saved', result => { saved = result; });
+
+        await supervisor.startStreaming({ server: `rtmp://127.0.0.1:${sink.address().port}/live`, key: 'stream-key' });
+        await waitFor(() => supervisor.state.streaming.active);
+
+        supervisor.managers.get('sc-log').emit('event', {
+            type: 'combat',
+            subtype: 'vehicle_destroyed',
+            name: 'Vehicle Destroyed',
+            message: 'Cutlass Black destroyed',
+            severity: 'high'
+        });
+        await waitFor(() => captions.length > 0);
+
+        assert.deepStrictEqual(markers.map(marker => marker.message), ['Cutlass Black destroyed']);
+        assert.deepStrictEqual(captions, ['Cutlass Black destroyed']);
+
+        await supervisor.stopStreaming();
+        await waitFor(() => saved !== null);
+
+        assert.strictEqual(supervisor.state.streaming.active, false);
+        assert.strictEqual(supervisor.streamStatsInterval, null);
+        assert.strictEqual(path.dirname(saved.markersPath), path.join(appData.dir, 'streams'));
+
+        const file = JSON.parse(fs.readFileSync(saved.markersPath, 'utf8'));
+        assert.strictEqual(file.metadata.host, `127.0.0.1:${sink.address().port}`);
+        assert.deepStrictEqual(file.markers.map(marker => marker.message), ['Cutlass Black destroyed']);
+        assert.ok(!fs.readFileSync(saved.markersPath, 'utf8').includes('stream-key'));
+    } finally {
+        supervisor?.stopHealthChecks();
+        clearInterval(supervisor?.streamStatsInterval);
+        await websocket?.shutdown();
+        await mock.stop();
+        await new Promise(resolve => sink.close(resolve));
+    }
+});
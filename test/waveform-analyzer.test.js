@@ -0,0 +1,142 @@
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const WaveformAnalyzer = require('../lib/waveform-analyzer');
+
+const analyzer = new WaveformAnalyzer();
+const SAMPLE_RATE = 8000;
+
+let tmpDir;
+
+beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'sc-waveform-'));
+});
+
+afterEach(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+// 16-bit stereo WAV with a LIST chunk before the data, like ffmpeg writes
+function writeWav(name, frames) {
+    const data = Buffer.alloc(frames.length * 4);
+    frames.forEach(([left, right], i) => {
+        data.writeInt16LE(left, i * 4);
+        data.writeInt16LE(right, i * 4 + 2);
+    });
+
+    const fmt = Buffer.alloc(24);
+    fmt.write('fmt ', 0, 'ascii');
+    fmt.writeUInt32LE(16, 4);
+    fmt.writeUInt16LE(1, 8);
+    fmt.writeUInt16LE(2, 10);
+    fmt.writeUInt32LE(SAMPLE_RATE, 12);
+    fmt.writeUInt32LE(SAMPLE_RATE * 4, 16);
+    fmt.writeUInt16LE(4, 20);
+    fmt.writeUInt16LE(16, 22);
+
+    const list = Buffer.alloc(8 + 5);
+    list.write('LIST', 0, 'ascii');
+    list.writeUInt32LE(5, 4);
+    list.write('INFOx', 8, 'ascii');
+
+    const dataHeader = Buffer.alloc(8);
+    dataHeader.write('data', 0, 'ascii');
+    dataHeader.writeUInt32LE(data.length, 4);
+
+    const riff = Buffer.alloc(12);
+    riff.write('RIFF', 0, 'ascii');
+    riff.write('WAVE', 8, 'ascii');
+
+    // Odd sized chunks are padded to an even length
+    const body = Buffer.concat([fmt, list, Buffer.alloc(1), dataHeader, data]);
+    riff.writeUInt32LE(4 + body.length, 4);
+
+    const wavPath = path.join(tmpDir, name);
+    fs.writeFileSync(wavPath, Buffer.concat([riff, body]));
+    return wavPath;
+}
+
+function silence(seconds) {
+    return Array.from({ length: seconds * SAMPLE_RATE }, () => [0, 0]);
+}
+
+function tone(seconds, amplitude) {
+    return Array.from({ length: seconds * SAMPLE_RATE }, (_, i) => [0, i % 2 ? amplitude : -amplitude]);
+}
+
+// Level buckets at the analyzer's rate from [seconds, dB] runs
+function levels(...runs) {
+    return {
+        peaksPerSecond: WaveformAnalyzer.PEAKS_PER_SECOND,
+        levels: runs.flatMap(([seconds, db]) => Array(Math.round(seconds * WaveformAnalyzer.PEAKS_PER_SECOND)).fill(db))
+    };
+}
+
+test('peaks and levels are read per bucket from the loudest channel', async () => {
+    const wavPath = writeWav('track.wav', [...silence(1), ...tone(0.5, 16384), ...silence(0.5)]);
+    const peakData = await analyzer.readPeaks(wavPath);
+
+    assert.strictEqual(peakData.peaksPerSecond, 50);
+    assert.strictEqual(peakData.duration, 2);
+    assert.strictEqual(peakData.peaks.length, 100);
+    assert.deepStrictEqual([peakData.peaks[49], peakData.peaks[50], peakData.peaks[74], peakData.peaks[75]], [0, 0.5, 0.5, 0]);
+    assert.strictEqual(peakData.levels[60], -6);
+    assert.strictEqual(peakData.levels[0], -100);
+});
+
+test('peaks are cached next to the WAV and reused', async () => {
+    const wavPath = writeWav('track.wav', tone(0.1, 8192));
+    const cachePath = path.join(tmpDir, 'track.peaks.json');
+
+    const first = await analyzer.getPeaks(wavPath, cachePath);
+    assert.deepStrictEqual(JSON.parse(fs.readFileSync(cachePath, 'utf8')), first);
+
+    // A cache of the current version is reused, any other version is rebuilt
+    fs.writeFileSync(cachePath, JSON.stringify({ ...first, peaks: [1], version: 1 }));
+    assert.deepStrictEqual((await analyzer.getPeaks(wavPath, cachePath)).peaks, [1]);
+    fs.writeFileSync(cachePath, JSON.stringify({ ...first, peaks: [1], version: 0 }));
+    assert.deepStrictEqual((await analyzer.getPeaks(wavPath, cachePath)).peaks, first.peaks);
+});
+
+test('files that are not 16-bit PCM WAV are rejected', async () => {
+    const textPath = path.join(tmpDir, 'notes.wav');
+    fs.writeFileSync(textPath, 'not audio at all');
+
+    await assert.rejects(analyzer.readPeaks(textPath), /Not a WAV file/);
+});
+
+test('the auto threshold sits above the noise floor', () => {
+    assert.strictEqual(analyzer.getAutoThreshold([-100, -100]), -50);
+    assert.strictEqual(analyzer.getAutoThreshold(levels([9, -40], [1, -10]).levels), -28);
+    assert.strictEqual(analyzer.getAutoThreshold(levels([10, -80]).levels), -50);
+    assert.strictEqual(analyzer.toDecibels(0.25), -6);
+    assert.strictEqual(analyzer.toDecibels(0), -100);
+});
+
+test('speech bridges short pauses and drops clicks', () => {
+    const peakData = levels(
+        [2, -60],
+        [1, -20], // speech
+        [0.4, -60], // short pause, bridged
+        [1, -20], // speech
+        [2, -60],
+        [0.1, -20], // click
+        [2, -60]
+    );
+
+    const speech = analyzer.detectSpeech(peakData, { threshold: -30 });
+    assert.strictEqual(speech.length, 1);
+    assert.ok(Math.abs(speech[0].startTime - 1.8) < 1e-9);
+    assert.ok(Math.abs(speech[0].endTime - 4.6) < 1e-9);
+});
+
+test('padding is clamped to the track and merges touching ranges', () => {
+    const peakData = levels([0.1, -20], [1, -60], [0.5, -20], [0.1, -60]);
+
+    const speech = analyzer.detectSpeech(peakData, { threshold: -30, minSilence: 0.5, minSpeech: 0.1, padding: 0.6 });
+    assert.strictEqual(speech.length, 1);
+    assert.strictEqual(speech[0].startTime, 0);
+    assert.ok(Math.abs(speech[0].endTime - 1.7) < 1e-9);
+});
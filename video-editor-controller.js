@@ -33,6 +33,24 @@ class VideoEditorController {
         this.generateThumbnails = false; // Checkbox state for thumbnail generation
         this.selectedMainThumbnailEventId = null; // For tracking selected main thumbnail event
 
+        // Event overlay preview - captions for the loaded events, null when overlays are off
+        this.overlayRenderer = null;
+        this.overlayPreview = [];
+        this.overlayRangeStart = 0;
+
+        // Montage state - clips from one or more recordings in play order
+        this.montageClips = [];
+        this.montageClipCounter = 0;
+
+        // Export presets - built-in and saved presets, encoders found by FFmpeg detection
+        this.exportPresets = [];
+        this.userExportPresets = {};
+        this.availableEncoders = null;
+
+        // Reframe state - crop window keyframes { time, position } for vertical/square export
+        this.reframeKeyframes = [];
+        this.reframeDragging = false;
+
         // Audio mixer state
         this.audioTracks = [];
         this.audioSegments = {};
@@ -67,6 +85,14 @@ class VideoEditorController {
         // Initialize audio mixer
         this.initializeAudioMixer();
 
+        // Fill the export preset list
+        this.loadExportPresets();
+
+        // Background export queue, shown under the export button
+        this.exportQueue = window.ExportQueueController
+            ? new ExportQueueController({ buildExport: () => this.buildQueuedExport() })
+            : null;
+
         // Initialize audio track manager if available
         this.initializeAudioTrackManager();
 
@@ -135,8 +161,12 @@ class VideoEditorController {
             this.clipModeBtn.addEventListener('click', () => this.setMode('clip'));
         }
         if (this.concatModeBtn) {
-            this.concatModeBtn.addEventListener('click', () => this.setMode('concatenate'));
+            this.concatModeBtn.addEventListener('click', () => this.setMode('montage'));
         }
+
+        // Montage controls
+        document.getElementById('montage-add-btn')?.addEventListener('click', () => this.addCurrentClipToMontage());
+        document.getElementById('montage-clear-btn')?.addEventListener('click', () => this.clearMontage());
         
         // Button clicks
         if (this.browseBtn) {
@@ -191,6 +221,34 @@ class VideoEditorController {
             });
         });
 
+        // Event overlay settings, any change rebuilds the preview
+        document.getElementById('overlay-enable')?.addEventListener('change', (e) => {
+            const overlayOptions = document.getElementById('overlay-options');
+            if (overlayOptions) {
+                overlayOptions.style.display = e.target.checked ? 'block' : 'none';
+            }
+            this.refreshOverlayPreview();
+        });
+        document.querySelectorAll('#overlay-options input, #overlay-options select').forEach(input => {
+            input.addEventListener('change', () => this.refreshOverlayPreview());
+        });
+
+        // Reframe controls
+        this.setupReframeControls();
+
+        // Export presets, edits to a preset's settings update the estimate
+        document.getElementById('export-preset')?.addEventListener('change', (e) => this.applyExportPreset(e.target.value));
+        document.getElementById('export-preset-save-btn')?.addEventListener('click', () => this.saveExportPreset());
+        document.getElementById('export-preset-delete-btn')?.addEventListener('click', () => this.deleteExportPreset());
+        document.getElementById('preset-codec')?.addEventListener('change', () => this.populateEncoderOptions());
+        document.getElementById('preset-rate-mode')?.addEventListener('change', (e) => {
+            const defaults = { quality: 23, bitrate: 8000, size: 25 };
+            document.getElementById('preset-rate-value').value = defaults[e.target.value];
+        });
+        document.querySelectorAll('#export-preset-options input, #export-preset-options select').forEach(input => {
+            input.addEventListener('change', () => this.updatePresetInfo());
+        });
+
         // Thumbnail generation checkbox
         const thumbnailCheckbox = document.getElementById('generate-thumbnails-check');
         if (thumbnailCheckbox) {
@@ -248,6 +306,8 @@ class VideoEditorController {
             this.videoPlayer.addEventListener('seeked', () => {
                 if (this.videoPlayer) {
                     this.updateAudioTracksForSegments(this.videoPlayer.currentTime);
+                    this.updateOverlayPreview();
+                    this.updateReframePreview();
                 }
             });
         }
@@ -322,7 +382,7 @@ class VideoEditorController {
     }
     
     /**
-     * Set editing mode (clip or concatenate)
+     * Set editing mode (clip or montage)
      */
     setMode(mode) {
         if (this.currentMode === mode) return; // Already in this mode
@@ -338,8 +398,19 @@ class VideoEditorController {
             this.clipModeBtn?.classList.remove('active');
             this.concatModeBtn?.classList.add('active');
         }
-        
-        // TODO: Update UI based on mode (Phase 10)
+
+
+        // Montage panel only shows in montage mode, mark in/out picks each clip's range
+        const montagePanel = document.getElementById('montage-panel');
+        if (montagePanel) {
+            montagePanel.style.display = mode === 'montage' ? 'block' : 'none';
+        }
+
+        if (mode === 'montage') {
+            this.renderMontage();
+        } else {
+            this.updateClipDuration();
+        }
     }
     
     /**
@@ -499,6 +570,9 @@ class VideoEditorController {
             
             timelineEvents.appendChild(eventEl);
         });
+
+        // Events or marks changed, so did the overlays
+        this.refreshOverlayPreview();
     }
     
     /**
@@ -662,6 +736,10 @@ class VideoEditorController {
     async exportVideo() {
         console.log('Export video clicked');
 
+        if (this.currentMode === 'montage') {
+            return this.exportMontage();
+        }
+
         if (!this.currentVideo) {
             this.showExportError('No video loaded to export', true);
             return;
@@ -690,21 +768,7 @@ class VideoEditorController {
             this.showExportProgress('Preparing export...');
 
             // Prepare data for fluent-ffmpeg export
-            const exportData = {
-                inputPath: exportSettings.inputPath,
-                outputPath: exportSettings.outputPath,
-                markIn: exportSettings.markIn,
-                markOut: exportSettings.markOut,
-                videoCodec: exportSettings.videoCodec,
-                videoQuality: exportSettings.videoQuality,
-                videoPreset: exportSettings.videoPreset,
-                isMultiTrackMode: exportSettings.isMultiTrackMode,
-                hasMultipleTracks: exportSettings.hasMultipleTracks,
-                extractedTracks: exportSettings.extractedTracks,
-                audioSegments: exportSettings.audioMixer?.segments || [],
-                events: this.currentEvents || [] // Include events for JSON export
-            };
-
+            const exportData = this.buildExportData(exportSettings);
 
             // Update progress: cutting video
             this.updateExportProgress('cut');
@@ -741,18 +805,7 @@ class VideoEditorController {
 
                 console.log(`Video exported successfully to: ${exportSettings.outputPath}`);
 
-                // Update modal to show completion state
-                const modal = document.getElementById('export-progress-modal');
-                if (modal) {
-                    const header = modal.querySelector('.modal-header h3');
-                    if (header) header.textContent = 'Export Complete!';
-                }
-
-                // Show export statistics
-                this.showExportStats(exportSettings.outputPath, exportDuration, exportData);
-
-                // Show completion buttons and hide cancel button
-                this.showCompletionButtons(exportSettings.outputDir);
+                this.showExportComplete(exportSettings, exportDuration, exportData);
             } else {
                 console.error('Export failed:', result.error);
                 this.showExportError(`Export failed: ${result.error || 'Unknown error'}\nCheck console (F12) for details.`);
@@ -763,21 +816,398 @@ class VideoEditorController {
         }
     }
 
+    /**
+     * Options for export-video-fluent from the gathered export settings
+     */
+    buildExportData(exportSettings) {
+        return {
+            inputPath: exportSettings.inputPath,
+            outputPath: exportSettings.outputPath,
+            markIn: exportSettings.markIn,
+            markOut: exportSettings.markOut,
+            videoCodec: exportSettings.videoCodec,
+            videoQuality: exportSettings.videoQuality,
+            videoPreset: exportSettings.videoPreset,
+            isMultiTrackMode: exportSettings.isMultiTrackMode,
+            hasMultipleTracks: exportSettings.hasMultipleTracks,
+            extractedTracks: exportSettings.extractedTracks,
+            audioSegments: exportSettings.audioMixer?.segments || [],
+            loudness: exportSettings.audioMixer?.loudness || null,
+            ducking: exportSettings.audioMixer?.ducking || null,
+            events: this.currentEvents || [], // Include events for JSON export
+            overlays: exportSettings.overlays,
+            preset: exportSettings.preset,
+            targetSizeMB: exportSettings.targetSizeMB,
+            reframe: exportSettings.reframe
+        };
+    }
+
+    /**
+     * Options for export-video-fluent rendering the montage
+     */
+    buildMontageExportData(exportSettings) {
+        const MontageBuilder = require('./lib/montage-builder');
+        const layout = new MontageBuilder().getLayout(this.montageClips);
+
+        return {
+            outputPath: exportSettings.outputPath,
+            videoCodec: exportSettings.videoCodec,
+            videoQuality: exportSettings.videoQuality,
+            videoPreset: exportSettings.videoPreset,
+            montage: {
+                clips: this.montageClips.map(clip => ({
+                    videoPath: clip.videoPath,
+                    in: clip.in,
+                    out: clip.out,
+                    transition: clip.transition,
+                    transitionDuration: clip.transitionDuration,
+                    events: clip.events
+                }))
+            },
+            overlays: exportSettings.overlays,
+            preset: exportSettings.preset,
+            // Used by the export stats
+            markIn: 0,
+            markOut: layout.duration
+        };
+    }
+
+    /**
+     * Export options for the background queue, null when there is nothing to export
+     */
+    buildQueuedExport() {
+        if (this.currentMode === 'montage') {
+            if (this.montageClips.length === 0) {
+                this.showAlert('Add clips to the montage before queueing it', 'warning');
+                return null;
+            }
+            return this.buildMontageExportData(this.gatherExportSettings(this.montageClips[0].videoPath));
+        }
+
+        if (!this.currentVideo) {
+            this.showAlert('Load a video before queueing an export', 'warning');
+            return null;
+        }
+        return this.buildExportData(this.gatherExportSettings());
+    }
+
+    /**
+     * Switch the export modal to its completed state
+     */
+    showExportComplete(exportSettings, exportDuration, exportData) {
+        // Update modal to show completion state
+        const modal = document.getElementById('export-progress-modal');
+        if (modal) {
+            const header = modal.querySelector('.modal-header h3');
+            if (header) header.textContent = 'Export Complete!';
+        }
+
+        // Show export statistics
+        this.showExportStats(exportSettings.outputPath, exportDuration, exportData);
+
+        // Show completion buttons and hide cancel button
+        this.showCompletionButtons(exportSettings.outputDir);
+    }
+
+    /**
+     * Add the loaded video between mark in and mark out to the montage
+     */
+    addCurrentClipToMontage() {
+        if (!this.currentVideo || !this.videoPlayer || !this.videoPlayer.duration) {
+            this.showAlert('Load a recording before adding it to the montage', 'warning');
+            return;
+        }
+
+        const clipIn = this.markIn !== null ? this.markIn : 0;
+        const clipOut = this.markOut !== null ? this.markOut : this.videoPlayer.duration;
+        if (clipOut - clipIn < 0.1) {
+            this.showAlert('Mark Out must be after Mark In', 'error');
+            return;
+        }
+
+        this.montageClips.push({
+            id: ++this.montageClipCounter,
+            videoPath: this.currentVideo,
+            name: this.currentVideo.split(/[\\\/]/).pop(),
+            in: clipIn,
+            out: clipOut,
+            sourceDuration: this.videoPlayer.duration,
+            events: this.currentEvents || [],
+            transition: 'cut',
+            transitionDuration: 1
+        });
+
+        this.renderMontage();
+    }
+
+    /**
+     * Remove every clip from the montage
+     */
+    clearMontage() {
+        if (this.montageClips.length === 0) return;
+        if (!confirm('Remove all clips from the montage?')) return;
+
+        this.montageClips = [];
+        this.renderMontage();
+    }
+
+    /**
+     * Move a clip up (-1) or down (1) in the montage
+     */
+    moveMontageClip(index, direction) {
+        const target = index + direction;
+        if (target < 0 || target >= this.montageClips.length) return;
+
+        const [clip] = this.montageClips.splice(index, 1);
+        this.montageClips.splice(target, 0, clip);
+        this.renderMontage();
+    }
+
+    removeMontageClip(index) {
+        this.montageClips.splice(index, 1);
+        this.renderMontage();
+    }
+
+    /**
+     * Apply edits from a clip row, in/out are kept inside the source video
+     */
+    updateMontageClip(index, changes) {
+        const clip = this.montageClips[index];
+        if (!clip) return;
+
+        if (changes.in !== undefined && !isNaN(changes.in)) {
+            clip.in = Math.max(0, Math.min(changes.in, clip.out - 0.1));
+        }
+        if (changes.out !== undefined && !isNaN(changes.out)) {
+            clip.out = Math.min(clip.sourceDuration, Math.max(changes.out, clip.in + 0.1));
+        }
+        if (changes.transition) {
+            clip.transition = changes.transition;
+        }
+        if (changes.transitionDuration !== undefined && !isNaN(changes.transitionDuration)) {
+            clip.transitionDuration = Math.max(0.1, Math.min(changes.transitionDuration, 5));
+        }
+
+        this.renderMontage();
+    }
+
+    /**
+     * Take a clip's in/out from the current marks, the clip's recording must be loaded
+     */
+    setMontageClipFromMarks(index) {
+        const clip = this.montageClips[index];
+        if (!clip) return;
+
+        if (this.currentVideo !== clip.videoPath) {
+            this.showAlert('Preview the clip first to edit it with Mark In/Out', 'warning');
+            return;
+        }
+
+        this.updateMontageClip(index, {
+            in: this.markIn !== null ? this.markIn : 0,
+            out: this.markOut !== null ? this.markOut : clip.sourceDuration
+        });
+    }
+
+    /**
+     * Load a clip's recording with its in/out as the marks
+     */
+    async previewMontageClip(index) {
+        const clip = this.montageClips[index];
+        if (!clip || !this.videoPlayer) return;
+
+        if (this.currentVideo !== clip.videoPath) {
+            await this.handleVideoSelected({ path: clip.videoPath, hasEvents: false });
+            this.currentEvents = clip.events;
+            this.updateTimeline();
+        }
+
+        // Marks are reset when the video's metadata loads, set them after that
+        if (this.videoPlayer.readyState < 1) {
+            await new Promise(resolve => {
+                this.videoPlayer.addEventListener('loadedmetadata', resolve, { once: true });
+            });
+        }
+
+        this.markIn = clip.in;
+        this.markOut = clip.out;
+        const markInTime = document.getElementById('mark-in-time');
+        if (markInTime) markInTime.textContent = this.formatTime(this.markIn);
+        const markOutTime = document.getElementById('mark-out-time');
+        if (markOutTime) markOutTime.textContent = this.formatTime(this.markOut);
+
+        this.updateClipBoundsOverlay();
+        this.updateTimeline();
+        this.updateMixerMarkLines();
+        this.videoPlayer.currentTime = clip.in;
+    }
+
+    /**
+     * Redraw the montage sequence strip and clip list
+     */
+    renderMontage() {
+        const MontageBuilder = require('./lib/montage-builder');
+        const builder = new MontageBuilder();
+        const layout = builder.getLayout(this.montageClips);
+        const events = builder.buildEvents(layout);
+
+        const summary = document.getElementById('montage-summary');
+        if (summary) {
+            summary.textContent = `${this.montageClips.length} clip${this.montageClips.length === 1 ? '' : 's'} · ` +
+                `${this.formatDuration(layout.duration)} · ${events.length} events`;
+        }
+
+        if (this.currentMode === 'montage') {
+            const outputDuration = document.getElementById('output-duration');
+            if (outputDuration) outputDuration.textContent = this.formatDuration(layout.duration);
+        }
+
+        // Sequence strip - clip blocks sized by duration, crossfades overlap
+        const sequence = document.getElementById('montage-sequence');
+        if (sequence) {
+            sequence.innerHTML = '';
+            if (layout.duration > 0) {
+                layout.clips.forEach((clip, index) => {
+                    const block = document.createElement('div');
+                    block.className = `montage-block montage-block-${index % 4}`;
+                    block.style.left = `${clip.start / layout.duration * 100}%`;
+                    block.style.width = `${clip.duration / layout.duration * 100}%`;
+                    block.textContent = index + 1;
+                    block.title = `${clip.name} (${this.formatDuration(clip.duration)})`;
+                    block.addEventListener('click', () => this.previewMontageClip(index));
+                    sequence.appendChild(block);
+                });
+
+                events.forEach(event => {
+                    const tick = document.createElement('div');
+                    tick.className = `montage-event-tick severity-${event.severity || 'low'}`;
+                    tick.style.left = `${event.videoOffset / layout.duration * 100}%`;
+                    tick.title = `${this.formatDuration(event.videoOffset)} ${event.message || event.subtype || ''}`;
+                    sequence.appendChild(tick);
+                });
+            }
+        }
+
+        const list = document.getElementById('montage-clip-list');
+        if (!list) return;
+
+        list.innerHTML = '';
+        if (this.montageClips.length === 0) {
+            list.innerHTML = '<div class="montage-empty">No clips yet</div>';
+            return;
+        }
+
+        this.montageClips.forEach((clip, index) => {
+            const row = document.createElement('div');
+            row.className = 'montage-clip';
+            row.innerHTML = `
+                <span class="montage-clip-index">${index + 1}</span>
+                <span class="montage-clip-name" title="${this.escapeHtml(clip.videoPath)}">${this.escapeHtml(clip.name)}</span>
+                ${index > 0 ? `
+                    <select class="form-control montage-transition" title="Transition from the previous clip">
+                        <option value="cut" ${clip.transition === 'cut' ? 'selected' : ''}>Cut</option>
+                        <option value="crossfade" ${clip.transition === 'crossfade' ? 'selected' : ''}>Crossfade</option>
+                    </select>
+                    <input type="number" class="form-control montage-transition-duration" min="0.1" max="5" step="0.1"
+                        value="${clip.transitionDuration}" title="Crossfade seconds" ${clip.transition === 'crossfade' ? '' : 'disabled'}>
+                ` : '<span class="montage-transition-placeholder"></span>'}
+                <label>In <input type="number" class="form-control montage-in" min="0" step="0.1" value="${clip.in.toFixed(1)}"></label>
+                <label>Out <input type="number" class="form-control montage-out" min="0" step="0.1" value="${clip.out.toFixed(1)}"></label>
+                <span class="montage-clip-duration">${this.formatDuration(clip.out - clip.in)}</span>
+                <div class="montage-clip-buttons">
+                    <button class="btn btn-sm montage-preview" title="Load this clip in the player">▶</button>
+                    <button class="btn btn-sm montage-from-marks" title="Set in/out from Mark In/Out">[ ]</button>
+                    <button class="btn btn-sm montage-up" title="Move up" ${index === 0 ? 'disabled' : ''}>▲</button>
+                    <button class="btn btn-sm montage-down" title="Move down" ${index === this.montageClips.length - 1 ? 'disabled' : ''}>▼</button>
+                    <button class="btn btn-sm btn-secondary montage-remove" title="Remove clip">✕</button>
+                </div>
+            `;
+
+            row.querySelector('.montage-transition')?.addEventListener('change', (e) => {
+                this.updateMontageClip(index, { transition: e.target.value });
+            });
+            row.querySelector('.montage-transition-duration')?.addEventListener('change', (e) => {
+                this.updateMontageClip(index, { transitionDuration: parseFloat(e.target.value) });
+            });
+            row.querySelector('.montage-in').addEventListener('change', (e) => {
+                this.updateMontageClip(index, { in: parseFloat(e.target.value) });
+            });
+            row.querySelector('.montage-out').addEventListener('change', (e) => {
+                this.updateMontageClip(index, { out: parseFloat(e.target.value) });
+            });
+            row.querySelector('.montage-preview').addEventListener('click', () => this.previewMontageClip(index));
+            row.querySelector('.montage-from-marks').addEventListener('click', () => this.setMontageClipFromMarks(index));
+            row.querySelector('.montage-up').addEventListener('click', () => this.moveMontageClip(index, -1));
+            row.querySelector('.montage-down').addEventListener('click', () => this.moveMontageClip(index, 1));
+            row.querySelector('.montage-remove').addEventListener('click', () => this.removeMontageClip(index));
+
+            list.appendChild(row);
+        });
+    }
+
+    /**
+     * Render the montage to one video through export-video-fluent
+     */
+    async exportMontage() {
+        if (this.montageClips.length === 0) {
+            this.showExportError('Add clips to the montage before exporting', true);
+            return;
+        }
+
+        this.exportStartTime = Date.now();
+        this.showExportModal();
+
+        try {
+            // Output goes to the edited folder next to the first clip's recording
+            const exportSettings = this.gatherExportSettings(this.montageClips[0].videoPath);
+            const exportData = this.buildMontageExportData(exportSettings);
+
+            this.updateExportProgress('cut');
+            await this.delay(500);
+            this.updateExportProgress('encode');
+
+            const result = await ipcRenderer.invoke('export-video-fluent', exportData);
+
+            if (result.success) {
+                this.updateExportProgress('save');
+                await this.delay(500);
+                this.updateExportProgress('completed');
+
+                console.log(`Montage exported successfully to: ${exportSettings.outputPath}`);
+                this.showExportComplete(exportSettings, Date.now() - this.exportStartTime, exportData);
+            } else {
+                console.error('Montage export failed:', result.error);
+                this.showExportError(`Export failed: ${result.error || 'Unknown error'}\nCheck console (F12) for details.`);
+            }
+        } catch (error) {
+            console.error('Montage export error:', error);
+            this.showExportError(`Export failed: ${error.message || 'Unknown error'}\nCheck console (F12) for details.`);
+        }
+    }
+
     /**
      * Gather all export settings from UI
+     * @param {string} sourcePath - Video that decides the output folder, defaults to the loaded video
      */
-    gatherExportSettings() {
+    gatherExportSettings(sourcePath = this.currentVideo) {
         const settings = {};
 
         // Get filename and format
         const filename = document.getElementById('export-filename')?.value || 'output_video';
-        const container = document.getElementById('container-format')?.value || 'mkv';
+        let container = document.getElementById('container-format')?.value || 'mkv';
+
+        // Presets can't use every container (WebM is AV1 only), the preset decides
+        const preset = this.getPresetFromForm();
+        if (preset) {
+            const ExportPresets = require('./lib/export-presets');
+            container = new ExportPresets().normalizePreset(preset).container;
+        }
 
         // Build output path - determine edited folder location
         let outputDir = '';
 
         // First, try to determine if the video is in a structured recording folder
-        const videoPath = this.currentVideo.replace(/\\/g, '/');
+        const videoPath = sourcePath.replace(/\\/g, '/');
         const pathParts = videoPath.split('/');
 
         // Check if the video is in recordings or saved folder
@@ -835,6 +1265,10 @@ class VideoEditorController {
             settings.videoCodec = document.getElementById('video-codec')?.value || 'copy';
             settings.videoQuality = document.getElementById('video-quality')?.value || '23';
             settings.videoPreset = document.getElementById('video-preset')?.value || 'medium';
+
+            // Size target in MB, the export computes the bitrate and encodes in two passes
+            const targetSize = parseFloat(document.getElementById('target-size-mb')?.value);
+            settings.targetSizeMB = targetSize > 0 ? targetSize : null;
         } else {
             settings.videoCodec = 'copy';
         }
@@ -845,9 +1279,561 @@ class VideoEditorController {
         settings.isMultiTrackMode = this.isMultiTrackMode;
         settings.extractedTracks = this.extractedAudioTracks;
 
+        // Burned-in event overlays, sized for the source video
+        settings.overlays = this.getOverlayOptions();
+        if (settings.overlays && this.videoPlayer && this.videoPlayer.videoHeight) {
+            settings.overlays.height = this.videoPlayer.videoHeight;
+        }
+
+        // Export preset, overrides the transcode settings
+        settings.preset = preset;
+
+        // Vertical/square reframing with crop keyframes
+        settings.reframe = this.getReframeOptions();
+
         return settings;
     }
 
+    /**
+     * Overlay options from the export panel, null when overlays are off
+     */
+    getOverlayOptions() {
+        if (!document.getElementById('overlay-enable')?.checked) {
+            return null;
+        }
+
+        const layer = (key, withDuration = true) => {
+            const options = {
+                enabled: document.getElementById(`overlay-${key}-enabled`)?.checked || false,
+                position: document.getElementById(`overlay-${key}-position`)?.value,
+                fontSize: parseFloat(document.getElementById(`overlay-${key}-size`)?.value)
+            };
+            if (withDuration) {
+                options.duration = parseFloat(document.getElementById(`overlay-${key}-duration`)?.value);
+            }
+            return options;
+        };
+
+        const options = {
+            killfeed: layer('killfeed'),
+            lowerThird: layer('lower-third'),
+            timer: layer('timer', false)
+        };
+
+        const font = document.getElementById('overlay-font')?.value.trim();
+        if (font) {
+            options.font = font;
+        }
+
+        return options;
+    }
+
+    /**
+     * Rebuild the overlay preview for the loaded events and marks, using the
+     * same overlay list the export burns in
+     */
+    refreshOverlayPreview() {
+        const options = this.getOverlayOptions();
+        if (!options) {
+            this.overlayRenderer = null;
+            this.overlayPreview = [];
+            this.updateOverlayPreview();
+            return;
+        }
+
+        const EventOverlayRenderer = require('./lib/event-overlay-renderer');
+        this.overlayRenderer = new EventOverlayRenderer(options);
+        this.overlayRangeStart = this.markIn || 0;
+        this.overlayPreview = this.overlayRenderer.buildOverlays(this.currentEvents, {
+            start: this.overlayRangeStart,
+            end: this.markOut
+        });
+
+        this.updateOverlayPreview();
+    }
+
+    /**
+     * Draw the overlays active at the current time over the player
+     */
+    updateOverlayPreview() {
+        const container = document.getElementById('event-overlay-preview');
+        if (!container) return;
+
+        container.innerHTML = '';
+        if (!this.overlayRenderer || !this.videoPlayer || !this.videoPlayer.videoHeight) return;
+
+        const player = this.videoPlayer;
+        const { height } = this.coverDisplayedVideo(container);
+
+        const font = this.overlayRenderer.options.font;
+        const fontFamily = font.split(/[\\\/]/).pop().replace(/\.(ttf|otf|ttc)$/i, '');
+
+        const time = player.currentTime - this.overlayRangeStart;
+        this.overlayRenderer.getActiveOverlays(this.overlayPreview, time).forEach(overlay => {
+            const layout = this.overlayRenderer.getLayout(overlay, height);
+            const [vertical, horizontal] = overlay.position.split('-');
+
+            const item = document.createElement('div');
+            item.className = `event-overlay-item overlay-${overlay.layer}`;
+            item.textContent = overlay.layer === 'timer' ? this.overlayRenderer.formatTimer(player.currentTime) : overlay.text;
+            item.style.fontFamily = `'${fontFamily}', sans-serif`;
+            item.style.fontSize = `${layout.fontSize}px`;
+            item.style.color = overlay.color;
+            item.style.padding = `${Math.round(layout.fontSize / 4)}px`;
+            item.style[vertical] = `${layout.offset}px`;
+            if (horizontal === 'center') {
+                item.style.left = '50%';
+                item.style.transform = 'translateX(-50%)';
+            } else {
+                item.style[horizontal] = `${layout.margin}px`;
+            }
+
+            container.appendChild(item);
+        });
+    }
+
+    /**
+     * Load built-in and saved export presets into the preset list
+     * @param {string} selectId - Preset to select afterwards, keeps the current one by default
+     */
+    async loadExportPresets(selectId) {
+        const select = document.getElementById('export-preset');
+        if (!select) return;
+
+        try {
+            const result = await ipcRenderer.invoke('load-export-presets');
+            this.exportPresets = result.presets || [];
+            this.availableEncoders = result.encoders || null;
+            this.userExportPresets = {};
+            this.exportPresets.filter(preset => !preset.builtin).forEach(preset => {
+                const { builtin, ...saved } = preset;
+                this.userExportPresets[preset.id] = saved;
+            });
+        } catch (error) {
+            console.error('[VideoEditor] Failed to load export presets:', error);
+            return;
+        }
+
+        const selected = selectId !== undefined ? selectId : select.value;
+        select.innerHTML = '<option value="">Manual Settings</option>';
+
+        [['Built-in', true], ['Saved', false]].forEach(([label, builtin]) => {
+            const presets = this.exportPresets.filter(preset => preset.builtin === builtin);
+            if (presets.length === 0) return;
+
+            const group = document.createElement('optgroup');
+            group.label = label;
+            presets.forEach(preset => {
+                const option = document.createElement('option');
+                option.value = preset.id;
+                option.textContent = preset.name;
+                group.appendChild(option);
+            });
+            select.appendChild(group);
+        });
+
+        select.value = this.exportPresets.some(preset => preset.id === selected) ? selected : '';
+        this.applyExportPreset(select.value);
+    }
+
+    /**
+     * Hardware encoders for the selected codec that FFmpeg detection found
+     */
+    populateEncoderOptions(selected) {
+        const select = document.getElementById('preset-encoder');
+        const codec = document.getElementById('preset-codec')?.value || 'h264';
+        if (!select) return;
+
+        const current = selected || select.value;
+        const ExportPresets = require('./lib/export-presets');
+        const detected = this.availableEncoders ? this.availableEncoders[codec] || [] : [];
+
+        select.innerHTML = '<option value="auto">Auto (Hardware First)</option><option value="software">Software</option>';
+        ExportPresets.HARDWARE_ENCODERS[codec]
+            .filter(encoder => detected.includes(encoder))
+            .forEach(encoder => {
+                const option = document.createElement('option');
+                option.value = encoder;
+                option.textContent = encoder;
+                select.appendChild(option);
+            });
+
+        select.value = Array.from(select.options).some(option => option.value === current) ? current : 'auto';
+        this.updatePresetInfo();
+    }
+
+    /**
+     * Fill the preset settings from a preset, an empty id switches back to manual settings
+     */
+    applyExportPreset(id) {
+        const preset = this.exportPresets.find(p => p.id === id);
+        const options = document.getElementById('export-preset-options');
+        const deleteBtn = document.getElementById('export-preset-delete-btn');
+
+        if (options) {
+            options.style.display = preset ? 'block' : 'none';
+        }
+        if (deleteBtn) {
+            deleteBtn.disabled = !preset || preset.builtin;
+        }
+        if (!preset) {
+            this.updatePresetInfo();
+            return;
+        }
+
+        const setValue = (elementId, value) => {
+            const element = document.getElementById(elementId);
+            if (element) element.value = value === null || value === undefined ? '' : value;
+        };
+
+        const { video, audio } = preset;
+        setValue('preset-codec', video.codec);
+        setValue('preset-height', video.height);
+        setValue('preset-fps', video.fps);
+        if (video.targetSizeMB) {
+            setValue('preset-rate-mode', 'size');
+            setValue('preset-rate-value', video.targetSizeMB);
+        } else if (video.bitrate) {
+            setValue('preset-rate-mode', 'bitrate');
+            setValue('preset-rate-value', video.bitrate);
+        } else {
+            setValue('preset-rate-mode', 'quality');
+            setValue('preset-rate-value', video.quality);
+        }
+        setValue('preset-max-duration', preset.maxDuration);
+        setValue('preset-audio-mix', audio.mix);
+        setValue('preset-audio-codec', audio.codec);
+        setValue('preset-audio-bitrate', audio.bitrate);
+        setValue('export-preset-name', preset.builtin ? '' : preset.name);
+        setValue('container-format', preset.container);
+
+        this.populateEncoderOptions(video.encoder);
+    }
+
+    /**
+     * Preset built from the preset settings, null for manual settings
+     */
+    getPresetFromForm() {
+        const id = document.getElementById('export-preset')?.value;
+        const base = this.exportPresets.find(preset => preset.id === id);
+        if (!base) return null;
+
+        const number = (elementId) => {
+            const value = parseFloat(document.getElementById(elementId)?.value);
+            return value > 0 ? value : null;
+        };
+
+        const rateMode = document.getElementById('preset-rate-mode')?.value;
+        const rateValue = number('preset-rate-value');
+
+        return {
+            id: base.id,
+            name: base.name,
+            container: document.getElementById('container-format')?.value || base.container,
+            video: {
+                codec: document.getElementById('preset-codec')?.value || 'h264',
+                encoder: document.getElementById('preset-encoder')?.value || 'auto',
+                height: number('preset-height'),
+                fps: number('preset-fps'),
+                quality: rateMode === 'quality' && rateValue ? rateValue : base.video.quality,
+                bitrate: rateMode === 'bitrate' ? rateValue : null,
+                targetSizeMB: rateMode === 'size' ? rateValue : null
+            },
+            audio: {
+                mix: document.getElementById('preset-audio-mix')?.value || 'first',
+                codec: document.getElementById('preset-audio-codec')?.value || 'aac',
+                bitrate: number('preset-audio-bitrate') || 192
+            },
+            maxDuration: number('preset-max-duration')
+        };
+    }
+
+    /**
+     * Show the encoder, estimated size and warnings for the selected preset
+     */
+    updatePresetInfo() {
+        const info = document.getElementById('export-preset-info');
+        const sizeEl = document.getElementById('est-file-size');
+        const preset = this.getPresetFromForm();
+
+        if (!preset) {
+            if (info) info.textContent = '';
+            if (sizeEl) sizeEl.textContent = '--';
+            return;
+        }
+
+        const ExportPresets = require('./lib/export-presets');
+        const source = { audioTracks: this.audioTracks.length || 1 };
+        if (this.videoPlayer && this.videoPlayer.duration) {
+            const start = this.markIn !== null ? this.markIn : 0;
+            const end = this.markOut !== null ? this.markOut : this.videoPlayer.duration;
+            source.duration = end - start;
+            source.height = this.videoPlayer.videoHeight || undefined;
+        }
+
+        const plan = new ExportPresets().plan(preset, source, { encoders: this.availableEncoders });
+        const parts = [`Encoder: ${plan.encoder}${plan.twoPass ? ' (two-pass)' : ''}`];
+        if (!this.availableEncoders) {
+            parts.push('Run FFmpeg detection in Settings to use hardware encoders');
+        }
+        parts.push(...plan.warnings);
+
+        if (info) info.textContent = parts.join(' • ');
+        if (sizeEl) {
+            sizeEl.textContent = plan.estimatedSizeMB ? `~${plan.estimatedSizeMB.toFixed(1)} MB` : '--';
+        }
+    }
+
+    /**
+     * Save the preset settings under the entered name, replacing a saved preset with that name
+     */
+    async saveExportPreset() {
+        const nameInput = document.getElementById('export-preset-name');
+        const name = nameInput?.value.trim();
+        if (!name) {
+            this.showAlert('Enter a name for the preset', 'warning');
+            return;
+        }
+
+        const ExportPresets = require('./lib/export-presets');
+        const preset = this.getPresetFromForm();
+        preset.id = new ExportPresets().createId(name);
+        preset.name = name;
+
+        const presets = { ...this.userExportPresets, [preset.id]: preset };
+        const result = await ipcRenderer.invoke('save-export-presets', presets);
+        if (!result.success) {
+            this.showAlert(`Failed to save preset: ${result.error}`, 'error');
+            return;
+        }
+
+        await this.loadExportPresets(preset.id);
+        this.showAlert(`Preset "${name}" saved`, 'success');
+    }
+
+    /**
+     * Delete the selected saved preset
+     */
+    async deleteExportPreset() {
+        const id = document.getElementById('export-preset')?.value;
+        const preset = this.userExportPresets[id];
+        if (!preset) return;
+        if (!confirm(`Delete the preset "${preset.name}"?`)) return;
+
+        const presets = { ...this.userExportPresets };
+        delete presets[id];
+
+        const result = await ipcRenderer.invoke('save-export-presets', presets);
+        if (!result.success) {
+            this.showAlert(`Failed to delete preset: ${result.error}`, 'error');
+            return;
+        }
+
+        await this.loadExportPresets('');
+    }
+
+    /**
+     * Position an element over the displayed picture, the player letterboxes inside its box
+     * @returns {Object} { width, height } of the picture in pixels
+     */
+    coverDisplayedVideo(element) {
+        const player = this.videoPlayer;
+        const scale = Math.min(player.clientWidth / player.videoWidth, player.clientHeight / player.videoHeight);
+        const width = player.videoWidth * scale;
+        const height = player.videoHeight * scale;
+
+        element.style.left = `${player.offsetLeft + (player.clientWidth - width) / 2}px`;
+        element.style.top = `${player.offsetTop + (player.clientHeight - height) / 2}px`;
+        element.style.width = `${width}px`;
+        element.style.height = `${height}px`;
+
+        return { width, height };
+    }
+
+    /**
+     * Reframe panel, position presets and dragging the crop window on the player
+     */
+    setupReframeControls() {
+        const ReframeBuilder = require('./lib/reframe-builder');
+
+        document.getElementById('reframe-aspect')?.addEventListener('change', (e) => {
+            const options = document.getElementById('reframe-options');
+            if (options) {
+                options.style.display = e.target.value ? 'block' : 'none';
+            }
+            this.renderReframe();
+        });
+
+        document.getElementById('reframe-position')?.addEventListener('input', (e) => {
+            this.setReframeKeyframe(parseFloat(e.target.value) / 100);
+        });
+        document.getElementById('reframe-add-keyframe-btn')?.addEventListener('click', () => {
+            const position = parseFloat(document.getElementById('reframe-position')?.value) / 100;
+            this.setReframeKeyframe(isNaN(position) ? 0.5 : position);
+        });
+        document.getElementById('reframe-clear-btn')?.addEventListener('click', () => {
+            this.reframeKeyframes = [];
+            this.renderReframe();
+        });
+
+        const presets = document.getElementById('reframe-presets');
+        if (presets) {
+            Object.values(ReframeBuilder.POSITION_PRESETS).forEach(preset => {
+                const button = document.createElement('button');
+                button.className = 'btn btn-small btn-secondary';
+                button.textContent = preset.label;
+                button.title = `Keyframe at the playhead centred on the ${preset.label.toLowerCase()}`;
+                button.addEventListener('click', () => this.setReframeKeyframe(preset.position));
+                presets.appendChild(button);
+            });
+        }
+
+        // Dragging the window sets the keyframe at the playhead
+        const cropWindow = document.getElementById('reframe-window');
+        const preview = document.getElementById('reframe-preview');
+        if (cropWindow && preview) {
+            const dragTo = (e) => {
+                const rect = preview.getBoundingClientRect();
+                this.setReframeKeyframe((e.clientX - rect.left) / rect.width);
+            };
+
+            cropWindow.addEventListener('mousedown', (e) => {
+                e.preventDefault();
+                this.reframeDragging = true;
+                dragTo(e);
+            });
+            document.addEventListener('mousemove', (e) => {
+                if (this.reframeDragging) dragTo(e);
+            });
+            document.addEventListener('mouseup', () => {
+                this.reframeDragging = false;
+            });
+        }
+    }
+
+    /**
+     * Reframe options for export, null when reframing is off
+     */
+    getReframeOptions() {
+        const aspect = document.getElementById('reframe-aspect')?.value;
+        if (!aspect) return null;
+
+        return {
+            aspect,
+            keyframes: this.reframeKeyframes.map(keyframe => ({ ...keyframe }))
+        };
+    }
+
+    /**
+     * Add a crop keyframe at the playhead, or move the one already there
+     * @param {number} position - Window centre as a share of the video width
+     */
+    setReframeKeyframe(position) {
+        if (!this.videoPlayer || !this.videoPlayer.duration) return;
+
+        const time = this.videoPlayer.currentTime;
+        position = Math.min(1, Math.max(0, position));
+
+        // Keyframes within a frame of the playhead are the same keyframe
+        const existing = this.reframeKeyframes.find(keyframe => Math.abs(keyframe.time - time) < 1 / this.fps);
+        if (existing) {
+            existing.position = position;
+        } else {
+            this.reframeKeyframes.push({ time, position });
+            this.reframeKeyframes.sort((a, b) => a.time - b.time);
+        }
+
+        this.renderReframe();
+    }
+
+    removeReframeKeyframe(index) {
+        this.reframeKeyframes.splice(index, 1);
+        this.renderReframe();
+    }
+
+    /**
+     * Redraw the keyframe list, the keyframe markers on the timeline and the preview
+     */
+    renderReframe() {
+        const enabled = !!this.getReframeOptions();
+        const list = document.getElementById('reframe-keyframe-list');
+        const markers = document.getElementById('reframe-keyframe-markers');
+
+        if (list) {
+            list.innerHTML = '';
+            if (this.reframeKeyframes.length === 0) {
+                list.innerHTML = '<div class="reframe-keyframe-empty">No keyframes, the crop stays centred</div>';
+            }
+
+            this.reframeKeyframes.forEach((keyframe, index) => {
+                const row = document.createElement('div');
+                row.className = 'reframe-keyframe-row';
+                row.innerHTML = `
+                    <button class="reframe-keyframe-time" title="Jump to keyframe">◆ ${this.formatTime(keyframe.time)}</button>
+                    <span class="reframe-keyframe-position">${Math.round(keyframe.position * 100)}%</span>
+                    <button class="reframe-keyframe-remove" title="Remove keyframe">✕</button>
+                `;
+                row.querySelector('.reframe-keyframe-time').addEventListener('click', () => {
+                    this.videoPlayer.currentTime = keyframe.time;
+                });
+                row.querySelector('.reframe-keyframe-remove').addEventListener('click', () => this.removeReframeKeyframe(index));
+                list.appendChild(row);
+            });
+        }
+
+        if (markers) {
+            markers.innerHTML = '';
+            const duration = this.videoPlayer ? this.videoPlayer.duration : 0;
+            if (enabled && duration) {
+                this.reframeKeyframes.forEach(keyframe => {
+                    const marker = document.createElement('div');
+                    marker.className = 'reframe-keyframe-marker';
+                    marker.style.left = `${keyframe.time / duration * 100}%`;
+                    marker.title = `Crop keyframe ${this.formatTime(keyframe.time)}`;
+                    marker.addEventListener('click', () => {
+                        this.videoPlayer.currentTime = keyframe.time;
+                    });
+                    markers.appendChild(marker);
+                });
+            }
+        }
+
+        this.updateReframePreview();
+    }
+
+    /**
+     * Show the crop window at the current time over the player
+     */
+    updateReframePreview() {
+        const preview = document.getElementById('reframe-preview');
+        const cropWindow = document.getElementById('reframe-window');
+        if (!preview || !cropWindow) return;
+
+        const reframe = this.getReframeOptions();
+        if (!reframe || !this.videoPlayer || !this.videoPlayer.videoHeight) {
+            preview.style.display = 'none';
+            return;
+        }
+
+        const ReframeBuilder = require('./lib/reframe-builder');
+        const reframer = new ReframeBuilder();
+        const position = reframer.getPositionAt(reframer.normalizeKeyframes(reframe.keyframes), this.videoPlayer.currentTime);
+
+        preview.style.display = 'block';
+        const { width, height } = this.coverDisplayedVideo(preview);
+        const crop = reframer.getCropWindow(reframe.aspect, width, height, position);
+        cropWindow.style.left = `${crop.left}px`;
+        cropWindow.style.top = `${crop.top}px`;
+        cropWindow.style.width = `${crop.width}px`;
+        cropWindow.style.height = `${crop.height}px`;
+
+        // The slider follows the playhead unless it is being dragged
+        const slider = document.getElementById('reframe-position');
+        if (slider && document.activeElement !== slider) {
+            slider.value = position * 100;
+        }
+    }
+
     /**
      * Build FFmpeg command from settings
      */
@@ -1080,6 +2066,11 @@ class VideoEditorController {
         this.markIn = null;
         this.markOut = null;
         this.updateClipBoundsOverlay();
+        this.updatePresetInfo();
+
+        // Crop keyframes belong to the previous video
+        this.reframeKeyframes = [];
+        this.renderReframe();
     }
     
     /**
@@ -1100,6 +2091,9 @@ class VideoEditorController {
         // Update audio track volumes based on segments
         this.updateAudioTracksForSegments(currentTime);
 
+        this.updateOverlayPreview();
+        this.updateReframePreview();
+
         // Only check events if we have them
         if (!this.currentEvents.length) return;
         
@@ -1326,6 +2320,8 @@ class VideoEditorController {
                 outputDurationEl.textContent = this.formatTime(this.videoPlayer.duration);
             }
         }
+
+        this.updatePresetInfo();
     }
     
     /**
@@ -1576,6 +2572,19 @@ class VideoEditorController {
         // Setup control buttons
         document.getElementById('clear-all-btn')?.addEventListener('click', () => this.clearAllSegments());
 
+        // Loudness normalization and ducking
+        this.setupAudioDynamicsControls();
+
+        document.getElementById('track-preset-select')?.addEventListener('change', (e) => {
+            if (e.target.value) {
+                this.applyPreset(e.target.value);
+                e.target.value = '';
+            }
+        });
+
+        // Waveforms are drawn at the lane's pixel width
+        window.addEventListener('resize', () => this.drawWaveforms());
+
         // Setup segment editor controls
         document.getElementById('segment-start-time')?.addEventListener('input', (e) => this.updateSegmentTime('start', e.target.value));
         document.getElementById('segment-end-time')?.addEventListener('input', (e) => this.updateSegmentTime('end', e.target.value));
@@ -1692,6 +2701,11 @@ class VideoEditorController {
         if (icon) {
             icon.textContent = isVisible ? '▶' : '▼';
         }
+
+        // Lanes have no width while the mixer is collapsed
+        if (!isVisible) {
+            this.drawWaveforms();
+        }
     }
 
     /**
@@ -2096,6 +3110,7 @@ class VideoEditorController {
 
         // Update segment editor track select
         this.updateTrackSelect();
+        this.updateDuckingTracks();
 
         // Initial update of audio tracks based on segments (all should be muted initially)
         if (this.videoPlayer && this.webAudioManager) {
@@ -2125,20 +3140,36 @@ class VideoEditorController {
         trackEl.className = 'audio-track';
         trackEl.dataset.trackId = track.id;
 
+        // Extracted tracks get a waveform and can have segments made from their speech
         trackEl.innerHTML = `
             <div class="track-header">
                 <span class="track-name">${track.name}</span>
                 <div class="track-buttons">
+                    ${track.extractedPath ? `
+                    <button class="track-all-btn track-speech-btn" title="Replace this track's segments with the parts that have speech">
+                        🗣 Speech
+                    </button>` : ''}
                     <button class="track-toggle-btn enabled" data-track-id="${track.id}">
                         Enabled
                     </button>
                 </div>
             </div>
             <div class="track-timeline" data-track-id="${track.id}">
+                ${track.extractedPath ? '<canvas class="track-waveform"></canvas>' : ''}
                 <!-- Segments will be added here -->
             </div>
         `;
 
+        trackEl.querySelector('.track-speech-btn')?.addEventListener('click', () => {
+            if (!track.waveform) {
+                this.showAlert('The waveform for this track is still loading', 'warning');
+                return;
+            }
+            const count = this.createSpeechSegments(track);
+            this.renderAllSegments();
+            this.showAlert(count > 0 ? `Created ${count} speech segments on ${track.name}` : `No speech found on ${track.name}`, count > 0 ? 'success' : 'warning');
+        });
+
         // Add event listeners
         const toggleBtn = trackEl.querySelector('.track-toggle-btn');
         toggleBtn.addEventListener('click', () => {
@@ -2152,6 +3183,108 @@ class VideoEditorController {
         if (this.tracksContainer) {
             this.tracksContainer.appendChild(trackEl);
         }
+
+        if (track.extractedPath) {
+            this.loadTrackWaveform(track);
+        }
+    }
+
+    /**
+     * Fetch an extracted track's peak data and draw it in its lane
+     */
+    async loadTrackWaveform(track) {
+        try {
+            const result = await ipcRenderer.invoke('get-audio-waveform', track.trackIndex);
+            if (!result.success) {
+                throw new Error(result.error);
+            }
+
+            track.waveform = result.waveform;
+            this.drawTrackWaveform(track);
+        } catch (error) {
+            console.error(`[VideoEditor] Failed to load waveform for ${track.id}:`, error);
+        }
+    }
+
+    /**
+     * Draw a track's peaks mirrored around the lane's centre line
+     */
+    drawTrackWaveform(track) {
+        const canvas = this.tracksContainer?.querySelector(`.audio-track[data-track-id="${track.id}"] .track-waveform`);
+        const duration = this.videoPlayer?.duration;
+        if (!canvas || !track.waveform || !duration) return;
+
+        const ratio = window.devicePixelRatio || 1;
+        const width = Math.max(1, Math.round(canvas.clientWidth * ratio));
+        const height = Math.max(1, Math.round(canvas.clientHeight * ratio));
+        canvas.width = width;
+        canvas.height = height;
+
+        const ctx = canvas.getContext('2d');
+        ctx.clearRect(0, 0, width, height);
+        ctx.fillStyle = track.color;
+
+        // Loudest peak in each pixel column
+        const { peaks, peaksPerSecond } = track.waveform;
+        const peaksPerPixel = duration * peaksPerSecond / width;
+        for (let x = 0; x < width; x++) {
+            const first = Math.floor(x * peaksPerPixel);
+            const last = Math.min(peaks.length, Math.max(first + 1, Math.floor((x + 1) * peaksPerPixel)));
+
+            let peak = 0;
+            for (let i = first; i < last; i++) {
+                if (peaks[i] > peak) peak = peaks[i];
+            }
+
+            const barHeight = Math.max(1, peak * height);
+            ctx.fillRect(x, (height - barHeight) / 2, 1, barHeight);
+        }
+    }
+
+    drawWaveforms() {
+        this.audioTracks.forEach(track => this.drawTrackWaveform(track));
+    }
+
+    /**
+     * Replace a track's segments with the ranges that have speech
+     * @returns {number} Segments created
+     */
+    createSpeechSegments(track) {
+        const WaveformAnalyzer = require('./lib/waveform-analyzer');
+        const duration = this.videoPlayer.duration;
+
+        const ranges = new WaveformAnalyzer().detectSpeech(track.waveform)
+            .filter(range => range.startTime < duration)
+            .map(range => ({ ...range, endTime: Math.min(duration, range.endTime) }));
+
+        this.audioSegments[track.id] = ranges.map((range, index) => ({
+            id: `segment-${Date.now()}-${track.id}-${index}`,
+            trackId: track.id,
+            startTime: range.startTime,
+            endTime: range.endTime
+        }));
+
+        return ranges.length;
+    }
+
+    /**
+     * Recreate every segment element from audioSegments
+     */
+    renderAllSegments() {
+        this.tracksContainer?.querySelectorAll('.track-segment').forEach(el => el.remove());
+
+        for (const trackId in this.audioSegments) {
+            const timeline = this.tracksContainer?.querySelector(`.track-timeline[data-track-id="${trackId}"]`);
+            if (timeline) {
+                this.audioSegments[trackId].forEach(segment => {
+                    this.createSegmentElement(segment, timeline);
+                });
+            }
+        }
+
+        if (this.videoPlayer) {
+            this.updateAudioTracksForSegments(this.videoPlayer.currentTime);
+        }
     }
 
     // Removed toggleTrackAll - no longer needed
@@ -3072,17 +4205,27 @@ class VideoEditorController {
                     }];
                 }
                 break;
-        }
 
-        // Recreate all segment elements
-        for (const trackId in this.audioSegments) {
-            const timeline = this.tracksContainer?.querySelector(`[data-track-id="${trackId}"]`);
-            if (timeline) {
-                this.audioSegments[trackId].forEach(segment => {
-                    this.createSegmentElement(segment, timeline);
+            case 'voice-speaking':
+                // Game audio throughout, voice and mic only while someone is talking.
+                // The pre-mixed track already has the voice in it so it's left out.
+                this.audioTracks.filter(t => !t.isInVideo).forEach(track => {
+                    if (/voice|mic/i.test(track.name) && track.waveform) {
+                        this.createSpeechSegments(track);
+                    } else if (!/voice|mic/i.test(track.name)) {
+                        this.audioSegments[track.id] = [{
+                            id: `segment-${Date.now()}-${track.id}`,
+                            trackId: track.id,
+                            startTime: 0,
+                            endTime: duration
+                        }];
+                    }
                 });
-            }
+                break;
         }
+
+        // Recreate all segment elements
+        this.renderAllSegments();
     }
 
     /**
@@ -3131,6 +4274,120 @@ class VideoEditorController {
         }
     }
 
+    /**
+     * Setup loudness normalization and ducking controls
+     */
+    setupAudioDynamicsControls() {
+        const AudioMixBuilder = require('./lib/audio-mix-builder');
+
+        const targetSelect = document.getElementById('loudness-target');
+        if (targetSelect) {
+            Object.entries(AudioMixBuilder.TARGETS).forEach(([key, target]) => {
+                targetSelect.add(new Option(target.label, key));
+            });
+        }
+
+        const duckingOptions = document.getElementById('ducking-options');
+        document.getElementById('ducking-enabled')?.addEventListener('change', (e) => {
+            if (duckingOptions) {
+                duckingOptions.style.display = e.target.checked ? 'flex' : 'none';
+            }
+        });
+
+        const thresholdValue = document.getElementById('ducking-threshold-value');
+        document.getElementById('ducking-threshold')?.addEventListener('input', (e) => {
+            if (thresholdValue) thresholdValue.textContent = `${e.target.value} dB`;
+        });
+        const ratioValue = document.getElementById('ducking-ratio-value');
+        document.getElementById('ducking-ratio')?.addEventListener('input', (e) => {
+            if (ratioValue) ratioValue.textContent = `${e.target.value}:1`;
+        });
+
+        // Any change updates the playback preview
+        document.querySelector('.mixer-dynamics')?.addEventListener('change', () => this.applyAudioDynamicsPreview());
+        document.querySelector('.mixer-dynamics')?.addEventListener('input', (e) => {
+            if (e.target.type === 'range') this.applyAudioDynamicsPreview();
+        });
+    }
+
+    /**
+     * Fill the ducking track pickers, keeping the current choice when the tracks
+     * are the same and otherwise guessing from the track names
+     */
+    updateDuckingTracks() {
+        const gameSelect = document.getElementById('ducking-game-track');
+        const voiceContainer = document.getElementById('ducking-voice-tracks');
+        if (!gameSelect || !voiceContainer) return;
+
+        // The pre-mixed track already contains the voice, it can't take part
+        const tracks = this.audioTracks.filter(track => !track.isInVideo);
+        const previousGame = gameSelect.value;
+        const previousVoices = Array.from(voiceContainer.querySelectorAll('input:checked')).map(input => input.value);
+
+        const hasTrack = (id) => tracks.some(track => track.id === id);
+        const gameTrack = hasTrack(previousGame)
+            ? previousGame
+            : (tracks.find(track => /game/i.test(track.name)) || tracks[0] || {}).id;
+        const voiceTracks = previousVoices.some(hasTrack)
+            ? previousVoices
+            : tracks.filter(track => /voice|mic/i.test(track.name)).map(track => track.id);
+
+        gameSelect.innerHTML = tracks.map(track =>
+            `<option value="${this.escapeHtml(track.id)}" ${track.id === gameTrack ? 'selected' : ''}>${this.escapeHtml(track.name)}</option>`
+        ).join('');
+
+        voiceContainer.innerHTML = tracks.map(track => `
+            <label class="checkbox-label">
+                <input type="checkbox" value="${this.escapeHtml(track.id)}" ${voiceTracks.includes(track.id) ? 'checked' : ''}>
+                <span>${this.escapeHtml(track.name)}</span>
+            </label>
+        `).join('');
+
+        this.applyAudioDynamicsPreview();
+    }
+
+    /**
+     * Loudness settings for export, null when normalization is off
+     */
+    getLoudnessSettings() {
+        const target = document.getElementById('loudness-target')?.value;
+        if (!target) return null;
+
+        return {
+            target,
+            tracks: document.getElementById('loudness-tracks')?.checked || false,
+            master: document.getElementById('loudness-master')?.checked || false
+        };
+    }
+
+    getDuckingSettings() {
+        return {
+            enabled: document.getElementById('ducking-enabled')?.checked || false,
+            gameTrackId: document.getElementById('ducking-game-track')?.value || null,
+            voiceTrackIds: Array.from(document.querySelectorAll('#ducking-voice-tracks input:checked')).map(input => input.value),
+            threshold: parseFloat(document.getElementById('ducking-threshold')?.value),
+            ratio: parseFloat(document.getElementById('ducking-ratio')?.value),
+            attack: parseFloat(document.getElementById('ducking-attack')?.value),
+            release: parseFloat(document.getElementById('ducking-release')?.value)
+        };
+    }
+
+    /**
+     * Preview normalization and ducking on the Web Audio tracks
+     */
+    applyAudioDynamicsPreview() {
+        if (!this.webAudioManager) return;
+
+        const AudioMixBuilder = require('./lib/audio-mix-builder');
+        const mixBuilder = new AudioMixBuilder();
+        const loudness = this.getLoudnessSettings();
+
+        this.webAudioManager.setLoudnessNormalization(loudness && loudness.tracks
+            ? mixBuilder.getTarget(loudness.target).integrated
+            : null);
+        this.webAudioManager.setDucking(mixBuilder.normalizeDucking(this.getDuckingSettings()));
+    }
+
     /**
      * Update track select options
      */
@@ -3194,6 +4451,9 @@ class VideoEditorController {
             }
         });
 
+        config.loudness = this.getLoudnessSettings();
+        config.ducking = this.getDuckingSettings();
+
         return config;
     }
 
@@ -3569,6 +4829,17 @@ class VideoEditorController {
     delay(ms) {
         return new Promise(resolve => setTimeout(resolve, ms));
     }
+
+    /**
+     * Escape text from file names and events before it goes into innerHTML
+     */
+    escapeHtml(text) {
+        return String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
 }
 
 // Initialize when the edit video view is shown